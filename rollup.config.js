@@ -42,7 +42,8 @@ export default [
         exclude: 'node_modules/**',
       }),
     ],
-    external: ['uuid'],
+    // Node built-ins are only loaded lazily by NodeHttpTransport
+    external: ['uuid', 'http', 'https', 'tls'],
   },
   {
     input: 'dist/marzpay.d.ts',
@@ -169,6 +169,286 @@ describe('MarzPay', () => {
     });
   });
 
+  describe('response parsing', () => {
+    const rawResponse = (status, body, headers = {}) => ({
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: status === 502 ? 'Bad Gateway' : '',
+      headers: new Headers(headers),
+      text: async () => body
+    });
+
+    it('should resolve empty bodies to null', async () => {
+      fetch.mockResolvedValue(rawResponse(204, ''));
+
+      await expect(marzpay.request('/webhooks/abc', { method: 'DELETE' })).resolves.toBeNull();
+    });
+
+    it('should keep status, headers and a truncated body for non-JSON errors', async () => {
+      const html = `<html><body>${'Bad gateway '.repeat(300)}</body></html>`;
+      fetch.mockResolvedValue(rawResponse(502, html, { 'Content-Type': 'text/html', 'X-Request-Id': 'edge-1' }));
+
+      const error = await marzpay.request('/balance', { retry: false }).catch(e => e);
+
+      expect(error).toBeInstanceOf(MarzPayError);
+      expect(error.name).toBe('ServerError');
+      expect(error.status).toBe(502);
+      expect(error.message).toBe('HTTP 502 Bad Gateway with text/html body');
+      expect(error.requestId).toBe('edge-1');
+      expect(error.response.headers['content-type']).toBe('text/html');
+      expect(error.response.body.startsWith('<html><body>Bad gateway')).toBe(true);
+      expect(error.response.body).toMatch(/\[truncated \d+ characters\]$/);
+      expect(error.response.body.length).toBeLessThan(html.length);
+    });
+
+    it('should report JSON error bodies through fromResponse with the raw body attached', async () => {
+      fetch.mockResolvedValue(rawResponse(400, '{"message":"Invalid amount","error_code":"INVALID_AMOUNT"}', {
+        'Content-Type': 'application/json'
+      }));
+
+      const error = await marzpay.request('/collect-money', { method: 'POST', body: {} }).catch(e => e);
+
+      expect(error.code).toBe('INVALID_AMOUNT');
+      expect(error.response).toMatchObject({ status: 400, body: '{"message":"Invalid amount","error_code":"INVALID_AMOUNT"}' });
+    });
+
+    it('should reject successful responses that are not JSON', async () => {
+      fetch.mockResolvedValue(rawResponse(200, 'Welcome to the hotel Wi-Fi', { 'Content-Type': 'text/plain' }));
+
+      const error = await marzpay.request('/balance').catch(e => e);
+
+      expect(error.code).toBe('INVALID_RESPONSE');
+      expect(error.status).toBe(200);
+      expect(error.message).toContain('Expected JSON but received text/plain');
+      expect(error.response.body).toBe('Welcome to the hotel Wi-Fi');
+    });
+  });
+
+  describe('timeouts and cancellation', () => {
+    const hangingFetch = (_url, options) => new Promise((_resolve, reject) => {
+      if (options.signal) {
+        options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }
+    });
+
+    it('should fail with REQUEST_TIMEOUT when the request hangs', async () => {
+      fetch.mockImplementation(hangingFetch);
+      const instance = new MarzPay({ ...validConfig, timeout: 20 });
+
+      await expect(instance.request('/collect-money')).rejects.toMatchObject({
+        code: 'REQUEST_TIMEOUT',
+        status: 0
+      });
+      expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+
+    it('should let a per-call timeout override the client timeout', async () => {
+      fetch.mockImplementation(hangingFetch);
+
+      const error = await marzpay.request('/transactions', { timeout: 10 }).catch(e => e);
+
+      expect(error).toBeInstanceOf(MarzPayError);
+      expect(error.isTimeoutError()).toBe(true);
+      expect(error.details.timeout).toBe(10);
+    });
+
+    it('should fail with REQUEST_ABORTED when the caller aborts', async () => {
+      fetch.mockImplementation(hangingFetch);
+      const controller = new AbortController();
+
+      const pending = marzpay.request('/collect-money', { signal: controller.signal });
+      controller.abort();
+
+      const error = await pending.catch(e => e);
+      expect(error.code).toBe('REQUEST_ABORTED');
+      expect(error.isAbortError()).toBe(true);
+    });
+
+    it('should not call the API when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(marzpay.request('/balance', { signal: controller.signal }))
+        .rejects.toMatchObject({ code: 'REQUEST_ABORTED' });
+    });
+
+    it('should pass the signal through module methods', async () => {
+      fetch.mockResolvedValue(createMockResponse({ status: 'success' }));
+      const controller = new AbortController();
+      const requestSpy = jest.spyOn(marzpay, 'request');
+
+      await marzpay.transactions.getTransactions({ type: 'collection' }, { signal: controller.signal });
+
+      expect(requestSpy).toHaveBeenCalledWith(
+        '/transactions?type=collection',
+        { signal: controller.signal }
+      );
+    });
+  });
+
+  describe('retries', () => {
+    let instance;
+
+    beforeEach(() => {
+      instance = new MarzPay({ ...validConfig, retry: { baseDelay: 1, jitter: false } });
+    });
+
+    it('should retry safe GET requests on transient statuses', async () => {
+      fetch
+        .mockResolvedValueOnce(createMockResponse({ message: 'Bad gateway' }, 502))
+        .mockResolvedValueOnce(createMockResponse({ status: 'success' }));
+
+      const result = await instance.request('/transactions');
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(result).toEqual({ status: 'success' });
+      expect(result.retry).toEqual({ attempts: 2, totalDelay: 1 });
+    });
+
+    it('should not retry POST requests automatically', async () => {
+      fetch.mockResolvedValue(createMockResponse({ message: 'Bad gateway' }, 502));
+
+      const error = await instance.request('/send-money', { method: 'POST', body: {} }).catch(e => e);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(error.retry).toEqual({ attempts: 1, totalDelay: 0 });
+    });
+
+    it('should attach retry metadata to the final error', async () => {
+      fetch.mockResolvedValue(createMockResponse({ message: 'Unavailable' }, 503));
+
+      const error = await instance.request('/balance').catch(e => e);
+
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(error).toBeInstanceOf(MarzPayError);
+      expect(error.retry).toEqual({ attempts: 3, totalDelay: 3 });
+    });
+
+    it('should honour per-call overrides', async () => {
+      fetch.mockResolvedValue(createMockResponse({ message: 'Unavailable' }, 503));
+
+      await instance.request('/balance', { retry: false }).catch(() => {});
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      fetch.mockClear();
+      await instance.request('/balance', { retry: { maxAttempts: 5 } }).catch(() => {});
+      expect(fetch).toHaveBeenCalledTimes(5);
+    });
+
+    it('should not retry client errors', async () => {
+      fetch.mockResolvedValue(createMockResponse({ message: 'Invalid' }, 400));
+
+      await expect(instance.request('/transactions')).rejects.toThrow(MarzPayError);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should wait for Retry-After when the API sends it', async () => {
+      fetch
+        .mockResolvedValueOnce({
+          ...createMockResponse({ message: 'Slow down' }, 429),
+          headers: { get: name => (name === 'retry-after' ? '0.005' : null) }
+        })
+        .mockResolvedValueOnce(createMockResponse({ status: 'success' }));
+
+      const result = await instance.request('/transactions');
+
+      expect(result.retry).toEqual({ attempts: 2, totalDelay: 5 });
+    });
+  });
+
+  describe('middleware', () => {
+    beforeEach(() => {
+      fetch.mockResolvedValue(createMockResponse({ status: 'success' }));
+    });
+
+    it('should run middleware in registration order around the request', async () => {
+      const calls = [];
+      marzpay
+        .use(async (context, next) => {
+          calls.push('first:before');
+          const response = await next();
+          calls.push('first:after');
+          return response;
+        })
+        .use(async (context, next) => {
+          calls.push('second:before');
+          const response = await next();
+          calls.push('second:after');
+          return response;
+        });
+
+      await marzpay.request('/balance');
+
+      expect(calls).toEqual(['first:before', 'second:before', 'second:after', 'first:after']);
+    });
+
+    it('should let middleware modify the outgoing request', async () => {
+      marzpay.use(async (context, next) => {
+        context.headers['X-Request-Source'] = 'checkout';
+        context.body = { ...context.body, description: 'Order 42' };
+        return next();
+      });
+
+      await marzpay.request('/collect-money', { method: 'POST', body: { amount: 5000 } });
+
+      const [, options] = fetch.mock.calls[0];
+      expect(options.headers['X-Request-Source']).toBe('checkout');
+      expect(JSON.parse(options.body)).toEqual({ amount: 5000, description: 'Order 42' });
+    });
+
+    it('should let middleware inspect and replace responses', async () => {
+      marzpay.use(async (context, next) => {
+        const response = await next();
+        return { ...response, audited: true };
+      });
+
+      await expect(marzpay.request('/balance')).resolves.toEqual({ status: 'success', audited: true });
+    });
+
+    it('should let middleware short-circuit with a synthetic response', async () => {
+      marzpay.use(async context => ({ status: 'success', data: { cached: context.endpoint } }));
+
+      const result = await marzpay.request('/balance');
+
+      expect(result.data.cached).toBe('/balance');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should let middleware observe errors', async () => {
+      const seen = [];
+      fetch.mockResolvedValue(createMockResponse({ message: 'Invalid' }, 400));
+      marzpay.use(async (context, next) => {
+        try {
+          return await next();
+        } catch (error) {
+          seen.push(error.status);
+          throw error;
+        }
+      });
+
+      await expect(marzpay.request('/balance')).rejects.toThrow(MarzPayError);
+      expect(seen).toEqual([400]);
+    });
+
+    it('should reject calling next() twice', async () => {
+      marzpay.use(async (context, next) => {
+        await next();
+        return next();
+      });
+
+      await expect(marzpay.request('/balance')).rejects.toMatchObject({ code: 'INVALID_MIDDLEWARE' });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should accept middleware from config and reject non-functions', () => {
+      const middleware = jest.fn();
+      const instance = new MarzPay({ ...validConfig, middleware: [middleware] });
+
+      expect(instance.middleware).toEqual([middleware]);
+      expect(() => marzpay.use('nope')).toThrow(MarzPayError);
+    });
+  });
+
   describe('utility methods', () => {
     describe('formatPhoneNumber', () => {
       it('should format Ugandan phone numbers correctly', () => {
@@ -258,6 +538,17 @@ describe('MarzPay', () => {
       expect(authHeader).toContain('dGVzdC1hcGktdXNlcjp0ZXN0LWFwaS1rZXk=');
     });
 
+    it('should encode credentials without btoa', () => {
+      const originalBtoa = global.btoa;
+      delete global.btoa;
+
+      try {
+        expect(marzpay.getAuthHeader()).toBe('Basic dGVzdC1hcGktdXNlcjp0ZXN0LWFwaS1rZXk=');
+      } finally {
+        global.btoa = originalBtoa;
+      }
+    });
+
     it('should allow updating credentials', () => {
       marzpay.setCredentials('new-user', 'new-key');
       expect(marzpay.config.apiUser).toBe('new-user');
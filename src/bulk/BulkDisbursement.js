@@ -0,0 +1,594 @@
+import { v5 as uuidv5 } from 'uuid';
+import {
+  AuthenticationError,
+  InsufficientBalanceError,
+  MarzPayError,
+  ValidationError
+} from '../errors/MarzPayError.js';
+import { CsvParser } from './CsvParser.js';
+
+/**
+ * Bulk Disbursement - Pays a batch of recipients safely and resumably
+ *
+ * Every row is validated before anyone is paid: the amount must be within
+ * the disbursement limits, the phone number valid and not repeated in the
+ * batch. Each row gets a reference derived from the batch ID and its phone
+ * number, so running the same batch again produces the same references.
+ * Rows are then sent with bounded concurrency and one result is produced
+ * per row, in completion order.
+ *
+ * When resuming, rows recorded as sent by a previous run are skipped, and
+ * every other row's reference is looked up on the platform first, so a row
+ * whose outcome was never recorded (a crash, a timeout) is not paid twice.
+ * Insufficient balance or rejected credentials halt the batch: rows not
+ * yet started are reported as `not_sent` and can be resumed later.
+ * Stopping the iteration early (`break`, or a result file that fails to
+ * write) stops starting rows as well: it returns once the rows in flight
+ * complete, and the rest are reported as `not_sent` (BATCH_STOPPED).
+ * On a dry run (`dryRun` in the request options or the client config)
+ * every row is checked and reported as `not_sent` with its first problem.
+ *
+ * @example
+ * ```javascript
+ * const batch = new BulkDisbursement(marzpay, { batchId: 'agents-2024-01', concurrency: 5 });
+ * await batch.prepare(fs.createReadStream('agents.csv'));
+ *
+ * for await (const result of batch) {
+ *   console.log(result.row, result.result, result.errorCode);
+ * }
+ *
+ * console.log(batch.summary); // or: const summary = await batch.run();
+ * ```
+ */
+export class BulkDisbursement {
+  /**
+   * Create a new BulkDisbursement
+   *
+   * @param {MarzPay} marzpay - Client used to send and look up disbursements
+   * @param {Object} settings - Batch settings
+   * @param {string} settings.batchId - Stable name of the batch; references are derived from it, so reuse it
+   * to resume and change it to pay the same people again
+   * @param {number} [settings.concurrency=5] - Most disbursements in flight at once
+   * @param {boolean|Array<Object>|string|AsyncIterable|ReadableStream} [settings.resume] - Results of a
+   * previous run (array, CSV or JSON Lines), or `true` to look every reference up before sending
+   * @param {boolean} [settings.skipInvalid=false] - Report invalid rows as `invalid` and send the rest,
+   * instead of rejecting the whole batch
+   * @param {boolean} [settings.allowDuplicatePhones=false] - Let rows that carry their own reference share a
+   * phone number (separate payments to one recipient)
+   * @param {string} [settings.delimiter=','] - Field delimiter of CSV input
+   * @param {Function} [settings.onResult] - Called with each row result as it completes
+   * @param {AbortSignal} [settings.signal] - Stops starting new rows; disbursements in flight complete
+   * @param {RequestOptions} [settings.requestOptions] - Options for every request (`timeout`, `retry`,
+   * `resolveBeforeRetry`, `dryRun`)
+   * @throws {ValidationError} When the batch ID or concurrency is invalid
+   */
+  constructor(marzpay, settings = {}) {
+    const {
+      batchId,
+      concurrency = BulkDisbursement.DEFAULTS.concurrency,
+      resume = false,
+      skipInvalid = false,
+      allowDuplicatePhones = false,
+      delimiter,
+      onResult,
+      signal,
+      requestOptions = {}
+    } = settings;
+
+    if (!batchId || typeof batchId !== 'string') {
+      throw new ValidationError('A batchId is required to derive stable references', 'MISSING_BATCH_ID');
+    }
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new ValidationError('Concurrency must be a positive integer', 'INVALID_CONCURRENCY');
+    }
+
+    this.marzpay = marzpay;
+    this.batchId = batchId;
+    this.concurrency = concurrency;
+    this.resume = resume;
+    this.skipInvalid = skipInvalid;
+    this.allowDuplicatePhones = allowDuplicatePhones;
+    this.parser = new CsvParser({ delimiter });
+    this.onResult = onResult;
+    this.signal = signal;
+    this.requestOptions = requestOptions;
+    this.rows = null;
+    this.previous = new Map();
+    this.results = [];
+    this.halted = null;
+    this.started = false;
+    this.stopped = false;
+  }
+
+  /**
+   * Default batch settings
+   *
+   * @type {Object}
+   */
+  static get DEFAULTS() {
+    return {
+      concurrency: 5
+    };
+  }
+
+  /**
+   * Namespace of the UUID v5 references derived from batch ID and phone number
+   *
+   * @type {string}
+   */
+  static get NAMESPACE() {
+    return 'abb3ef05-77af-4b3e-aef2-58edfb2c0c96';
+  }
+
+  /**
+   * Input columns by field, compared case-insensitively and ignoring `_`, `-` and spaces
+   *
+   * @type {Object<string, Array<string>>}
+   */
+  static get FIELDS() {
+    return {
+      phoneNumber: ['phonenumber', 'phone', 'msisdn'],
+      amount: ['amount'],
+      description: ['description', 'narration'],
+      reference: ['reference'],
+      callbackUrl: ['callbackurl']
+    };
+  }
+
+  /**
+   * Results meaning the recipient has a disbursement on the platform
+   *
+   * @type {Array<string>}
+   */
+  static get SENT_RESULTS() {
+    return ['sent', 'already_sent'];
+  }
+
+  /**
+   * Columns of the per-row result file
+   *
+   * @type {Array<string|Object>}
+   */
+  static get RESULT_COLUMNS() {
+    return [
+      'row',
+      'reference',
+      { header: 'phone_number', value: 'phoneNumber' },
+      'amount',
+      'description',
+      'result',
+      'uuid',
+      'status',
+      { header: 'error_code', value: 'errorCode' },
+      { header: 'error_message', value: 'errorMessage' }
+    ];
+  }
+
+  /**
+   * Read, normalise and validate every row, and load previous results
+   *
+   * @param {Array<Object>|string|AsyncIterable|ReadableStream} source - Row objects, or CSV text or stream
+   * with a header line (`phone_number`, `amount`, optional `description`, `reference`, `callback_url`)
+   * @returns {Promise<Array<Object>>} Normalised rows
+   * @throws {ValidationError} EMPTY_BATCH, INVALID_BATCH (every problem in `details.errors`) or INVALID_CSV
+   */
+  async prepare(source) {
+    const records = await this.read(source);
+
+    if (records.length === 0) {
+      throw new ValidationError('The batch has no rows', 'EMPTY_BATCH');
+    }
+
+    // Amounts are checked against the current limits of each row's provider
+    const providers = new Set(records.map(record => (
+      this.marzpay.phoneUtils.getProvider(String(this.fieldsOf(record).phoneNumber || '').trim())
+    )));
+    await Promise.all([...providers].map(provider => this.marzpay.disbursements.loadLimits(provider, this.requestOptions)));
+
+    const rows = records.map((record, index) => this.normalise(record, index + 1));
+    this.checkDuplicates(rows);
+
+    const errors = [];
+    rows.forEach(row => {
+      row.errors.forEach(error => errors.push({ row: row.row, ...error }));
+    });
+
+    if (errors.length > 0 && !this.skipInvalid) {
+      const invalid = rows.filter(row => row.errors.length > 0).length;
+      throw new ValidationError(
+        `${invalid} of ${rows.length} rows are invalid; nothing was sent`,
+        'INVALID_BATCH',
+        400,
+        { errors }
+      );
+    }
+
+    this.previous = await this.loadPrevious(this.resume);
+    this.rows = rows;
+    return rows;
+  }
+
+  /**
+   * Send the batch, yielding one result per row as it completes
+   *
+   * @returns {AsyncGenerator<Object>} Row results: `{ row, reference, phoneNumber, amount, description, result,
+   * uuid, status, errorCode, errorMessage }` where `result` is `sent`, `already_sent`, `failed`, `invalid`
+   * or `not_sent`
+   * @throws {MarzPayError} BATCH_NOT_PREPARED when `prepare()` has not completed, BATCH_ALREADY_RUN on a
+   * second run
+   */
+  async *[Symbol.asyncIterator]() {
+    if (!this.rows) {
+      throw new MarzPayError('Call prepare() before running the batch', 'BATCH_NOT_PREPARED', 0);
+    }
+
+    // Running twice would send every row again
+    if (this.started) {
+      throw new MarzPayError('A batch can only be run once; resume it with a new BulkDisbursement', 'BATCH_ALREADY_RUN', 0);
+    }
+    this.started = true;
+
+    const completed = [];
+    let next = 0;
+    let finished = false;
+    let failure = null;
+    let notify = null;
+
+    const worker = async () => {
+      while (next < this.rows.length) {
+        const row = this.rows[next++];
+        const result = await this.process(row);
+
+        this.results.push(result);
+        if (!this.stopped) {
+          completed.push(result);
+        }
+        if (typeof this.onResult === 'function') {
+          try {
+            this.onResult(result);
+          } catch (_error) {
+            // Callback failures must not stop the batch
+          }
+        }
+        if (notify) {
+          notify();
+        }
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(this.concurrency, this.rows.length) }, worker);
+    const settled = Promise.all(workers.map(running => running.catch(() => {})));
+    Promise.all(workers).then(
+      () => { finished = true; },
+      error => { failure = error; finished = true; }
+    ).then(() => {
+      if (notify) {
+        notify();
+      }
+    });
+
+    try {
+      for (;;) {
+        if (completed.length > 0) {
+          yield completed.shift();
+        } else if (finished) {
+          break;
+        } else {
+          await new Promise(resolve => { notify = resolve; });
+          notify = null;
+        }
+      }
+    } finally {
+      // Nobody sees results any more: send no further rows and let those in flight complete
+      this.stopped = true;
+      await settled;
+    }
+
+    if (failure) {
+      throw failure;
+    }
+  }
+
+  /**
+   * Send the batch without consuming the results one by one
+   *
+   * @returns {Promise<Object>} The batch summary once every row has a result
+   */
+  async run() {
+    const iterator = this[Symbol.asyncIterator]();
+    let step = await iterator.next();
+    while (!step.done) {
+      step = await iterator.next();
+    }
+
+    return this.summary;
+  }
+
+  /**
+   * Counts per result, and the reason the batch halted if it did
+   *
+   * @type {{batchId: string, total: number, sent: number, alreadySent: number, failed: number, invalid: number,
+   * notSent: number, amount: number, halted: Object|null, results: Array<Object>}}
+   */
+  get summary() {
+    const count = result => this.results.filter(item => item.result === result).length;
+
+    return {
+      batchId: this.batchId,
+      total: this.rows ? this.rows.length : 0,
+      sent: count('sent'),
+      alreadySent: count('already_sent'),
+      failed: count('failed'),
+      invalid: count('invalid'),
+      notSent: count('not_sent'),
+      amount: this.results
+        .filter(item => item.result === 'sent')
+        .reduce((total, item) => total + item.amount, 0),
+      halted: this.halted,
+      results: this.results
+    };
+  }
+
+  /**
+   * Reference of a recipient in this batch
+   *
+   * @param {string} phoneNumber - Phone number in international format
+   * @returns {string} UUID reference, the same on every run of the batch
+   */
+  referenceFor(phoneNumber) {
+    return uuidv5(`${this.batchId}:${phoneNumber}`, BulkDisbursement.NAMESPACE);
+  }
+
+  /**
+   * Send one row, or work out why it must not be sent
+   *
+   * @private
+   */
+  async process(row) {
+    if (row.errors.length > 0) {
+      const [error] = row.errors;
+      return this.result(row, 'invalid', { errorCode: error.code, errorMessage: error.message });
+    }
+
+    if (!this.halted && this.signal && this.signal.aborted) {
+      this.halted = { code: 'REQUEST_ABORTED', message: 'The batch was aborted' };
+    }
+
+    if (!this.halted && this.stopped) {
+      this.halted = { code: 'BATCH_STOPPED', message: 'The batch stopped before this row was sent' };
+    }
+
+    if (this.halted) {
+      return this.result(row, 'not_sent', { errorCode: this.halted.code, errorMessage: this.halted.message });
+    }
+
+    const previous = this.previous.get(row.reference);
+    if (previous && BulkDisbursement.SENT_RESULTS.includes(previous.result)) {
+      return this.result(row, 'already_sent', { uuid: previous.uuid || null, status: previous.status || null });
+    }
+
+    try {
+      if (this.resume) {
+        // An earlier run may have sent this row without recording it
+        const existing = await this.marzpay.outcomeResolver.findExisting(row.reference, 'withdrawal', this.requestOptions);
+        if (existing) {
+          return this.result(row, 'already_sent', { uuid: existing.uuid || null, status: existing.status || null });
+        }
+      }
+
+      const response = await this.marzpay.disbursements.sendMoney({
+        amount: row.amount,
+        phoneNumber: row.phoneNumber,
+        reference: row.reference,
+        description: row.description,
+        callbackUrl: row.callbackUrl
+      }, this.requestOptions);
+
+      if (response && response.dryRun) {
+        const [problem] = response.problems;
+        return this.result(row, 'not_sent', problem
+          ? { errorCode: problem.code, errorMessage: problem.message }
+          : { errorCode: 'DRY_RUN', errorMessage: 'Dry run: nothing was sent' });
+      }
+
+      const transaction = (response && response.data && response.data.transaction) || {};
+      return this.result(row, 'sent', { uuid: transaction.uuid || null, status: transaction.status || null });
+    } catch (error) {
+      if (error instanceof InsufficientBalanceError || error instanceof AuthenticationError) {
+        this.halted = this.halted || { code: error.code, message: error.message };
+      }
+
+      return this.result(row, 'failed', {
+        errorCode: error.code || 'UNKNOWN_ERROR',
+        errorMessage: error.message
+      });
+    }
+  }
+
+  /**
+   * Row result
+   *
+   * @private
+   */
+  result(row, result, fields = {}) {
+    return {
+      row: row.row,
+      reference: row.reference,
+      phoneNumber: row.phoneNumber,
+      amount: row.amount,
+      description: row.description,
+      result,
+      uuid: null,
+      status: null,
+      errorCode: null,
+      errorMessage: null,
+      ...fields
+    };
+  }
+
+  /**
+   * Records of an array or a CSV source
+   *
+   * @private
+   */
+  async read(source) {
+    if (Array.isArray(source)) {
+      return source;
+    }
+
+    const records = [];
+    for await (const record of this.parser.records(source)) {
+      records.push(record);
+    }
+    return records;
+  }
+
+  /**
+   * Map a record onto the batch fields and validate it
+   *
+   * @private
+   */
+  normalise(record, position) {
+    const fields = this.fieldsOf(record);
+    const errors = [];
+    const phoneUtils = this.marzpay.phoneUtils;
+    const text = value => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim());
+
+    const phone = text(fields.phoneNumber);
+    let phoneNumber = phone;
+    if (!phone) {
+      errors.push({ field: 'phoneNumber', code: 'MISSING_PHONE', message: 'Phone number is required' });
+    } else if (!phoneUtils.isValidPhoneNumber(phone)) {
+      errors.push({ field: 'phoneNumber', code: 'INVALID_PHONE', message: `Invalid phone number: ${phone}` });
+    } else {
+      phoneNumber = phoneUtils.formatPhoneNumber(phone);
+    }
+
+    const amountText = text(fields.amount);
+    const amount = amountText === null ? NaN : Number(amountText);
+    const provider = phone ? phoneUtils.getProvider(phone) : null;
+    if (!Number.isInteger(amount) || !this.marzpay.disbursements.isValidAmount(amount, provider)) {
+      const { min, max } = this.marzpay.disbursements.getLimits(provider);
+      errors.push({
+        field: 'amount',
+        code: 'INVALID_AMOUNT',
+        message: `Amount must be a whole number between ${min} and ${max}, got ${amountText === null ? 'nothing' : amountText}`
+      });
+    }
+
+    const ownReference = text(fields.reference);
+    let reference = ownReference;
+    if (reference && !this.marzpay.utils.isValidUUID(reference)) {
+      errors.push({ field: 'reference', code: 'INVALID_REFERENCE', message: 'Reference must be a valid UUID' });
+    } else if (!reference && errors.every(error => error.field !== 'phoneNumber')) {
+      reference = this.referenceFor(phoneNumber);
+    }
+
+    return {
+      row: position,
+      phoneNumber,
+      amount: Number.isFinite(amount) ? amount : amountText,
+      description: text(fields.description),
+      callbackUrl: text(fields.callbackUrl),
+      reference,
+      ownReference: ownReference !== null,
+      errors
+    };
+  }
+
+  /**
+   * Flag rows repeating a phone number or reference of an earlier row
+   *
+   * @private
+   */
+  checkDuplicates(rows) {
+    const phones = new Map();
+    const references = new Map();
+
+    rows.forEach(row => {
+      if (row.errors.length > 0) {
+        return;
+      }
+
+      // Derived references repeat with the phone number, so only rows with their own may share one
+      if (phones.has(row.phoneNumber) && !(this.allowDuplicatePhones && row.ownReference)) {
+        row.errors.push({
+          field: 'phoneNumber',
+          code: 'DUPLICATE_PHONE',
+          message: `Phone number ${row.phoneNumber} already appears in row ${phones.get(row.phoneNumber)}`
+        });
+      } else if (references.has(row.reference)) {
+        row.errors.push({
+          field: 'reference',
+          code: 'DUPLICATE_REFERENCE',
+          message: `Reference ${row.reference} already appears in row ${references.get(row.reference)}`
+        });
+      } else {
+        if (!phones.has(row.phoneNumber)) {
+          phones.set(row.phoneNumber, row.row);
+        }
+        references.set(row.reference, row.row);
+      }
+    });
+  }
+
+  /**
+   * Record values by batch field
+   *
+   * @private
+   */
+  fieldsOf(record) {
+    const fields = {};
+    if (!record || typeof record !== 'object') {
+      return fields;
+    }
+
+    const aliases = BulkDisbursement.FIELDS;
+    Object.keys(record).forEach(key => {
+      const name = key.toLowerCase().replace(/[\s_-]/g, '');
+      const field = Object.keys(aliases).find(candidate => aliases[candidate].includes(name));
+      if (field && fields[field] === undefined) {
+        fields[field] = record[key];
+      }
+    });
+
+    return fields;
+  }
+
+  /**
+   * Previous results by reference
+   *
+   * @private
+   */
+  async loadPrevious(resume) {
+    const previous = new Map();
+    if (!resume || resume === true) {
+      return previous;
+    }
+
+    let results = resume;
+    if (!Array.isArray(resume)) {
+      let text = '';
+      for await (const chunk of CsvParser.chunks(resume)) {
+        text += chunk;
+      }
+
+      try {
+        results = /^\s*\{/.test(text)
+          ? text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line))
+          : this.parser.parse(text);
+      } catch (error) {
+        throw new ValidationError(`Previous results could not be read: ${error.message}`, 'INVALID_RESUME');
+      }
+    }
+
+    results.forEach(result => {
+      if (result && result.reference) {
+        previous.set(String(result.reference), result);
+      }
+    });
+
+    return previous;
+  }
+}
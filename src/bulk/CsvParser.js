@@ -0,0 +1,272 @@
+import { ValidationError } from '../errors/MarzPayError.js';
+
+/**
+ * CSV Parser - Reads RFC 4180 comma-separated values into records
+ *
+ * The counterpart of `CsvFormat`: quoted fields may contain the delimiter,
+ * doubled quotes and line breaks, lines may end in CRLF or LF, a leading
+ * byte order mark is dropped and blank lines are skipped. Input is read
+ * chunk by chunk, so files of any size are parsed in bounded memory. The
+ * first line holds the headers.
+ *
+ * @example
+ * ```javascript
+ * const parser = new CsvParser();
+ *
+ * parser.parse('phone_number,amount\r\n0759983853,5000\r\n');
+ * // Returns: [{ phone_number: '0759983853', amount: '5000' }]
+ *
+ * for await (const record of parser.records(fs.createReadStream('agents.csv'))) {
+ *   console.log(record.phone_number);
+ * }
+ * ```
+ */
+export class CsvParser {
+  /**
+   * Create a new CsvParser
+   *
+   * @param {Object} [options] - Parser options
+   * @param {string} [options.delimiter=','] - Field delimiter
+   */
+  constructor(options = {}) {
+    this.delimiter = options.delimiter || ',';
+  }
+
+  /**
+   * Parse CSV text into records
+   *
+   * @param {string} text - CSV text with a header line
+   * @returns {Array<Object>} One object per line, keyed by header
+   * @throws {ValidationError} When a quoted field is not closed
+   */
+  parse(text) {
+    const rows = [...this.scan([String(text)])];
+    return this.toRecords(rows);
+  }
+
+  /**
+   * Read records from CSV text or a stream
+   *
+   * @param {string|AsyncIterable<string|Uint8Array>|ReadableStream} source - CSV text, a Node.js Readable or
+   * a web ReadableStream
+   * @returns {AsyncGenerator<Object>} One object per line, keyed by header
+   * @throws {ValidationError} When a quoted field is not closed
+   */
+  async *records(source) {
+    let headers = null;
+
+    for await (const rows of this.rowsOf(source)) {
+      for (const row of rows) {
+        if (headers) {
+          yield CsvParser.record(headers, row);
+        } else {
+          headers = row.map(header => header.trim());
+        }
+      }
+    }
+  }
+
+  /**
+   * Read text chunks from a string, a Node.js Readable or a web ReadableStream
+   *
+   * Byte chunks are decoded as UTF-8, including characters split across chunks.
+   *
+   * @param {string|AsyncIterable<string|Uint8Array>|ReadableStream} source - Text source
+   * @returns {AsyncGenerator<string>} Text chunks
+   * @throws {ValidationError} When the source cannot be read
+   */
+  static async *chunks(source) {
+    if (typeof source === 'string') {
+      yield source;
+      return;
+    }
+
+    const decoder = new TextDecoder();
+    const decode = chunk => (typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+
+    if (source && typeof source[Symbol.asyncIterator] === 'function') {
+      for await (const chunk of source) {
+        yield decode(chunk);
+      }
+    } else if (source && typeof source.getReader === 'function') {
+      const reader = source.getReader();
+      try {
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) {
+            break;
+          }
+          yield decode(value);
+        }
+      } finally {
+        reader.releaseLock();
+      }
+    } else {
+      throw new ValidationError('CSV source must be a string, a Node.js Readable or a ReadableStream', 'INVALID_CSV');
+    }
+
+    const rest = decoder.decode();
+    if (rest) {
+      yield rest;
+    }
+  }
+
+  /**
+   * Complete rows per chunk of a source
+   *
+   * @private
+   */
+  async *rowsOf(source) {
+    const state = CsvParser.initialState();
+
+    for await (const chunk of CsvParser.chunks(source)) {
+      yield this.consume(state, chunk);
+    }
+
+    yield this.finish(state);
+  }
+
+  /**
+   * Rows of a list of text chunks
+   *
+   * @private
+   */
+  *scan(chunks) {
+    const state = CsvParser.initialState();
+
+    for (const chunk of chunks) {
+      yield* this.consume(state, chunk);
+    }
+
+    yield* this.finish(state);
+  }
+
+  /**
+   * Parser state carried across chunks
+   *
+   * @private
+   */
+  static initialState() {
+    return { row: [], field: '', quoted: false, inQuotes: false, quoteSeen: false, started: false };
+  }
+
+  /**
+   * Feed a chunk into the state machine, returning the rows it completes
+   *
+   * @private
+   */
+  consume(state, chunk) {
+    const rows = [];
+    let text = chunk;
+
+    if (!state.started) {
+      state.started = text.length > 0;
+      text = text.replace(/^\uFEFF/, '');
+    }
+
+    for (const char of text) {
+      if (state.inQuotes) {
+        if (state.quoteSeen) {
+          state.quoteSeen = false;
+          if (char === '"') {
+            state.field += '"';
+            continue;
+          }
+          state.inQuotes = false;
+        } else {
+          if (char === '"') {
+            state.quoteSeen = true;
+          } else {
+            state.field += char;
+          }
+          continue;
+        }
+      }
+
+      if (char === '"' && state.field === '' && !state.quoted) {
+        state.inQuotes = true;
+        state.quoted = true;
+      } else if (char === this.delimiter) {
+        this.endField(state);
+      } else if (char === '\n') {
+        this.endRow(state, rows);
+      } else if (char !== '\r') {
+        state.field += char;
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Flush the last row at the end of the input
+   *
+   * @private
+   */
+  finish(state) {
+    if (state.inQuotes && !state.quoteSeen) {
+      throw new ValidationError('CSV ends inside a quoted field', 'INVALID_CSV');
+    }
+
+    state.inQuotes = false;
+    state.quoteSeen = false;
+
+    const rows = [];
+    this.endRow(state, rows);
+    return rows;
+  }
+
+  /**
+   * Close the current field
+   *
+   * @private
+   */
+  endField(state) {
+    state.row.push(state.field);
+    state.field = '';
+    state.quoted = false;
+  }
+
+  /**
+   * Close the current row, skipping blank lines
+   *
+   * @private
+   */
+  endRow(state, rows) {
+    if (state.row.length === 0 && state.field === '' && !state.quoted) {
+      return;
+    }
+
+    this.endField(state);
+    rows.push(state.row);
+    state.row = [];
+  }
+
+  /**
+   * Turn rows into records keyed by the first row
+   *
+   * @private
+   */
+  toRecords(rows) {
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const headers = rows[0].map(header => header.trim());
+    return rows.slice(1).map(row => CsvParser.record(headers, row));
+  }
+
+  /**
+   * Record of one row, with missing trailing fields left empty
+   *
+   * @private
+   */
+  static record(headers, row) {
+    return headers.reduce((record, header, position) => {
+      if (header) {
+        record[header] = position < row.length ? row[position] : '';
+      }
+      return record;
+    }, {});
+  }
+}
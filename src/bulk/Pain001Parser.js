@@ -0,0 +1,267 @@
+import { v5 as uuidv5 } from 'uuid';
+import { ValidationError } from '../errors/MarzPayError.js';
+import { PhoneNumberUtils } from '../utils/PhoneNumberUtils.js';
+import { XmlParser } from './XmlParser.js';
+
+/**
+ * pain.001 Parser - Reads ISO 20022 credit transfer initiations into disbursements
+ *
+ * Accepts Customer Credit Transfer Initiation documents (pain.001.001.03
+ * and later versions). Every `<CdtTrfTxInf>` becomes one instruction:
+ *
+ * - the creditor MSISDN, from `<CdtrAcct><Id><Othr><Id>` or the creditor's
+ *   `<MobNb>`/`<PhneNb>`, is formatted with `PhoneNumberUtils`
+ * - the `<EndToEndId>` becomes the reference: used as is when it is a UUID
+ *   (with or without dashes), otherwise a UUID v5 derived from it, so the
+ *   same file always yields the same references
+ * - `<InstdAmt>` must be in UGX and a whole amount within the limits
+ *
+ * Problems with single instructions are collected on the instruction and
+ * in `errors`; a file that is not a pain.001 or whose group header does not
+ * match its contents (`NbOfTxs`, `CtrlSum`) is rejected outright.
+ *
+ * @example
+ * ```javascript
+ * const document = new Pain001Parser().parse(fs.readFileSync('payment-run.xml', 'utf8'));
+ *
+ * console.log(document.messageId, document.instructions.length, document.errors);
+ * ```
+ */
+export class Pain001Parser {
+  /**
+   * Create a new Pain001Parser
+   *
+   * @param {Object} [settings] - Parser settings
+   * @param {string} [settings.currency='UGX'] - Only currency accepted
+   * @param {{min: number, max: number}} [settings.limits] - Amount limits (defaults to the disbursement limits)
+   */
+  constructor(settings = {}) {
+    const { currency = 'UGX', limits = { min: 1000, max: 500000 } } = settings;
+
+    this.currency = currency;
+    this.limits = limits;
+    this.phoneUtils = new PhoneNumberUtils();
+  }
+
+  /**
+   * Namespace of the UUID v5 references derived from end-to-end IDs
+   *
+   * @type {string}
+   */
+  static get NAMESPACE() {
+    return '64fac0ca-37c6-429f-8311-d129fa416853';
+  }
+
+  /**
+   * Parse a pain.001 document
+   *
+   * @param {string} xml - pain.001 XML
+   * @returns {Object} `{ version, messageId, createdAt, numberOfTransactions, controlSum, initiatingParty,
+   * payments, instructions, errors }`; each payment is `{ id, executionDate, debtorName, debtorAccount,
+   * instructions }` and each instruction `{ index, paymentInformationId, instructionId, endToEndId, reference,
+   * amount, instructedAmount, currency, phoneNumber, creditorName, description, errors }`
+   * @throws {ValidationError} INVALID_XML or INVALID_PAIN001 when the file cannot be used at all
+   */
+  parse(xml) {
+    const root = XmlParser.parse(xml);
+    const initiation = root.name === 'Document' ? XmlParser.find(root, 'CstmrCdtTrfInitn') : null;
+
+    if (!initiation) {
+      throw new ValidationError('Not a pain.001 customer credit transfer initiation', 'INVALID_PAIN001');
+    }
+
+    const namespace = root.attributes.xmlns || '';
+    const version = (namespace.match(/pain\.001\.\d{3}\.\d{2}/) || ['pain.001.001.03'])[0];
+    const messageId = XmlParser.text(initiation, 'GrpHdr/MsgId');
+
+    if (!messageId) {
+      throw new ValidationError('pain.001 group header has no MsgId', 'INVALID_PAIN001');
+    }
+
+    const instructions = [];
+    const endToEndIds = new Map();
+    const payments = XmlParser.all(initiation, 'PmtInf').map(paymentInformation => {
+      const payment = {
+        id: XmlParser.text(paymentInformation, 'PmtInfId'),
+        executionDate: XmlParser.text(paymentInformation, 'ReqdExctnDt/Dt') ||
+          XmlParser.text(paymentInformation, 'ReqdExctnDt/DtTm') ||
+          XmlParser.text(paymentInformation, 'ReqdExctnDt'),
+        debtorName: XmlParser.text(paymentInformation, 'Dbtr/Nm'),
+        debtorAccount: XmlParser.text(paymentInformation, 'DbtrAcct/Id/Othr/Id') ||
+          XmlParser.text(paymentInformation, 'DbtrAcct/Id/IBAN'),
+        instructions: []
+      };
+
+      XmlParser.all(paymentInformation, 'CdtTrfTxInf').forEach(transfer => {
+        const instruction = this.instruction(transfer, payment, instructions.length + 1);
+        this.checkDuplicate(instruction, endToEndIds);
+        payment.instructions.push(instruction);
+        instructions.push(instruction);
+      });
+
+      return payment;
+    });
+
+    this.checkGroupHeader(initiation, instructions);
+
+    const errors = [];
+    instructions.forEach(instruction => {
+      instruction.errors.forEach(error => errors.push({
+        index: instruction.index,
+        endToEndId: instruction.endToEndId,
+        ...error
+      }));
+    });
+
+    return {
+      version,
+      messageId,
+      createdAt: XmlParser.text(initiation, 'GrpHdr/CreDtTm'),
+      numberOfTransactions: instructions.length,
+      controlSum: instructions.reduce((sum, instruction) => sum + (instruction.instructedAmount || 0), 0),
+      initiatingParty: XmlParser.text(initiation, 'GrpHdr/InitgPty/Nm'),
+      payments,
+      instructions,
+      errors
+    };
+  }
+
+  /**
+   * Reference for an end-to-end ID
+   *
+   * @param {string} endToEndId - End-to-end ID
+   * @returns {string} The ID itself when it is a UUID, otherwise a UUID derived from it
+   */
+  referenceFor(endToEndId) {
+    const compact = String(endToEndId).replace(/-/g, '').toLowerCase();
+
+    if (/^[0-9a-f]{32}$/.test(compact)) {
+      const uuid = compact.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+      if (/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(uuid)) {
+        return uuid;
+      }
+    }
+
+    return uuidv5(String(endToEndId), Pain001Parser.NAMESPACE);
+  }
+
+  /**
+   * One `<CdtTrfTxInf>` as a validated instruction
+   *
+   * @private
+   */
+  instruction(transfer, payment, index) {
+    const errors = [];
+    const endToEndId = XmlParser.text(transfer, 'PmtId/EndToEndId');
+    const amountElement = XmlParser.find(transfer, 'Amt/InstdAmt');
+    const instructedAmount = amountElement ? XmlParser.text(amountElement) : null;
+    const parsedAmount = instructedAmount === null ? NaN : parseFloat(instructedAmount);
+    const currency = amountElement ? amountElement.attributes.Ccy || null : null;
+    const msisdn = XmlParser.text(transfer, 'CdtrAcct/Id/Othr/Id') ||
+      XmlParser.text(transfer, 'Cdtr/CtctDtls/MobNb') ||
+      XmlParser.text(transfer, 'Cdtr/CtctDtls/PhneNb');
+    const remittance = XmlParser.all(XmlParser.find(transfer, 'RmtInf'), 'Ustrd')
+      .map(line => XmlParser.text(line))
+      .filter(Boolean)
+      .join(' ');
+
+    if (!endToEndId || endToEndId === 'NOTPROVIDED') {
+      errors.push({ field: 'endToEndId', code: 'MISSING_END_TO_END_ID', message: 'Every payment needs its own EndToEndId' });
+    }
+
+    const amount = this.amountOf(instructedAmount);
+    if (currency !== this.currency) {
+      errors.push({ field: 'amount', code: 'INVALID_CURRENCY', message: `Amount must be in ${this.currency}, got ${currency || 'none'}` });
+    } else if (amount === null || amount < this.limits.min || amount > this.limits.max) {
+      errors.push({
+        field: 'amount',
+        code: 'INVALID_AMOUNT',
+        message: `Amount must be a whole number between ${this.limits.min} and ${this.limits.max}, got ${instructedAmount || 'nothing'}`
+      });
+    }
+
+    let phoneNumber = null;
+    if (!msisdn) {
+      errors.push({ field: 'phoneNumber', code: 'MISSING_PHONE', message: 'Creditor has no MSISDN' });
+    } else if (!this.phoneUtils.isValidPhoneNumber(msisdn)) {
+      errors.push({ field: 'phoneNumber', code: 'INVALID_PHONE', message: `Invalid MSISDN: ${msisdn}` });
+    } else {
+      phoneNumber = this.phoneUtils.formatPhoneNumber(msisdn);
+    }
+
+    return {
+      index,
+      paymentInformationId: payment.id,
+      instructionId: XmlParser.text(transfer, 'PmtId/InstrId'),
+      endToEndId,
+      reference: endToEndId && endToEndId !== 'NOTPROVIDED' ? this.referenceFor(endToEndId) : null,
+      amount,
+      instructedAmount: Number.isFinite(parsedAmount) ? parsedAmount : null,
+      currency,
+      phoneNumber: phoneNumber || msisdn,
+      creditorName: XmlParser.text(transfer, 'Cdtr/Nm'),
+      description: remittance || null,
+      errors
+    };
+  }
+
+  /**
+   * Flag an end-to-end ID already used by an earlier instruction
+   *
+   * @private
+   */
+  checkDuplicate(instruction, endToEndIds) {
+    if (!instruction.reference) {
+      return;
+    }
+
+    if (endToEndIds.has(instruction.reference)) {
+      instruction.errors.push({
+        field: 'endToEndId',
+        code: 'DUPLICATE_END_TO_END_ID',
+        message: `EndToEndId ${instruction.endToEndId} already used by payment ${endToEndIds.get(instruction.reference)}`
+      });
+    } else {
+      endToEndIds.set(instruction.reference, instruction.index);
+    }
+  }
+
+  /**
+   * Reject files whose group header disagrees with their payments
+   *
+   * @private
+   */
+  checkGroupHeader(initiation, instructions) {
+    const declaredCount = XmlParser.text(initiation, 'GrpHdr/NbOfTxs');
+    const declaredSum = XmlParser.text(initiation, 'GrpHdr/CtrlSum');
+
+    if (declaredCount !== null && parseInt(declaredCount, 10) !== instructions.length) {
+      throw new ValidationError(
+        `pain.001 declares ${declaredCount} transactions but contains ${instructions.length}`,
+        'INVALID_PAIN001'
+      );
+    }
+
+    if (declaredSum !== null) {
+      const sum = instructions.reduce((total, instruction) => total + (instruction.instructedAmount || 0), 0);
+      if (Math.abs(parseFloat(declaredSum) - sum) > 0.005) {
+        throw new ValidationError(`pain.001 control sum ${declaredSum} does not match the payments (${sum})`, 'INVALID_PAIN001');
+      }
+    }
+  }
+
+  /**
+   * Whole amount of an ISO decimal, or null when it has a fraction or is not a number
+   *
+   * @private
+   */
+  amountOf(text) {
+    const match = text ? /^(\d+)(?:\.(\d+))?$/.exec(text) : null;
+
+    if (!match || (match[2] && /[1-9]/.test(match[2]))) {
+      return null;
+    }
+
+    return parseInt(match[1], 10);
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * pain.002 Format - ISO 20022 Customer Payment Status Report (pain.002.001.03)
+ *
+ * Reports the outcome of every instruction of a pain.001 file back to the
+ * ERP that sent it, grouped by payment information block. Row results map
+ * to transaction statuses:
+ *
+ * - `ACSC` accepted and settled (the disbursement is `successful`)
+ * - `ACSP` accepted, settlement in process (sent, not yet final)
+ * - `RJCT` rejected (invalid, failed, or the disbursement failed)
+ * - `PDNG` pending (not sent because the batch halted; resume it)
+ *
+ * Rejections carry an ISO reason code where one fits (e.g. `AM04`
+ * insufficient funds) and the MarzPay error code otherwise.
+ *
+ * @example
+ * ```javascript
+ * const xml = new Pain002Format({ messageId: 'STS-2024-01' }).render(document, results);
+ * ```
+ */
+export class Pain002Format {
+  /**
+   * Create a new Pain002Format
+   *
+   * @param {Object} [options] - Format options
+   * @param {string} [options.messageId] - Message id of the report (defaults to `STS-` and the original id)
+   * @param {Date} [options.createdAt] - Creation time of the report
+   */
+  constructor(options = {}) {
+    this.messageId = options.messageId || null;
+    this.createdAt = options.createdAt || null;
+    this.contentType = 'application/xml; charset=utf-8';
+    this.extension = 'xml';
+  }
+
+  /**
+   * ISO status reason codes by MarzPay error code
+   *
+   * @type {Object<string, string>}
+   */
+  static get REASON_CODES() {
+    return {
+      INSUFFICIENT_BALANCE: 'AM04',
+      INVALID_AMOUNT: 'AM12',
+      INVALID_CURRENCY: 'AM11',
+      INVALID_PHONE: 'AC01',
+      MISSING_PHONE: 'AC01',
+      DUPLICATE_END_TO_END_ID: 'AM05',
+      DUPLICATE_PHONE: 'AM05',
+      DUPLICATE_REFERENCE: 'AM05',
+      MISSING_END_TO_END_ID: 'FF01'
+    };
+  }
+
+  /**
+   * Render the status report
+   *
+   * @param {Object} document - Parsed pain.001 (see `Pain001Parser.parse()`)
+   * @param {Array<Object>} results - One bulk result per instruction, in instruction order
+   * (`{ result, status, uuid, errorCode, errorMessage }`)
+   * @returns {string} XML document
+   */
+  render(document, results) {
+    const createdAt = (this.createdAt || new Date()).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const statuses = document.instructions.map((instruction, position) => this.statusOf(results[position]));
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.002.001.03">',
+      '  <CstmrPmtStsRpt>',
+      '    <GrpHdr>',
+      `      <MsgId>${Pain002Format.text(this.messageId || `STS-${document.messageId}`, 35)}</MsgId>`,
+      `      <CreDtTm>${createdAt}</CreDtTm>`,
+      '    </GrpHdr>',
+      '    <OrgnlGrpInfAndSts>',
+      `      <OrgnlMsgId>${Pain002Format.text(document.messageId, 35)}</OrgnlMsgId>`,
+      `      <OrgnlMsgNmId>${document.version}</OrgnlMsgNmId>`,
+      `      <OrgnlNbOfTxs>${document.numberOfTransactions}</OrgnlNbOfTxs>`,
+      `      <OrgnlCtrlSum>${Pain002Format.amount(document.controlSum)}</OrgnlCtrlSum>`,
+      `      <GrpSts>${Pain002Format.groupStatus(statuses.map(status => status.code))}</GrpSts>`,
+      '    </OrgnlGrpInfAndSts>',
+      ...document.payments.flatMap(payment => this.payment(payment, document.instructions, statuses, results)),
+      '  </CstmrPmtStsRpt>',
+      '</Document>'
+    ];
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * `<OrgnlPmtInfAndSts>` element
+   *
+   * @private
+   */
+  payment(payment, instructions, statuses, results) {
+    const positions = payment.instructions.map(instruction => instruction.index - 1);
+
+    return [
+      '    <OrgnlPmtInfAndSts>',
+      `      <OrgnlPmtInfId>${Pain002Format.text(payment.id || 'NOTPROVIDED', 35)}</OrgnlPmtInfId>`,
+      `      <PmtInfSts>${Pain002Format.groupStatus(positions.map(position => statuses[position].code))}</PmtInfSts>`,
+      ...positions.flatMap(position => this.transaction(instructions[position], statuses[position], results[position])),
+      '    </OrgnlPmtInfAndSts>'
+    ];
+  }
+
+  /**
+   * `<TxInfAndSts>` element
+   *
+   * @private
+   */
+  transaction(instruction, status, result) {
+    // UUIDs are 36 characters; identifiers are limited to 35, so they lose their dashes
+    const statusId = result && result.uuid ? String(result.uuid).replace(/-/g, '').slice(0, 35) : null;
+    const reason = status.reason
+      ? [
+        '        <StsRsnInf>',
+        `          <Rsn>${/^[A-Z]{2}\d{2}$/.test(status.reason) ? `<Cd>${status.reason}</Cd>` : `<Prtry>${Pain002Format.text(status.reason, 35)}</Prtry>`}</Rsn>`,
+        ...(status.message ? [`          <AddtlInf>${Pain002Format.text(status.message, 105)}</AddtlInf>`] : []),
+        '        </StsRsnInf>'
+      ]
+      : [];
+    const amount = instruction.instructedAmount !== null && instruction.currency
+      ? [`          <Amt><InstdAmt Ccy="${Pain002Format.text(instruction.currency, 3)}">${Pain002Format.amount(instruction.instructedAmount)}</InstdAmt></Amt>`]
+      : [];
+    const creditor = instruction.creditorName
+      ? [`          <Cdtr><Nm>${Pain002Format.text(instruction.creditorName, 140)}</Nm></Cdtr>`]
+      : [];
+
+    return [
+      '      <TxInfAndSts>',
+      ...(statusId ? [`        <StsId>${statusId}</StsId>`] : []),
+      ...(instruction.instructionId ? [`        <OrgnlInstrId>${Pain002Format.text(instruction.instructionId, 35)}</OrgnlInstrId>`] : []),
+      `        <OrgnlEndToEndId>${Pain002Format.text(instruction.endToEndId || 'NOTPROVIDED', 35)}</OrgnlEndToEndId>`,
+      `        <TxSts>${status.code}</TxSts>`,
+      ...reason,
+      ...(amount.length > 0 || creditor.length > 0 ? ['        <OrgnlTxRef>', ...amount, ...creditor, '        </OrgnlTxRef>'] : []),
+      '      </TxInfAndSts>'
+    ];
+  }
+
+  /**
+   * Transaction status and reason of a row result
+   *
+   * @private
+   */
+  statusOf(result) {
+    if (!result) {
+      return { code: 'PDNG', reason: null, message: null };
+    }
+
+    if (result.result === 'sent' || result.result === 'already_sent') {
+      const status = result.status ? String(result.status).toLowerCase() : null;
+      if (status === 'successful') {
+        return { code: 'ACSC', reason: null, message: null };
+      }
+      if (status === 'failed' || status === 'cancelled') {
+        return { code: 'RJCT', reason: status.toUpperCase(), message: `Disbursement ${status}` };
+      }
+      return { code: 'ACSP', reason: null, message: null };
+    }
+
+    return {
+      code: result.result === 'not_sent' ? 'PDNG' : 'RJCT',
+      reason: result.errorCode ? Pain002Format.REASON_CODES[result.errorCode] || result.errorCode : null,
+      message: result.errorMessage || null
+    };
+  }
+
+  /**
+   * Status of a group of transactions
+   *
+   * @private
+   */
+  static groupStatus(codes) {
+    const rejected = codes.filter(code => code === 'RJCT').length;
+
+    if (codes.length > 0 && rejected === codes.length) {
+      return 'RJCT';
+    }
+    if (rejected > 0) {
+      return 'PART';
+    }
+    if (codes.length > 0 && codes.every(code => code === 'ACSC')) {
+      return 'ACSC';
+    }
+    if (codes.includes('PDNG')) {
+      return 'PDNG';
+    }
+    return 'ACSP';
+  }
+
+  /**
+   * Decimal amount with two fraction digits
+   *
+   * @private
+   */
+  static amount(value) {
+    return (Math.round(value * 100) / 100).toFixed(2);
+  }
+
+  /**
+   * XML-escaped text truncated to a maximum length
+   *
+   * @private
+   */
+  static text(value, maxLength) {
+    return String(value)
+      .slice(0, maxLength)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
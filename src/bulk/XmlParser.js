@@ -0,0 +1,221 @@
+import { ValidationError } from '../errors/MarzPayError.js';
+
+/**
+ * XML Parser - Reads small, well-formed XML documents into element trees
+ *
+ * Enough XML for payment files: elements, attributes, text, CDATA,
+ * comments and the predefined and numeric character references. Element
+ * and attribute names lose their namespace prefix. Document type
+ * declarations are refused, so entity expansion attacks cannot occur.
+ *
+ * Elements are plain objects: `{ name, qualifiedName, attributes, children,
+ * text }`, where `name` is the local name and `text` the element's own text.
+ *
+ * @example
+ * ```javascript
+ * const root = XmlParser.parse('<Doc><Amt Ccy="UGX">5000</Amt></Doc>');
+ *
+ * XmlParser.text(root, 'Amt');            // Returns: '5000'
+ * XmlParser.find(root, 'Amt').attributes; // Returns: { Ccy: 'UGX' }
+ * ```
+ */
+export class XmlParser {
+  /**
+   * Parse a document into its root element
+   *
+   * @param {string} xml - XML text
+   * @returns {Object} Root element
+   * @throws {ValidationError} INVALID_XML when the document is not well-formed
+   */
+  static parse(xml) {
+    const source = String(xml).replace(/^\uFEFF/, '');
+    const document = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [document];
+    const tag = /<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+    let position = 0;
+
+    while (position < source.length) {
+      const open = source.indexOf('<', position);
+      const textEnd = open === -1 ? source.length : open;
+
+      if (textEnd > position) {
+        XmlParser.appendText(stack[stack.length - 1], XmlParser.decode(source.slice(position, textEnd)));
+      }
+
+      if (open === -1) {
+        break;
+      }
+
+      if (source.startsWith('<!--', open)) {
+        position = XmlParser.skipTo(source, '-->', open);
+      } else if (source.startsWith('<![CDATA[', open)) {
+        const end = XmlParser.skipTo(source, ']]>', open);
+        XmlParser.appendText(stack[stack.length - 1], source.slice(open + 9, end - 3));
+        position = end;
+      } else if (source.startsWith('<?', open)) {
+        position = XmlParser.skipTo(source, '?>', open);
+      } else if (source.startsWith('<!', open)) {
+        throw new ValidationError('XML document type declarations are not supported', 'INVALID_XML');
+      } else {
+        tag.lastIndex = open;
+        const match = tag.exec(source);
+
+        if (!match || match.index !== open) {
+          throw new ValidationError(`Malformed XML tag at position ${open}`, 'INVALID_XML');
+        }
+
+        const [whole, closing, qualifiedName, attributeText, selfClosing] = match;
+        const name = XmlParser.localName(qualifiedName);
+        position = open + whole.length;
+
+        if (closing) {
+          const current = stack.pop();
+          if (stack.length === 0 || current.name !== name || current.qualifiedName !== qualifiedName) {
+            throw new ValidationError(`Unexpected closing tag </${qualifiedName}>`, 'INVALID_XML');
+          }
+        } else {
+          const element = {
+            name,
+            qualifiedName,
+            attributes: XmlParser.attributes(attributeText),
+            children: [],
+            text: ''
+          };
+
+          if (stack.length === 1 && document.children.length > 0) {
+            throw new ValidationError('XML documents have a single root element', 'INVALID_XML');
+          }
+
+          stack[stack.length - 1].children.push(element);
+          if (!selfClosing) {
+            stack.push(element);
+          }
+        }
+      }
+    }
+
+    if (stack.length !== 1) {
+      throw new ValidationError(`Unclosed XML element <${stack[stack.length - 1].qualifiedName}>`, 'INVALID_XML');
+    }
+
+    if (document.children.length === 0) {
+      throw new ValidationError('XML document has no root element', 'INVALID_XML');
+    }
+
+    return document.children[0];
+  }
+
+  /**
+   * First element at a `/`-separated path of local names below an element
+   *
+   * @param {Object|null} element - Element to start from
+   * @param {string} path - Path such as 'PmtId/EndToEndId'
+   * @returns {Object|null} Element, or null when there is none
+   */
+  static find(element, path) {
+    return path.split('/').reduce(
+      (current, name) => (current ? current.children.find(child => child.name === name) || null : null),
+      element || null
+    );
+  }
+
+  /**
+   * Every child element of a given local name
+   *
+   * @param {Object|null} element - Parent element
+   * @param {string} name - Local name
+   * @returns {Array<Object>} Child elements in document order
+   */
+  static all(element, name) {
+    return element ? element.children.filter(child => child.name === name) : [];
+  }
+
+  /**
+   * Trimmed text of the element at a path
+   *
+   * @param {Object|null} element - Element to start from
+   * @param {string} [path] - Path below the element (the element itself when omitted)
+   * @returns {string|null} Text, or null when the element is missing or empty
+   */
+  static text(element, path) {
+    const target = path ? XmlParser.find(element, path) : element;
+    const text = target ? target.text.trim() : '';
+    return text === '' ? null : text;
+  }
+
+  /**
+   * Position just past a terminator, failing when it is missing
+   *
+   * @private
+   */
+  static skipTo(source, terminator, from) {
+    const end = source.indexOf(terminator, from);
+    if (end === -1) {
+      throw new ValidationError(`Unterminated XML construct at position ${from}`, 'INVALID_XML');
+    }
+    return end + terminator.length;
+  }
+
+  /**
+   * Add text to an element, refusing text outside the root element
+   *
+   * @private
+   */
+  static appendText(element, text) {
+    if (element.name === '#document') {
+      if (text.trim() !== '') {
+        throw new ValidationError('XML text outside the root element', 'INVALID_XML');
+      }
+      return;
+    }
+
+    element.text += text;
+  }
+
+  /**
+   * Attributes of a start tag by local name
+   *
+   * @private
+   */
+  static attributes(text) {
+    const attributes = {};
+    const pattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match = pattern.exec(text);
+
+    while (match) {
+      const [, name, doubleQuoted, singleQuoted] = match;
+      attributes[XmlParser.localName(name)] = XmlParser.decode(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+      match = pattern.exec(text);
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Name without its namespace prefix
+   *
+   * @private
+   */
+  static localName(name) {
+    const separator = name.indexOf(':');
+    return separator === -1 ? name : name.slice(separator + 1);
+  }
+
+  /**
+   * Resolve character references
+   *
+   * @private
+   */
+  static decode(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|amp|lt|gt|quot|apos);/g, (reference, entity) => {
+      if (entity[0] !== '#') {
+        return named[entity];
+      }
+
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : reference;
+    });
+  }
+}
@@ -0,0 +1,215 @@
+import { Writable } from 'stream';
+import { MarzPay } from '../../index.js';
+import { BulkDisbursement } from '../BulkDisbursement.js';
+import { CsvParser } from '../CsvParser.js';
+
+describe('BulkDisbursement', () => {
+  const csv = [
+    'Phone Number,Amount,Description',
+    '0759983853,5000,"Agent fee, January"',
+    '0700000001,7000,Agent fee',
+    '0700000002,9000,Agent fee'
+  ].join('\r\n');
+  let marzpay;
+
+  const sent = (reference, status = 'processing') => createMockResponse({
+    status: 'success',
+    data: { transaction: { uuid: `uuid-${reference.slice(0, 8)}`, reference, status } }
+  });
+  const found = transactions => createMockResponse({ status: 'success', data: { transactions } });
+  const posts = () => fetch.mock.calls.filter(([, options]) => options.method === 'POST');
+  const postedReference = call => JSON.parse(call[1].body).reference;
+
+  const collect = () => {
+    let text = '';
+    const destination = new Writable({
+      write(chunk, _encoding, callback) {
+        text += chunk;
+        callback();
+      }
+    });
+    return { destination, text: () => text };
+  };
+
+  beforeEach(() => {
+    marzpay = new MarzPay({ apiUser: 'test-api-user', apiKey: 'test-api-key', retry: false, limits: false });
+  });
+
+  it('should validate every row before sending anything', async () => {
+    const rows = [
+      { phoneNumber: '0759983853', amount: 5000 },
+      { phoneNumber: '12345', amount: 5000 },
+      { phoneNumber: '0700000001', amount: 500 },
+      { phone_number: '+256759983853', amount: '6000' },
+      { amount: 2500.5, phone: '0700000002' }
+    ];
+
+    const error = await marzpay.disbursements.sendBulk(rows, { batchId: 'agents-2024-01' }).catch(e => e);
+
+    expect(error.code).toBe('INVALID_BATCH');
+    expect(error.details.errors.map(item => [item.row, item.code])).toEqual([
+      [2, 'INVALID_PHONE'],
+      [3, 'INVALID_AMOUNT'],
+      [4, 'DUPLICATE_PHONE'],
+      [5, 'INVALID_AMOUNT']
+    ]);
+    expect(fetch).not.toHaveBeenCalled();
+    await expect(marzpay.disbursements.sendBulk(rows, {})).rejects.toMatchObject({ code: 'MISSING_BATCH_ID' });
+    await expect(marzpay.disbursements.sendBulk([], { batchId: 'empty' })).rejects.toMatchObject({ code: 'EMPTY_BATCH' });
+  });
+
+  it('should send a CSV batch with bounded concurrency and write a result file', async () => {
+    let inFlight = 0;
+    let mostInFlight = 0;
+    fetch.mockImplementation(async (url, options) => {
+      inFlight++;
+      mostInFlight = Math.max(mostInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return sent(JSON.parse(options.body).reference);
+    });
+    const file = collect();
+
+    const summary = await marzpay.disbursements.sendBulk(csv, {
+      batchId: 'agents-2024-01',
+      concurrency: 2,
+      results: file.destination,
+      maskPhoneNumbers: false
+    });
+
+    expect(summary).toMatchObject({ batchId: 'agents-2024-01', total: 3, sent: 3, failed: 0, amount: 21000, halted: null });
+    expect(mostInFlight).toBe(2);
+    expect(JSON.parse(posts()[0][1].body)).toMatchObject({ phone_number: '+256759983853', amount: 5000, description: 'Agent fee, January' });
+
+    const batch = new BulkDisbursement(marzpay, { batchId: 'agents-2024-01' });
+    const references = summary.results.map(result => result.reference).sort();
+    expect(references).toEqual(['+256759983853', '+256700000001', '+256700000002'].map(phone => batch.referenceFor(phone)).sort());
+    expect(new BulkDisbursement(marzpay, { batchId: 'agents-2024-02' }).referenceFor('+256759983853')).not.toBe(batch.referenceFor('+256759983853'));
+
+    const lines = file.text().trim().split('\r\n');
+    expect(lines[0]).toBe('row,reference,phone_number,amount,description,result,uuid,status,error_code,error_message');
+    expect(lines).toHaveLength(4);
+    expect(new CsvParser().parse(file.text()).find(record => record.row === '1')).toMatchObject({
+      phone_number: '+256759983853',
+      description: 'Agent fee, January',
+      result: 'sent',
+      status: 'processing'
+    });
+  });
+
+  it('should resume from a result file without paying anyone twice', async () => {
+    const batch = new BulkDisbursement(marzpay, { batchId: 'agents-2024-01' });
+    const [first, second, third] = ['+256759983853', '+256700000001', '+256700000002'].map(phone => batch.referenceFor(phone));
+    const previous = [
+      'row,reference,result,uuid,status,error_code',
+      `1,${first},sent,uuid-1,processing,`,
+      `2,${second},failed,,,REQUEST_TIMEOUT`
+    ].join('\r\n');
+
+    fetch.mockImplementation(async (url, options) => {
+      if (options.method === 'POST') {
+        return sent(JSON.parse(options.body).reference);
+      }
+      // The timed-out row did reach the platform; the third row never did
+      return url.includes(second) ? found([{ uuid: 'uuid-2', reference: second, type: 'withdrawal', status: 'successful' }]) : found([]);
+    });
+
+    const summary = await marzpay.disbursements.sendBulk(csv, { batchId: 'agents-2024-01', resume: previous, concurrency: 1 });
+
+    expect(summary).toMatchObject({ sent: 1, alreadySent: 2, failed: 0 });
+    expect(summary.results.map(result => [result.row, result.result, result.uuid])).toEqual([
+      [1, 'already_sent', 'uuid-1'],
+      [2, 'already_sent', 'uuid-2'],
+      [3, 'sent', `uuid-${third.slice(0, 8)}`]
+    ]);
+    expect(posts().map(postedReference)).toEqual([third]);
+    expect(fetch.mock.calls.filter(([url]) => url.includes(first))).toHaveLength(0);
+  });
+
+  it('should halt on insufficient balance and leave the rest for a resume', async () => {
+    fetch
+      .mockResolvedValueOnce(sent('a0eebc99-9c0b-4ef8-bb6d-6bb9bd380a11'))
+      .mockResolvedValueOnce(createMockResponse({ status: 'error', error_code: 'INSUFFICIENT_BALANCE', message: 'Insufficient balance' }, 400));
+    const results = [];
+
+    const summary = await marzpay.disbursements.sendBulk(csv, {
+      batchId: 'agents-2024-01',
+      concurrency: 1,
+      onResult: result => results.push(result.result)
+    });
+
+    expect(results).toEqual(['sent', 'failed', 'not_sent']);
+    expect(summary.halted).toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+    expect(summary.results[2]).toMatchObject({ result: 'not_sent', errorCode: 'INSUFFICIENT_BALANCE' });
+    expect(posts()).toHaveLength(2);
+  });
+
+  it('should report invalid rows and send the rest when asked to', async () => {
+    fetch.mockImplementation(async (url, options) => sent(JSON.parse(options.body).reference));
+
+    const summary = await marzpay.disbursements.sendBulk(
+      [{ phone: '0759983853', amount: 5000 }, { phone: '0759983853', amount: 5000 }],
+      { batchId: 'agents-2024-01', skipInvalid: true }
+    );
+
+    expect(summary).toMatchObject({ sent: 1, invalid: 1 });
+    expect(summary.results.find(result => result.row === 2)).toMatchObject({ result: 'invalid', errorCode: 'DUPLICATE_PHONE' });
+  });
+
+  it('should stop sending when the results stop being consumed', async () => {
+    const rows = Array.from({ length: 10 }, (_, index) => ({ phone: `07000000${String(index).padStart(2, '0')}`, amount: 5000 }));
+    fetch.mockImplementation(async (url, options) => sent(JSON.parse(options.body).reference));
+
+    const batch = new BulkDisbursement(marzpay, { batchId: 'agents-2024-01', concurrency: 1 });
+    await batch.prepare(rows);
+    for await (const result of batch) {
+      expect(result.result).toBe('sent');
+      break;
+    }
+
+    // The row in flight when the loop stopped completes; no other row is sent
+    expect(posts()).toHaveLength(2);
+    expect(batch.summary).toMatchObject({ sent: 2, notSent: 8, halted: { code: 'BATCH_STOPPED' } });
+
+    fetch.mockClear();
+    const destination = new Writable({
+      write(_chunk, _encoding, callback) {
+        callback(new Error('disk full'));
+      }
+    });
+    const sending = marzpay.disbursements.sendBulk(rows, { batchId: 'agents-2024-02', concurrency: 2, results: destination });
+
+    await expect(sending).rejects.toThrow('disk full');
+    const settledPosts = posts().length;
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(settledPosts).toBeLessThan(10);
+    expect(posts()).toHaveLength(settledPosts);
+  });
+
+  describe('CsvParser', () => {
+    it('should parse quoted fields, byte order marks and chunked input', async () => {
+      const text = '\uFEFFname,"note"\r\n"Okello, J.","said ""hi""\nthen left"\n\nAmina,\n';
+      const expected = [
+        { name: 'Okello, J.', note: 'said "hi"\nthen left' },
+        { name: 'Amina', note: '' }
+      ];
+      const encoder = new TextEncoder();
+      const bytes = encoder.encode(text);
+      async function* chunked() {
+        for (let offset = 0; offset < bytes.length; offset += 3) {
+          yield bytes.slice(offset, offset + 3);
+        }
+      }
+
+      const records = [];
+      for await (const record of new CsvParser().records(chunked())) {
+        records.push(record);
+      }
+
+      expect(new CsvParser().parse(text)).toEqual(expected);
+      expect(records).toEqual(expected);
+      expect(() => new CsvParser().parse('a\n"open')).toThrow(expect.objectContaining({ code: 'INVALID_CSV' }));
+    });
+  });
+});
@@ -0,0 +1,156 @@
+import { MarzPay } from '../../index.js';
+import { Pain001Parser } from '../Pain001Parser.js';
+import { XmlParser } from '../XmlParser.js';
+
+describe('pain.001 import', () => {
+  const transfer = ({ endToEndId, amount = '5000.00', currency = 'UGX', msisdn, name = 'Agent', remittance = 'Commission' }) => `
+        <CdtTrfTxInf>
+          <PmtId><InstrId>INSTR-${endToEndId}</InstrId><EndToEndId>${endToEndId}</EndToEndId></PmtId>
+          <Amt><InstdAmt Ccy="${currency}">${amount}</InstdAmt></Amt>
+          <Cdtr><Nm>${name}</Nm>${msisdn && msisdn.startsWith('+256-') ? `<CtctDtls><MobNb>${msisdn}</MobNb></CtctDtls>` : ''}</Cdtr>
+          ${msisdn && !msisdn.startsWith('+256-') ? `<CdtrAcct><Id><Othr><Id>${msisdn}</Id></Othr></Id></CdtrAcct>` : ''}
+          <RmtInf><Ustrd>${remittance}</Ustrd></RmtInf>
+        </CdtTrfTxInf>`;
+
+  const pain001 = (transfers, header = {}) => {
+    const count = header.count === undefined ? transfers.length : header.count;
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!-- Exported by the ERP -->
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03">
+  <CstmrCdtTrfInitn>
+    <GrpHdr>
+      <MsgId>RUN-2024-01</MsgId>
+      <CreDtTm>2024-01-31T09:00:00</CreDtTm>
+      <NbOfTxs>${count}</NbOfTxs>
+      <InitgPty><Nm>Acme Ltd</Nm></InitgPty>
+    </GrpHdr>
+    <PmtInf>
+      <PmtInfId>PMT-1</PmtInfId>
+      <PmtMtd>TRF</PmtMtd>
+      <ReqdExctnDt>2024-02-01</ReqdExctnDt>
+      <Dbtr><Nm>Acme Ltd</Nm></Dbtr>
+      ${transfers.join('')}
+    </PmtInf>
+  </CstmrCdtTrfInitn>
+</Document>`;
+  };
+
+  const valid = [
+    transfer({ endToEndId: 'E2E-1', msisdn: '256759983853', name: 'Okello &amp; Sons' }),
+    transfer({ endToEndId: 'E2E-2', msisdn: '+256-700000001', amount: '7000' }),
+    transfer({ endToEndId: '550e8400e29b41d4a716446655440000', msisdn: '0700000002', amount: '9000.00' })
+  ];
+
+  it('should turn credit transfers into validated disbursement instructions', () => {
+    const document = new Pain001Parser().parse(pain001(valid));
+
+    expect(document).toMatchObject({ version: 'pain.001.001.03', messageId: 'RUN-2024-01', initiatingParty: 'Acme Ltd', controlSum: 21000, errors: [] });
+    expect(document.payments[0]).toMatchObject({ id: 'PMT-1', executionDate: '2024-02-01', debtorName: 'Acme Ltd' });
+    expect(document.instructions.map(instruction => [instruction.phoneNumber, instruction.amount, instruction.creditorName])).toEqual([
+      ['+256759983853', 5000, 'Okello & Sons'],
+      ['+256700000001', 7000, 'Agent'],
+      ['+256700000002', 9000, 'Agent']
+    ]);
+
+    const [first, , third] = document.instructions;
+    expect(first.reference).toBe(new Pain001Parser().referenceFor('E2E-1'));
+    expect(first.description).toBe('Commission');
+    expect(third.reference).toBe('550e8400-e29b-41d4-a716-446655440000');
+  });
+
+  it('should collect problems with single payments and reject unusable files', () => {
+    const document = new Pain001Parser().parse(pain001([
+      transfer({ endToEndId: 'E2E-1', msisdn: '0759983853', amount: '5000.50' }),
+      transfer({ endToEndId: 'E2E-1', msisdn: '0700000001' }),
+      transfer({ endToEndId: 'E2E-3', msisdn: '0700000002', currency: 'KES' }),
+      transfer({ endToEndId: 'NOTPROVIDED', msisdn: '12345' })
+    ]));
+
+    expect(document.errors.map(error => [error.index, error.code])).toEqual([
+      [1, 'INVALID_AMOUNT'],
+      [2, 'DUPLICATE_END_TO_END_ID'],
+      [3, 'INVALID_CURRENCY'],
+      [4, 'MISSING_END_TO_END_ID'],
+      [4, 'INVALID_PHONE']
+    ]);
+    expect(() => new Pain001Parser().parse(pain001(valid, { count: 5 }))).toThrow(expect.objectContaining({ code: 'INVALID_PAIN001' }));
+    expect(() => new Pain001Parser().parse('<Document><CstmrPmtStsRpt/></Document>')).toThrow(expect.objectContaining({ code: 'INVALID_PAIN001' }));
+    expect(() => XmlParser.parse('<!DOCTYPE x [<!ENTITY a "b">]><x>&a;</x>')).toThrow(expect.objectContaining({ code: 'INVALID_XML' }));
+    expect(() => XmlParser.parse('<a><b></a>')).toThrow(expect.objectContaining({ code: 'INVALID_XML' }));
+  });
+
+  it('should send the payments and produce a pain.002 status report', async () => {
+    const marzpay = new MarzPay({ apiUser: 'test-api-user', apiKey: 'test-api-key', retry: false });
+    const statuses = ['successful', 'processing'];
+    fetch.mockImplementation(async (url, options) => {
+      const { reference } = JSON.parse(options.body);
+      if (reference === '550e8400-e29b-41d4-a716-446655440000') {
+        return createMockResponse({ status: 'error', error_code: 'INSUFFICIENT_BALANCE', message: 'Insufficient balance' }, 400);
+      }
+      return createMockResponse({ status: 'success', data: { transaction: { uuid: `a0eebc99-9c0b-4ef8-bb6d-6bb9bd380a1${statuses.length}`, reference, status: statuses.shift() } } });
+    });
+
+    const outcome = await marzpay.disbursements.sendPain001(
+      pain001([...valid, transfer({ endToEndId: 'E2E-4', msisdn: '0759983853', amount: '100' })]),
+      { concurrency: 1, skipInvalid: true }
+    );
+
+    expect(outcome.summary).toMatchObject({ total: 4, sent: 2, failed: 1, invalid: 1, amount: 12000 });
+    expect(outcome.results.map(result => [result.endToEndId, result.result])).toEqual([
+      ['E2E-1', 'sent'],
+      ['E2E-2', 'sent'],
+      ['550e8400e29b41d4a716446655440000', 'failed'],
+      ['E2E-4', 'invalid']
+    ]);
+
+    const report = XmlParser.parse(outcome.statusReport);
+    const group = XmlParser.find(report, 'CstmrPmtStsRpt/OrgnlGrpInfAndSts');
+    const transactions = XmlParser.all(XmlParser.find(report, 'CstmrPmtStsRpt/OrgnlPmtInfAndSts'), 'TxInfAndSts');
+
+    expect(XmlParser.text(report, 'CstmrPmtStsRpt/GrpHdr/MsgId')).toBe('STS-RUN-2024-01');
+    expect(XmlParser.text(group, 'OrgnlMsgId')).toBe('RUN-2024-01');
+    expect(XmlParser.text(group, 'GrpSts')).toBe('PART');
+    expect(transactions.map(transaction => [
+      XmlParser.text(transaction, 'OrgnlEndToEndId'),
+      XmlParser.text(transaction, 'TxSts'),
+      XmlParser.text(transaction, 'StsRsnInf/Rsn/Cd')
+    ])).toEqual([
+      ['E2E-1', 'ACSC', null],
+      ['E2E-2', 'ACSP', null],
+      ['550e8400e29b41d4a716446655440000', 'RJCT', 'AM04'],
+      ['E2E-4', 'RJCT', 'AM12']
+    ]);
+    expect(XmlParser.text(transactions[0], 'StsId')).toBe('a0eebc999c0b4ef8bb6d6bb9bd380a12');
+    expect(XmlParser.text(transactions[0], 'OrgnlTxRef/Cdtr/Nm')).toBe('Okello & Sons');
+
+    await expect(marzpay.disbursements.sendPain001(pain001([transfer({ endToEndId: 'E2E-5', msisdn: '123' })])))
+      .rejects.toMatchObject({ code: 'INVALID_PAIN001', details: { errors: [expect.objectContaining({ endToEndId: 'E2E-5', code: 'INVALID_PHONE' })] } });
+  });
+
+  it('should resume a pain.001 run through sendBulk with the default batch ID', async () => {
+    const marzpay = new MarzPay({ apiUser: 'test-api-user', apiKey: 'test-api-key', retry: false, limits: false });
+    fetch.mockImplementation(async (url, options) => {
+      if (options.method === 'GET') {
+        return createMockResponse({ status: 'success', data: { transactions: [] } });
+      }
+      const { reference } = JSON.parse(options.body);
+      return fetch.mock.calls.length === 2
+        ? createMockResponse({ status: 'error', error_code: 'INSUFFICIENT_BALANCE', message: 'Insufficient balance' }, 400)
+        : createMockResponse({ status: 'success', data: { transaction: { uuid: `uuid-${reference.slice(0, 8)}`, reference, status: 'processing' } } });
+    });
+
+    const first = await marzpay.disbursements.sendPain001(pain001(valid), { concurrency: 1 });
+
+    expect(first.summary).toMatchObject({ batchId: 'RUN-2024-01', sent: 1, failed: 1, notSent: 1 });
+
+    const rows = first.results.map(({ phoneNumber, amount, description, reference }) => ({ phoneNumber, amount, description, reference }));
+    const resumed = await marzpay.disbursements.sendBulk(rows, { batchId: first.summary.batchId, resume: first.results, allowDuplicatePhones: true });
+
+    expect(resumed.batchId).toBe('RUN-2024-01');
+
+    expect(resumed.results.map(result => [result.reference, result.result]).sort()).toEqual(
+      first.results.map(result => [result.reference, result.result === 'sent' ? 'already_sent' : 'sent']).sort()
+    );
+    expect(fetch.mock.calls.filter(([, options]) => options.method === 'POST')).toHaveLength(4);
+  });
+});
@@ -1,4 +1,4 @@
-import { MarzPayError } from '../errors/MarzPayError.js';
+import { MarzPayError, ValidationError } from '../errors/MarzPayError.js';
 
 /**
  * Accounts API - Business account management and information
@@ -25,6 +25,7 @@ export class AccountsAPI {
   /**
    * Get business account information
    * 
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Business account details
    * 
    * @throws {MarzPayError} When API request fails
@@ -41,8 +42,8 @@ export class AccountsAPI {
    * }
    * ```
    */
-  async getAccountInfo() {
-    return this.marzpay.request('/account');
+  async getAccountInfo(options = {}) {
+    return this.marzpay.request('/account', options);
   }
 
   /**
@@ -54,6 +55,7 @@ export class AccountsAPI {
    * @param {string|null} [settings.business_address] - Business address
    * @param {string|null} [settings.business_city] - Business city
    * @param {string|null} [settings.business_country] - Business country
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * 
    * @returns {Promise<Object>} Updated account information
    * 
@@ -76,7 +78,7 @@ export class AccountsAPI {
    * }
    * ```
    */
-  async updateAccount(settings) {
+  async updateAccount(settings, options = {}) {
     // Validate settings
     this.validateAccountSettings(settings);
 
@@ -86,10 +88,11 @@ export class AccountsAPI {
     );
 
     if (Object.keys(updateData).length === 0) {
-      throw new MarzPayError('No valid settings provided for update', 'NO_SETTINGS', 400);
+      throw new ValidationError('No valid settings provided for update', 'NO_SETTINGS');
     }
 
     return this.marzpay.request('/account', {
+      ...options,
       method: 'PUT',
       body: updateData
     });
@@ -108,43 +111,43 @@ export class AccountsAPI {
 
     if (business_name !== null && business_name !== undefined) {
       if (typeof business_name !== 'string' || business_name.trim().length === 0) {
-        throw new MarzPayError('Business name must be a non-empty string', 'INVALID_BUSINESS_NAME', 400);
+        throw new ValidationError('Business name must be a non-empty string', 'INVALID_BUSINESS_NAME');
       }
       if (business_name.length > 100) {
-        throw new MarzPayError('Business name must be less than 100 characters', 'BUSINESS_NAME_TOO_LONG', 400);
+        throw new ValidationError('Business name must be less than 100 characters', 'BUSINESS_NAME_TOO_LONG');
       }
     }
 
     if (contact_phone !== null && contact_phone !== undefined) {
       if (!this.marzpay.utils.isValidPhoneNumber(contact_phone)) {
-        throw new MarzPayError('Invalid contact phone number format', 'INVALID_CONTACT_PHONE', 400);
+        throw new ValidationError('Invalid contact phone number format', 'INVALID_CONTACT_PHONE');
       }
     }
 
     if (business_address !== null && business_address !== undefined) {
       if (typeof business_address !== 'string' || business_address.trim().length === 0) {
-        throw new MarzPayError('Business address must be a non-empty string', 'INVALID_ADDRESS', 400);
+        throw new ValidationError('Business address must be a non-empty string', 'INVALID_ADDRESS');
       }
       if (business_address.length > 200) {
-        throw new MarzPayError('Business address must be less than 200 characters', 'ADDRESS_TOO_LONG', 400);
+        throw new ValidationError('Business address must be less than 200 characters', 'ADDRESS_TOO_LONG');
       }
     }
 
     if (business_city !== null && business_city !== undefined) {
       if (typeof business_city !== 'string' || business_city.trim().length === 0) {
-        throw new MarzPayError('Business city must be a non-empty string', 'INVALID_CITY', 400);
+        throw new ValidationError('Business city must be a non-empty string', 'INVALID_CITY');
       }
       if (business_city.length > 50) {
-        throw new MarzPayError('Business city must be less than 50 characters', 'CITY_TOO_LONG', 400);
+        throw new ValidationError('Business city must be less than 50 characters', 'CITY_TOO_LONG');
       }
     }
 
     if (business_country !== null && business_country !== undefined) {
       if (typeof business_country !== 'string' || business_country.trim().length === 0) {
-        throw new MarzPayError('Business country must be a non-empty string', 'INVALID_COUNTRY', 400);
+        throw new ValidationError('Business country must be a non-empty string', 'INVALID_COUNTRY');
       }
       if (business_country.length > 50) {
-        throw new MarzPayError('Business country must be less than 50 characters', 'COUNTRY_TOO_LONG', 400);
+        throw new ValidationError('Business country must be less than 50 characters', 'COUNTRY_TOO_LONG');
       }
     }
   }
@@ -152,6 +155,7 @@ export class AccountsAPI {
   /**
    * Get account status summary
    * 
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Account status information
    * 
    * @example
@@ -161,8 +165,8 @@ export class AccountsAPI {
    * console.log('Verification status:', status.data.account.status.is_verified);
    * ```
    */
-  async getAccountStatus() {
-    const account = await this.getAccountInfo();
+  async getAccountStatus(options = {}) {
+    const account = await this.getAccountInfo(options);
     return {
       status: 'success',
       data: {
@@ -176,6 +180,7 @@ export class AccountsAPI {
   /**
    * Check if account is active
    * 
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<boolean>} True if account is active
    * 
    * @example
@@ -188,19 +193,39 @@ export class AccountsAPI {
    * }
    * ```
    */
-  async isAccountActive() {
+  async isAccountActive(options = {}) {
     try {
-      const status = await this.getAccountStatus();
-      return status.data.account.status.account_status === 'active' && 
-             status.data.account.status.is_frozen === 'false';
+      const status = await this.getAccountStatus(options);
+      return AccountsAPI.isActiveStatus(status.data.account.status);
     } catch (error) {
+      MarzPayError.rethrowAbort(error);
       return false;
     }
   }
 
+  /**
+   * Check if an account status allows transactions
+   * 
+   * Same test as `isAccountActive()`, for a status that has already been
+   * fetched with `getAccountInfo()` or `getAccountStatus()`.
+   * 
+   * @param {Object} status - `data.account.status` of the account
+   * @returns {boolean} True if the account is active and not frozen
+   * 
+   * @example
+   * ```javascript
+   * const account = await marzpay.accounts.getAccountInfo();
+   * AccountsAPI.isActiveStatus(account.data.account.status); // Returns: true
+   * ```
+   */
+  static isActiveStatus(status) {
+    return status.account_status === 'active' && status.is_frozen === 'false';
+  }
+
   /**
    * Check if account is verified
    * 
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<boolean>} True if account is verified
    * 
    * @example
@@ -213,11 +238,12 @@ export class AccountsAPI {
    * }
    * ```
    */
-  async isAccountVerified() {
+  async isAccountVerified(options = {}) {
     try {
-      const status = await this.getAccountStatus();
+      const status = await this.getAccountStatus(options);
       return status.data.account.status.is_verified === 'true';
     } catch (error) {
+      MarzPayError.rethrowAbort(error);
       return false;
     }
   }
@@ -225,6 +251,7 @@ export class AccountsAPI {
   /**
    * Get account limits and capabilities
    * 
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Account limits and capabilities
    * 
    * @example
@@ -234,8 +261,8 @@ export class AccountsAPI {
    * console.log('Withdrawal limits:', limits.data.account.limits.withdrawal);
    * ```
    */
-  async getAccountLimits() {
-    const account = await this.getAccountInfo();
+  async getAccountLimits(options = {}) {
+    const account = await this.getAccountInfo(options);
     return {
       status: 'success',
       data: {
@@ -249,6 +276,7 @@ export class AccountsAPI {
   /**
    * Get business profile information
    * 
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Business profile details
    * 
    * @example
@@ -259,8 +287,8 @@ export class AccountsAPI {
    * console.log('Address:', profile.data.account.business_address);
    * ```
    */
-  async getBusinessProfile() {
-    const account = await this.getAccountInfo();
+  async getBusinessProfile(options = {}) {
+    const account = await this.getAccountInfo(options);
     return {
       status: 'success',
       data: {
@@ -1,4 +1,10 @@
-import { MarzPayError } from '../errors/MarzPayError.js';
+import { MarzPayError, ValidationError } from '../errors/MarzPayError.js';
+import { Paginator } from '../utils/Paginator.js';
+import { TimeSeries } from '../utils/TimeSeries.js';
+import { TimeZone } from '../utils/TimeZone.js';
+import { TransactionAggregator } from '../utils/TransactionAggregator.js';
+import { Exporter } from '../exporters/Exporter.js';
+import { Statement } from '../statements/Statement.js';
 
 /**
  * Balance API - Account balance management and history
@@ -22,9 +28,19 @@ export class BalanceAPI {
     this.marzpay = marzpay;
   }
 
+  /**
+   * Columns written by `exportHistory()` when none are given
+   * 
+   * @type {Array<string>}
+   */
+  static get EXPORT_COLUMNS() {
+    return ['created_at', 'operation', 'amount', 'balance_before', 'balance_after', 'description'];
+  }
+
   /**
    * Get current account balance
    * 
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Current balance information
    * 
    * @throws {MarzPayError} When API request fails
@@ -41,8 +57,8 @@ export class BalanceAPI {
    * }
    * ```
    */
-  async getBalance() {
-    return this.marzpay.request('/balance');
+  async getBalance(options = {}) {
+    return this.marzpay.request('/balance', options);
   }
 
   /**
@@ -54,6 +70,7 @@ export class BalanceAPI {
    * @param {string} [params.operation] - Filter by operation ('credit' or 'debit')
    * @param {string} [params.start_date] - Start date (ISO format: YYYY-MM-DD)
    * @param {string} [params.end_date] - End date (ISO format: YYYY-MM-DD)
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * 
    * @returns {Promise<Object>} Balance history with transactions
    * 
@@ -78,14 +95,67 @@ export class BalanceAPI {
    * }
    * ```
    */
-  async getBalanceHistory(params = {}) {
+  async getBalanceHistory(params = {}, options = {}) {
     // Validate parameters
     this.validateBalanceHistoryParams(params);
 
     // Build query string
     const queryString = this.marzpay.utils.buildQueryString(params);
 
-    return this.marzpay.request(`/balance/history?${queryString}`);
+    return this.marzpay.request(`/balance/history?${queryString}`, options);
+  }
+
+  /**
+   * Iterate over all balance history entries, across every page
+   * 
+   * @param {Object} params - Query parameters (same filters as getBalanceHistory)
+   * @param {RequestOptions} [options] - Request options applied to every page request
+   * @returns {Paginator} Async iterable of history entries with `.pages()` and `.toArray({ limit })`
+   * 
+   * @example
+   * ```javascript
+   * for await (const entry of marzpay.balance.listHistory({ operation: 'debit' })) {
+   *   console.log(entry.operation, entry.amount);
+   * }
+   * ```
+   */
+  listHistory(params = {}, options = {}) {
+    return new Paginator(pageParams => this.getBalanceHistory(pageParams, options), {
+      params,
+      itemsKey: 'history'
+    });
+  }
+
+  /**
+   * Export the balance history as CSV or JSON Lines
+   * 
+   * Returns immediately; pages are fetched as the export is consumed. Amounts
+   * and balances are written as plain numbers.
+   * 
+   * @param {Object} [settings] - Export settings
+   * @param {string} [settings.format='csv'] - 'csv' or 'jsonl'
+   * @param {Array<string|Object>|Object} [settings.columns] - Column mapping (defaults to `BalanceAPI.EXPORT_COLUMNS`)
+   * @param {Object} [settings.filters] - Query parameters (same filters as getBalanceHistory)
+   * @param {boolean} [settings.maskPhoneNumbers=true] - Mask phone numbers
+   * @param {string} [settings.delimiter=','] - CSV field delimiter
+   * @param {RequestOptions} [options] - Request options applied to every page request
+   * @returns {Exporter} Export with `pipeTo()`, `toReadableStream()`, `toNodeStream()` and `text()`
+   * 
+   * @example
+   * ```javascript
+   * const jsonl = await marzpay.balance.exportHistory({
+   *   format: 'jsonl',
+   *   filters: { start_date: '2024-01-01', end_date: '2024-01-31' }
+   * }).text();
+   * ```
+   */
+  exportHistory(settings = {}, options = {}) {
+    const { filters = {}, ...exportSettings } = settings;
+
+    return new Exporter(this.listHistory(filters, options), {
+      defaultColumns: BalanceAPI.EXPORT_COLUMNS,
+      ...exportSettings
+    });
   }
 
   /**
@@ -101,38 +171,38 @@ export class BalanceAPI {
 
     if (page !== undefined) {
       if (!Number.isInteger(page) || page < 1) {
-        throw new MarzPayError('Page must be a positive integer', 'INVALID_PAGE', 400);
+        throw new ValidationError('Page must be a positive integer', 'INVALID_PAGE');
       }
     }
 
     if (per_page !== undefined) {
       if (!Number.isInteger(per_page) || per_page < 1 || per_page > 100) {
-        throw new MarzPayError('Per page must be between 1 and 100', 'INVALID_PER_PAGE', 400);
+        throw new ValidationError('Per page must be between 1 and 100', 'INVALID_PER_PAGE');
       }
     }
 
     if (operation !== undefined) {
       const validOperations = ['credit', 'debit'];
       if (!validOperations.includes(operation)) {
-        throw new MarzPayError('Operation must be either "credit" or "debit"', 'INVALID_OPERATION', 400);
+        throw new ValidationError('Operation must be either "credit" or "debit"', 'INVALID_OPERATION');
       }
     }
 
     if (start_date !== undefined) {
       if (!this.isValidDate(start_date)) {
-        throw new MarzPayError('Start date must be in YYYY-MM-DD format', 'INVALID_START_DATE', 400);
+        throw new ValidationError('Start date must be in YYYY-MM-DD format', 'INVALID_START_DATE');
       }
     }
 
     if (end_date !== undefined) {
       if (!this.isValidDate(end_date)) {
-        throw new MarzPayError('End date must be in YYYY-MM-DD format', 'INVALID_END_DATE', 400);
+        throw new ValidationError('End date must be in YYYY-MM-DD format', 'INVALID_END_DATE');
       }
     }
 
     if (start_date && end_date) {
       if (new Date(start_date) > new Date(end_date)) {
-        throw new MarzPayError('Start date cannot be after end date', 'INVALID_DATE_RANGE', 400);
+        throw new ValidationError('Start date cannot be after end date', 'INVALID_DATE_RANGE');
       }
     }
   }
@@ -146,8 +216,7 @@ export class BalanceAPI {
    * @private
    */
   isValidDate(dateString) {
-    const date = new Date(dateString);
-    return date instanceof Date && !isNaN(date) && dateString.match(/^\d{4}-\d{2}-\d{2}$/);
+    return TimeZone.isValidDay(dateString);
   }
 
   /**
@@ -155,7 +224,8 @@ export class BalanceAPI {
    * 
    * @param {string} startDate - Start date (YYYY-MM-DD)
    * @param {string} endDate - End date (YYYY-MM-DD)
-   * @returns {Promise<Object>} Balance summary for the period
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
+   * @returns {Promise<Object>} Balance history for the period, with every page merged into `data.history`
    * 
    * @example
    * ```javascript
@@ -164,18 +234,78 @@ export class BalanceAPI {
    * console.log('Transaction count:', summary.data.summary.transaction_count);
    * ```
    */
-  async getPeriodSummary(startDate, endDate) {
+  async getPeriodSummary(startDate, endDate, options = {}) {
     if (!startDate || !endDate) {
-      throw new MarzPayError('Both start and end dates are required', 'MISSING_DATES', 400);
+      throw new ValidationError('Both start and end dates are required', 'MISSING_DATES');
     }
 
-    const history = await this.getBalanceHistory({
-      start_date: startDate,
-      end_date: endDate,
-      per_page: 1000 // Get all transactions for the period
-    });
+    let firstPage = null;
+    const history = [];
+
+    for await (const page of this.listHistory({ start_date: startDate, end_date: endDate }, options).pages()) {
+      firstPage = firstPage || page.response;
+      history.push(...page.items);
+    }
+
+    // Same shape as a single getBalanceHistory page, holding every entry of the period
+    const data = firstPage.data || {};
+    return {
+      ...firstPage,
+      data: {
+        ...data,
+        history,
+        pagination: {
+          ...(data.pagination || {}),
+          current_page: 1,
+          last_page: 1,
+          per_page: history.length,
+          total: history.length,
+          from: history.length > 0 ? 1 : null,
+          to: history.length > 0 ? history.length : null
+        }
+      }
+    };
+  }
+
+  /**
+   * Build a bank statement from the balance history of a date range
+   * 
+   * Opening and closing balances are the running balances before the first
+   * and after the last entry. Entry references come from the transaction
+   * UUID and reference, and each entry is classified as a collection,
+   * withdrawal, charge or refund for the debit/credit indicators.
+   * 
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @param {Object} [settings] - Statement settings
+   * @param {Object} [settings.account] - Account: `{ id, name, currency, servicer }`
+   * @param {number} [settings.openingBalance=0] - Balance used when the period has no entries
+   * @param {number} [settings.sequence=1] - Statement sequence number
+   * @param {RequestOptions} [options] - Request options applied to every page request
+   * @returns {Promise<Statement>} Statement with `toCamt053()`, `toMt940()`, `toOfx()` and `toQif()`
+   * 
+   * @example
+   * ```javascript
+   * const statement = await marzpay.balance.getStatement('2024-01-01', '2024-01-31', {
+   *   account: { id: 'UG-MARZ-000123', name: 'Acme Ltd' },
+   *   sequence: 1
+   * });
+   * fs.writeFileSync('2024-01.xml', statement.toCamt053());
+   * ```
+   */
+  async getStatement(startDate, endDate, settings = {}, options = {}) {
+    if (!startDate || !endDate) {
+      throw new ValidationError('Both start and end dates are required', 'MISSING_DATES');
+    }
+
+    const history = await this.listHistory({ start_date: startDate, end_date: endDate }, options).toArray();
 
-    return history;
+    return Statement.fromBalanceHistory(history, {
+      timeZone: this.marzpay.timeZone,
+      ...settings,
+      start: startDate,
+      end: endDate
+    });
   }
 
   /**
@@ -183,6 +313,7 @@ export class BalanceAPI {
    * 
    * @param {number} year - Year (e.g., 2024)
    * @param {number} month - Month (1-12)
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Monthly balance summary
    * 
    * @example
@@ -191,24 +322,25 @@ export class BalanceAPI {
    * console.log('January 2024 summary:', monthlySummary.data.summary);
    * ```
    */
-  async getMonthlySummary(year, month) {
+  async getMonthlySummary(year, month, options = {}) {
     if (!Number.isInteger(year) || year < 2000 || year > 2100) {
-      throw new MarzPayError('Year must be between 2000 and 2100', 'INVALID_YEAR', 400);
+      throw new ValidationError('Year must be between 2000 and 2100', 'INVALID_YEAR');
     }
 
     if (!Number.isInteger(month) || month < 1 || month > 12) {
-      throw new MarzPayError('Month must be between 1 and 12', 'INVALID_MONTH', 400);
+      throw new ValidationError('Month must be between 1 and 12', 'INVALID_MONTH');
     }
 
     const startDate = `${year}-${month.toString().padStart(2, '0')}-01`;
-    const endDate = new Date(year, month, 0).toISOString().split('T')[0]; // Last day of month
+    const endDate = TimeZone.endOfMonth(startDate);
 
-    return this.getPeriodSummary(startDate, endDate);
+    return this.getPeriodSummary(startDate, endDate, options);
   }
 
   /**
    * Get current balance amount in different formats
    * 
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Balance in different formats
    * 
    * @example
@@ -219,8 +351,8 @@ export class BalanceAPI {
    * console.log('Currency:', balanceFormats.currency);
    * ```
    */
-  async getBalanceFormats() {
-    const balance = await this.getBalance();
+  async getBalanceFormats(options = {}) {
+    const balance = await this.getBalance(options);
     return {
       raw: balance.data.account.balance.raw,
       formatted: balance.data.account.balance.formatted,
@@ -232,6 +364,7 @@ export class BalanceAPI {
    * Check if account has sufficient balance
    * 
    * @param {number} amount - Amount to check
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<boolean>} True if sufficient balance
    * 
    * @example
@@ -244,68 +377,195 @@ export class BalanceAPI {
    * }
    * ```
    */
-  async hasSufficientBalance(amount) {
+  async hasSufficientBalance(amount, options = {}) {
     if (!Number.isFinite(amount) || amount <= 0) {
-      throw new MarzPayError('Amount must be a positive number', 'INVALID_AMOUNT', 400);
+      throw new ValidationError('Amount must be a positive number', 'INVALID_AMOUNT');
     }
 
     try {
-      const balance = await this.getBalance();
-      const currentBalance = parseFloat(balance.data.account.balance.raw);
-      return currentBalance >= amount;
+      return BalanceAPI.covers(await this.getBalance(options), amount);
     } catch (error) {
+      MarzPayError.rethrowAbort(error);
       return false;
     }
   }
 
+  /**
+   * Check if a fetched balance covers an amount
+   * 
+   * Lets one `getBalance()` response be checked against several amounts;
+   * `hasSufficientBalance()` checks with it too.
+   * 
+   * @param {Object} balance - `getBalance()` response
+   * @param {number} amount - Amount to check
+   * @returns {boolean} True if the balance covers the amount
+   * 
+   * @example
+   * ```javascript
+   * BalanceAPI.covers(await marzpay.balance.getBalance(), 50000); // Returns: true
+   * ```
+   */
+  static covers(balance, amount) {
+    return parseFloat(balance.data.account.balance.raw) >= amount;
+  }
+
   /**
    * Get balance trends (daily, weekly, monthly)
    * 
    * @param {string} period - Period type ('daily', 'weekly', 'monthly')
    * @param {number} count - Number of periods to retrieve
-   * @returns {Promise<Object>} Balance trends data
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
+   * @returns {Promise<Object>} Window summary and exactly `count` series entries (oldest first) with
+   * credits, debits, net change, opening/closing balance and the change against the previous period
    * 
    * @example
    * ```javascript
    * const trends = await marzpay.balance.getBalanceTrends('monthly', 6);
-   * console.log('Last 6 months trends:', trends.data.trends);
+   * trends.data.series.forEach(month => {
+   *   console.log(month.period, month.net_change, month.closing_balance);
+   * });
    * ```
    */
-  async getBalanceTrends(period = 'monthly', count = 6) {
+  async getBalanceTrends(period = 'monthly', count = 6, options = {}) {
     const validPeriods = ['daily', 'weekly', 'monthly'];
     if (!validPeriods.includes(period)) {
-      throw new MarzPayError('Period must be daily, weekly, or monthly', 'INVALID_PERIOD', 400);
+      throw new ValidationError('Period must be daily, weekly, or monthly', 'INVALID_PERIOD');
     }
 
     if (!Number.isInteger(count) || count < 1 || count > 24) {
-      throw new MarzPayError('Count must be between 1 and 24', 'INVALID_COUNT', 400);
+      throw new ValidationError('Count must be between 1 and 24', 'INVALID_COUNT');
     }
 
-    // Calculate date range based on period and count
-    const endDate = new Date();
-    const startDate = new Date();
-    
-    switch (period) {
-      case 'daily':
-        startDate.setDate(endDate.getDate() - count);
-        break;
-      case 'weekly':
-        startDate.setDate(endDate.getDate() - (count * 7));
-        break;
-      case 'monthly':
-        startDate.setMonth(endDate.getMonth() - count);
-        break;
+    // One bucket per period, the current (partial) period included
+    const { start, end } = TimeSeries.window(period, count, new Date(), this.marzpay.timeZone);
+    const totals = this.createTrendBucket();
+    const series = new TimeSeries({
+      bucket: period,
+      create: () => this.createTrendBucket(),
+      deltas: ['credits', 'debits', 'net_change', 'entries', 'closing_balance'],
+      timeZone: this.marzpay.timeZone
+    });
+
+    for await (const entry of this.listHistory({ start_date: start, end_date: end }, options)) {
+      const date = TransactionAggregator.dateOf(entry);
+      this.accumulateTrend(totals, entry, date);
+
+      const bucket = series.bucketFor(date);
+      if (bucket) {
+        this.accumulateTrend(bucket, entry, date);
+      }
     }
 
-    const startDateStr = startDate.toISOString().split('T')[0];
-    const endDateStr = endDate.toISOString().split('T')[0];
+    return {
+      status: 'success',
+      data: {
+        period,
+        count,
+        date_range: { start, end },
+        summary: this.finaliseTrend(totals, null),
+        series: series.toArray({ start, end, finalise: (bucket, previous) => this.finaliseTrend(bucket, previous) })
+      }
+    };
+  }
+
+  /**
+   * Empty balance trend bucket
+   * 
+   * @private
+   */
+  createTrendBucket() {
+    return {
+      credits: 0,
+      debits: 0,
+      entries: 0,
+      opening_balance: null,
+      closing_balance: null,
+      first_at: null,
+      last_at: null,
+      by_type: {},
+      by_status: {},
+      by_provider: {}
+    };
+  }
+
+  /**
+   * Fold a balance history entry into a trend bucket
+   * 
+   * @private
+   */
+  accumulateTrend(bucket, entry, date) {
+    const amount = Math.abs(TransactionAggregator.amountOf(entry)) || 0;
+    const time = date ? date.getTime() : null;
+
+    bucket.entries++;
+    if (entry.operation === 'credit') {
+      bucket.credits += amount;
+    } else if (entry.operation === 'debit') {
+      bucket.debits += amount;
+    }
+
+    if (time !== null && (bucket.first_at === null || time < bucket.first_at)) {
+      bucket.first_at = time;
+      bucket.opening_balance = this.balanceValue(entry.balance_before);
+    }
+    if (time !== null && (bucket.last_at === null || time >= bucket.last_at)) {
+      bucket.last_at = time;
+      bucket.closing_balance = this.balanceValue(entry.balance_after);
+    }
+
+    // History entries only carry these when they come from a transaction
+    [['by_type', entry.type], ['by_status', entry.status], ['by_provider', entry.provider]].forEach(([field, key]) => {
+      if (key) {
+        const breakdown = bucket[field][key] || { count: 0, amount: 0 };
+        breakdown.count++;
+        breakdown.amount += amount;
+        bucket[field][key] = breakdown;
+      }
+    });
+  }
+
+  /**
+   * Public shape of a trend bucket, carrying the balance over empty periods
+   * 
+   * @private
+   */
+  finaliseTrend(bucket, previous) {
+    const carried = previous ? previous.closing_balance : null;
+    const opening = bucket.opening_balance !== null ? bucket.opening_balance : carried;
+    const closing = bucket.closing_balance !== null ? bucket.closing_balance : opening;
+    const copy = breakdown => Object.fromEntries(Object.entries(breakdown).map(([key, value]) => [key, { ...value }]));
+
+    return {
+      credits: bucket.credits,
+      debits: bucket.debits,
+      net_change: Math.round((bucket.credits - bucket.debits) * 100) / 100,
+      entries: bucket.entries,
+      opening_balance: opening,
+      closing_balance: closing,
+      by_type: copy(bucket.by_type),
+      by_status: copy(bucket.by_status),
+      by_provider: copy(bucket.by_provider)
+    };
+  }
+
+  /**
+   * Numeric balance from an amount object or value
+   * 
+   * @private
+   */
+  balanceValue(balance) {
+    if (balance === undefined || balance === null) {
+      return null;
+    }
 
-    return this.getPeriodSummary(startDateStr, endDateStr);
+    const value = parseFloat(typeof balance === 'object' ? balance.raw : balance);
+    return Number.isFinite(value) ? value : null;
   }
 
   /**
    * Get balance alerts and notifications
    * 
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Balance alerts
    * 
    * @example
@@ -314,8 +574,8 @@ export class BalanceAPI {
    * console.log('Low balance alerts:', alerts.data.alerts);
    * ```
    */
-  async getBalanceAlerts() {
-    const balance = await this.getBalance();
+  async getBalanceAlerts(options = {}) {
+    const balance = await this.getBalance(options);
     const currentBalance = parseFloat(balance.data.account.balance.raw);
     
     const alerts = [];
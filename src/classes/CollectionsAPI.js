@@ -1,5 +1,5 @@
 import { v4 as uuidv4 } from 'uuid';
-import { MarzPayError } from '../errors/MarzPayError.js';
+import { MarzPayError, ValidationError } from '../errors/MarzPayError.js';
 
 /**
  * Collections API - Money collection from customers via mobile money
@@ -31,14 +31,19 @@ export class CollectionsAPI {
    * Collect money from a customer via mobile money
    * 
    * @param {Object} params - Collection parameters
-   * @param {number} params.amount - Amount in UGX (500-10,000,000)
+   * @param {number} params.amount - Amount in UGX, within getLimits() (500-10,000,000 unless loaded from the platform)
    * @param {string} params.phoneNumber - Customer's phone number
    * @param {string} params.reference - Unique UUID4 reference for the transaction
    * @param {string|null} [params.description] - Payment description
    * @param {string|null} [params.callbackUrl] - Custom webhook URL
    * @param {string} [params.country='UG'] - Country code
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
+   * @param {boolean|Object} [options.resolveBeforeRetry] - On a timeout or dropped connection, look the
+   * reference up and only re-submit if the platform has not seen it (defaults to config.resolveBeforeRetry)
+   * @param {boolean} [options.dryRun] - Run every pre-flight check and return a report instead of
+   * calling `/collect-money` (defaults to config.dryRun, see Preflight)
    * 
-   * @returns {Promise<Object>} Collection result with transaction details
+   * @returns {Promise<Object>} Collection result with transaction details, or the pre-flight report on a dry run
    * 
    * @throws {MarzPayError} When validation fails or API request fails
    * 
@@ -59,41 +64,50 @@ export class CollectionsAPI {
    * }
    * ```
    */
-  async collectMoney(params) {
+  async collectMoney(params, options = {}) {
     const {
-      amount,
-      phoneNumber,
-      reference,
-      description = null,
-      callbackUrl = null,
-      country = 'UG'
-    } = params;
+      dryRun = this.marzpay.config.dryRun,
+      resolveBeforeRetry = this.marzpay.config.resolveBeforeRetry,
+      ...requestOptions
+    } = options;
 
-    // Validate inputs
-    this.validateCollectionParams(params);
+    if (dryRun) {
+      return this.marzpay.preflight.check('collection', params, requestOptions);
+    }
 
-    // Format phone number
-    const formattedPhone = this.marzpay.phoneUtils.formatPhoneNumber(phoneNumber);
+    // Reject what can be checked locally before requesting the limits the amount is checked against
+    if (this.marzpay.limits) {
+      this.validateCollectionParams(params, { range: false });
+      await this.loadLimits(this.providerOf(params.phoneNumber), requestOptions);
+    }
+    this.validateCollectionParams(params);
 
-    const body = {
-      amount: parseInt(amount),
-      phone_number: formattedPhone,
-      reference: reference,
-      description,
-      callback_url: callbackUrl,
-      country
-    };
+    const body = this.buildRequestBody(params);
 
-    return this.marzpay.request('/collect-money', {
+    const submit = () => this.marzpay.request('/collect-money', {
+      ...requestOptions,
       method: 'POST',
       body
     });
+
+    if (!resolveBeforeRetry) {
+      return submit();
+    }
+
+    return this.marzpay.outcomeResolver.execute(submit, {
+      reference: params.reference,
+      type: 'collection',
+      settings: resolveBeforeRetry,
+      requestOptions,
+      fetchExisting: (uuid, lookupOptions) => this.getCollection(uuid, lookupOptions)
+    });
   }
 
   /**
    * Get collection details by UUID
    * 
    * @param {string} uuid - Collection transaction UUID
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Collection details
    * 
    * @throws {MarzPayError} When UUID is missing or API request fails
@@ -104,21 +118,22 @@ export class CollectionsAPI {
    * console.log('Collection status:', collection.data.transaction.status);
    * ```
    */
-  async getCollection(uuid) {
+  async getCollection(uuid, options = {}) {
     if (!uuid) {
-      throw new MarzPayError('Collection UUID is required', 'MISSING_UUID', 400);
+      throw new ValidationError('Collection UUID is required', 'MISSING_UUID');
     }
 
     if (!this.marzpay.utils.isValidUUID(uuid)) {
-      throw new MarzPayError('Invalid UUID format', 'INVALID_UUID', 400);
+      throw new ValidationError('Invalid UUID format', 'INVALID_UUID');
     }
 
-    return this.marzpay.request(`/collect-money/${uuid}`);
+    return this.marzpay.request(`/collect-money/${uuid}`, options);
   }
 
   /**
    * Get available collection services for the business
    * 
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Available collection services
    * 
    * @example
@@ -127,50 +142,116 @@ export class CollectionsAPI {
    * console.log('Available countries:', services.data.summary.total_countries);
    * ```
    */
-  async getCollectionServices() {
-    return this.marzpay.request('/collect-money/services');
+  async getCollectionServices(options = {}) {
+    return this.marzpay.request('/collect-money/services', options);
   }
 
   /**
    * Validate collection parameters
    * 
    * @param {Object} params - Parameters to validate
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.range=true] - Check the amount against the limits, not only that it is a number
    * @throws {MarzPayError} When validation fails
    * 
    * @private
    */
-  validateCollectionParams(params) {
+  validateCollectionParams(params, options = {}) {
+    const { value: error } = this.validationErrors(params, options).next();
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find every problem with collection parameters
+   * 
+   * Unlike validateCollectionParams, which stops at the first problem, this reports
+   * one error per invalid field (amount, phone number, reference).
+   * 
+   * @param {Object} params - Parameters to validate
+   * @returns {Array<ValidationError>} Validation errors, empty when the parameters are valid
+   * 
+   * @example
+   * ```javascript
+   * const errors = marzpay.collections.getValidationErrors({ amount: 100, phoneNumber: '123' });
+   * // Returns: INVALID_AMOUNT, INVALID_PHONE and MISSING_REFERENCE errors
+   * ```
+   */
+  getValidationErrors(params) {
+    return [...this.validationErrors(params)];
+  }
+
+  /**
+   * Validation errors, one field at a time
+   * 
+   * @param {Object} params - Parameters to validate
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.range=true] - Check the amount against the limits, not only that it is a number
+   * @returns {Iterator<ValidationError>} Errors in field order; later fields are only checked on demand
+   * 
+   * @private
+   */
+  *validationErrors(params, { range = true } = {}) {
     const { amount, phoneNumber, reference } = params;
 
-    if (!amount || amount < 500 || amount > 10000000) {
-      throw new MarzPayError(
-        'Amount must be between 500 and 10,000,000 UGX',
-        'INVALID_AMOUNT',
-        400
+    const { min, max } = this.getLimits(this.providerOf(phoneNumber));
+    const value = Number(amount);
+
+    if (!amount || !Number.isFinite(value) || (range && (value < min || value > max))) {
+      yield new ValidationError(
+        `Amount must be between ${min.toLocaleString('en-US')} and ${max.toLocaleString('en-US')} UGX`,
+        'INVALID_AMOUNT'
       );
     }
 
     if (!phoneNumber) {
-      throw new MarzPayError('Phone number is required', 'MISSING_PHONE', 400);
-    }
-
-    if (!this.marzpay.phoneUtils.isValidPhoneNumber(phoneNumber)) {
-      throw new MarzPayError('Invalid phone number format', 'INVALID_PHONE', 400);
+      yield new ValidationError('Phone number is required', 'MISSING_PHONE');
+    } else if (!this.marzpay.phoneUtils.isValidPhoneNumber(phoneNumber)) {
+      yield new ValidationError('Invalid phone number format', 'INVALID_PHONE');
     }
 
     if (!reference) {
-      throw new MarzPayError('Reference is required', 'MISSING_REFERENCE', 400);
+      yield new ValidationError('Reference is required', 'MISSING_REFERENCE');
+    } else if (!this.marzpay.utils.isValidUUID(reference)) {
+      yield new ValidationError('Reference must be a valid UUID4', 'INVALID_REFERENCE');
     }
+  }
 
-    if (!this.marzpay.utils.isValidUUID(reference)) {
-      throw new MarzPayError('Reference must be a valid UUID4', 'INVALID_REFERENCE', 400);
-    }
+  /**
+   * Request body sent to `/collect-money`
+   * 
+   * @param {Object} params - Collection parameters
+   * @returns {Object} Request body
+   * 
+   * @private
+   */
+  buildRequestBody(params) {
+    const {
+      amount,
+      phoneNumber,
+      reference,
+      description = null,
+      callbackUrl = null,
+      country = 'UG'
+    } = params;
+
+    return {
+      amount: parseInt(amount),
+      phone_number: this.marzpay.phoneUtils.formatPhoneNumber(phoneNumber),
+      reference: reference,
+      description,
+      callback_url: callbackUrl,
+      country
+    };
   }
 
   /**
    * Get collection status summary
    * 
    * @param {string} uuid - Collection UUID
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Collection status
    * 
    * @example
@@ -179,14 +260,182 @@ export class CollectionsAPI {
    * console.log('Status:', status.data.transaction.status);
    * ```
    */
-  async getStatus(uuid) {
-    return this.getCollection(uuid);
+  async getStatus(uuid, options = {}) {
+    return this.getCollection(uuid, options);
+  }
+
+  /**
+   * Wait until a collection is successful, failed or cancelled
+   * 
+   * Polls `getCollection()` with backoff. Every status change is passed to
+   * `onStatusChange` and emitted as a `transactionStatusChange` event.
+   * 
+   * @param {string} uuid - Collection UUID
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.timeout=120000] - Longest time to wait in milliseconds
+   * @param {number} [options.interval=2000] - Delay before the second poll in milliseconds
+   * @param {number|false} [options.backoff=1.5] - Factor applied to the delay after every poll
+   * @param {number} [options.maxInterval=15000] - Upper bound for the delay between polls
+   * @param {AbortSignal} [options.signal] - Signal that cancels the wait
+   * @param {Function} [options.onStatusChange] - Called with `{ uuid, type, from, to, source, transaction, attempts, elapsed }`
+   * @returns {Promise<Object>} Transaction in its final status
+   * 
+   * @throws {TimeoutError} WAIT_TIMEOUT with the last known `status` and `transaction` in `details`
+   * @throws {MarzPayError} REQUEST_ABORTED when the signal aborts, or when a poll fails permanently
+   * 
+   * @example
+   * ```javascript
+   * try {
+   *   const transaction = await marzpay.collections.waitForCompletion(uuid, {
+   *     timeout: 90000,
+   *     onStatusChange: ({ from, to }) => console.log(`${from} -> ${to}`)
+   *   });
+   *   console.log('Final status:', transaction.status);
+   * } catch (error) {
+   *   if (error.code === 'WAIT_TIMEOUT') {
+   *     console.log('Still', error.details.status);
+   *   }
+   * }
+   * ```
+   */
+  async waitForCompletion(uuid, options = {}) {
+    return this.marzpay.statusPoller.wait(uuid, {
+      type: 'collection',
+      fetch: (transactionUuid, requestOptions) => this.getCollection(transactionUuid, requestOptions)
+    }, options);
+  }
+
+  /**
+   * Collect money and resolve with the final outcome, from a webhook or polling
+   * 
+   * Initiates `collectMoney()` (generating a reference when none is given),
+   * then follows the collection until it is final. Two sources race: a
+   * matching webhook handed to `webhooks.receive()` in this process, and
+   * polling of `getCollection()`. Webhooks are confirmed with the API before
+   * they count (unless `verifyWebhooks` is false), the same status from both
+   * sources is reported once, and whichever source is first decides.
+   * When the customer never answers the prompt, the call resolves with
+   * status `timed_out` instead of rejecting.
+   * 
+   * @param {Object} params - Collection parameters (see collectMoney); `reference` is optional
+   * @param {Object} [options] - Flow options
+   * @param {number} [options.timeout=120000] - Longest time to wait for a final status after initiating
+   * @param {number} [options.interval=2000] - Delay before the first poll in milliseconds
+   * @param {number|false} [options.backoff=1.5] - Factor applied to the delay after every poll
+   * @param {number} [options.maxInterval=15000] - Upper bound for the delay between polls
+   * @param {boolean} [options.verifyWebhooks=true] - Confirm webhook statuses with `getCollection()` before acting
+   * @param {Function} [options.onStatusChange] - Called with every status change (see waitForCompletion)
+   * @param {AbortSignal} [options.signal] - Signal that cancels initiation and waiting
+   * @param {boolean|Object} [options.resolveBeforeRetry] - Passed to collectMoney, with any other request options
+   * @returns {Promise<Object>} Outcome: `{ status, confirmed, source, reference, uuid, transaction, attempts, elapsed }`
+   * where `status` is 'successful', 'failed', 'cancelled' or 'timed_out' and `source` is 'webhook', 'poll',
+   * 'response' or null; on a dry run (`dryRun`), the pre-flight report of collectMoney instead
+   * 
+   * @throws {MarzPayError} When initiation fails, the signal aborts or a poll fails permanently
+   * 
+   * @example
+   * ```javascript
+   * const outcome = await marzpay.collections.collectAndConfirm({
+   *   amount: 10000,
+   *   phoneNumber: '0759983853',
+   *   description: 'Order #1001'
+   * }, { timeout: 90000 });
+   * 
+   * if (outcome.status === 'successful') {
+   *   fulfilOrder(outcome.reference);
+   * } else if (outcome.status === 'timed_out') {
+   *   // Not approved in time; do not charge again, reconcile outcome.reference later
+   * }
+   * ```
+   */
+  async collectAndConfirm(params, options = {}) {
+    const {
+      timeout,
+      interval,
+      backoff,
+      maxInterval,
+      verifyWebhooks = true,
+      onStatusChange,
+      signal,
+      ...collectOptions
+    } = options;
+    const pollSettings = this.marzpay.statusPoller.getSettings({ timeout, interval, backoff, maxInterval });
+    const reference = params.reference || this.generateReference();
+    const startedAt = Date.now();
+    const early = [];
+    let deliver = webhook => early.push(webhook);
+    let uuid = null;
+    let initial = null;
+
+    // Listen before initiating: the webhook can arrive before the response
+    const unsubscribe = this.marzpay.events.on('webhook', webhook => {
+      if (webhook.reference === reference || (uuid && webhook.uuid === uuid)) {
+        deliver(webhook);
+      }
+    });
+
+    try {
+      const response = await this.collectMoney({ ...params, reference }, { ...collectOptions, signal });
+      if (response && response.dryRun) {
+        return response;
+      }
+
+      initial = (response && response.data && response.data.transaction) || null;
+      uuid = initial && initial.uuid;
+
+      if (!uuid) {
+        throw new MarzPayError('Collection response has no transaction UUID', 'INVALID_RESPONSE', 0, { reference });
+      }
+
+      const confirm = webhook => (verifyWebhooks
+        ? this.getCollection(uuid, { signal }).then(result => result && result.data && result.data.transaction, () => null)
+        : Promise.resolve(webhook.transaction));
+
+      const result = await this.marzpay.statusPoller.watch(uuid, {
+        type: 'collection',
+        initial: { ...initial, reference },
+        fetch: (transactionUuid, requestOptions) => this.getCollection(transactionUuid, requestOptions),
+        subscribe: push => {
+          deliver = webhook => confirm(webhook).then(transaction => push(transaction, 'webhook'));
+          early.splice(0).forEach(deliver);
+        }
+      }, { ...pollSettings, signal, onStatusChange });
+
+      return {
+        status: result.status,
+        confirmed: true,
+        source: result.source === 'initial' ? 'response' : result.source,
+        reference,
+        uuid,
+        transaction: result.transaction,
+        attempts: result.attempts,
+        elapsed: Date.now() - startedAt
+      };
+    } catch (error) {
+      if (!(error instanceof MarzPayError) || error.code !== 'WAIT_TIMEOUT') {
+        throw error;
+      }
+
+      return {
+        status: 'timed_out',
+        confirmed: false,
+        source: null,
+        reference,
+        uuid,
+        transaction: error.details.transaction || initial,
+        attempts: error.details.attempts,
+        elapsed: Date.now() - startedAt
+      };
+    } finally {
+      unsubscribe();
+    }
   }
 
   /**
    * Check if collection amount is within limits
    * 
    * @param {number} amount - Amount to check
+   * @param {string|null} [provider] - Provider whose service limits apply as well
    * @returns {boolean} True if amount is valid
    * 
    * @example
@@ -195,13 +444,19 @@ export class CollectionsAPI {
    * const isInvalid = marzpay.collections.isValidAmount(100); // false
    * ```
    */
-  isValidAmount(amount) {
-    return amount >= 500 && amount <= 10000000;
+  isValidAmount(amount, provider = null) {
+    const { min, max } = this.getLimits(provider);
+    return amount >= min && amount <= max;
   }
 
   /**
    * Get collection limits
    * 
+   * Limits loaded from the account and the provider's services (see
+   * loadLimits and LimitsCache), or the built-in 500-10,000,000 UGX until any
+   * have been loaded. Without a provider, only the account limits apply.
+   * 
+   * @param {string|null} [provider] - Provider whose service limits apply as well
    * @returns {Object} Collection amount limits
    * 
    * @example
@@ -210,7 +465,40 @@ export class CollectionsAPI {
    * console.log('Min:', limits.min, 'Max:', limits.max);
    * ```
    */
-  getLimits() {
+  getLimits(provider = null) {
+    const defaults = CollectionsAPI.DEFAULT_LIMITS;
+    return this.marzpay.limits ? this.marzpay.limits.get('collection', provider, defaults) : defaults;
+  }
+
+  /**
+   * Load the collection limits from the platform unless the cached ones are fresh
+   * 
+   * `collectMoney()` does this before validating; call it to validate amounts
+   * with `isValidAmount()` ahead of time. Failures keep the previous limits.
+   * 
+   * @param {string|null} [provider] - Provider whose service limits to load as well
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
+   * @returns {Promise<Object>} Collection amount limits
+   * 
+   * @example
+   * ```javascript
+   * const limits = await marzpay.collections.loadLimits('mtn');
+   * ```
+   */
+  async loadLimits(provider = null, options = {}) {
+    if (this.marzpay.limits) {
+      await this.marzpay.limits.load('collection', provider, options);
+    }
+
+    return this.getLimits(provider);
+  }
+
+  /**
+   * Built-in collection limits, used when none have been loaded
+   * 
+   * @type {Object}
+   */
+  static get DEFAULT_LIMITS() {
     return {
       min: 500,
       max: 10000000,
@@ -218,6 +506,18 @@ export class CollectionsAPI {
     };
   }
 
+  /**
+   * Provider whose service limits apply to a phone number
+   * 
+   * @param {string} phoneNumber - Phone number
+   * @returns {string|null} Provider, or null when limits are not loaded from the platform
+   * 
+   * @private
+   */
+  providerOf(phoneNumber) {
+    return this.marzpay.limits ? this.marzpay.phoneUtils.getProvider(phoneNumber) : null;
+  }
+
   /**
    * Generate a UUID4 reference for collections
    * 
@@ -1,11 +1,16 @@
 import { v4 as uuidv4 } from 'uuid';
-import { MarzPayError } from '../errors/MarzPayError.js';
+import { ValidationError } from '../errors/MarzPayError.js';
+import { BulkDisbursement } from '../bulk/BulkDisbursement.js';
+import { Pain001Parser } from '../bulk/Pain001Parser.js';
+import { Pain002Format } from '../bulk/Pain002Format.js';
+import { Exporter } from '../exporters/Exporter.js';
 
 /**
  * Disbursements API - Money sending to customers via mobile money
  * 
  * This class handles all disbursement-related operations including:
  * - Sending money to customers
+ * - Sending money to many recipients from a list, a CSV file or an ISO 20022 pain.001 file
  * - Retrieving disbursement details
  * - Getting available disbursement services
  * 
@@ -31,14 +36,19 @@ export class DisbursementsAPI {
    * Send money to a customer via mobile money
    * 
    * @param {Object} params - Disbursement parameters
-   * @param {number} params.amount - Amount in UGX (1,000-500,000)
+   * @param {number} params.amount - Amount in UGX, within getLimits() (1,000-500,000 unless loaded from the platform)
    * @param {string} params.phoneNumber - Customer's phone number
    * @param {string} params.reference - Unique UUID4 reference for the transaction
    * @param {string|null} [params.description] - Payment description
    * @param {string|null} [params.callbackUrl] - Custom webhook URL
    * @param {string} [params.country='UG'] - Country code
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
+   * @param {boolean|Object} [options.resolveBeforeRetry] - On a timeout or dropped connection, look the
+   * reference up and only re-submit if the platform has not seen it (defaults to config.resolveBeforeRetry)
+   * @param {boolean} [options.dryRun] - Run every pre-flight check and return a report instead of
+   * calling `/send-money` (defaults to config.dryRun, see Preflight)
    * 
-   * @returns {Promise<Object>} Disbursement result with transaction details
+   * @returns {Promise<Object>} Disbursement result with transaction details, or the pre-flight report on a dry run
    * 
    * @throws {MarzPayError} When validation fails or API request fails
    * 
@@ -59,41 +69,244 @@ export class DisbursementsAPI {
    * }
    * ```
    */
-  async sendMoney(params) {
+  async sendMoney(params, options = {}) {
     const {
-      amount,
-      phoneNumber,
-      reference,
-      description = null,
-      callbackUrl = null,
-      country = 'UG'
-    } = params;
+      dryRun = this.marzpay.config.dryRun,
+      resolveBeforeRetry = this.marzpay.config.resolveBeforeRetry,
+      ...requestOptions
+    } = options;
+
+    if (dryRun) {
+      return this.marzpay.preflight.check('withdrawal', params, requestOptions);
+    }
 
-    // Validate inputs
+    // Reject what can be checked locally before requesting the limits the amount is checked against
+    if (this.marzpay.limits) {
+      this.validateDisbursementParams(params, { range: false });
+      await this.loadLimits(this.providerOf(params.phoneNumber), requestOptions);
+    }
     this.validateDisbursementParams(params);
 
-    // Format phone number
-    const formattedPhone = this.marzpay.phoneUtils.formatPhoneNumber(phoneNumber);
+    const body = this.buildRequestBody(params);
 
-    const body = {
-      amount: parseInt(amount),
-      phone_number: formattedPhone,
-      reference: reference,
-      description,
-      callback_url: callbackUrl,
-      country
-    };
-
-    return this.marzpay.request('/send-money', {
+    const submit = () => this.marzpay.request('/send-money', {
+      ...requestOptions,
       method: 'POST',
       body
     });
+
+    if (!resolveBeforeRetry) {
+      return submit();
+    }
+
+    return this.marzpay.outcomeResolver.execute(submit, {
+      reference: params.reference,
+      type: 'withdrawal',
+      settings: resolveBeforeRetry,
+      requestOptions,
+      fetchExisting: (uuid, lookupOptions) => this.getDisbursement(uuid, lookupOptions)
+    });
+  }
+
+  /**
+   * Send money to many recipients, with per-row results and safe resumption
+   * 
+   * Every row is validated before anything is sent (amount limits, phone
+   * number format, duplicate phone numbers); a single invalid row rejects the
+   * batch unless `skipInvalid` is set. References are derived from `batchId`
+   * and the phone number, so re-running a batch with the same ID and `resume`
+   * never pays a recipient twice. See BulkDisbursement for the details.
+   * 
+   * @param {Array<Object>|string|AsyncIterable|ReadableStream} source - Row objects, or CSV text or stream with
+   * `phone_number` and `amount` columns (optional `description`, `reference`, `callback_url`)
+   * @param {Object} options - Batch options
+   * @param {string} options.batchId - Stable name of the batch, e.g. 'agents-2024-01'
+   * @param {number} [options.concurrency=5] - Most disbursements in flight at once
+   * @param {boolean|Array<Object>|string|AsyncIterable|ReadableStream} [options.resume] - Result file or
+   * results of a previous run, or `true` to look every reference up before sending
+   * @param {boolean} [options.skipInvalid=false] - Send the valid rows and report the others as `invalid`
+   * @param {boolean} [options.allowDuplicatePhones=false] - Let rows with their own `reference` share a phone number
+   * @param {Writable|WritableStream} [options.results] - Stream the per-row result file is written to
+   * @param {string} [options.resultsFormat='csv'] - Result file format: 'csv' or 'jsonl'
+   * @param {boolean} [options.maskPhoneNumbers=true] - Mask phone numbers in the result file
+   * @param {string} [options.delimiter=','] - CSV delimiter of the input and the result file
+   * @param {Function} [options.onResult] - Called with each row result as it completes
+   * @param {AbortSignal} [options.signal] - Stops starting new rows; disbursements in flight complete
+   * @param {RequestOptions} [options.requestOptions] - Options for every request (`timeout`, `retry`,
+   * `resolveBeforeRetry`)
+   * 
+   * @returns {Promise<Object>} Summary: counts per result, total amount sent, `halted` and every row result
+   * 
+   * @throws {ValidationError} When the options or any row are invalid (problems in `details.errors`)
+   * @throws {Error} When the result file cannot be written, once the rows in flight have completed; rows not
+   * started by then are not sent
+   * 
+   * @example
+   * ```javascript
+   * import { createReadStream, createWriteStream } from 'fs';
+   * 
+   * const summary = await marzpay.disbursements.sendBulk(createReadStream('agents.csv'), {
+   *   batchId: 'agents-2024-01',
+   *   concurrency: 5,
+   *   results: createWriteStream('agents-2024-01.results.csv')
+   * });
+   * 
+   * console.log(`${summary.sent} sent, ${summary.failed} failed`);
+   * 
+   * // Later: finish the batch without paying anyone twice
+   * await marzpay.disbursements.sendBulk(createReadStream('agents.csv'), {
+   *   batchId: 'agents-2024-01',
+   *   resume: createReadStream('agents-2024-01.results.csv'),
+   *   results: createWriteStream('agents-2024-01.results-2.csv')
+   * });
+   * ```
+   */
+  async sendBulk(source, options = {}) {
+    const {
+      results,
+      resultsFormat = 'csv',
+      maskPhoneNumbers = true,
+      ...settings
+    } = options;
+
+    const batch = new BulkDisbursement(this.marzpay, settings);
+    const exporter = results
+      ? new Exporter(batch, {
+        format: resultsFormat,
+        defaultColumns: BulkDisbursement.RESULT_COLUMNS,
+        maskPhoneNumbers,
+        delimiter: settings.delimiter
+      })
+      : null;
+
+    await batch.prepare(source);
+
+    if (exporter) {
+      await exporter.pipeTo(results);
+    } else {
+      await batch.run();
+    }
+
+    return batch.summary;
+  }
+
+  /**
+   * Pay the instructions of an ISO 20022 pain.001 file and report back as pain.002
+   * 
+   * The file is parsed into disbursement instructions (see Pain001Parser):
+   * creditor MSISDNs become formatted phone numbers, end-to-end IDs become
+   * references and amounts UGX integers. Nothing is sent while any
+   * instruction is invalid, unless `skipInvalid` is set. The valid ones are
+   * then sent through `sendBulk()`, so concurrency, result files and
+   * `resume` work the same way; because references come from the end-to-end
+   * IDs, running the same file again with `resume` never pays twice.
+   * 
+   * @param {string} xml - pain.001 document
+   * @param {Object} [options] - Batch options, as for `sendBulk()` (`batchId` defaults to the file's MsgId)
+   * @param {boolean} [options.skipInvalid=false] - Send the valid instructions and reject the others in the report
+   * @param {string} [options.statusReportId] - MsgId of the pain.002 report (defaults to `STS-` and the file's MsgId)
+   * 
+   * @returns {Promise<Object>} `{ messageId, document, summary, results, statusReport }` where `summary.batchId`
+   * is the batch ID to resume with, `results` has one entry per instruction (with its `endToEndId`) and
+   * `statusReport` is the pain.002 XML
+   * 
+   * @throws {ValidationError} INVALID_XML or INVALID_PAIN001 for unusable files, with every invalid
+   * instruction in `details.errors`
+   * 
+   * @example
+   * ```javascript
+   * const { summary, statusReport } = await marzpay.disbursements.sendPain001(
+   *   fs.readFileSync('payment-run.xml', 'utf8'),
+   *   { concurrency: 5 }
+   * );
+   * 
+   * fs.writeFileSync('payment-run.pain002.xml', statusReport);
+   * console.log(`${summary.sent} sent, ${summary.invalid} rejected`);
+   * ```
+   */
+  async sendPain001(xml, options = {}) {
+    const { skipInvalid = false, statusReportId, ...bulkOptions } = options;
+    const limits = await this.loadLimits(null, bulkOptions.requestOptions);
+    const document = new Pain001Parser({ limits }).parse(xml);
+    const { instructions, errors } = document;
+    const batchId = bulkOptions.batchId || document.messageId;
+
+    if (instructions.length === 0) {
+      throw new ValidationError(`pain.001 ${document.messageId} contains no payments`, 'EMPTY_BATCH');
+    }
+
+    const valid = instructions.filter(instruction => instruction.errors.length === 0);
+    if (errors.length > 0 && !skipInvalid) {
+      throw new ValidationError(
+        `${instructions.length - valid.length} of ${instructions.length} payments in ${document.messageId} are invalid; nothing was sent`,
+        'INVALID_PAIN001',
+        400,
+        { errors }
+      );
+    }
+
+    const bulk = valid.length > 0
+      ? await this.sendBulk(valid.map(instruction => ({
+        phoneNumber: instruction.phoneNumber,
+        amount: instruction.amount,
+        description: instruction.description,
+        reference: instruction.reference
+      })), {
+        allowDuplicatePhones: true,
+        ...bulkOptions,
+        batchId
+      })
+      : null;
+
+    const sent = new Map((bulk ? bulk.results : []).map(result => [result.reference, result]));
+    const results = instructions.map(instruction => {
+      const result = sent.get(instruction.reference);
+      if (result && instruction.errors.length === 0) {
+        return { ...result, row: instruction.index, endToEndId: instruction.endToEndId };
+      }
+
+      const [error] = instruction.errors;
+      return {
+        row: instruction.index,
+        endToEndId: instruction.endToEndId,
+        reference: instruction.reference,
+        phoneNumber: instruction.phoneNumber,
+        amount: instruction.amount,
+        description: instruction.description,
+        result: 'invalid',
+        uuid: null,
+        status: null,
+        errorCode: error ? error.code : null,
+        errorMessage: error ? error.message : null
+      };
+    });
+
+    const count = name => results.filter(result => result.result === name).length;
+
+    return {
+      messageId: document.messageId,
+      document,
+      summary: {
+        batchId,
+        total: instructions.length,
+        sent: count('sent'),
+        alreadySent: count('already_sent'),
+        failed: count('failed'),
+        invalid: count('invalid'),
+        notSent: count('not_sent'),
+        amount: bulk ? bulk.amount : 0,
+        halted: bulk ? bulk.halted : null
+      },
+      results,
+      statusReport: new Pain002Format({ messageId: statusReportId }).render(document, results)
+    };
   }
 
   /**
    * Get disbursement details by UUID
    * 
    * @param {string} uuid - Disbursement transaction UUID
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Disbursement details
    * 
    * @throws {MarzPayError} When UUID is missing or API request fails
@@ -104,21 +317,22 @@ export class DisbursementsAPI {
    * console.log('Disbursement status:', disbursement.data.transaction.status);
    * ```
    */
-  async getDisbursement(uuid) {
+  async getDisbursement(uuid, options = {}) {
     if (!uuid) {
-      throw new MarzPayError('Disbursement UUID is required', 'MISSING_UUID', 400);
+      throw new ValidationError('Disbursement UUID is required', 'MISSING_UUID');
     }
 
     if (!this.marzpay.utils.isValidUUID(uuid)) {
-      throw new MarzPayError('Invalid UUID format', 'INVALID_UUID', 400);
+      throw new ValidationError('Invalid UUID format', 'INVALID_UUID');
     }
 
-    return this.marzpay.request(`/send-money/${uuid}`);
+    return this.marzpay.request(`/send-money/${uuid}`, options);
   }
 
   /**
    * Get available disbursement services for the business
    * 
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Available disbursement services
    * 
    * @example
@@ -127,50 +341,116 @@ export class DisbursementsAPI {
    * console.log('Available providers:', services.data.summary.total_providers);
    * ```
    */
-  async getDisbursementServices() {
-    return this.marzpay.request('/send-money/services');
+  async getDisbursementServices(options = {}) {
+    return this.marzpay.request('/send-money/services', options);
   }
 
   /**
    * Validate disbursement parameters
    * 
    * @param {Object} params - Parameters to validate
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.range=true] - Check the amount against the limits, not only that it is a number
    * @throws {MarzPayError} When validation fails
    * 
    * @private
    */
-  validateDisbursementParams(params) {
+  validateDisbursementParams(params, options = {}) {
+    const { value: error } = this.validationErrors(params, options).next();
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find every problem with disbursement parameters
+   * 
+   * Unlike validateDisbursementParams, which stops at the first problem, this reports
+   * one error per invalid field (amount, phone number, reference).
+   * 
+   * @param {Object} params - Parameters to validate
+   * @returns {Array<ValidationError>} Validation errors, empty when the parameters are valid
+   * 
+   * @example
+   * ```javascript
+   * const errors = marzpay.disbursements.getValidationErrors({ amount: 100, phoneNumber: '123' });
+   * // Returns: INVALID_AMOUNT, INVALID_PHONE and MISSING_REFERENCE errors
+   * ```
+   */
+  getValidationErrors(params) {
+    return [...this.validationErrors(params)];
+  }
+
+  /**
+   * Validation errors, one field at a time
+   * 
+   * @param {Object} params - Parameters to validate
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.range=true] - Check the amount against the limits, not only that it is a number
+   * @returns {Iterator<ValidationError>} Errors in field order; later fields are only checked on demand
+   * 
+   * @private
+   */
+  *validationErrors(params, { range = true } = {}) {
     const { amount, phoneNumber, reference } = params;
 
-    if (!amount || amount < 1000 || amount > 500000) {
-      throw new MarzPayError(
-        'Amount must be between 1,000 and 500,000 UGX',
-        'INVALID_AMOUNT',
-        400
+    const { min, max } = this.getLimits(this.providerOf(phoneNumber));
+    const value = Number(amount);
+
+    if (!amount || !Number.isFinite(value) || (range && (value < min || value > max))) {
+      yield new ValidationError(
+        `Amount must be between ${min.toLocaleString('en-US')} and ${max.toLocaleString('en-US')} UGX`,
+        'INVALID_AMOUNT'
       );
     }
 
     if (!phoneNumber) {
-      throw new MarzPayError('Phone number is required', 'MISSING_PHONE', 400);
-    }
-
-    if (!this.marzpay.phoneUtils.isValidPhoneNumber(phoneNumber)) {
-      throw new MarzPayError('Invalid phone number format', 'INVALID_PHONE', 400);
+      yield new ValidationError('Phone number is required', 'MISSING_PHONE');
+    } else if (!this.marzpay.phoneUtils.isValidPhoneNumber(phoneNumber)) {
+      yield new ValidationError('Invalid phone number format', 'INVALID_PHONE');
     }
 
     if (!reference) {
-      throw new MarzPayError('Reference is required', 'MISSING_REFERENCE', 400);
+      yield new ValidationError('Reference is required', 'MISSING_REFERENCE');
+    } else if (!this.marzpay.utils.isValidUUID(reference)) {
+      yield new ValidationError('Reference must be a valid UUID4', 'INVALID_REFERENCE');
     }
+  }
 
-    if (!this.marzpay.utils.isValidUUID(reference)) {
-      throw new MarzPayError('Reference must be a valid UUID4', 'INVALID_REFERENCE', 400);
-    }
+  /**
+   * Request body sent to `/send-money`
+   * 
+   * @param {Object} params - Disbursement parameters
+   * @returns {Object} Request body
+   * 
+   * @private
+   */
+  buildRequestBody(params) {
+    const {
+      amount,
+      phoneNumber,
+      reference,
+      description = null,
+      callbackUrl = null,
+      country = 'UG'
+    } = params;
+
+    return {
+      amount: parseInt(amount),
+      phone_number: this.marzpay.phoneUtils.formatPhoneNumber(phoneNumber),
+      reference: reference,
+      description,
+      callback_url: callbackUrl,
+      country
+    };
   }
 
   /**
    * Get disbursement status summary
    * 
    * @param {string} uuid - Disbursement UUID
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Disbursement status
    * 
    * @example
@@ -179,14 +459,56 @@ export class DisbursementsAPI {
    * console.log('Status:', status.data.transaction.status);
    * ```
    */
-  async getStatus(uuid) {
-    return this.getDisbursement(uuid);
+  async getStatus(uuid, options = {}) {
+    return this.getDisbursement(uuid, options);
+  }
+
+  /**
+   * Wait until a disbursement is successful, failed or cancelled
+   * 
+   * Polls `getDisbursement()` with backoff. Every status change is passed to
+   * `onStatusChange` and emitted as a `transactionStatusChange` event.
+   * 
+   * @param {string} uuid - Disbursement UUID
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.timeout=120000] - Longest time to wait in milliseconds
+   * @param {number} [options.interval=2000] - Delay before the second poll in milliseconds
+   * @param {number|false} [options.backoff=1.5] - Factor applied to the delay after every poll
+   * @param {number} [options.maxInterval=15000] - Upper bound for the delay between polls
+   * @param {AbortSignal} [options.signal] - Signal that cancels the wait
+   * @param {Function} [options.onStatusChange] - Called with `{ uuid, type, from, to, source, transaction, attempts, elapsed }`
+   * @returns {Promise<Object>} Transaction in its final status
+   * 
+   * @throws {TimeoutError} WAIT_TIMEOUT with the last known `status` and `transaction` in `details`
+   * @throws {MarzPayError} REQUEST_ABORTED when the signal aborts, or when a poll fails permanently
+   * 
+   * @example
+   * ```javascript
+   * try {
+   *   const transaction = await marzpay.disbursements.waitForCompletion(uuid, {
+   *     timeout: 90000,
+   *     onStatusChange: ({ from, to }) => console.log(`${from} -> ${to}`)
+   *   });
+   *   console.log('Final status:', transaction.status);
+   * } catch (error) {
+   *   if (error.code === 'WAIT_TIMEOUT') {
+   *     console.log('Still', error.details.status);
+   *   }
+   * }
+   * ```
+   */
+  async waitForCompletion(uuid, options = {}) {
+    return this.marzpay.statusPoller.wait(uuid, {
+      type: 'withdrawal',
+      fetch: (transactionUuid, requestOptions) => this.getDisbursement(transactionUuid, requestOptions)
+    }, options);
   }
 
   /**
    * Check if disbursement amount is within limits
    * 
    * @param {number} amount - Amount to check
+   * @param {string|null} [provider] - Provider whose service limits apply as well
    * @returns {boolean} True if amount is valid
    * 
    * @example
@@ -195,13 +517,19 @@ export class DisbursementsAPI {
    * const isInvalid = marzpay.disbursements.isValidAmount(500); // false
    * ```
    */
-  isValidAmount(amount) {
-    return amount >= 1000 && amount <= 500000;
+  isValidAmount(amount, provider = null) {
+    const { min, max } = this.getLimits(provider);
+    return amount >= min && amount <= max;
   }
 
   /**
    * Get disbursement limits
    * 
+   * Limits loaded from the account and the provider's services (see
+   * loadLimits and LimitsCache), or the built-in 1,000-500,000 UGX until any
+   * have been loaded. Without a provider, only the account limits apply.
+   * 
+   * @param {string|null} [provider] - Provider whose service limits apply as well
    * @returns {Object} Disbursement amount limits
    * 
    * @example
@@ -210,7 +538,40 @@ export class DisbursementsAPI {
    * console.log('Min:', limits.min, 'Max:', limits.max);
    * ```
    */
-  getLimits() {
+  getLimits(provider = null) {
+    const defaults = DisbursementsAPI.DEFAULT_LIMITS;
+    return this.marzpay.limits ? this.marzpay.limits.get('withdrawal', provider, defaults) : defaults;
+  }
+
+  /**
+   * Load the disbursement limits from the platform unless the cached ones are fresh
+   * 
+   * `sendMoney()` does this before validating; call it to validate amounts
+   * with `isValidAmount()` ahead of time. Failures keep the previous limits.
+   * 
+   * @param {string|null} [provider] - Provider whose service limits to load as well
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
+   * @returns {Promise<Object>} Disbursement amount limits
+   * 
+   * @example
+   * ```javascript
+   * const limits = await marzpay.disbursements.loadLimits('mtn');
+   * ```
+   */
+  async loadLimits(provider = null, options = {}) {
+    if (this.marzpay.limits) {
+      await this.marzpay.limits.load('withdrawal', provider, options);
+    }
+
+    return this.getLimits(provider);
+  }
+
+  /**
+   * Built-in disbursement limits, used when none have been loaded
+   * 
+   * @type {Object}
+   */
+  static get DEFAULT_LIMITS() {
     return {
       min: 1000,
       max: 500000,
@@ -218,6 +579,18 @@ export class DisbursementsAPI {
     };
   }
 
+  /**
+   * Provider whose service limits apply to a phone number
+   * 
+   * @param {string} phoneNumber - Phone number
+   * @returns {string|null} Provider, or null when limits are not loaded from the platform
+   * 
+   * @private
+   */
+  providerOf(phoneNumber) {
+    return this.marzpay.limits ? this.marzpay.phoneUtils.getProvider(phoneNumber) : null;
+  }
+
   /**
    * Calculate disbursement fees
    * 
@@ -232,7 +605,7 @@ export class DisbursementsAPI {
    */
   calculateFees(amount) {
     if (!this.isValidAmount(amount)) {
-      throw new MarzPayError('Invalid amount for fee calculation', 'INVALID_AMOUNT', 400);
+      throw new ValidationError('Invalid amount for fee calculation', 'INVALID_AMOUNT');
     }
 
     // Example fee structure (adjust based on actual MarzPay fees)
@@ -253,6 +626,7 @@ export class DisbursementsAPI {
    * Get disbursement history
    * 
    * @param {Object} params - Query parameters
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Disbursement history
    * 
    * @example
@@ -264,13 +638,13 @@ export class DisbursementsAPI {
    * });
    * ```
    */
-  async getHistory(params = {}) {
+  async getHistory(params = {}, options = {}) {
     const queryString = this.marzpay.utils.buildQueryString({
       type: 'withdrawal',
       ...params
     });
 
-    return this.marzpay.request(`/transactions?${queryString}`);
+    return this.marzpay.request(`/transactions?${queryString}`, options);
   }
 
   /**
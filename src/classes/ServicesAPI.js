@@ -1,4 +1,5 @@
-import { MarzPayError } from '../errors/MarzPayError.js';
+import { MarzPayError, ValidationError } from '../errors/MarzPayError.js';
+import { Paginator } from '../utils/Paginator.js';
 
 /**
  * Services API - Service management and availability
@@ -31,6 +32,7 @@ export class ServicesAPI {
    * @param {string} [params.type] - Service type ('collection', 'withdrawal')
    * @param {string} [params.provider] - Mobile money provider ('mtn', 'airtel')
    * @param {string} [params.status] - Service status ('active', 'inactive')
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * 
    * @returns {Promise<Object>} Services list with details
    * 
@@ -53,20 +55,42 @@ export class ServicesAPI {
    * }
    * ```
    */
-  async getServices(params = {}) {
+  async getServices(params = {}, options = {}) {
     // Validate parameters
     this.validateServiceParams(params);
 
     // Build query string
     const queryString = this.marzpay.utils.buildQueryString(params);
 
-    return this.marzpay.request(`/services?${queryString}`);
+    return this.marzpay.request(`/services?${queryString}`, options);
+  }
+
+  /**
+   * Iterate over all services matching the filters, across every page
+   * 
+   * @param {Object} params - Query parameters (same filters as getServices)
+   * @param {RequestOptions} [options] - Request options applied to every page request
+   * @returns {Paginator} Async iterable of services with `.pages()` and `.toArray({ limit })`
+   * 
+   * @example
+   * ```javascript
+   * for await (const service of marzpay.services.list({ status: 'active' })) {
+   *   console.log(service.uuid, service.name);
+   * }
+   * ```
+   */
+  list(params = {}, options = {}) {
+    return new Paginator(pageParams => this.getServices(pageParams, options), {
+      params,
+      itemsKey: 'services'
+    });
   }
 
   /**
    * Get service details by UUID
    * 
    * @param {string} uuid - Service UUID
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Service details
    * 
    * @throws {MarzPayError} When UUID is missing or API request fails
@@ -84,16 +108,16 @@ export class ServicesAPI {
    * }
    * ```
    */
-  async getService(uuid) {
+  async getService(uuid, options = {}) {
     if (!uuid) {
-      throw new MarzPayError('Service UUID is required', 'MISSING_UUID', 400);
+      throw new ValidationError('Service UUID is required', 'MISSING_UUID');
     }
 
     if (!this.marzpay.utils.isValidUUID(uuid)) {
-      throw new MarzPayError('Invalid UUID format', 'INVALID_UUID', 400);
+      throw new ValidationError('Invalid UUID format', 'INVALID_UUID');
     }
 
-    return this.marzpay.request(`/services/${uuid}`);
+    return this.marzpay.request(`/services/${uuid}`, options);
   }
 
   /**
@@ -110,21 +134,21 @@ export class ServicesAPI {
     if (type !== undefined) {
       const validTypes = ['collection', 'withdrawal'];
       if (!validTypes.includes(type)) {
-        throw new MarzPayError('Invalid service type', 'INVALID_TYPE', 400);
+        throw new ValidationError('Invalid service type', 'INVALID_TYPE');
       }
     }
 
     if (provider !== undefined) {
       const validProviders = ['mtn', 'airtel'];
       if (!validProviders.includes(provider)) {
-        throw new MarzPayError('Invalid provider', 'INVALID_PROVIDER', 400);
+        throw new ValidationError('Invalid provider', 'INVALID_PROVIDER');
       }
     }
 
     if (status !== undefined) {
       const validStatuses = ['active', 'inactive'];
       if (!validStatuses.includes(status)) {
-        throw new MarzPayError('Invalid service status', 'INVALID_STATUS', 400);
+        throw new ValidationError('Invalid service status', 'INVALID_STATUS');
       }
     }
   }
@@ -134,6 +158,7 @@ export class ServicesAPI {
    * 
    * @param {string} type - Service type
    * @param {Object} params - Additional query parameters
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Services of specified type
    * 
    * @example
@@ -142,8 +167,8 @@ export class ServicesAPI {
    * const withdrawalServices = await marzpay.services.getByType('withdrawal');
    * ```
    */
-  async getByType(type, params = {}) {
-    return this.getServices({ type, ...params });
+  async getByType(type, params = {}, options = {}) {
+    return this.getServices({ type, ...params }, options);
   }
 
   /**
@@ -151,6 +176,7 @@ export class ServicesAPI {
    * 
    * @param {string} provider - Mobile money provider
    * @param {Object} params - Additional query parameters
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Services from specified provider
    * 
    * @example
@@ -159,14 +185,15 @@ export class ServicesAPI {
    * const airtelServices = await marzpay.services.getByProvider('airtel');
    * ```
    */
-  async getByProvider(provider, params = {}) {
-    return this.getServices({ provider, ...params });
+  async getByProvider(provider, params = {}, options = {}) {
+    return this.getServices({ provider, ...params }, options);
   }
 
   /**
    * Get active services only
    * 
    * @param {Object} params - Additional query parameters
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Active services
    * 
    * @example
@@ -175,14 +202,15 @@ export class ServicesAPI {
    * console.log('Active services count:', activeServices.data.summary.total_services);
    * ```
    */
-  async getActive(params = {}) {
-    return this.getServices({ status: 'active', ...params });
+  async getActive(params = {}, options = {}) {
+    return this.getServices({ status: 'active', ...params }, options);
   }
 
   /**
    * Get collection services
    * 
    * @param {Object} params - Additional query parameters
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Collection services
    * 
    * @example
@@ -191,14 +219,15 @@ export class ServicesAPI {
    * console.log('Collection services:', collectionServices.data.services);
    * ```
    */
-  async getCollectionServices(params = {}) {
-    return this.getByType('collection', params);
+  async getCollectionServices(params = {}, options = {}) {
+    return this.getByType('collection', params, options);
   }
 
   /**
    * Get withdrawal services
    * 
    * @param {Object} params - Additional query parameters
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Withdrawal services
    * 
    * @example
@@ -207,13 +236,14 @@ export class ServicesAPI {
    * console.log('Withdrawal services:', withdrawalServices.data.services);
    * ```
    */
-  async getWithdrawalServices(params = {}) {
-    return this.getByType('withdrawal', params);
+  async getWithdrawalServices(params = {}, options = {}) {
+    return this.getByType('withdrawal', params, options);
   }
 
   /**
    * Get service summary statistics
    * 
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Service summary statistics
    * 
    * @example
@@ -224,16 +254,29 @@ export class ServicesAPI {
    * console.log('Inactive services:', summary.data.summary.inactive_services);
    * ```
    */
-  async getSummary() {
-    const allServices = await this.getServices({ per_page: 1000 });
-    const activeServices = await this.getActive({ per_page: 1000 });
+  async getSummary(options = {}) {
+    let activeServices = 0;
+    let totalServices = 0;
+    const providers = new Set();
+    const countries = new Set();
+
+    for await (const service of this.list({}, options)) {
+      totalServices++;
+      if (this.isActiveService(service)) {
+        activeServices++;
+      }
+      if (service.provider) {
+        providers.add(service.provider);
+      }
+      (service.countries || []).forEach(country => countries.add(country));
+    }
 
     const summary = {
-      total_services: allServices.data.summary.total_services || 0,
-      active_services: activeServices.data.summary.total_services || 0,
-      inactive_services: (allServices.data.summary.total_services || 0) - (activeServices.data.summary.total_services || 0),
-      total_providers: allServices.data.summary.total_providers || 0,
-      total_countries: allServices.data.summary.total_countries || 0
+      total_services: totalServices,
+      active_services: activeServices,
+      inactive_services: totalServices - activeServices,
+      total_providers: providers.size,
+      total_countries: countries.size
     };
 
     return {
@@ -244,11 +287,24 @@ export class ServicesAPI {
     };
   }
 
+  /**
+   * Check if a listed service is active
+   * 
+   * @param {Object} service - Service from a list response
+   * @returns {boolean} True if the service is active
+   * 
+   * @private
+   */
+  isActiveService(service) {
+    return service.status === 'active' || [true, 1, '1', 'true'].includes(service.is_active);
+  }
+
   /**
    * Check if service is available
    * 
    * @param {string} type - Service type
    * @param {string} provider - Mobile money provider
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<boolean>} True if service is available
    * 
    * @example
@@ -261,19 +317,39 @@ export class ServicesAPI {
    * }
    * ```
    */
-  async isServiceAvailable(type, provider) {
+  async isServiceAvailable(type, provider, options = {}) {
     try {
-      const services = await this.getServices({ type, provider, status: 'active' });
-      return services.data.summary.total_services > 0;
+      return ServicesAPI.hasServices(await this.getServices({ type, provider, status: 'active' }, options));
     } catch (error) {
+      MarzPayError.rethrowAbort(error);
       return false;
     }
   }
 
+  /**
+   * Check if a services listing has any service
+   * 
+   * `isServiceAvailable()` applies it to a listing filtered by type,
+   * provider and `status: 'active'`.
+   * 
+   * @param {Object} services - `getServices()` response
+   * @returns {boolean} True if the listing has at least one service
+   * 
+   * @example
+   * ```javascript
+   * const services = await marzpay.services.getServices({ type: 'collection', provider: 'mtn', status: 'active' });
+   * ServicesAPI.hasServices(services); // Returns: true
+   * ```
+   */
+  static hasServices(services) {
+    return services.data.summary.total_services > 0;
+  }
+
   /**
    * Get service capabilities
    * 
    * @param {string} uuid - Service UUID
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Service capabilities
    * 
    * @example
@@ -284,8 +360,8 @@ export class ServicesAPI {
    * console.log('Limits:', capabilities.data.service.limits);
    * ```
    */
-  async getServiceCapabilities(uuid) {
-    const service = await this.getService(uuid);
+  async getServiceCapabilities(uuid, options = {}) {
+    const service = await this.getService(uuid, options);
     
     return {
       status: 'success',
@@ -304,6 +380,7 @@ export class ServicesAPI {
    * Get service status
    * 
    * @param {string} uuid - Service UUID
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Service status
    * 
    * @example
@@ -313,8 +390,8 @@ export class ServicesAPI {
    * console.log('Last updated:', status.data.service.updated_at);
    * ```
    */
-  async getServiceStatus(uuid) {
-    const service = await this.getService(uuid);
+  async getServiceStatus(uuid, options = {}) {
+    const service = await this.getService(uuid, options);
     
     return {
       status: 'success',
@@ -333,6 +410,7 @@ export class ServicesAPI {
    * 
    * @param {string} country - Country code (e.g., 'UG')
    * @param {Object} params - Additional query parameters
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Services available in specified country
    * 
    * @example
@@ -341,18 +419,18 @@ export class ServicesAPI {
    * console.log('Services in Uganda:', ugandaServices.data.services);
    * ```
    */
-  async getByCountry(country, params = {}) {
+  async getByCountry(country, params = {}, options = {}) {
     if (!country || typeof country !== 'string') {
-      throw new MarzPayError('Country code is required', 'MISSING_COUNTRY', 400);
+      throw new ValidationError('Country code is required', 'MISSING_COUNTRY');
     }
 
     if (country.length !== 2) {
-      throw new MarzPayError('Country code must be 2 characters', 'INVALID_COUNTRY_CODE', 400);
+      throw new ValidationError('Country code must be 2 characters', 'INVALID_COUNTRY_CODE');
     }
 
     // This would require the API to support country filtering
     // For now, we'll get all services and filter by country if available
-    const services = await this.getServices(params);
+    const services = await this.getServices(params, options);
     
     if (services.data.services && services.data.services.length > 0) {
       const filteredServices = services.data.services.filter(service => 
@@ -378,6 +456,7 @@ export class ServicesAPI {
    * Compare services
    * 
    * @param {Array<string>} serviceUuids - Array of service UUIDs to compare
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Service comparison
    * 
    * @example
@@ -390,25 +469,25 @@ export class ServicesAPI {
    * console.log('Service comparison:', comparison.data.comparison);
    * ```
    */
-  async compareServices(serviceUuids) {
+  async compareServices(serviceUuids, options = {}) {
     if (!Array.isArray(serviceUuids) || serviceUuids.length < 2) {
-      throw new MarzPayError('At least 2 service UUIDs are required for comparison', 'INSUFFICIENT_SERVICES', 400);
+      throw new ValidationError('At least 2 service UUIDs are required for comparison', 'INSUFFICIENT_SERVICES');
     }
 
     if (serviceUuids.length > 5) {
-      throw new MarzPayError('Maximum 5 services can be compared at once', 'TOO_MANY_SERVICES', 400);
+      throw new ValidationError('Maximum 5 services can be compared at once', 'TOO_MANY_SERVICES');
     }
 
     // Validate all UUIDs
     for (const uuid of serviceUuids) {
       if (!this.marzpay.utils.isValidUUID(uuid)) {
-        throw new MarzPayError(`Invalid UUID format: ${uuid}`, 'INVALID_UUID', 400);
+        throw new ValidationError(`Invalid UUID format: ${uuid}`, 'INVALID_UUID');
       }
     }
 
     // Get all services
     const services = await Promise.all(
-      serviceUuids.map(uuid => this.getService(uuid))
+      serviceUuids.map(uuid => this.getService(uuid, options))
     );
 
     // Create comparison object
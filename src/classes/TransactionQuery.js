@@ -0,0 +1,429 @@
+import { ValidationError } from '../errors/MarzPayError.js';
+import { TransactionAggregator } from '../utils/TransactionAggregator.js';
+
+/**
+ * Transaction Query - Chainable, combinable transaction filters
+ *
+ * Filters the API understands (a single type, status or provider, a date
+ * range, a reference) are sent as query parameters; everything else
+ * (several values for one field, amount bounds, custom predicates, sorting)
+ * is applied client-side while the pages stream in. The whole query is
+ * validated once, before the first request.
+ *
+ * @example
+ * ```javascript
+ * const failed = await marzpay.transactions.query()
+ *   .type('collection')
+ *   .status('failed')
+ *   .provider('mtn')
+ *   .between('2024-01-01', '2024-01-31')
+ *   .amountAbove(5000)
+ *   .sort('-created_at')
+ *   .execute();
+ *
+ * for await (const tx of marzpay.transactions.query().status('successful', 'pending')) {
+ *   console.log(tx.reference);
+ * }
+ *
+ * const count = await marzpay.transactions.query().type('refund').count();
+ * ```
+ */
+export class TransactionQuery {
+  /**
+   * Create a new TransactionQuery
+   *
+   * @param {TransactionsAPI} transactions - Transactions API used to fetch pages
+   * @param {RequestOptions} [options] - Request options applied to every page request
+   */
+  constructor(transactions, options = {}) {
+    this.transactions = transactions;
+    this.options = options;
+    this.filters = {};
+    this.predicates = [];
+    this.sortKeys = [];
+    this.maxResults = null;
+    this.compiled = null;
+  }
+
+  /**
+   * Only include transactions of the given type(s)
+   *
+   * @param {...string} types - 'collection', 'withdrawal', 'charge' or 'refund'
+   * @returns {TransactionQuery} This query
+   */
+  type(...types) {
+    return this.set('type', types.flat());
+  }
+
+  /**
+   * Only include transactions with the given status(es)
+   *
+   * @param {...string} statuses - 'pending', 'processing', 'successful', 'failed' or 'cancelled'
+   * @returns {TransactionQuery} This query
+   */
+  status(...statuses) {
+    return this.set('status', statuses.flat());
+  }
+
+  /**
+   * Only include transactions from the given provider(s)
+   *
+   * @param {...string} providers - 'mtn' or 'airtel'
+   * @returns {TransactionQuery} This query
+   */
+  provider(...providers) {
+    return this.set('provider', providers.flat());
+  }
+
+  /**
+   * Only include transactions created within a date range (inclusive)
+   *
+   * @param {string|Date} [start] - Start date (YYYY-MM-DD or Date), open-ended when omitted
+   * @param {string|Date} [end] - End date (YYYY-MM-DD or Date), open-ended when omitted
+   * @returns {TransactionQuery} This query
+   */
+  between(start, end) {
+    this.set('start_date', start);
+    return this.set('end_date', end);
+  }
+
+  /**
+   * Only include transactions with a reference
+   *
+   * @param {string} reference - Transaction reference
+   * @returns {TransactionQuery} This query
+   */
+  reference(reference) {
+    return this.set('reference', reference);
+  }
+
+  /**
+   * Only include transactions with an amount strictly above a value
+   *
+   * @param {number} amount - Lower bound (exclusive)
+   * @returns {TransactionQuery} This query
+   */
+  amountAbove(amount) {
+    return this.set('amount_above', amount);
+  }
+
+  /**
+   * Only include transactions with an amount strictly below a value
+   *
+   * @param {number} amount - Upper bound (exclusive)
+   * @returns {TransactionQuery} This query
+   */
+  amountBelow(amount) {
+    return this.set('amount_below', amount);
+  }
+
+  /**
+   * Only include transactions matching a custom predicate
+   *
+   * @param {Function} predicate - Called with each transaction, returns true to keep it
+   * @returns {TransactionQuery} This query
+   */
+  where(predicate) {
+    this.predicates.push(predicate);
+    this.compiled = null;
+    return this;
+  }
+
+  /**
+   * Sort the results
+   *
+   * @param {...string} fields - Field names or dotted paths, prefixed with '-' for descending order
+   * ('amount' compares numeric amounts)
+   * @returns {TransactionQuery} This query
+   */
+  sort(...fields) {
+    this.sortKeys = fields.flat();
+    this.compiled = null;
+    return this;
+  }
+
+  /**
+   * Stop after a number of matching transactions
+   *
+   * @param {number} count - Maximum number of results
+   * @returns {TransactionQuery} This query
+   */
+  limit(count) {
+    this.maxResults = count;
+    this.compiled = null;
+    return this;
+  }
+
+  /**
+   * Run the query
+   *
+   * @returns {Promise<Array<Object>>} Matching transactions
+   *
+   * @throws {ValidationError} When the query is invalid
+   * @throws {MarzPayError} When an API request fails
+   */
+  async execute() {
+    const results = [];
+
+    for await (const transaction of this) {
+      results.push(transaction);
+    }
+
+    return results;
+  }
+
+  /**
+   * Count matching transactions
+   *
+   * Uses the API's pagination total when every filter is server-side,
+   * otherwise streams through the matching pages.
+   *
+   * @returns {Promise<number>} Number of matching transactions
+   */
+  async count() {
+    const { params, clientSide } = this.compile();
+    if (this.maxResults === 0) {
+      return 0;
+    }
+
+    if (!clientSide) {
+      const response = await this.transactions.getTransactions({ ...params, page: 1, per_page: 1 }, this.options);
+      const pagination = (response.data && response.data.pagination) || {};
+      const total = Number(pagination.total);
+
+      if (Number.isFinite(total)) {
+        return this.maxResults === null ? total : Math.min(total, this.maxResults);
+      }
+    }
+
+    // Sorting does not change the count, so matches are counted without buffering them
+    const limit = this.maxResults === null ? Infinity : this.maxResults;
+    let count = 0;
+    for await (const transaction of this.transactions.list(params, this.options)) {
+      if (this.matches(transaction) && ++count >= limit) {
+        break;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Iterate over matching transactions
+   *
+   * Results stream page by page, except when sorted: sorting needs every
+   * match before the first one can be yielded.
+   *
+   * @returns {AsyncGenerator<Object>} Matching transactions
+   */
+  async *[Symbol.asyncIterator]() {
+    const { params } = this.compile();
+    const limit = this.maxResults === null ? Infinity : this.maxResults;
+    if (limit <= 0) {
+      return;
+    }
+
+    const source = this.transactions.list(params, this.options);
+
+    if (this.sortKeys.length === 0) {
+      let yielded = 0;
+      for await (const transaction of source) {
+        if (this.matches(transaction)) {
+          yield transaction;
+          if (++yielded >= limit) {
+            return;
+          }
+        }
+      }
+      return;
+    }
+
+    const matches = [];
+    for await (const transaction of source) {
+      if (this.matches(transaction)) {
+        matches.push(transaction);
+      }
+    }
+
+    yield* matches.sort((a, b) => this.compare(a, b)).slice(0, limit);
+  }
+
+  /**
+   * Describe the query: API parameters and client-side filters
+   *
+   * @returns {Object} `{ params, client, sort, limit }`
+   */
+  toJSON() {
+    const { params, client } = this.compile();
+    return { params, client, sort: this.sortKeys, limit: this.maxResults };
+  }
+
+  /**
+   * Validate the query and split it into API parameters and client-side filters
+   *
+   * @private
+   */
+  compile() {
+    if (this.compiled) {
+      return this.compiled;
+    }
+
+    const params = {};
+    const client = {};
+    const utils = this.transactions.marzpay.utils;
+
+    ['type', 'status', 'provider'].forEach(field => {
+      const values = this.filters[field];
+      if (!values || values.length === 0) {
+        return;
+      }
+      // Validate every value against the API's own rules
+      values.forEach(value => this.transactions.validateTransactionParams({ [field]: value }));
+      if (values.length === 1) {
+        params[field] = values[0];
+      } else {
+        client[field] = values;
+      }
+    });
+
+    ['start_date', 'end_date'].forEach(field => {
+      const value = this.filters[field];
+      if (value instanceof Date) {
+        if (isNaN(value.getTime())) {
+          throw new ValidationError(`Invalid ${field.replace('_', ' ')}`, `INVALID_${field.toUpperCase()}`);
+        }
+        params[field] = utils.formatDate(value);
+      } else if (value !== undefined && value !== null) {
+        params[field] = value;
+      }
+    });
+
+    if (this.filters.reference !== undefined) {
+      params.reference = this.filters.reference;
+    }
+
+    ['amount_above', 'amount_below'].forEach(field => {
+      const value = this.filters[field];
+      if (value === undefined) {
+        return;
+      }
+      if (!Number.isFinite(value)) {
+        throw new ValidationError('Amount bound must be a finite number', 'INVALID_AMOUNT');
+      }
+      client[field] = value;
+    });
+
+    if (client.amount_above !== undefined && client.amount_below !== undefined && client.amount_above >= client.amount_below) {
+      throw new ValidationError('Lower amount bound must be below the upper bound', 'INVALID_AMOUNT_RANGE');
+    }
+
+    if (this.maxResults !== null && (!Number.isInteger(this.maxResults) || this.maxResults < 0)) {
+      throw new ValidationError('Limit must be a non-negative integer', 'INVALID_LIMIT');
+    }
+
+    this.sortKeys.forEach(key => {
+      if (typeof key !== 'string' || !/^-?[\w.]+$/.test(key)) {
+        throw new ValidationError(`Invalid sort field: ${key}`, 'INVALID_SORT');
+      }
+    });
+
+    this.predicates.forEach(predicate => {
+      if (typeof predicate !== 'function') {
+        throw new ValidationError('where() expects a function', 'INVALID_PREDICATE');
+      }
+    });
+
+    this.transactions.validateTransactionParams(params);
+
+    const clientSide = Object.keys(client).length > 0 || this.predicates.length > 0;
+    if (this.predicates.length > 0) {
+      client.predicates = this.predicates.length;
+    }
+
+    this.compiled = { params, client, clientSide };
+    return this.compiled;
+  }
+
+  /**
+   * Check a transaction against the client-side filters
+   *
+   * @private
+   */
+  matches(transaction) {
+    const { client } = this.compile();
+
+    for (const field of ['type', 'status', 'provider']) {
+      if (client[field] && !client[field].includes(transaction[field])) {
+        return false;
+      }
+    }
+
+    const amount = TransactionAggregator.amountOf(transaction);
+    if (client.amount_above !== undefined && !(amount > client.amount_above)) {
+      return false;
+    }
+    if (client.amount_below !== undefined && !(amount < client.amount_below)) {
+      return false;
+    }
+
+    return this.predicates.every(predicate => predicate(transaction));
+  }
+
+  /**
+   * Compare two transactions by the sort keys
+   *
+   * @private
+   */
+  compare(a, b) {
+    for (const key of this.sortKeys) {
+      const descending = key.startsWith('-');
+      const field = descending ? key.slice(1) : key;
+      const left = TransactionQuery.valueOf(a, field);
+      const right = TransactionQuery.valueOf(b, field);
+
+      if (left === right) {
+        continue;
+      }
+      // Missing values sort last in either direction
+      if (left === undefined || left === null) {
+        return 1;
+      }
+      if (right === undefined || right === null) {
+        return -1;
+      }
+
+      const order = typeof left === 'number' && typeof right === 'number'
+        ? left - right
+        : String(left).localeCompare(String(right));
+      if (order !== 0) {
+        return descending ? -order : order;
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Record a filter and invalidate the compiled query
+   *
+   * @private
+   */
+  set(field, value) {
+    this.filters[field] = value;
+    this.compiled = null;
+    return this;
+  }
+
+  /**
+   * Read a (dotted) field for sorting
+   *
+   * @private
+   */
+  static valueOf(transaction, field) {
+    if (field === 'amount') {
+      const amount = TransactionAggregator.amountOf(transaction);
+      return Number.isNaN(amount) ? undefined : amount;
+    }
+
+    return field.split('.').reduce((value, part) => (value === null || value === undefined ? value : value[part]), transaction);
+  }
+}
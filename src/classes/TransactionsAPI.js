@@ -1,4 +1,12 @@
-import { MarzPayError } from '../errors/MarzPayError.js';
+import { ValidationError } from '../errors/MarzPayError.js';
+import { Paginator } from '../utils/Paginator.js';
+import { TransactionQuery } from './TransactionQuery.js';
+import { TransactionAggregator } from '../utils/TransactionAggregator.js';
+import { TimeSeries } from '../utils/TimeSeries.js';
+import { TimeZone } from '../utils/TimeZone.js';
+import { Exporter } from '../exporters/Exporter.js';
+import { Statement } from '../statements/Statement.js';
+import { Reconciler } from '../reconciliation/Reconciler.js';
 
 /**
  * Transactions API - Transaction management and queries
@@ -25,6 +33,27 @@ export class TransactionsAPI {
     this.marzpay = marzpay;
   }
 
+  /**
+   * Columns written by `export()` when none are given
+   * 
+   * @type {Array<string|Object>}
+   */
+  static get EXPORT_COLUMNS() {
+    return [
+      'uuid',
+      'reference',
+      'type',
+      'status',
+      'amount',
+      { header: 'currency', value: transaction => (transaction.amount && transaction.amount.currency) || transaction.currency },
+      'charge',
+      { header: 'provider', value: transaction => transaction.provider || (transaction.details && transaction.details.provider) },
+      { header: 'phone_number', value: transaction => transaction.phone_number || (transaction.details && transaction.details.phone_number) },
+      'description',
+      { header: 'created_at', value: transaction => transaction.created_at || (transaction.timeline && transaction.timeline.created_at) }
+    ];
+  }
+
   /**
    * Get all transactions with optional filtering
    * 
@@ -37,6 +66,7 @@ export class TransactionsAPI {
    * @param {string} [params.start_date] - Start date (ISO format: YYYY-MM-DD)
    * @param {string} [params.end_date] - End date (ISO format: YYYY-MM-DD)
    * @param {string} [params.reference] - Transaction reference
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * 
    * @returns {Promise<Object>} Transactions list with pagination
    * 
@@ -63,20 +93,104 @@ export class TransactionsAPI {
    * }
    * ```
    */
-  async getTransactions(params = {}) {
+  async getTransactions(params = {}, options = {}) {
     // Validate parameters
     this.validateTransactionParams(params);
 
     // Build query string
     const queryString = this.marzpay.utils.buildQueryString(params);
 
-    return this.marzpay.request(`/transactions?${queryString}`);
+    return this.marzpay.request(`/transactions?${queryString}`, options);
+  }
+
+  /**
+   * Iterate over all transactions matching the filters, across every page
+   * 
+   * @param {Object} params - Query parameters (same filters as getTransactions)
+   * @param {RequestOptions} [options] - Request options applied to every page request
+   * @returns {Paginator} Async iterable of transactions with `.pages()` and `.toArray({ limit })`
+   * 
+   * @example
+   * ```javascript
+   * for await (const transaction of marzpay.transactions.list({ status: 'successful' })) {
+   *   console.log(transaction.reference, transaction.amount.formatted);
+   * }
+   * 
+   * const firstHundred = await marzpay.transactions.list({ type: 'collection' }).toArray({ limit: 100 });
+   * ```
+   */
+  list(params = {}, options = {}) {
+    return new Paginator(pageParams => this.getTransactions(pageParams, options), {
+      params,
+      itemsKey: 'transactions'
+    });
+  }
+
+  /**
+   * Start a chainable transaction query
+   * 
+   * Filters can be combined freely; those the API supports are sent as
+   * query parameters and the rest are applied client-side.
+   * 
+   * @param {RequestOptions} [options] - Request options applied to every page request
+   * @returns {TransactionQuery} New query
+   * 
+   * @example
+   * ```javascript
+   * const transactions = await marzpay.transactions.query()
+   *   .type('collection')
+   *   .status('failed')
+   *   .provider('mtn')
+   *   .between('2024-01-01', '2024-01-31')
+   *   .amountAbove(5000)
+   *   .sort('-created_at')
+   *   .execute();
+   * ```
+   */
+  query(options = {}) {
+    return new TransactionQuery(this, options);
+  }
+
+  /**
+   * Export all transactions matching the filters as CSV or JSON Lines
+   * 
+   * Returns immediately; pages are fetched as the export is consumed. Amounts
+   * are written as plain numbers and phone numbers are masked by default.
+   * 
+   * @param {Object} [settings] - Export settings
+   * @param {string} [settings.format='csv'] - 'csv' or 'jsonl'
+   * @param {Array<string|Object>|Object} [settings.columns] - Column mapping (defaults to `TransactionsAPI.EXPORT_COLUMNS`)
+   * @param {Object} [settings.filters] - Query parameters (same filters as getTransactions)
+   * @param {boolean} [settings.maskPhoneNumbers=true] - Mask phone numbers
+   * @param {string} [settings.delimiter=','] - CSV field delimiter
+   * @param {RequestOptions} [options] - Request options applied to every page request
+   * @returns {Exporter} Export with `pipeTo()`, `toReadableStream()`, `toNodeStream()` and `text()`
+   * 
+   * @example
+   * ```javascript
+   * import { createWriteStream } from 'fs';
+   * 
+   * const { rows } = await marzpay.transactions.export({
+   *   format: 'csv',
+   *   columns: { Date: 'created_at', Reference: 'reference', Amount: 'amount', Phone: 'phone_number' },
+   *   filters: { status: 'successful', start_date: '2024-01-01', end_date: '2024-01-07' }
+   * }).pipeTo(createWriteStream('weekly.csv'));
+   * ```
+   */
+  export(settings = {}, options = {}) {
+    const { filters = {}, ...exportSettings } = settings;
+
+    return new Exporter(this.list(filters, options), {
+      defaultColumns: TransactionsAPI.EXPORT_COLUMNS,
+      ...exportSettings
+    });
   }
 
   /**
    * Get transaction details by UUID
    * 
    * @param {string} uuid - Transaction UUID
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Transaction details
    * 
    * @throws {MarzPayError} When UUID is missing or API request fails
@@ -93,16 +207,16 @@ export class TransactionsAPI {
    * }
    * ```
    */
-  async getTransaction(uuid) {
+  async getTransaction(uuid, options = {}) {
     if (!uuid) {
-      throw new MarzPayError('Transaction UUID is required', 'MISSING_UUID', 400);
+      throw new ValidationError('Transaction UUID is required', 'MISSING_UUID');
     }
 
     if (!this.marzpay.utils.isValidUUID(uuid)) {
-      throw new MarzPayError('Invalid UUID format', 'INVALID_UUID', 400);
+      throw new ValidationError('Invalid UUID format', 'INVALID_UUID');
     }
 
-    return this.marzpay.request(`/transactions/${uuid}`);
+    return this.marzpay.request(`/transactions/${uuid}`, options);
   }
 
   /**
@@ -118,52 +232,52 @@ export class TransactionsAPI {
 
     if (page !== undefined) {
       if (!Number.isInteger(page) || page < 1) {
-        throw new MarzPayError('Page must be a positive integer', 'INVALID_PAGE', 400);
+        throw new ValidationError('Page must be a positive integer', 'INVALID_PAGE');
       }
     }
 
     if (per_page !== undefined) {
       if (!Number.isInteger(per_page) || per_page < 1 || per_page > 100) {
-        throw new MarzPayError('Per page must be between 1 and 100', 'INVALID_PER_PAGE', 400);
+        throw new ValidationError('Per page must be between 1 and 100', 'INVALID_PER_PAGE');
       }
     }
 
     if (type !== undefined) {
       const validTypes = ['collection', 'withdrawal', 'charge', 'refund'];
       if (!validTypes.includes(type)) {
-        throw new MarzPayError('Invalid transaction type', 'INVALID_TYPE', 400);
+        throw new ValidationError('Invalid transaction type', 'INVALID_TYPE');
       }
     }
 
     if (status !== undefined) {
       const validStatuses = ['pending', 'processing', 'successful', 'failed', 'cancelled'];
       if (!validStatuses.includes(status)) {
-        throw new MarzPayError('Invalid transaction status', 'INVALID_STATUS', 400);
+        throw new ValidationError('Invalid transaction status', 'INVALID_STATUS');
       }
     }
 
     if (provider !== undefined) {
       const validProviders = ['mtn', 'airtel'];
       if (!validProviders.includes(provider)) {
-        throw new MarzPayError('Invalid provider', 'INVALID_PROVIDER', 400);
+        throw new ValidationError('Invalid provider', 'INVALID_PROVIDER');
       }
     }
 
     if (start_date !== undefined) {
       if (!this.isValidDate(start_date)) {
-        throw new MarzPayError('Start date must be in YYYY-MM-DD format', 'INVALID_START_DATE', 400);
+        throw new ValidationError('Start date must be in YYYY-MM-DD format', 'INVALID_START_DATE');
       }
     }
 
     if (end_date !== undefined) {
       if (!this.isValidDate(end_date)) {
-        throw new MarzPayError('End date must be in YYYY-MM-DD format', 'INVALID_END_DATE', 400);
+        throw new ValidationError('End date must be in YYYY-MM-DD format', 'INVALID_END_DATE');
       }
     }
 
     if (start_date && end_date) {
       if (new Date(start_date) > new Date(end_date)) {
-        throw new MarzPayError('Start date cannot be after end date', 'INVALID_DATE_RANGE', 400);
+        throw new ValidationError('Start date cannot be after end date', 'INVALID_DATE_RANGE');
       }
     }
   }
@@ -177,8 +291,7 @@ export class TransactionsAPI {
    * @private
    */
   isValidDate(dateString) {
-    const date = new Date(dateString);
-    return date instanceof Date && !isNaN(date) && dateString.match(/^\d{4}-\d{2}-\d{2}$/);
+    return TimeZone.isValidDay(dateString);
   }
 
   /**
@@ -186,6 +299,7 @@ export class TransactionsAPI {
    * 
    * @param {string} type - Transaction type
    * @param {Object} params - Additional query parameters
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Transactions of specified type
    * 
    * @example
@@ -196,8 +310,8 @@ export class TransactionsAPI {
    * });
    * ```
    */
-  async getByType(type, params = {}) {
-    return this.getTransactions({ type, ...params });
+  async getByType(type, params = {}, options = {}) {
+    return this.getTransactions({ type, ...params }, options);
   }
 
   /**
@@ -205,6 +319,7 @@ export class TransactionsAPI {
    * 
    * @param {string} status - Transaction status
    * @param {Object} params - Additional query parameters
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Transactions with specified status
    * 
    * @example
@@ -213,8 +328,8 @@ export class TransactionsAPI {
    * const successful = await marzpay.transactions.getByStatus('successful');
    * ```
    */
-  async getByStatus(status, params = {}) {
-    return this.getTransactions({ status, ...params });
+  async getByStatus(status, params = {}, options = {}) {
+    return this.getTransactions({ status, ...params }, options);
   }
 
   /**
@@ -222,6 +337,7 @@ export class TransactionsAPI {
    * 
    * @param {string} provider - Mobile money provider
    * @param {Object} params - Additional query parameters
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Transactions from specified provider
    * 
    * @example
@@ -230,8 +346,8 @@ export class TransactionsAPI {
    * const airtelTransactions = await marzpay.transactions.getByProvider('airtel');
    * ```
    */
-  async getByProvider(provider, params = {}) {
-    return this.getTransactions({ provider, ...params });
+  async getByProvider(provider, params = {}, options = {}) {
+    return this.getTransactions({ provider, ...params }, options);
   }
 
   /**
@@ -240,6 +356,7 @@ export class TransactionsAPI {
    * @param {string} startDate - Start date (YYYY-MM-DD)
    * @param {string} endDate - End date (YYYY-MM-DD)
    * @param {Object} params - Additional query parameters
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Transactions in date range
    * 
    * @example
@@ -250,23 +367,114 @@ export class TransactionsAPI {
    * );
    * ```
    */
-  async getByDateRange(startDate, endDate, params = {}) {
+  async getByDateRange(startDate, endDate, params = {}, options = {}) {
     if (!startDate || !endDate) {
-      throw new MarzPayError('Both start and end dates are required', 'MISSING_DATES', 400);
+      throw new ValidationError('Both start and end dates are required', 'MISSING_DATES');
     }
 
     return this.getTransactions({
       start_date: startDate,
       end_date: endDate,
       ...params
+    }, options);
+  }
+
+  /**
+   * Build a bank statement from the successful transactions of a date range
+   * 
+   * Collections and refunds are booked as credits, withdrawals and charges as
+   * debits, with fees on lines of their own. Transactions carry no running
+   * balance, so the closing balance is derived from `openingBalance`; use
+   * `balance.getStatement()` for balances taken from the ledger.
+   * 
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @param {Object} [settings] - Statement settings
+   * @param {Object} [settings.filters] - Further query parameters (type, provider, ...)
+   * @param {Object} [settings.account] - Account: `{ id, name, currency, servicer }`
+   * @param {number} [settings.openingBalance=0] - Balance at the start of the period
+   * @param {number} [settings.sequence=1] - Statement sequence number
+   * @param {boolean} [settings.splitCharges] - Book withdrawal charges as separate entries (default: when the
+   * results contain no `charge` transactions)
+   * @param {RequestOptions} [options] - Request options applied to every page request
+   * @returns {Promise<Statement>} Statement with `toCamt053()`, `toMt940()`, `toOfx()` and `toQif()`
+   * 
+   * @example
+   * ```javascript
+   * const statement = await marzpay.transactions.getStatement('2024-01-01', '2024-01-31', {
+   *   account: { id: 'UG-MARZ-000123' },
+   *   filters: { provider: 'mtn' },
+   *   openingBalance: 250000
+   * });
+   * fs.writeFileSync('january.ofx', statement.toOfx());
+   * fs.writeFileSync('january.qif', statement.toQif({ dateFormat: 'DD/MM/YYYY' }));
+   * ```
+   */
+  async getStatement(startDate, endDate, settings = {}, options = {}) {
+    if (!startDate || !endDate) {
+      throw new ValidationError('Both start and end dates are required', 'MISSING_DATES');
+    }
+
+    const { filters = {}, ...statementSettings } = settings;
+    const params = { ...filters, start_date: startDate, end_date: endDate, status: 'successful' };
+    const transactions = await this.list(params, options).toArray();
+
+    return Statement.fromTransactions(transactions, {
+      timeZone: this.marzpay.timeZone,
+      ...statementSettings,
+      start: startDate,
+      end: endDate
     });
   }
 
+  /**
+   * Reconcile internal records against the transactions of a date range
+   * 
+   * Pages through every transaction of the window and matches it to a record
+   * by reference. The report lists matched items, amount, status and phone
+   * mismatches, records missing on MarzPay and unexpected transactions.
+   * 
+   * @param {Array<Object>} records - Internal records: `{ reference, amount, phone, status }` (`phone` and
+   * `status` are optional)
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @param {Object} [settings] - Reconciliation settings
+   * @param {Object} [settings.filters] - Further query parameters (same filters as getTransactions)
+   * @param {number} [settings.tolerance=0] - Largest amount difference still treated as equal
+   * @param {Object<string, string>} [settings.statuses] - Internal statuses mapped to MarzPay statuses
+   * @param {RequestOptions} [options] - Request options applied to every page request
+   * @returns {Promise<ReconciliationReport>} Report with `summary`, `toJSON()` and `export()`
+   * 
+   * @throws {ValidationError} When dates are missing or records are malformed
+   * 
+   * @example
+   * ```javascript
+   * const report = await marzpay.transactions.reconcile(orders, '2024-01-01', '2024-01-31', {
+   *   filters: { type: 'collection' },
+   *   statuses: { paid: 'successful', unpaid: 'failed' }
+   * });
+   * 
+   * console.log(report.summary);
+   * await report.export({ format: 'csv' }).pipeTo(fs.createWriteStream('reconciliation.csv'));
+   * ```
+   */
+  async reconcile(records, startDate, endDate, settings = {}, options = {}) {
+    if (!startDate || !endDate) {
+      throw new ValidationError('Both start and end dates are required', 'MISSING_DATES');
+    }
+
+    const { filters = {}, ...reconcilerSettings } = settings;
+    const reconciler = new Reconciler({ ...reconcilerSettings, start: startDate, end: endDate });
+    const params = { ...filters, start_date: startDate, end_date: endDate };
+    return reconciler.reconcile(records, this.list(params, options));
+  }
+
   /**
    * Get recent transactions (last N days)
    * 
    * @param {number} days - Number of days to look back
    * @param {Object} params - Additional query parameters
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Recent transactions
    * 
    * @example
@@ -275,25 +483,23 @@ export class TransactionsAPI {
    * const today = await marzpay.transactions.getRecent(1); // Today only
    * ```
    */
-  async getRecent(days = 7, params = {}) {
+  async getRecent(days = 7, params = {}, options = {}) {
     if (!Number.isInteger(days) || days < 1 || days > 365) {
-      throw new MarzPayError('Days must be between 1 and 365', 'INVALID_DAYS', 400);
+      throw new ValidationError('Days must be between 1 and 365', 'INVALID_DAYS');
     }
 
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(endDate.getDate() - days);
+    // Business days in the client's time zone, not UTC
+    const endDate = TimeZone.from(this.marzpay.timeZone).today();
+    const startDate = TimeZone.addDays(endDate, -days);
 
-    const startDateStr = startDate.toISOString().split('T')[0];
-    const endDateStr = endDate.toISOString().split('T')[0];
-
-    return this.getByDateRange(startDateStr, endDateStr, params);
+    return this.getByDateRange(startDate, endDate, params, options);
   }
 
   /**
    * Get transaction summary statistics
    * 
    * @param {Object} params - Query parameters for filtering
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Transaction summary statistics
    * 
    * @example
@@ -306,15 +512,12 @@ export class TransactionsAPI {
    * console.log('Total amount:', stats.data.summary.total_amount);
    * console.log('Transaction count:', stats.data.summary.total_transactions);
    * console.log('Success rate:', stats.data.summary.success_rate);
+   * console.log('Median amount:', stats.data.summary.amounts.median);
    * ```
    */
-  async getSummary(params = {}) {
-    const transactions = await this.getTransactions({
-      ...params,
-      per_page: 1000 // Get all transactions for accurate summary
-    });
-
-    const summary = this.calculateSummary(transactions.data.transactions);
+  async getSummary(params = {}, options = {}) {
+    const aggregator = await this.aggregate(params, {}, options);
+    const summary = aggregator.getSummary();
     
     return {
       status: 'success',
@@ -334,51 +537,34 @@ export class TransactionsAPI {
    * @private
    */
   calculateSummary(transactions) {
-    let totalAmount = 0;
-    let totalTransactions = transactions.length;
-    let successfulTransactions = 0;
-    let failedTransactions = 0;
-    let pendingTransactions = 0;
-    let totalCollections = 0;
-    let totalWithdrawals = 0;
-
-    transactions.forEach(transaction => {
-      const amount = parseFloat(transaction.amount.raw) || 0;
-      
-      if (transaction.status === 'successful') {
-        successfulTransactions++;
-        totalAmount += amount;
-      } else if (transaction.status === 'failed') {
-        failedTransactions++;
-      } else if (transaction.status === 'pending') {
-        pendingTransactions++;
-      }
+    return new TransactionAggregator().addAll(transactions).getSummary();
+  }
 
-      if (transaction.type === 'collection') {
-        totalCollections++;
-      } else if (transaction.type === 'withdrawal') {
-        totalWithdrawals++;
-      }
-    });
+  /**
+   * Stream every matching transaction into an aggregator, one page at a time
+   * 
+   * @param {Object} params - Query parameters (same filters as getTransactions)
+   * @param {Object} [settings] - Aggregator options (see TransactionAggregator)
+   * @param {RequestOptions} [options] - Request options applied to every page request
+   * @returns {Promise<TransactionAggregator>} Aggregator holding the totals
+   * 
+   * @private
+   */
+  async aggregate(params, settings = {}, options = {}) {
+    const aggregator = new TransactionAggregator({ timeZone: this.marzpay.timeZone, ...settings });
 
-    const successRate = totalTransactions > 0 ? (successfulTransactions / totalTransactions) * 100 : 0;
+    for await (const page of this.list(params, options).pages()) {
+      aggregator.addAll(page.items);
+    }
 
-    return {
-      total_amount: totalAmount,
-      total_transactions: totalTransactions,
-      successful_transactions: successfulTransactions,
-      failed_transactions: failedTransactions,
-      pending_transactions: pendingTransactions,
-      total_collections: totalCollections,
-      total_withdrawals: totalWithdrawals,
-      success_rate: Math.round(successRate * 100) / 100
-    };
+    return aggregator;
   }
 
   /**
    * Search transactions by reference
    * 
    * @param {string} reference - Transaction reference to search for
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Matching transactions
    * 
    * @example
@@ -387,12 +573,12 @@ export class TransactionsAPI {
    * console.log('Found transactions:', results.data.transactions.length);
    * ```
    */
-  async searchByReference(reference) {
+  async searchByReference(reference, options = {}) {
     if (!reference || typeof reference !== 'string') {
-      throw new MarzPayError('Reference is required and must be a string', 'INVALID_REFERENCE', 400);
+      throw new ValidationError('Reference is required and must be a string', 'INVALID_REFERENCE');
     }
 
-    return this.getTransactions({ reference });
+    return this.getTransactions({ reference }, options);
   }
 
   /**
@@ -400,53 +586,40 @@ export class TransactionsAPI {
    * 
    * @param {string} period - Period type ('daily', 'weekly', 'monthly')
    * @param {number} count - Number of periods to analyze
-   * @returns {Promise<Object>} Transaction analytics
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
+   * @returns {Promise<Object>} Overall summary and exactly `count` series entries (oldest first, empty
+   * periods zero-filled), each broken down by status/type/provider with its change against the previous period
    * 
    * @example
    * ```javascript
    * const analytics = await marzpay.transactions.getAnalytics('monthly', 6);
-   * console.log('Monthly trends:', analytics.data.trends);
+   * analytics.data.series.forEach(month => {
+   *   console.log(month.period, month.total_amount, month.change && month.change.total_amount.percent);
+   * });
    * ```
    */
-  async getAnalytics(period = 'monthly', count = 6) {
+  async getAnalytics(period = 'monthly', count = 6, options = {}) {
     const validPeriods = ['daily', 'weekly', 'monthly'];
     if (!validPeriods.includes(period)) {
-      throw new MarzPayError('Period must be daily, weekly, or monthly', 'INVALID_PERIOD', 400);
+      throw new ValidationError('Period must be daily, weekly, or monthly', 'INVALID_PERIOD');
     }
 
     if (!Number.isInteger(count) || count < 1 || count > 24) {
-      throw new MarzPayError('Count must be between 1 and 24', 'INVALID_COUNT', 400);
+      throw new ValidationError('Count must be between 1 and 24', 'INVALID_COUNT');
     }
 
-    // Calculate date range
-    const endDate = new Date();
-    const startDate = new Date();
-    
-    switch (period) {
-      case 'daily':
-        startDate.setDate(endDate.getDate() - count);
-        break;
-      case 'weekly':
-        startDate.setDate(endDate.getDate() - (count * 7));
-        break;
-      case 'monthly':
-        startDate.setMonth(endDate.getMonth() - count);
-        break;
-    }
+    // One bucket per period, the current (partial) period included
+    const { start, end } = TimeSeries.window(period, count, new Date(), this.marzpay.timeZone);
+    const aggregator = await this.aggregate({ start_date: start, end_date: end }, { bucket: period }, options);
 
-    const startDateStr = startDate.toISOString().split('T')[0];
-    const endDateStr = endDate.toISOString().split('T')[0];
-
-    const transactions = await this.getByDateRange(startDateStr, endDateStr, { per_page: 1000 });
-    
     return {
       status: 'success',
       data: {
         period,
         count,
-        date_range: { start: startDateStr, end: endDateStr },
-        summary: this.calculateSummary(transactions.data.transactions),
-        transactions: transactions.data.transactions
+        date_range: { start, end },
+        summary: aggregator.getSummary(),
+        series: aggregator.getSeries({ start, end })
       }
     };
   }
@@ -1,4 +1,5 @@
-import { MarzPayError } from '../errors/MarzPayError.js';
+import { ValidationError } from '../errors/MarzPayError.js';
+import { Paginator } from '../utils/Paginator.js';
 
 /**
  * Webhooks API - Webhook management and notifications
@@ -31,6 +32,7 @@ export class WebhooksAPI {
    * @param {Object} params - Query parameters
    * @param {string} [params.status] - Webhook status ('active', 'inactive')
    * @param {string} [params.event_type] - Event type filter
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * 
    * @returns {Promise<Object>} Webhooks list with details
    * 
@@ -51,14 +53,35 @@ export class WebhooksAPI {
    * }
    * ```
    */
-  async getWebhooks(params = {}) {
+  async getWebhooks(params = {}, options = {}) {
     // Validate parameters
     this.validateWebhookParams(params);
 
     // Build query string
     const queryString = this.marzpay.utils.buildQueryString(params);
 
-    return this.marzpay.request(`/webhooks?${queryString}`);
+    return this.marzpay.request(`/webhooks?${queryString}`, options);
+  }
+
+  /**
+   * Iterate over all webhooks matching the filters, across every page
+   * 
+   * @param {Object} params - Query parameters (same filters as getWebhooks)
+   * @param {RequestOptions} [options] - Request options applied to every page request
+   * @returns {Paginator} Async iterable of webhooks with `.pages()` and `.toArray({ limit })`
+   * 
+   * @example
+   * ```javascript
+   * for await (const webhook of marzpay.webhooks.list({ status: 'active' })) {
+   *   console.log(webhook.uuid, webhook.name);
+   * }
+   * ```
+   */
+  list(params = {}, options = {}) {
+    return new Paginator(pageParams => this.getWebhooks(pageParams, options), {
+      params,
+      itemsKey: 'webhooks'
+    });
   }
 
   /**
@@ -70,6 +93,7 @@ export class WebhooksAPI {
    * @param {string} params.eventType - Event type ('success', 'failure', 'collection.completed', 'collection.failed', 'collection.cancelled')
    * @param {string} params.environment - Environment ('test', 'production')
    * @param {boolean} [params.isActive=true] - Whether webhook is active
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * 
    * @returns {Promise<Object>} Created webhook details
    * 
@@ -93,7 +117,7 @@ export class WebhooksAPI {
    * }
    * ```
    */
-  async createWebhook(params) {
+  async createWebhook(params, options = {}) {
     const { name, url, eventType, environment, isActive = true } = params;
 
     // Validate parameters
@@ -108,6 +132,7 @@ export class WebhooksAPI {
     };
 
     return this.marzpay.request('/webhooks', {
+      ...options,
       method: 'POST',
       body
     });
@@ -117,6 +142,7 @@ export class WebhooksAPI {
    * Get webhook details by UUID
    * 
    * @param {string} uuid - Webhook UUID
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Webhook details
    * 
    * @throws {MarzPayError} When UUID is missing or API request fails
@@ -134,16 +160,16 @@ export class WebhooksAPI {
    * }
    * ```
    */
-  async getWebhook(uuid) {
+  async getWebhook(uuid, options = {}) {
     if (!uuid) {
-      throw new MarzPayError('Webhook UUID is required', 'MISSING_UUID', 400);
+      throw new ValidationError('Webhook UUID is required', 'MISSING_UUID');
     }
 
     if (!this.marzpay.utils.isValidUUID(uuid)) {
-      throw new MarzPayError('Invalid UUID format', 'INVALID_UUID', 400);
+      throw new ValidationError('Invalid UUID format', 'INVALID_UUID');
     }
 
-    return this.marzpay.request(`/webhooks/${uuid}`);
+    return this.marzpay.request(`/webhooks/${uuid}`, options);
   }
 
   /**
@@ -156,6 +182,7 @@ export class WebhooksAPI {
    * @param {string} [params.eventType] - New event type
    * @param {string} [params.environment] - New environment
    * @param {boolean} [params.isActive] - New active status
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * 
    * @returns {Promise<Object>} Updated webhook details
    * 
@@ -176,13 +203,13 @@ export class WebhooksAPI {
    * }
    * ```
    */
-  async updateWebhook(uuid, params) {
+  async updateWebhook(uuid, params, options = {}) {
     if (!uuid) {
-      throw new MarzPayError('Webhook UUID is required', 'MISSING_UUID', 400);
+      throw new ValidationError('Webhook UUID is required', 'MISSING_UUID');
     }
 
     if (!this.marzpay.utils.isValidUUID(uuid)) {
-      throw new MarzPayError('Invalid UUID format', 'INVALID_UUID', 400);
+      throw new ValidationError('Invalid UUID format', 'INVALID_UUID');
     }
 
     // Validate update parameters
@@ -197,10 +224,11 @@ export class WebhooksAPI {
     if (params.isActive !== undefined) updateData.is_active = params.isActive;
 
     if (Object.keys(updateData).length === 0) {
-      throw new MarzPayError('No valid parameters provided for update', 'NO_UPDATE_PARAMS', 400);
+      throw new ValidationError('No valid parameters provided for update', 'NO_UPDATE_PARAMS');
     }
 
     return this.marzpay.request(`/webhooks/${uuid}`, {
+      ...options,
       method: 'PUT',
       body: updateData
     });
@@ -210,7 +238,8 @@ export class WebhooksAPI {
    * Delete a webhook
    * 
    * @param {string} uuid - Webhook UUID
-   * @returns {Promise<Object>} Deletion confirmation
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
+   * @returns {Promise<Object|null>} Deletion confirmation (null when the API answers 204 No Content)
    * 
    * @throws {MarzPayError} When UUID is missing or API request fails
    * 
@@ -224,16 +253,17 @@ export class WebhooksAPI {
    * }
    * ```
    */
-  async deleteWebhook(uuid) {
+  async deleteWebhook(uuid, options = {}) {
     if (!uuid) {
-      throw new MarzPayError('Webhook UUID is required', 'MISSING_UUID', 400);
+      throw new ValidationError('Webhook UUID is required', 'MISSING_UUID');
     }
 
     if (!this.marzpay.utils.isValidUUID(uuid)) {
-      throw new MarzPayError('Invalid UUID format', 'INVALID_UUID', 400);
+      throw new ValidationError('Invalid UUID format', 'INVALID_UUID');
     }
 
     return this.marzpay.request(`/webhooks/${uuid}`, {
+      ...options,
       method: 'DELETE'
     });
   }
@@ -252,14 +282,14 @@ export class WebhooksAPI {
     if (status !== undefined) {
       const validStatuses = ['active', 'inactive'];
       if (!validStatuses.includes(status)) {
-        throw new MarzPayError('Invalid webhook status', 'INVALID_STATUS', 400);
+        throw new ValidationError('Invalid webhook status', 'INVALID_STATUS');
       }
     }
 
     if (event_type !== undefined) {
       const validEventTypes = ['success', 'failure', 'collection.completed', 'collection.failed', 'collection.cancelled'];
       if (!validEventTypes.includes(event_type)) {
-        throw new MarzPayError('Invalid event type', 'INVALID_EVENT_TYPE', 400);
+        throw new ValidationError('Invalid event type', 'INVALID_EVENT_TYPE');
       }
     }
   }
@@ -276,37 +306,37 @@ export class WebhooksAPI {
     const { name, url, eventType, environment } = params;
 
     if (!name || typeof name !== 'string' || name.trim().length === 0) {
-      throw new MarzPayError('Webhook name is required and must be a non-empty string', 'MISSING_NAME', 400);
+      throw new ValidationError('Webhook name is required and must be a non-empty string', 'MISSING_NAME');
     }
 
     if (name.length > 100) {
-      throw new MarzPayError('Webhook name must be less than 100 characters', 'NAME_TOO_LONG', 400);
+      throw new ValidationError('Webhook name must be less than 100 characters', 'NAME_TOO_LONG');
     }
 
     if (!url || typeof url !== 'string' || url.trim().length === 0) {
-      throw new MarzPayError('Webhook URL is required and must be a non-empty string', 'MISSING_URL', 400);
+      throw new ValidationError('Webhook URL is required and must be a non-empty string', 'MISSING_URL');
     }
 
     if (!this.isValidUrl(url)) {
-      throw new MarzPayError('Invalid webhook URL format', 'INVALID_URL', 400);
+      throw new ValidationError('Invalid webhook URL format', 'INVALID_URL');
     }
 
     if (!eventType || typeof eventType !== 'string') {
-      throw new MarzPayError('Event type is required', 'MISSING_EVENT_TYPE', 400);
+      throw new ValidationError('Event type is required', 'MISSING_EVENT_TYPE');
     }
 
     const validEventTypes = ['success', 'failure', 'collection.completed', 'collection.failed', 'collection.cancelled'];
     if (!validEventTypes.includes(eventType)) {
-      throw new MarzPayError('Invalid event type', 'INVALID_EVENT_TYPE', 400);
+      throw new ValidationError('Invalid event type', 'INVALID_EVENT_TYPE');
     }
 
     if (!environment || typeof environment !== 'string') {
-      throw new MarzPayError('Environment is required', 'MISSING_ENVIRONMENT', 400);
+      throw new ValidationError('Environment is required', 'MISSING_ENVIRONMENT');
     }
 
     const validEnvironments = ['test', 'production'];
     if (!validEnvironments.includes(environment)) {
-      throw new MarzPayError('Environment must be either "test" or "production"', 'INVALID_ENVIRONMENT', 400);
+      throw new ValidationError('Environment must be either "test" or "production"', 'INVALID_ENVIRONMENT');
     }
   }
 
@@ -323,38 +353,38 @@ export class WebhooksAPI {
 
     if (name !== undefined) {
       if (typeof name !== 'string' || name.trim().length === 0) {
-        throw new MarzPayError('Webhook name must be a non-empty string', 'INVALID_NAME', 400);
+        throw new ValidationError('Webhook name must be a non-empty string', 'INVALID_NAME');
       }
       if (name.length > 100) {
-        throw new MarzPayError('Webhook name must be less than 100 characters', 'NAME_TOO_LONG', 400);
+        throw new ValidationError('Webhook name must be less than 100 characters', 'NAME_TOO_LONG');
       }
     }
 
     if (url !== undefined) {
       if (typeof url !== 'string' || url.trim().length === 0) {
-        throw new MarzPayError('Webhook URL must be a non-empty string', 'INVALID_URL', 400);
+        throw new ValidationError('Webhook URL must be a non-empty string', 'INVALID_URL');
       }
       if (!this.isValidUrl(url)) {
-        throw new MarzPayError('Invalid webhook URL format', 'INVALID_URL', 400);
+        throw new ValidationError('Invalid webhook URL format', 'INVALID_URL');
       }
     }
 
     if (eventType !== undefined) {
       const validEventTypes = ['success', 'failure', 'collection.completed', 'collection.failed', 'collection.cancelled'];
       if (!validEventTypes.includes(eventType)) {
-        throw new MarzPayError('Invalid event type', 'INVALID_EVENT_TYPE', 400);
+        throw new ValidationError('Invalid event type', 'INVALID_EVENT_TYPE');
       }
     }
 
     if (environment !== undefined) {
       const validEnvironments = ['test', 'production'];
       if (!validEnvironments.includes(environment)) {
-        throw new MarzPayError('Environment must be either "test" or "production"', 'INVALID_ENVIRONMENT', 400);
+        throw new ValidationError('Environment must be either "test" or "production"', 'INVALID_ENVIRONMENT');
       }
     }
 
     if (isActive !== undefined && typeof isActive !== 'boolean') {
-      throw new MarzPayError('isActive must be a boolean value', 'INVALID_IS_ACTIVE', 400);
+      throw new ValidationError('isActive must be a boolean value', 'INVALID_IS_ACTIVE');
     }
   }
 
@@ -380,6 +410,7 @@ export class WebhooksAPI {
    * 
    * @param {string} status - Webhook status
    * @param {Object} params - Additional query parameters
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Webhooks with specified status
    * 
    * @example
@@ -388,8 +419,8 @@ export class WebhooksAPI {
    * const inactiveWebhooks = await marzpay.webhooks.getByStatus('inactive');
    * ```
    */
-  async getByStatus(status, params = {}) {
-    return this.getWebhooks({ status, ...params });
+  async getByStatus(status, params = {}, options = {}) {
+    return this.getWebhooks({ status, ...params }, options);
   }
 
   /**
@@ -397,6 +428,7 @@ export class WebhooksAPI {
    * 
    * @param {string} eventType - Event type
    * @param {Object} params - Additional query parameters
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Webhooks for specified event type
    * 
    * @example
@@ -405,8 +437,8 @@ export class WebhooksAPI {
    * const collectionWebhooks = await marzpay.webhooks.getByEventType('collection.completed');
    * ```
    */
-  async getByEventType(eventType, params = {}) {
-    return this.getWebhooks({ event_type: eventType, ...params });
+  async getByEventType(eventType, params = {}, options = {}) {
+    return this.getWebhooks({ event_type: eventType, ...params }, options);
   }
 
   /**
@@ -414,6 +446,7 @@ export class WebhooksAPI {
    * 
    * @param {string} environment - Environment ('test' or 'production')
    * @param {Object} params - Additional query parameters
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Webhooks for specified environment
    * 
    * @example
@@ -422,10 +455,10 @@ export class WebhooksAPI {
    * const testWebhooks = await marzpay.webhooks.getByEnvironment('test');
    * ```
    */
-  async getByEnvironment(environment, params = {}) {
+  async getByEnvironment(environment, params = {}, options = {}) {
     // This would require the API to support environment filtering
     // For now, we'll get all webhooks and filter by environment if available
-    const webhooks = await this.getWebhooks(params);
+    const webhooks = await this.getWebhooks(params, options);
     
     if (webhooks.data.webhooks && webhooks.data.webhooks.length > 0) {
       const filteredWebhooks = webhooks.data.webhooks.filter(webhook => 
@@ -451,6 +484,7 @@ export class WebhooksAPI {
    * Activate a webhook
    * 
    * @param {string} uuid - Webhook UUID
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Updated webhook details
    * 
    * @example
@@ -459,14 +493,15 @@ export class WebhooksAPI {
    * console.log('Webhook activated:', result.data.webhook.is_active);
    * ```
    */
-  async activate(uuid) {
-    return this.updateWebhook(uuid, { isActive: true });
+  async activate(uuid, options = {}) {
+    return this.updateWebhook(uuid, { isActive: true }, options);
   }
 
   /**
    * Deactivate a webhook
    * 
    * @param {string} uuid - Webhook UUID
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Updated webhook details
    * 
    * @example
@@ -475,13 +510,14 @@ export class WebhooksAPI {
    * console.log('Webhook deactivated:', result.data.webhook.is_active);
    * ```
    */
-  async deactivate(uuid) {
-    return this.updateWebhook(uuid, { isActive: false });
+  async deactivate(uuid, options = {}) {
+    return this.updateWebhook(uuid, { isActive: false }, options);
   }
 
   /**
    * Get webhook summary statistics
    * 
+   * @param {RequestOptions} [options] - Request options (signal, timeout)
    * @returns {Promise<Object>} Webhook summary statistics
    * 
    * @example
@@ -492,14 +528,21 @@ export class WebhooksAPI {
    * console.log('Inactive webhooks:', summary.data.summary.inactive_webhooks);
    * ```
    */
-  async getSummary() {
-    const allWebhooks = await this.getWebhooks({ per_page: 1000 });
-    const activeWebhooks = await this.getByStatus('active', { per_page: 1000 });
+  async getSummary(options = {}) {
+    let totalWebhooks = 0;
+    let activeWebhooks = 0;
+
+    for await (const webhook of this.list({}, options)) {
+      totalWebhooks++;
+      if (this.isActiveWebhook(webhook)) {
+        activeWebhooks++;
+      }
+    }
 
     const summary = {
-      total_webhooks: allWebhooks.data.summary.total_webhooks || 0,
-      active_webhooks: activeWebhooks.data.summary.total_webhooks || 0,
-      inactive_webhooks: (allWebhooks.data.summary.total_webhooks || 0) - (activeWebhooks.data.summary.total_webhooks || 0)
+      total_webhooks: totalWebhooks,
+      active_webhooks: activeWebhooks,
+      inactive_webhooks: totalWebhooks - activeWebhooks
     };
 
     return {
@@ -510,6 +553,18 @@ export class WebhooksAPI {
     };
   }
 
+  /**
+   * Check if a listed webhook is active
+   * 
+   * @param {Object} webhook - Webhook from a list response
+   * @returns {boolean} True if the webhook is active
+   * 
+   * @private
+   */
+  isActiveWebhook(webhook) {
+    return webhook.status === 'active' || [true, 1, '1', 'true'].includes(webhook.is_active);
+  }
+
   /**
    * Test webhook delivery
    * 
@@ -525,11 +580,11 @@ export class WebhooksAPI {
    */
   async testDelivery(uuid) {
     if (!uuid) {
-      throw new MarzPayError('Webhook UUID is required', 'MISSING_UUID', 400);
+      throw new ValidationError('Webhook UUID is required', 'MISSING_UUID');
     }
 
     if (!this.marzpay.utils.isValidUUID(uuid)) {
-      throw new MarzPayError('Invalid UUID format', 'INVALID_UUID', 400);
+      throw new ValidationError('Invalid UUID format', 'INVALID_UUID');
     }
 
     // This would require the API to support webhook testing
@@ -563,11 +618,11 @@ export class WebhooksAPI {
    */
   async getDeliveryHistory(uuid, params = {}) {
     if (!uuid) {
-      throw new MarzPayError('Webhook UUID is required', 'MISSING_UUID', 400);
+      throw new ValidationError('Webhook UUID is required', 'MISSING_UUID');
     }
 
     if (!this.marzpay.utils.isValidUUID(uuid)) {
-      throw new MarzPayError('Invalid UUID format', 'INVALID_UUID', 400);
+      throw new ValidationError('Invalid UUID format', 'INVALID_UUID');
     }
 
     // This would require the API to support delivery history
@@ -585,4 +640,95 @@ export class WebhooksAPI {
       }
     };
   }
+
+  /**
+   * Transaction statuses implied by webhook event types
+   * 
+   * @type {Object<string, string>}
+   */
+  static get EVENT_STATUSES() {
+    return {
+      'collection.completed': 'successful',
+      'collection.failed': 'failed',
+      'collection.cancelled': 'cancelled',
+      success: 'successful',
+      failure: 'failed'
+    };
+  }
+
+  /**
+   * Hand a webhook delivery received by your endpoint to the SDK
+   * 
+   * Parses the delivery and emits it as a `webhook` event on the client, so
+   * in-process listeners such as `collections.collectAndConfirm()` see it.
+   * Call it only for requests your endpoint has authenticated; flows that
+   * act on a webhook confirm its status with the API first.
+   * 
+   * @param {Object|string|Uint8Array} payload - Parsed JSON body, or the raw body
+   * @returns {Object} Normalised event: `{ event, uuid, reference, status, transaction, payload }`
+   * 
+   * @throws {ValidationError} When the body is not JSON or names no transaction
+   * 
+   * @example
+   * ```javascript
+   * app.post('/marzpay/webhook', express.json(), (req, res) => {
+   *   marzpay.webhooks.receive(req.body);
+   *   res.sendStatus(200);
+   * });
+   * ```
+   */
+  receive(payload) {
+    const event = this.parseEvent(payload);
+    this.marzpay.events.emit('webhook', event);
+    return event;
+  }
+
+  /**
+   * Normalise a webhook delivery
+   * 
+   * The transaction is read from `data.transaction`, `transaction`, `data`
+   * or the body itself. Its status falls back to the one implied by the
+   * event type.
+   * 
+   * @param {Object|string|Uint8Array} payload - Parsed JSON body, or the raw body
+   * @returns {Object} Normalised event: `{ event, uuid, reference, status, transaction, payload }`
+   * 
+   * @throws {ValidationError} When the body is not JSON or names no transaction
+   */
+  parseEvent(payload) {
+    let body = payload;
+
+    // Raw bytes (Buffer, Uint8Array)
+    if (body && typeof body === 'object' && typeof body.byteLength === 'number') {
+      body = new TextDecoder().decode(body);
+    }
+
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (_error) {
+        throw new ValidationError('Webhook body is not valid JSON', 'INVALID_WEBHOOK_PAYLOAD');
+      }
+    }
+
+    if (!body || typeof body !== 'object') {
+      throw new ValidationError('Webhook body must be an object', 'INVALID_WEBHOOK_PAYLOAD');
+    }
+
+    const event = body.event_type || body.event || null;
+    const data = body.data && typeof body.data === 'object' ? body.data : null;
+    const transaction = (data && data.transaction) || body.transaction || data || body;
+    const uuid = transaction.uuid || transaction.transaction_uuid || null;
+    const reference = transaction.reference || null;
+
+    if (!uuid && !reference) {
+      throw new ValidationError('Webhook names no transaction UUID or reference', 'INVALID_WEBHOOK_PAYLOAD');
+    }
+
+    const status = transaction.status
+      ? String(transaction.status).toLowerCase()
+      : WebhooksAPI.EVENT_STATUSES[event] || null;
+
+    return { event, uuid, reference, status, transaction: { ...transaction, uuid, reference, status }, payload: body };
+  }
 }
@@ -149,6 +149,13 @@ describe('CollectionsAPI', () => {
         .toThrow('Amount must be between 500 and 10,000,000 UGX');
     });
 
+    it('should throw error for non-numeric amount', () => {
+      const params = { ...baseParams, amount: 'abc' };
+
+      expect(() => collectionsAPI.validateCollectionParams(params))
+        .toThrow('Amount must be between 500 and 10,000,000 UGX');
+    });
+
     it('should throw error for missing phone number', () => {
       const params = { ...baseParams };
       delete params.phoneNumber;
@@ -214,7 +221,7 @@ describe('CollectionsAPI', () => {
       const result = await collectionsAPI.getCollection(validUUID);
 
       expect(result).toEqual(mockResponse);
-      expect(mockMarzPay.request).toHaveBeenCalledWith(`/collect-money/${validUUID}`);
+      expect(mockMarzPay.request).toHaveBeenCalledWith(`/collect-money/${validUUID}`, {});
     });
 
     it('should throw error for missing UUID', async () => {
@@ -250,7 +257,7 @@ describe('CollectionsAPI', () => {
       const result = await collectionsAPI.getCollectionServices();
 
       expect(result).toEqual(mockResponse);
-      expect(mockMarzPay.request).toHaveBeenCalledWith('/collect-money/services');
+      expect(mockMarzPay.request).toHaveBeenCalledWith('/collect-money/services', {});
     });
   });
 
@@ -263,7 +270,7 @@ describe('CollectionsAPI', () => {
 
       await collectionsAPI.getStatus(uuid);
 
-      expect(mockMarzPay.request).toHaveBeenCalledWith(`/collect-money/${uuid}`);
+      expect(mockMarzPay.request).toHaveBeenCalledWith(`/collect-money/${uuid}`, {});
     });
   });
 
@@ -149,6 +149,13 @@ describe('DisbursementsAPI', () => {
         .toThrow('Amount must be between 1,000 and 500,000 UGX');
     });
 
+    it('should throw error for non-numeric amount', () => {
+      const params = { ...baseParams, amount: 'abc' };
+
+      expect(() => disbursementsAPI.validateDisbursementParams(params))
+        .toThrow('Amount must be between 1,000 and 500,000 UGX');
+    });
+
     it('should throw error for missing phone number', () => {
       const params = { ...baseParams };
       delete params.phoneNumber;
@@ -214,7 +221,7 @@ describe('DisbursementsAPI', () => {
       const result = await disbursementsAPI.getDisbursement(validUUID);
 
       expect(result).toEqual(mockResponse);
-      expect(mockMarzPay.request).toHaveBeenCalledWith(`/send-money/${validUUID}`);
+      expect(mockMarzPay.request).toHaveBeenCalledWith(`/send-money/${validUUID}`, {});
     });
 
     it('should throw error for missing UUID', async () => {
@@ -250,7 +257,7 @@ describe('DisbursementsAPI', () => {
       const result = await disbursementsAPI.getDisbursementServices();
 
       expect(result).toEqual(mockResponse);
-      expect(mockMarzPay.request).toHaveBeenCalledWith('/send-money/services');
+      expect(mockMarzPay.request).toHaveBeenCalledWith('/send-money/services', {});
     });
   });
 
@@ -263,7 +270,7 @@ describe('DisbursementsAPI', () => {
 
       await disbursementsAPI.getStatus(uuid);
 
-      expect(mockMarzPay.request).toHaveBeenCalledWith(`/send-money/${uuid}`);
+      expect(mockMarzPay.request).toHaveBeenCalledWith(`/send-money/${uuid}`, {});
     });
   });
 
@@ -327,7 +334,7 @@ describe('DisbursementsAPI', () => {
         expect(mockMarzPay.utils.buildQueryString).toHaveBeenCalledWith({
           type: 'withdrawal'
         });
-        expect(mockMarzPay.request).toHaveBeenCalledWith('/transactions?type=withdrawal');
+        expect(mockMarzPay.request).toHaveBeenCalledWith('/transactions?type=withdrawal', {});
       });
 
       it('should get disbursement history with custom parameters', async () => {
@@ -0,0 +1,131 @@
+import { MarzPay } from '../../index.js';
+import { ValidationError } from '../../errors/MarzPayError.js';
+
+describe('TransactionQuery', () => {
+  let marzpay;
+
+  const tx = (id, overrides = {}) => ({
+    uuid: id,
+    type: 'collection',
+    status: 'successful',
+    provider: 'mtn',
+    amount: { raw: '1000' },
+    created_at: '2024-01-01T00:00:00Z',
+    ...overrides
+  });
+
+  const page = (transactions, currentPage = 1, lastPage = 1, total = transactions.length) => createMockResponse({
+    status: 'success',
+    data: {
+      transactions,
+      pagination: { current_page: currentPage, last_page: lastPage, per_page: 100, total }
+    }
+  });
+
+  const requestedUrl = (index = 0) => new URL(fetch.mock.calls[index][0]);
+
+  beforeEach(() => {
+    marzpay = new MarzPay({ apiUser: 'test-api-user', apiKey: 'test-api-key', retry: false });
+  });
+
+  it('should send single-valued filters to the API', async () => {
+    fetch.mockResolvedValueOnce(page([tx('a')]));
+
+    await marzpay.transactions.query()
+      .type('collection')
+      .status('failed')
+      .provider('mtn')
+      .between('2024-01-01', '2024-01-31')
+      .execute();
+
+    const params = requestedUrl().searchParams;
+    expect(params.get('type')).toBe('collection');
+    expect(params.get('status')).toBe('failed');
+    expect(params.get('provider')).toBe('mtn');
+    expect(params.get('start_date')).toBe('2024-01-01');
+    expect(params.get('end_date')).toBe('2024-01-31');
+    expect(params.get('per_page')).toBe('100');
+  });
+
+  it('should apply multi-valued and amount filters client-side', async () => {
+    fetch.mockResolvedValueOnce(page([
+      tx('a', { status: 'failed', amount: { raw: '8000' } }),
+      tx('b', { status: 'cancelled', amount: { raw: '6000' } }),
+      tx('c', { status: 'successful', amount: { raw: '9000' } }),
+      tx('d', { status: 'failed', amount: { raw: '4000' } })
+    ]));
+
+    const results = await marzpay.transactions.query()
+      .status('failed', 'cancelled')
+      .amountAbove(5000)
+      .execute();
+
+    expect(results.map(result => result.uuid)).toEqual(['a', 'b']);
+    expect(requestedUrl().searchParams.has('status')).toBe(false);
+  });
+
+  it('should sort across pages', async () => {
+    fetch
+      .mockResolvedValueOnce(page([tx('a', { amount: { raw: '300' } }), tx('b', { amount: { raw: '1200' } })], 1, 2))
+      .mockResolvedValueOnce(page([tx('c', { amount: { raw: '50' } })], 2, 2));
+
+    const results = await marzpay.transactions.query().sort('-amount').execute();
+
+    expect(results.map(result => result.uuid)).toEqual(['b', 'a', 'c']);
+  });
+
+  it('should stop fetching once the limit is reached', async () => {
+    fetch
+      .mockResolvedValueOnce(page([tx('a'), tx('b')], 1, 3))
+      .mockResolvedValueOnce(page([tx('c'), tx('d')], 2, 3));
+
+    const results = await marzpay.transactions.query().where(item => item.uuid !== 'b').limit(2).execute();
+
+    expect(results.map(result => result.uuid)).toEqual(['a', 'c']);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should count from the pagination total when every filter is server-side', async () => {
+    fetch.mockResolvedValueOnce(page([tx('a')], 1, 420, 420));
+
+    const count = await marzpay.transactions.query().type('refund').count();
+
+    expect(count).toBe(420);
+    expect(requestedUrl().searchParams.get('per_page')).toBe('1');
+  });
+
+  it('should count client-side matches by streaming', async () => {
+    fetch.mockResolvedValueOnce(page([tx('a', { amount: { raw: '10' } }), tx('b', { amount: { raw: '90' } })]));
+
+    expect(await marzpay.transactions.query().amountBelow(50).count()).toBe(1);
+  });
+
+  it('should be async iterable', async () => {
+    fetch.mockResolvedValueOnce(page([tx('a'), tx('b')]));
+    const ids = [];
+
+    for await (const transaction of marzpay.transactions.query().provider('mtn')) {
+      ids.push(transaction.uuid);
+    }
+
+    expect(ids).toEqual(['a', 'b']);
+  });
+
+  it('should format Date bounds', () => {
+    const query = marzpay.transactions.query().between(new Date('2024-03-05T10:00:00Z'), null);
+
+    expect(query.toJSON().params).toEqual({ start_date: '2024-03-05' });
+  });
+
+  it('should validate the whole query before any request', async () => {
+    await expect(marzpay.transactions.query().status('failed', 'bogus').execute()).rejects.toThrow(ValidationError);
+    await expect(marzpay.transactions.query().amountAbove(500).amountBelow(100).execute())
+      .rejects.toMatchObject({ code: 'INVALID_AMOUNT_RANGE' });
+    await expect(marzpay.transactions.query().between('2024-02-01', '2024-01-01').count())
+      .rejects.toMatchObject({ code: 'INVALID_DATE_RANGE' });
+    await expect(marzpay.transactions.query().sort('created_at; drop').execute())
+      .rejects.toMatchObject({ code: 'INVALID_SORT' });
+
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
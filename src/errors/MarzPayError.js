@@ -1,9 +1,25 @@
+import { Redactor } from '../utils/Redactor.js';
+
+const errorRedactor = new Redactor();
+
+/**
+ * Error codes that describe transient conditions
+ * 
+ * @type {Array<string>}
+ */
+const RETRYABLE_CODES = ['NETWORK_ERROR', 'REQUEST_TIMEOUT', 'RATE_LIMIT_EXCEEDED', 'SERVICE_UNAVAILABLE', 'CIRCUIT_OPEN'];
+
 /**
  * MarzPay Custom Error Class
  * 
  * Extends the standard Error class to provide additional context
  * for MarzPay-specific errors including error codes and HTTP status.
  * 
+ * Failures are raised as one of the subclasses below where the cause is
+ * known (ValidationError, AuthenticationError, RateLimitError,
+ * InsufficientBalanceError, NetworkError, TimeoutError, ServerError), all of
+ * which remain `instanceof MarzPayError`.
+ * 
  * @extends Error
  * 
  * @example
@@ -31,18 +47,21 @@ export class MarzPayError extends Error {
   constructor(message, code, status, details = {}) {
     super(message);
     
-    // Ensure proper prototype chain for instanceof checks
-    Object.setPrototypeOf(this, MarzPayError.prototype);
+    // Ensure proper prototype chain for instanceof checks (subclasses included)
+    Object.setPrototypeOf(this, new.target.prototype);
     
     this.name = 'MarzPayError';
     this.code = code;
     this.status = status;
     this.details = details;
     this.timestamp = new Date().toISOString();
+    this.retryable = RETRYABLE_CODES.includes(code) || status >= 500 || status === 408 || status === 429;
+    this.requestId = (details && (details.request_id || details.requestId)) || null;
+    this.response = null;
     
     // Capture stack trace (V8 specific)
     if (Error.captureStackTrace) {
-      Error.captureStackTrace(this, MarzPayError);
+      Error.captureStackTrace(this, new.target);
     }
   }
 
@@ -64,6 +83,7 @@ export class MarzPayError extends Error {
       code: this.code,
       status: this.status,
       message: this.message,
+      requestId: this.requestId,
       timestamp: this.timestamp
     };
   }
@@ -71,6 +91,9 @@ export class MarzPayError extends Error {
   /**
    * Check if error is a validation error
    * 
+   * Only rejected input counts: authentication failures, rate limiting and
+   * insufficient balance have their own error classes.
+   * 
    * @returns {boolean} True if validation error
    * 
    * @example
@@ -81,7 +104,12 @@ export class MarzPayError extends Error {
    * ```
    */
   isValidationError() {
-    return this.status >= 400 && this.status < 500;
+    if (this instanceof ValidationError) {
+      return true;
+    }
+
+    return Object.getPrototypeOf(this) === MarzPayError.prototype &&
+           (this.status === 400 || this.status === 422);
   }
 
   /**
@@ -116,6 +144,54 @@ export class MarzPayError extends Error {
     return this.code === 'NETWORK_ERROR';
   }
 
+  /**
+   * Check if error is a request timeout
+   * 
+   * @returns {boolean} True if the request exceeded its timeout
+   * 
+   * @example
+   * ```javascript
+   * if (error.isTimeoutError()) {
+   *   // The outcome of the request is unknown
+   * }
+   * ```
+   */
+  isTimeoutError() {
+    return this.code === 'REQUEST_TIMEOUT';
+  }
+
+  /**
+   * Check if error was caused by the caller aborting the request
+   * 
+   * @returns {boolean} True if the request was aborted via an AbortSignal
+   * 
+   * @example
+   * ```javascript
+   * if (error.isAbortError()) {
+   *   // The customer left the page, nothing to report
+   * }
+   * ```
+   */
+  isAbortError() {
+    return this.code === 'REQUEST_ABORTED';
+  }
+
+  /**
+   * Check if error was raised by an open circuit breaker
+   * 
+   * @returns {boolean} True if the request was rejected without being sent
+   * 
+   * @example
+   * ```javascript
+   * if (error.isCircuitOpenError()) {
+   *   // The API is considered down; try again after error.details.retry_in ms
+   * }
+   * ```
+   */
+  isCircuitOpenError() {
+    return this.code === 'CIRCUIT_OPEN';
+  }
+
   /**
    * Get user-friendly error message
    * 
@@ -135,6 +211,12 @@ export class MarzPayError extends Error {
       'INVALID_UUID': 'Invalid transaction reference format',
       'INVALID_CREDENTIALS': 'Invalid API credentials. Please check your username and key',
       'NETWORK_ERROR': 'Network connection failed. Please check your internet connection',
+      'REQUEST_TIMEOUT': 'The request took too long. Please try again',
+      'REQUEST_ABORTED': 'The request was cancelled',
+      'CIRCUIT_OPEN': 'The payment service is temporarily unavailable. Please try again shortly',
+      'TRANSPORT_UNAVAILABLE': 'No HTTP client is available in this environment',
+      'INVALID_RESPONSE': 'We received an unexpected response from the payment service. Please try again',
+      'OUTCOME_UNKNOWN': 'We could not confirm whether this transaction went through. Please check before trying again',
       'ACCOUNT_FROZEN': 'Your account has been frozen. Please contact support',
       'INSUFFICIENT_BALANCE': 'Insufficient balance to complete this transaction',
       'SERVICE_UNAVAILABLE': 'Service temporarily unavailable. Please try again later',
@@ -147,49 +229,121 @@ export class MarzPayError extends Error {
   /**
    * Convert error to JSON for serialization
    * 
+   * Phone numbers and credentials in `message` and `details` are redacted and
+   * the stack trace is left out unless asked for, so the result is safe to
+   * send to log storage or error tracking services.
+   * 
+   * @param {Object} [options] - Serialization options
+   * @param {boolean} [options.redact=true] - Redact phone numbers and credentials
+   * @param {boolean} [options.stack=false] - Include the stack trace
    * @returns {Object} JSON representation of the error
    * 
    * @example
    * ```javascript
    * const errorJson = error.toJSON();
    * // Useful for logging or sending to error tracking services
+   * 
+   * const debugJson = error.toJSON({ stack: true });
    * ```
    */
-  toJSON() {
-    return {
+  toJSON(options = {}) {
+    // JSON.stringify calls toJSON with the property key as argument
+    const { redact = true, stack = false } = options && typeof options === 'object' ? options : {};
+    const json = {
       name: this.name,
-      message: this.message,
+      message: redact ? errorRedactor.redactString(this.message) : this.message,
       code: this.code,
       status: this.status,
-      details: this.details,
-      timestamp: this.timestamp,
-      stack: this.stack
+      retryable: this.retryable,
+      requestId: this.requestId,
+      details: redact ? errorRedactor.redact(this.details) : this.details,
+      timestamp: this.timestamp
     };
+
+    if (this.response) {
+      json.response = redact ? errorRedactor.redact(this.response) : this.response;
+    }
+
+    if (stack) {
+      json.stack = this.stack;
+    }
+
+    return json;
   }
 
   /**
    * Create error from API response
    * 
+   * Picks the subclass matching the failure (see MarzPayError.classify) and
+   * takes the API request ID from the `X-Request-Id` header or the body.
+   * 
    * @param {Object} response - API response object
    * @param {number} status - HTTP status code
-   * @returns {MarzPayError} New MarzPayError instance
+   * @param {Object} [headers] - Response headers (fetch Headers or compatible)
+   * @returns {MarzPayError} Instance of the matching MarzPayError subclass
    * 
    * @example
    * ```javascript
-   * const error = MarzPayError.fromResponse(apiResponse, 400);
+   * const error = MarzPayError.fromResponse(apiResponse, 429, response.headers);
+   * error instanceof RateLimitError; // true
    * ```
    */
-  static fromResponse(response, status) {
-    const message = response.message || 'Request failed';
-    const code = response.error_code || 'API_ERROR';
-    
-    return new MarzPayError(message, code, status, response);
+  static fromResponse(response, status, headers) {
+    const body = response && typeof response === 'object' ? response : {};
+    const message = body.message || 'Request failed';
+    const code = body.error_code || 'API_ERROR';
+    const ErrorClass = MarzPayError.classify(code, status, message);
+    const error = new ErrorClass(message, code, status, body);
+
+    const headerRequestId = headers && typeof headers.get === 'function' ? headers.get('x-request-id') : null;
+    if (headerRequestId) {
+      error.requestId = headerRequestId;
+    }
+
+    return error;
+  }
+
+  /**
+   * Pick the error class for an API failure
+   * 
+   * @param {string} code - API error code
+   * @param {number} status - HTTP status code
+   * @param {string} [message] - API error message
+   * @returns {Function} MarzPayError or one of its subclasses
+   * 
+   * @example
+   * ```javascript
+   * MarzPayError.classify('API_ERROR', 401); // Returns: AuthenticationError
+   * ```
+   */
+  static classify(code, status, message = '') {
+    if (code === 'INSUFFICIENT_BALANCE' || /insufficient (balance|funds)/i.test(message)) {
+      return InsufficientBalanceError;
+    }
+    if (status === 429 || code === 'RATE_LIMIT_EXCEEDED') {
+      return RateLimitError;
+    }
+    if (status === 401 || status === 403 || code === 'INVALID_CREDENTIALS') {
+      return AuthenticationError;
+    }
+    if (status === 408 || code === 'REQUEST_TIMEOUT') {
+      return TimeoutError;
+    }
+    if (status === 400 || status === 422) {
+      return ValidationError;
+    }
+    if (status >= 500) {
+      return ServerError;
+    }
+
+    return MarzPayError;
   }
 
   /**
    * Create network error
    * 
    * @param {string} message - Error message
+   * @param {Object} [details] - Additional error details (e.g. the socket error code)
    * @returns {MarzPayError} New MarzPayError instance
    * 
    * @example
@@ -197,8 +351,84 @@ export class MarzPayError extends Error {
    * const error = MarzPayError.networkError('Failed to connect to server');
    * ```
    */
-  static networkError(message) {
-    return new MarzPayError(message, 'NETWORK_ERROR', 0);
+  static networkError(message, details = {}) {
+    return new NetworkError(message, 'NETWORK_ERROR', 0, details);
+  }
+
+  /**
+   * Create timeout error
+   * 
+   * @param {number} timeout - Timeout that was exceeded, in milliseconds
+   * @returns {MarzPayError} New MarzPayError instance
+   * 
+   * @example
+   * ```javascript
+   * const error = MarzPayError.timeoutError(30000);
+   * ```
+   */
+  static timeoutError(timeout) {
+    return new TimeoutError(`Request timed out after ${timeout}ms`, 'REQUEST_TIMEOUT', 0, { timeout });
+  }
+
+  /**
+   * Create abort error
+   * 
+   * @param {any} [reason] - Abort reason taken from the AbortSignal
+   * @returns {MarzPayError} New MarzPayError instance
+   * 
+   * @example
+   * ```javascript
+   * const error = MarzPayError.abortError(signal.reason);
+   * ```
+   */
+  static abortError(reason) {
+    const details = reason !== undefined ? { reason } : {};
+    return new MarzPayError('Request was aborted', 'REQUEST_ABORTED', 0, details);
+  }
+
+  /**
+   * Rethrow an error caused by the caller aborting the request
+   * 
+   * Lets checks that turn failures into `false` still honour cancellation.
+   * 
+   * @param {Error} error - Caught error
+   * @throws {MarzPayError} The error itself when its code is REQUEST_ABORTED
+   * 
+   * @example
+   * ```javascript
+   * try {
+   *   return await check();
+   * } catch (error) {
+   *   MarzPayError.rethrowAbort(error);
+   *   return false;
+   * }
+   * ```
+   */
+  static rethrowAbort(error) {
+    if (error && error.code === 'REQUEST_ABORTED') {
+      throw error;
+    }
+  }
+
+  /**
+   * Create circuit open error
+   * 
+   * @param {string} group - Endpoint group whose circuit is open
+   * @param {number} retryIn - Milliseconds until a trial request is allowed
+   * @returns {MarzPayError} New MarzPayError instance
+   * 
+   * @example
+   * ```javascript
+   * const error = MarzPayError.circuitOpenError('collections', 12000);
+   * ```
+   */
+  static circuitOpenError(group, retryIn) {
+    return new MarzPayError(
+      `Circuit for ${group} is open; request not sent`,
+      'CIRCUIT_OPEN',
+      0,
+      { group, retry_in: Math.max(0, Math.round(retryIn)) }
+    );
   }
 
   /**
@@ -214,6 +444,117 @@ export class MarzPayError extends Error {
    * ```
    */
   static validationError(message, code) {
-    return new MarzPayError(message, code, 400);
+    return new ValidationError(message, code, 400);
+  }
+}
+
+/**
+ * Request rejected because of invalid input (SDK-side checks or API 400/422)
+ * 
+ * @extends MarzPayError
+ * 
+ * @example
+ * ```javascript
+ * throw new ValidationError('Phone number is required', 'MISSING_PHONE');
+ * ```
+ */
+export class ValidationError extends MarzPayError {
+  constructor(message, code = 'VALIDATION_ERROR', status = 400, details = {}) {
+    super(message, code, status, details);
+    this.name = 'ValidationError';
+    this.retryable = false;
+  }
+}
+
+/**
+ * Credentials missing, invalid or not allowed to perform the call (401/403)
+ * 
+ * @extends MarzPayError
+ */
+export class AuthenticationError extends MarzPayError {
+  constructor(message, code = 'INVALID_CREDENTIALS', status = 401, details = {}) {
+    super(message, code, status, details);
+    this.name = 'AuthenticationError';
+    this.retryable = false;
+  }
+}
+
+/**
+ * Too many requests (429)
+ * 
+ * `retryAfter` holds the delay the API asked for, in milliseconds, when the
+ * response carried a `Retry-After` header or `retry_after` field.
+ * 
+ * @extends MarzPayError
+ * 
+ * @example
+ * ```javascript
+ * if (error instanceof RateLimitError) {
+ *   await sleep(error.retryAfter || 1000);
+ * }
+ * ```
+ */
+export class RateLimitError extends MarzPayError {
+  constructor(message, code = 'RATE_LIMIT_EXCEEDED', status = 429, details = {}) {
+    super(message, code, status, details);
+    this.name = 'RateLimitError';
+    this.retryable = true;
+
+    const seconds = Number(details && details.retry_after);
+    this.retryAfter = Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+  }
+}
+
+/**
+ * Account balance too low for the requested transaction
+ * 
+ * @extends MarzPayError
+ */
+export class InsufficientBalanceError extends MarzPayError {
+  constructor(message, code = 'INSUFFICIENT_BALANCE', status = 400, details = {}) {
+    super(message, code, status, details);
+    this.name = 'InsufficientBalanceError';
+    this.retryable = false;
+  }
+}
+
+/**
+ * The API could not be reached (DNS, connection refused, reset, ...)
+ * 
+ * @extends MarzPayError
+ */
+export class NetworkError extends MarzPayError {
+  constructor(message, code = 'NETWORK_ERROR', status = 0, details = {}) {
+    super(message, code, status, details);
+    this.name = 'NetworkError';
+    this.retryable = true;
+  }
+}
+
+/**
+ * The request exceeded its timeout, client-side or reported by the API (408)
+ * 
+ * For money-moving calls the outcome is unknown; see OutcomeResolver.
+ * 
+ * @extends MarzPayError
+ */
+export class TimeoutError extends MarzPayError {
+  constructor(message, code = 'REQUEST_TIMEOUT', status = 0, details = {}) {
+    super(message, code, status, details);
+    this.name = 'TimeoutError';
+    this.retryable = true;
+  }
+}
+
+/**
+ * The API failed to handle the request (5xx)
+ * 
+ * @extends MarzPayError
+ */
+export class ServerError extends MarzPayError {
+  constructor(message, code = 'SERVER_ERROR', status = 500, details = {}) {
+    super(message, code, status, details);
+    this.name = 'ServerError';
+    this.retryable = status !== 501;
   }
 }
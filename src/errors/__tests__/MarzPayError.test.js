@@ -0,0 +1,105 @@
+import {
+  MarzPayError,
+  ValidationError,
+  AuthenticationError,
+  RateLimitError,
+  InsufficientBalanceError,
+  NetworkError,
+  TimeoutError,
+  ServerError
+} from '../MarzPayError.js';
+import { MarzPay } from '../../index.js';
+
+const headers = values => ({ get: name => values[name.toLowerCase()] || null });
+
+describe('MarzPayError', () => {
+  describe('fromResponse', () => {
+    it.each([
+      [{ message: 'Invalid phone' }, 400, ValidationError, false],
+      [{ message: 'Bad input' }, 422, ValidationError, false],
+      [{ message: 'Unauthorized' }, 401, AuthenticationError, false],
+      [{ message: 'Account frozen', error_code: 'ACCOUNT_FROZEN' }, 403, AuthenticationError, false],
+      [{ message: 'Slow down' }, 429, RateLimitError, true],
+      [{ message: 'Insufficient balance for this withdrawal' }, 400, InsufficientBalanceError, false],
+      [{ message: 'No funds', error_code: 'INSUFFICIENT_BALANCE' }, 402, InsufficientBalanceError, false],
+      [{ message: 'Server timeout' }, 408, TimeoutError, true],
+      [{ message: 'Oops' }, 500, ServerError, true],
+      [{ message: 'Not implemented' }, 501, ServerError, false],
+      [{ message: 'Not found' }, 404, MarzPayError, false]
+    ])('should map %j with status %i to the matching class', (body, status, ErrorClass, retryable) => {
+      const error = MarzPayError.fromResponse(body, status);
+
+      expect(error).toBeInstanceOf(ErrorClass);
+      expect(error).toBeInstanceOf(MarzPayError);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.constructor).toBe(ErrorClass);
+      expect(error.status).toBe(status);
+      expect(error.retryable).toBe(retryable);
+    });
+
+    it('should take the request ID from the header or the body', () => {
+      expect(MarzPayError.fromResponse({ message: 'x' }, 500, headers({ 'x-request-id': 'req-1' })).requestId)
+        .toBe('req-1');
+      expect(MarzPayError.fromResponse({ message: 'x', request_id: 'req-2' }, 500).requestId).toBe('req-2');
+      expect(MarzPayError.fromResponse({ message: 'x' }, 500).requestId).toBeNull();
+    });
+
+    it('should read retry_after from a rate limit body', () => {
+      const error = MarzPayError.fromResponse({ message: 'Slow down', retry_after: 2 }, 429);
+
+      expect(error.retryAfter).toBe(2000);
+      expect(error.name).toBe('RateLimitError');
+    });
+  });
+
+  describe('isValidationError', () => {
+    it('should only be true for rejected input', () => {
+      expect(new ValidationError('Bad', 'INVALID_AMOUNT').isValidationError()).toBe(true);
+      expect(new MarzPayError('Bad', 'INVALID_AMOUNT', 400).isValidationError()).toBe(true);
+      expect(MarzPayError.fromResponse({}, 401).isValidationError()).toBe(false);
+      expect(MarzPayError.fromResponse({}, 404).isValidationError()).toBe(false);
+      expect(MarzPayError.fromResponse({}, 429).isValidationError()).toBe(false);
+      expect(MarzPayError.fromResponse({ error_code: 'INSUFFICIENT_BALANCE' }, 400).isValidationError()).toBe(false);
+    });
+  });
+
+  describe('factories', () => {
+    it('should create typed network, timeout and validation errors', () => {
+      expect(MarzPayError.networkError('Down')).toBeInstanceOf(NetworkError);
+      expect(MarzPayError.timeoutError(100)).toBeInstanceOf(TimeoutError);
+      expect(MarzPayError.validationError('Bad', 'INVALID_PHONE')).toBeInstanceOf(ValidationError);
+      expect(MarzPayError.abortError().retryable).toBe(false);
+      expect(MarzPayError.circuitOpenError('collections', 100).retryable).toBe(true);
+    });
+
+    it('should rethrow only aborts', () => {
+      const aborted = MarzPayError.abortError();
+
+      expect(() => MarzPayError.rethrowAbort(aborted)).toThrow(aborted);
+      expect(() => MarzPayError.rethrowAbort(MarzPayError.networkError('Down'))).not.toThrow();
+    });
+  });
+
+  describe('with MarzPay', () => {
+    it('should raise typed errors with retry-after and request ID from the response', async () => {
+      const marzpay = new MarzPay({ apiUser: 'test_user', apiKey: 'test_key', retry: false });
+      global.fetch.mockResolvedValue({
+        ...createMockResponse({ message: 'Too many requests' }, 429),
+        headers: headers({ 'retry-after': '3', 'x-request-id': 'req-429' })
+      });
+
+      const error = await marzpay.request('/balance').catch(e => e);
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.retryAfter).toBe(3000);
+      expect(error.requestId).toBe('req-429');
+      expect(error.toJSON()).toMatchObject({ name: 'RateLimitError', retryable: true, requestId: 'req-429' });
+    });
+
+    it('should raise ValidationError for SDK-side checks', async () => {
+      const marzpay = new MarzPay({ apiUser: 'test_user', apiKey: 'test_key' });
+
+      await expect(marzpay.collections.getCollection('not-a-uuid')).rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * CSV Format - RFC 4180 comma-separated values for spreadsheets
+ *
+ * Fields containing the delimiter, quotes or line breaks are quoted, and text
+ * starting with `=`, `+`, `-` or `@` (other than a plain or masked number) is prefixed
+ * with `'` so spreadsheet applications do not evaluate it as a formula.
+ *
+ * @example
+ * ```javascript
+ * const csv = new CsvFormat();
+ * csv.begin(['reference', 'amount']); // Returns: 'reference,amount\r\n'
+ * csv.row(['ref-1, urgent', 5000]);   // Returns: '"ref-1, urgent",5000\r\n'
+ * ```
+ */
+export class CsvFormat {
+  /**
+   * Create a new CsvFormat
+   *
+   * @param {Object} [options] - Format options
+   * @param {string} [options.delimiter=','] - Field delimiter (e.g. ';' for European spreadsheet locales)
+   */
+  constructor(options = {}) {
+    this.delimiter = options.delimiter || ',';
+    this.contentType = 'text/csv; charset=utf-8';
+    this.extension = 'csv';
+  }
+
+  /**
+   * Header line
+   *
+   * @param {Array<string>} headers - Column headers
+   * @returns {string} Header line
+   */
+  begin(headers) {
+    return this.line(headers);
+  }
+
+  /**
+   * One record
+   *
+   * @param {Array<any>} values - Column values in header order
+   * @returns {string} Record line
+   */
+  row(values) {
+    return this.line(values);
+  }
+
+  /**
+   * Trailer (CSV has none)
+   *
+   * @returns {string} Empty string
+   */
+  end() {
+    return '';
+  }
+
+  /**
+   * Join escaped fields into a CRLF-terminated line
+   *
+   * @private
+   */
+  line(values) {
+    return `${values.map(value => this.escape(value)).join(this.delimiter)}\r\n`;
+  }
+
+  /**
+   * Escape a single field
+   *
+   * @private
+   */
+  escape(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      return String(value);
+    }
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    // Signed numbers and masked phone numbers ('-1500', '+256759983853', '+25*******53') are data, not formulas
+    if (/^[=+\-@\t\r]/.test(text) && !CsvFormat.isNumber(text) && !CsvFormat.isMaskedPhone(text)) {
+      text = `'${text}`;
+    }
+
+    if (text.includes(this.delimiter) || /["\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+  }
+
+  /**
+   * Whether a field is a plain, optionally signed number
+   *
+   * @private
+   */
+  static isNumber(text) {
+    return /^[+-]?\d+(\.\d+)?$/.test(text);
+  }
+
+  /**
+   * Whether a field is a phone number in international format masked by the Redactor
+   *
+   * @private
+   */
+  static isMaskedPhone(text) {
+    return /^\+\d{1,3}\*{3,}\d{2}$/.test(text);
+  }
+}
@@ -0,0 +1,316 @@
+import { ValidationError } from '../errors/MarzPayError.js';
+import { Redactor } from '../utils/Redactor.js';
+import { CsvFormat } from './CsvFormat.js';
+import { JsonLinesFormat } from './JsonLinesFormat.js';
+
+/**
+ * Exporter - Streams records from a paginated source into a file format
+ *
+ * Nothing is fetched until the export is consumed; records are then read
+ * page by page and written out one line at a time, so exports of any size
+ * run in bounded memory. Columns are mapped from record paths or functions,
+ * `{ raw, formatted }` amounts become plain numbers and phone numbers are
+ * masked unless disabled.
+ *
+ * @example
+ * ```javascript
+ * import { createWriteStream } from 'fs';
+ *
+ * const exporter = marzpay.transactions.export({
+ *   format: 'csv',
+ *   columns: ['reference', 'status', 'amount', { header: 'Phone', value: 'phone_number' }],
+ *   filters: { start_date: '2024-01-01', end_date: '2024-01-31' }
+ * });
+ *
+ * const { rows } = await exporter.pipeTo(createWriteStream('january.csv'));
+ * ```
+ */
+export class Exporter {
+  /**
+   * Create a new Exporter
+   *
+   * @param {AsyncIterable<Object>} source - Records to export, e.g. a Paginator
+   * @param {Object} [settings] - Export settings
+   * @param {string} [settings.format='csv'] - Output format: 'csv' or 'jsonl'
+   * @param {Array<string|Object>|Object} [settings.columns] - Columns to write (see `normaliseColumns`)
+   * @param {Array<string|Object>} [settings.defaultColumns] - Columns used when `columns` is omitted
+   * @param {boolean} [settings.maskPhoneNumbers=true] - Mask phone numbers in every column
+   * @param {string} [settings.delimiter] - CSV field delimiter
+   * @throws {ValidationError} When the format or columns are invalid
+   */
+  constructor(source, settings = {}) {
+    const { format = 'csv', columns, defaultColumns = [], maskPhoneNumbers = true, ...formatOptions } = settings;
+    const Format = Exporter.FORMATS[format];
+
+    if (!Format) {
+      throw new ValidationError(
+        `Unsupported export format: ${format}. Use: ${Object.keys(Exporter.FORMATS).join(', ')}`,
+        'INVALID_FORMAT'
+      );
+    }
+
+    this.source = source;
+    this.format = format;
+    this.formatter = new Format(formatOptions);
+    this.columns = Exporter.normaliseColumns(columns || defaultColumns);
+    this.redactor = maskPhoneNumbers ? new Redactor() : null;
+    this.rows = 0;
+  }
+
+  /**
+   * Supported formats by name
+   *
+   * @type {Object<string, Function>}
+   */
+  static get FORMATS() {
+    return { csv: CsvFormat, jsonl: JsonLinesFormat };
+  }
+
+  /**
+   * MIME type of the output, for HTTP responses
+   *
+   * @type {string}
+   */
+  get contentType() {
+    return this.formatter.contentType;
+  }
+
+  /**
+   * Iterate over the output as text chunks (header, one chunk per record, trailer)
+   *
+   * @returns {AsyncGenerator<string>} Output chunks
+   */
+  async *[Symbol.asyncIterator]() {
+    this.rows = 0;
+
+    const header = this.formatter.begin(this.columns.map(column => column.header));
+    if (header) {
+      yield header;
+    }
+
+    for await (const record of this.source) {
+      yield this.formatter.row(this.columns.map(column => this.valueOf(column, record)));
+      this.rows++;
+    }
+
+    const trailer = this.formatter.end();
+    if (trailer) {
+      yield trailer;
+    }
+  }
+
+  /**
+   * Collect the whole export into a string
+   *
+   * Convenient for small exports; prefer `pipeTo()` for large ones.
+   *
+   * @returns {Promise<string>} Export contents
+   */
+  async text() {
+    let output = '';
+    for await (const chunk of this) {
+      output += chunk;
+    }
+    return output;
+  }
+
+  /**
+   * Get the export as a web ReadableStream of UTF-8 bytes
+   *
+   * Pages are fetched as the stream is read, so a slow consumer slows the
+   * export down instead of buffering it. Works in browsers, Deno, edge
+   * runtimes and Node 18+.
+   *
+   * @returns {ReadableStream<Uint8Array>} Export stream
+   *
+   * @example
+   * ```javascript
+   * // In a fetch-style request handler
+   * const exporter = marzpay.transactions.export({ format: 'csv' });
+   * return new Response(exporter.toReadableStream(), { headers: { 'Content-Type': exporter.contentType } });
+   * ```
+   */
+  toReadableStream() {
+    const iterator = this[Symbol.asyncIterator]();
+    const encoder = new TextEncoder();
+
+    return new ReadableStream({
+      async pull(controller) {
+        const { value, done } = await iterator.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(encoder.encode(value));
+        }
+      },
+      async cancel() {
+        await iterator.return();
+      }
+    });
+  }
+
+  /**
+   * Get the export as a Node.js Readable stream
+   *
+   * @returns {Promise<Readable>} Export stream
+   *
+   * @example
+   * ```javascript
+   * // Express
+   * res.type('text/csv');
+   * (await marzpay.transactions.export({ format: 'csv' }).toNodeStream()).pipe(res);
+   * ```
+   */
+  async toNodeStream() {
+    const { Readable } = await import('stream');
+    return Readable.from(this, { objectMode: false });
+  }
+
+  /**
+   * Write the export to a Node.js Writable or a web WritableStream
+   *
+   * @param {Writable|WritableStream} destination - Stream to write to
+   * @param {Object} [options] - Pipe options
+   * @param {boolean} [options.end=true] - Close the destination when the export is complete
+   * @returns {Promise<{format: string, rows: number}>} Resolves once everything is written
+   * @throws {ValidationError} When the destination is not a writable stream
+   */
+  async pipeTo(destination, options = {}) {
+    const { end = true } = options;
+
+    if (destination && typeof destination.getWriter === 'function') {
+      await this.toReadableStream().pipeTo(destination, { preventClose: !end });
+    } else if (destination && typeof destination.write === 'function' && typeof destination.once === 'function') {
+      await this.writeToNode(destination, end);
+    } else {
+      throw new ValidationError('Export destination must be a Node.js Writable or a WritableStream', 'INVALID_DESTINATION');
+    }
+
+    return { format: this.format, rows: this.rows };
+  }
+
+  /**
+   * Normalise column definitions
+   *
+   * Columns can be given as:
+   * - a path string (`'reference'`, `'details.provider'`), also used as the header
+   * - `{ header, value }` where `value` is a path or a `(record) => value` function
+   * - an object mapping headers to paths or functions (`{ Reference: 'reference' }`)
+   *
+   * @param {Array<string|Object>|Object} columns - Column definitions
+   * @returns {Array<{header: string, path: string|null, get: Function}>} Normalised columns
+   * @throws {ValidationError} When a column is malformed
+   */
+  static normaliseColumns(columns) {
+    const list = Array.isArray(columns)
+      ? columns
+      : Object.keys(columns || {}).map(header => ({ header, value: columns[header] }));
+
+    if (list.length === 0) {
+      throw new ValidationError('At least one export column is required', 'INVALID_COLUMNS');
+    }
+
+    return list.map(column => {
+      const { header, value } = typeof column === 'string' ? { header: column, value: column } : column || {};
+
+      if (typeof value === 'function' && header) {
+        return { header: String(header), path: null, get: value };
+      }
+
+      if (typeof value === 'string' && value) {
+        return { header: String(header || value), path: value, get: record => Exporter.pick(record, value) };
+      }
+
+      throw new ValidationError('Export columns need a header and a path or function', 'INVALID_COLUMNS');
+    });
+  }
+
+  /**
+   * Read a dotted path from a record
+   *
+   * @private
+   */
+  static pick(record, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record);
+  }
+
+  /**
+   * Value of one column for a record, with amounts and phone numbers cleaned up
+   *
+   * @private
+   */
+  valueOf(column, record) {
+    let value = column.get(record);
+
+    if (value && typeof value === 'object' && 'raw' in value) {
+      value = Exporter.toNumber(value.raw);
+    } else if (column.path && /(^|\.)raw$/.test(column.path)) {
+      value = Exporter.toNumber(value);
+    }
+
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+
+    if (!this.redactor || value === '' || (typeof value !== 'string' && typeof value !== 'number')) {
+      return value;
+    }
+
+    const key = column.path ? column.path.split('.').pop() : column.header;
+    if (Redactor.PHONE_KEYS.test(key) || Redactor.PHONE_KEYS.test(column.header)) {
+      return this.redactor.maskPhone(value);
+    }
+
+    // Free text such as descriptions can embed phone numbers too
+    return typeof value === 'string' ? this.redactor.redactString(value) : value;
+  }
+
+  /**
+   * Parse an amount into a number
+   *
+   * @private
+   */
+  static toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * Write every chunk to a Node.js Writable, honouring backpressure
+   *
+   * @private
+   */
+  async writeToNode(destination, end) {
+    for await (const chunk of this) {
+      if (!destination.write(chunk)) {
+        await Exporter.once(destination, 'drain');
+      }
+    }
+
+    if (end) {
+      const finished = Exporter.once(destination, 'finish');
+      destination.end();
+      await finished;
+    }
+  }
+
+  /**
+   * Wait for a stream event, rejecting on 'error'
+   *
+   * @private
+   */
+  static once(emitter, event) {
+    return new Promise((resolve, reject) => {
+      const onEvent = () => {
+        emitter.removeListener('error', onError);
+        resolve();
+      };
+      const onError = error => {
+        emitter.removeListener(event, onEvent);
+        reject(error);
+      };
+      emitter.once(event, onEvent);
+      emitter.once('error', onError);
+    });
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * JSON Lines Format - One JSON object per line
+ *
+ * Each record is an object keyed by the column headers, so the output can be
+ * loaded line by line by data tools (jq, pandas, BigQuery) without parsing
+ * the whole file.
+ *
+ * @example
+ * ```javascript
+ * const jsonl = new JsonLinesFormat();
+ * jsonl.begin(['reference', 'amount']); // Returns: ''
+ * jsonl.row(['ref-1', 5000]);           // Returns: '{"reference":"ref-1","amount":5000}\n'
+ * ```
+ */
+export class JsonLinesFormat {
+  /**
+   * Create a new JsonLinesFormat
+   */
+  constructor() {
+    this.headers = [];
+    this.contentType = 'application/x-ndjson; charset=utf-8';
+    this.extension = 'jsonl';
+  }
+
+  /**
+   * Remember the headers (JSON Lines has no header line)
+   *
+   * @param {Array<string>} headers - Column headers
+   * @returns {string} Empty string
+   */
+  begin(headers) {
+    this.headers = headers;
+    return '';
+  }
+
+  /**
+   * One record
+   *
+   * @param {Array<any>} values - Column values in header order
+   * @returns {string} JSON object followed by a newline
+   */
+  row(values) {
+    const record = {};
+    this.headers.forEach((header, index) => {
+      record[header] = values[index] === undefined ? null : values[index];
+    });
+    return `${JSON.stringify(record)}\n`;
+  }
+
+  /**
+   * Trailer (JSON Lines has none)
+   *
+   * @returns {string} Empty string
+   */
+  end() {
+    return '';
+  }
+}
@@ -0,0 +1,146 @@
+import { Writable } from 'stream';
+import { MarzPay } from '../../index.js';
+import { Exporter } from '../Exporter.js';
+import { CsvFormat } from '../CsvFormat.js';
+
+describe('Exporter', () => {
+  let marzpay;
+
+  const page = (transactions, currentPage, lastPage) => createMockResponse({
+    status: 'success',
+    data: { transactions, pagination: { current_page: currentPage, last_page: lastPage } }
+  });
+
+  const tx = (reference, overrides = {}) => ({
+    uuid: `uuid-${reference}`,
+    reference,
+    type: 'collection',
+    status: 'successful',
+    amount: { formatted: '5,000 UGX', raw: '5000', currency: 'UGX' },
+    provider: 'mtn',
+    phone_number: '+256759983853',
+    description: 'Payment',
+    created_at: '2024-01-15T10:00:00Z',
+    ...overrides
+  });
+
+  const collect = () => {
+    const chunks = [];
+    const destination = new Writable({
+      write(chunk, _encoding, callback) {
+        chunks.push(chunk.toString());
+        callback();
+      }
+    });
+    return { destination, output: () => chunks.join('') };
+  };
+
+  beforeEach(() => {
+    marzpay = new MarzPay({ apiUser: 'test-api-user', apiKey: 'test-api-key', retry: false });
+  });
+
+  it('should export every page as CSV with numeric amounts and masked phones', async () => {
+    fetch
+      .mockResolvedValueOnce(page([tx('ref-1'), tx('ref-2', { description: 'Refund, "late"' })], 1, 2))
+      .mockResolvedValueOnce(page([tx('ref-3', { details: { provider: 'airtel' }, provider: undefined })], 2, 2));
+
+    const csv = await marzpay.transactions.export({ filters: { status: 'successful' } }).text();
+    const lines = csv.trim().split('\r\n');
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch.mock.calls[0][0]).toContain('status=successful');
+    expect(lines[0]).toBe('uuid,reference,type,status,amount,currency,charge,provider,phone_number,description,created_at');
+    expect(lines[1]).toBe('uuid-ref-1,ref-1,collection,successful,5000,UGX,,mtn,+2*********53,Payment,2024-01-15T10:00:00Z');
+    expect(lines[2]).toContain(',"Refund, ""late""",');
+    expect(lines[3]).toContain(',airtel,');
+    expect(lines).toHaveLength(4);
+  });
+
+  it('should map columns and write JSON Lines', async () => {
+    fetch.mockResolvedValueOnce(page([tx('ref-1', { description: 'Paid by 0759983853' })], 1, 1));
+
+    const jsonl = await marzpay.transactions.export({
+      format: 'jsonl',
+      columns: { Reference: 'reference', Amount: 'amount.raw', Note: 'description', Big: t => parseFloat(t.amount.raw) > 1000 }
+    }).text();
+
+    expect(jsonl).toBe('{"Reference":"ref-1","Amount":5000,"Note":"Paid by +2*********53","Big":true}\n');
+  });
+
+  it('should keep phone numbers when masking is disabled', async () => {
+    fetch.mockResolvedValueOnce(page([tx('ref-1')], 1, 1));
+
+    const csv = await marzpay.transactions.export({ columns: ['phone_number'], maskPhoneNumbers: false }).text();
+
+    expect(csv).toBe('phone_number\r\n+256759983853\r\n');
+  });
+
+  it('should export balance history to a Node stream', async () => {
+    fetch.mockResolvedValueOnce(createMockResponse({
+      status: 'success',
+      data: {
+        history: [
+          { operation: 'debit', amount: { raw: '-1500' }, balance_before: { raw: '6000' }, balance_after: { raw: '4500' }, description: '=SUM(A1)', created_at: '2024-01-15T10:00:00Z' }
+        ]
+      }
+    }));
+    const { destination, output } = collect();
+
+    const result = await marzpay.balance.exportHistory({ filters: { operation: 'debit' } }).pipeTo(destination);
+
+    expect(result).toEqual({ format: 'csv', rows: 1 });
+    expect(output()).toBe(
+      'created_at,operation,amount,balance_before,balance_after,description\r\n' +
+      "2024-01-15T10:00:00Z,debit,-1500,6000,4500,'=SUM(A1)\r\n"
+    );
+  });
+
+  it('should stream to a web ReadableStream lazily', async () => {
+    fetch
+      .mockResolvedValueOnce(page([tx('ref-1')], 1, 2))
+      .mockResolvedValueOnce(page([tx('ref-2')], 2, 2));
+
+    const reader = marzpay.transactions.export({ format: 'jsonl', columns: ['reference'] }).toReadableStream().getReader();
+    const decoder = new TextDecoder();
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(decoder.decode((await reader.read()).value)).toBe('{"reference":"ref-1"}\n');
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    await reader.cancel();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stream through toNodeStream()', async () => {
+    fetch.mockResolvedValueOnce(page([tx('ref-1')], 1, 1));
+    const stream = await marzpay.transactions.export({ columns: ['reference'] }).toNodeStream();
+
+    let output = '';
+    for await (const chunk of stream) {
+      output += chunk.toString();
+    }
+
+    expect(output).toBe('reference\r\nref-1\r\n');
+  });
+
+  it('should reject unknown formats, columns and destinations', async () => {
+    expect(() => marzpay.transactions.export({ format: 'xlsx' })).toThrow(expect.objectContaining({ code: 'INVALID_FORMAT' }));
+    expect(() => marzpay.transactions.export({ columns: [] })).toThrow(expect.objectContaining({ code: 'INVALID_COLUMNS' }));
+    expect(() => marzpay.transactions.export({ columns: [{ value: () => 1 }] })).toThrow(expect.objectContaining({ code: 'INVALID_COLUMNS' }));
+    await expect(marzpay.transactions.export().pipeTo({})).rejects.toMatchObject({ code: 'INVALID_DESTINATION' });
+  });
+
+  it('should support a custom CSV delimiter', () => {
+    const exporter = new Exporter([], { columns: ['a'], delimiter: ';' });
+
+    expect(exporter.formatter).toBeInstanceOf(CsvFormat);
+    expect(exporter.formatter.row(['1;2', 3.5])).toBe('"1;2";3.5\r\n');
+  });
+
+  it('should neutralise every spreadsheet formula prefix', () => {
+    const formatter = new CsvFormat();
+
+    expect(formatter.row(['\t=1+1', '\r=1+1', '+1*9', '@SUM(A1)'])).toBe('\'\t=1+1,"\'\r=1+1",\'+1*9,\'@SUM(A1)\r\n');
+    expect(formatter.row(['-1500', '+12.5', '+25*******53', '+2*********53'])).toBe('-1500,+12.5,+25*******53,+2*********53\r\n');
+  });
+});
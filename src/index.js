@@ -3,11 +3,83 @@ import { DisbursementsAPI } from './classes/DisbursementsAPI.js';
 import { AccountsAPI } from './classes/AccountsAPI.js';
 import { BalanceAPI } from './classes/BalanceAPI.js';
 import { TransactionsAPI } from './classes/TransactionsAPI.js';
+import { TransactionQuery } from './classes/TransactionQuery.js';
 import { ServicesAPI } from './classes/ServicesAPI.js';
 import { WebhooksAPI } from './classes/WebhooksAPI.js';
 import { PhoneNumberUtils } from './utils/PhoneNumberUtils.js';
 import { GeneralUtils } from './utils/GeneralUtils.js';
-import { MarzPayError } from './errors/MarzPayError.js';
+import { RetryPolicy } from './utils/RetryPolicy.js';
+import { OutcomeResolver } from './utils/OutcomeResolver.js';
+import { StatusPoller } from './utils/StatusPoller.js';
+import { Preflight } from './utils/Preflight.js';
+import { LimitsCache } from './utils/LimitsCache.js';
+import { RateLimiter } from './utils/RateLimiter.js';
+import { CircuitBreaker } from './utils/CircuitBreaker.js';
+import { EventEmitter } from './utils/EventEmitter.js';
+import { Logger } from './utils/Logger.js';
+import { Redactor } from './utils/Redactor.js';
+import { Paginator } from './utils/Paginator.js';
+import { TransactionAggregator } from './utils/TransactionAggregator.js';
+import { TimeSeries } from './utils/TimeSeries.js';
+import { TimeZone } from './utils/TimeZone.js';
+import { Exporter } from './exporters/Exporter.js';
+import { CsvFormat } from './exporters/CsvFormat.js';
+import { JsonLinesFormat } from './exporters/JsonLinesFormat.js';
+import { Statement } from './statements/Statement.js';
+import { Camt053Format } from './statements/Camt053Format.js';
+import { Mt940Format } from './statements/Mt940Format.js';
+import { OfxFormat } from './statements/OfxFormat.js';
+import { QifFormat } from './statements/QifFormat.js';
+import { Reconciler } from './reconciliation/Reconciler.js';
+import { ReconciliationReport } from './reconciliation/ReconciliationReport.js';
+import { BulkDisbursement } from './bulk/BulkDisbursement.js';
+import { CsvParser } from './bulk/CsvParser.js';
+import { Pain001Parser } from './bulk/Pain001Parser.js';
+import { Pain002Format } from './bulk/Pain002Format.js';
+import { XmlParser } from './bulk/XmlParser.js';
+import { FetchTransport } from './transports/FetchTransport.js';
+import { NodeHttpTransport } from './transports/NodeHttpTransport.js';
+import {
+  MarzPayError,
+  ValidationError,
+  AuthenticationError,
+  RateLimitError,
+  InsufficientBalanceError,
+  NetworkError,
+  TimeoutError,
+  ServerError
+} from './errors/MarzPayError.js';
+
+/**
+ * API path prefixes and the endpoint group they belong to
+ * 
+ * @type {Object<string, string>}
+ */
+const ENDPOINT_GROUPS = {
+  '/collect-money': 'collections',
+  '/send-money': 'disbursements',
+  '/transactions': 'transactions',
+  '/balance': 'balance',
+  '/account': 'accounts',
+  '/services': 'services',
+  '/webhooks': 'webhooks'
+};
+
+/**
+ * Longest raw response body kept on errors, in characters
+ * 
+ * @type {number}
+ */
+const MAX_RAW_BODY = 2000;
+
+/**
+ * Per-call request options accepted as the last argument of every API module method
+ * 
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Signal to cancel the request
+ * @property {number} [timeout] - Timeout in milliseconds for this call, overrides config.timeout
+ * @property {boolean|Object} [retry] - Retry override for this call (see RetryPolicy)
+ */
 
 /**
  * MarzPay JavaScript SDK
@@ -39,7 +111,26 @@ export class MarzPay {
    * @param {string} config.apiUser - Your MarzPay API username
    * @param {string} config.apiKey - Your MarzPay API key
    * @param {string} [config.baseUrl='https://wallet.wearemarz.com/api/v1'] - API base URL
-   * @param {number} [config.timeout=30000] - Request timeout in milliseconds
+   * @param {number} [config.timeout=30000] - Request timeout in milliseconds, applied to every call unless overridden per call
+   * @param {Object|false} [config.retry] - Retry policy for transient failures (see RetryPolicy), false disables retries
+   * @param {boolean|Object} [config.resolveBeforeRetry=false] - Resolve ambiguous collectMoney/sendMoney
+   * failures by reference before re-submitting (see OutcomeResolver)
+   * @param {boolean} [config.dryRun=false] - Make collectMoney/sendMoney return a pre-flight report instead of
+   * moving money (see Preflight)
+   * @param {Object|boolean} [config.limits=true] - Load amount limits from the account and services, cached
+   * for `ttl` milliseconds (see LimitsCache); false uses the built-in limits only
+   * @param {Array<Function>} [config.middleware] - Request middleware, registered in order (see use)
+   * @param {Object|string} [config.transport] - HTTP transport: an object with `send(request)`, `'fetch'` or `'node'`
+   * (auto-detected by default)
+   * @param {Object|boolean} [config.rateLimit] - Client-side rate and concurrency limits per endpoint group
+   * (see RateLimiter), true for defaults
+   * @param {Object|boolean} [config.circuitBreaker] - Fail fast per endpoint group while the API is down
+   * (see CircuitBreaker), true for defaults
+   * @param {Object|boolean} [config.logger] - Structured, redacted request logging: Logger options, an existing
+   * logger (pino, winston, console) or true for JSON lines at info level (see Logger)
+   * @param {Object} [config.http] - Node transport options: keepAlive, maxSockets, tls, proxy, noProxy (see NodeHttpTransport)
+   * @param {string} [config.timeZone='Africa/Kampala'] - IANA time zone whose calendar defines days, weeks and months
+   * in date helpers, analytics and reports
    */
   constructor(config) {
     if (!config.apiUser || !config.apiKey) {
@@ -52,6 +143,32 @@ export class MarzPay {
       ...config
     };
 
+    this.timeZone = TimeZone.from(this.config.timeZone);
+    this.retryPolicy = new RetryPolicy(config.retry === false ? { maxAttempts: 1 } : config.retry);
+    this.outcomeResolver = new OutcomeResolver(this);
+    this.statusPoller = new StatusPoller(this);
+    this.preflight = new Preflight(this);
+    this.limits = config.limits === false
+      ? null
+      : new LimitsCache(this, typeof config.limits === 'object' ? config.limits : {});
+    this.events = new EventEmitter();
+    this.logger = this.createLogger(config.logger);
+    this.rateLimiter = config.rateLimit
+      ? new RateLimiter(config.rateLimit === true ? {} : config.rateLimit)
+      : null;
+    this.circuitBreaker = config.circuitBreaker
+      ? new CircuitBreaker(
+        config.circuitBreaker === true ? {} : config.circuitBreaker,
+        change => {
+          this.logger.warn('marzpay.circuit_state_change', change);
+          this.events.emit('circuitStateChange', change);
+        }
+      )
+      : null;
+    this.middleware = [];
+    (config.middleware || []).forEach(middleware => this.use(middleware));
+    this.transport = this.createTransport(config);
+
     // Initialize API modules
     this.collections = new CollectionsAPI(this);
     this.disbursements = new DisbursementsAPI(this);
@@ -63,75 +180,558 @@ export class MarzPay {
 
     // Initialize utility modules
     this.phoneUtils = new PhoneNumberUtils();
-    this.utils = new GeneralUtils();
+    this.utils = new GeneralUtils({ timeZone: this.timeZone });
 
     // Bind methods to maintain context
     this.request = this.request.bind(this);
+    this.use = this.use.bind(this);
+    this.on = this.on.bind(this);
+    this.off = this.off.bind(this);
     this.setCredentials = this.setCredentials.bind(this);
     this.getAuthHeader = this.getAuthHeader.bind(this);
   }
 
+  /**
+   * Select the HTTP transport
+   * 
+   * Without an explicit `transport`, the global fetch is used when it exists.
+   * On Node the `http`/`https` transport is used instead when fetch is
+   * missing (Node 14-17), when `http` options are given or when a proxy is
+   * configured through HTTP(S)_PROXY, since fetch ignores both.
+   * 
+   * @param {Object} config - Client configuration
+   * @returns {Object} Transport with a `send(request)` method
+   * 
+   * @throws {MarzPayError} When the transport option is invalid
+   * 
+   * @private
+   */
+  createTransport(config) {
+    const { transport, http } = config;
+
+    if (transport && typeof transport === 'object') {
+      if (typeof transport.send !== 'function') {
+        throw new MarzPayError('Transport must implement send(request)', 'INVALID_TRANSPORT', 400);
+      }
+      return transport;
+    }
+
+    if (transport === 'fetch') {
+      return new FetchTransport();
+    }
+
+    if (transport === 'node') {
+      return new NodeHttpTransport(http);
+    }
+
+    if (transport !== undefined) {
+      throw new MarzPayError(`Unknown transport: ${transport}`, 'INVALID_TRANSPORT', 400);
+    }
+
+    const preferNode = http || !FetchTransport.isSupported() || NodeHttpTransport.hasProxyEnv();
+    return preferNode && NodeHttpTransport.isSupported()
+      ? new NodeHttpTransport(http)
+      : new FetchTransport();
+  }
+
+  /**
+   * Create the client logger
+   * 
+   * The configured API key is always scrubbed from log output, on top of the
+   * Redactor's key- and pattern-based rules.
+   * 
+   * @param {Object|boolean|Logger} [option] - The `logger` config option
+   * @returns {Logger} Logger (silent when logging is not configured)
+   * 
+   * @private
+   */
+  createLogger(option) {
+    if (option instanceof Logger) {
+      return option;
+    }
+
+    if (!option) {
+      return new Logger({ level: 'silent' });
+    }
+
+    const settings = option === true ? {} : typeof option.info === 'function' ? { target: option } : option;
+    const redactOptions = settings.redact || {};
+    const redact = redactOptions instanceof Redactor
+      ? redactOptions
+      : new Redactor({
+        ...redactOptions,
+        secrets: () => [this.config.apiKey, ...(redactOptions.secrets || [])]
+      });
+
+    return new Logger({ ...settings, redact });
+  }
+
+  /**
+   * Listen to client events
+   * 
+   * Events:
+   * - `circuitStateChange` - `{ group, from, to, failures, error }` when a circuit opens, half-opens or closes
+   * - `transactionStatusChange` - `{ uuid, type, from, to, source, transaction, attempts, elapsed }` when a
+   *   transaction watched by `waitForCompletion()` or `collectAndConfirm()` changes status
+   * - `webhook` - `{ event, uuid, reference, status, transaction, payload }` for each delivery passed to
+   *   `webhooks.receive()`
+   * 
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener receiving the event payload
+   * @returns {Function} Function removing the listener
+   * 
+   * @example
+   * ```javascript
+   * marzpay.on('circuitStateChange', ({ group, to }) => {
+   *   if (to === 'open') {
+   *     pager.alert(`MarzPay ${group} API is failing`);
+   *   }
+   * });
+   * ```
+   */
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+
+  /**
+   * Remove an event listener
+   * 
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener passed to on()
+   */
+  off(event, listener) {
+    this.events.off(event, listener);
+  }
+
+  /**
+   * Register request middleware
+   * 
+   * Middleware runs in registration order around every API call and receives
+   * a mutable request context plus a `next` function. It can change the
+   * outgoing request (`endpoint`, `method`, `headers`, `body`), inspect or
+   * replace the response returned by `next()`, observe errors thrown by it,
+   * or skip `next()` entirely and return a synthetic response.
+   * 
+   * @param {Function} middleware - `async (context, next) => response`
+   * @returns {MarzPay} This instance for chaining
+   * 
+   * @throws {MarzPayError} When middleware is not a function
+   * 
+   * @example
+   * ```javascript
+   * marzpay.use(async (context, next) => {
+   *   context.headers['X-Request-Source'] = 'checkout';
+   *   const started = Date.now();
+   *   try {
+   *     return await next();
+   *   } finally {
+   *     metrics.timing('marzpay.request', Date.now() - started, { endpoint: context.endpoint });
+   *   }
+   * });
+   * ```
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new MarzPayError('Middleware must be a function', 'INVALID_MIDDLEWARE', 400);
+    }
+
+    this.middleware.push(middleware);
+    return this;
+  }
+
   /**
    * Make HTTP request to MarzPay API
    * 
+   * The call passes through the registered middleware first. Safe methods are
+   * then retried on transient failures according to the client retry policy.
+   * Retry metadata (`attempts`, `totalDelay`) is exposed as a non-enumerable
+   * `retry` property on the response, and as `retry` on the MarzPayError
+   * thrown after the last attempt.
+   * 
    * @param {string} endpoint - API endpoint (without base URL)
    * @param {Object} options - Request options
    * @param {string} [options.method='GET'] - HTTP method
    * @param {Object} [options.body] - Request body
    * @param {Object} [options.headers] - Additional headers
+   * @param {number} [options.timeout] - Timeout in milliseconds per attempt (defaults to config.timeout, 0 disables it)
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request
+   * @param {boolean|Object} [options.retry] - Retry override for this call
    * 
    * @returns {Promise<Object>} API response
    * 
-   * @throws {MarzPayError} When request fails
+   * @throws {MarzPayError} When request fails, times out (REQUEST_TIMEOUT) or is aborted (REQUEST_ABORTED)
    * 
    * @private
    */
   async request(endpoint, options = {}) {
+    const context = {
+      endpoint,
+      method: options.method || 'GET',
+      headers: { ...(options.headers || {}) },
+      body: options.body,
+      options,
+      state: {}
+    };
+
+    let lastIndex = -1;
+    const dispatch = async index => {
+      if (index <= lastIndex) {
+        throw new MarzPayError('next() called multiple times', 'INVALID_MIDDLEWARE', 0);
+      }
+      lastIndex = index;
+
+      const middleware = this.middleware[index];
+      if (!middleware) {
+        return this.dispatchRequest(context);
+      }
+
+      return middleware(context, () => dispatch(index + 1));
+    };
+
+    return dispatch(0);
+  }
+
+  /**
+   * Send the request described by a middleware context, applying the retry policy
+   * 
+   * @param {Object} context - Request context after middleware
+   * @returns {Promise<Object>} API response
+   * 
+   * @private
+   */
+  async dispatchRequest(context) {
+    const { endpoint, method, headers, body } = context;
+    const options = { ...context.options, method, headers, body };
+    const policy = this.retryPolicy.withOverride(options.retry);
+    const group = this.getEndpointGroup(endpoint);
+
+    // Every attempt, retries included, waits for its own rate limit slot
+    const send = () => (this.rateLimiter
+      ? this.rateLimiter.schedule(group, () => this.performRequest(endpoint, options), { signal: options.signal })
+      : this.performRequest(endpoint, options));
+    const attempt = () => (this.circuitBreaker ? this.circuitBreaker.execute(group, send) : send());
+
+    const { result, attempts, totalDelay } = await policy.execute(attempt, { method, signal: options.signal });
+
+    if (result && typeof result === 'object') {
+      Object.defineProperty(result, 'retry', {
+        value: { attempts, totalDelay },
+        enumerable: false,
+        configurable: true
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the endpoint group an API path belongs to
+   * 
+   * Groups are the unit for rate limiting and circuit breaking.
+   * 
+   * @param {string} endpoint - API endpoint (without base URL)
+   * @returns {string} Group name: collections, disbursements, transactions, balance,
+   * accounts, services, webhooks or default
+   * 
+   * @example
+   * ```javascript
+   * marzpay.getEndpointGroup('/send-money/services'); // Returns: 'disbursements'
+   * ```
+   */
+  getEndpointGroup(endpoint) {
+    const path = String(endpoint).split('?')[0];
+    const prefix = Object.keys(ENDPOINT_GROUPS).find(candidate =>
+      path === candidate || path.startsWith(`${candidate}/`)
+    );
+
+    return prefix ? ENDPOINT_GROUPS[prefix] : 'default';
+  }
+
+  /**
+   * Perform a single HTTP attempt against the MarzPay API
+   * 
+   * @param {string} endpoint - API endpoint (without base URL)
+   * @param {Object} options - Request options (see request)
+   * @returns {Promise<Object>} API response
+   * 
+   * @throws {MarzPayError} When the attempt fails
+   * 
+   * @private
+   */
+  async performRequest(endpoint, options = {}) {
     const {
       method = 'GET',
       body,
-      headers = {}
+      headers = {},
+      timeout = this.config.timeout,
+      signal
     } = options;
 
-    const url = `${this.config.baseUrl}${endpoint}`;
-    const requestOptions = {
+    if (signal && signal.aborted) {
+      throw MarzPayError.abortError(signal.reason);
+    }
+
+    const transportRequest = {
+      url: `${this.config.baseUrl}${endpoint}`,
       method,
       headers: {
         'Content-Type': 'application/json',
         'Authorization': this.getAuthHeader(),
         ...headers
       },
-      timeout: this.config.timeout
+      timeout
     };
 
     if (body && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
-      requestOptions.body = JSON.stringify(body);
+      transportRequest.body = JSON.stringify(body);
     }
 
+    const cancellation = this.createCancellation(timeout, signal);
+    if (cancellation.controller) {
+      transportRequest.signal = cancellation.controller.signal;
+    }
+
+    const started = Date.now();
+    this.logger.debug('marzpay.request', {
+      method,
+      url: transportRequest.url,
+      headers: transportRequest.headers,
+      body
+    });
+
     try {
-      const response = await fetch(url, requestOptions);
-      const responseData = await response.json();
+      const response = await Promise.race([this.transport.send(transportRequest), cancellation.promise]);
+      const { data: responseData, raw, parseError } = await Promise.race([
+        this.readResponse(response),
+        cancellation.promise
+      ]);
 
-      if (!response.ok) {
-        throw MarzPayError.fromResponse(responseData, response.status);
+      if (!response.ok || parseError) {
+        const error = this.createResponseError(response, responseData, raw, parseError);
+        const retryAfter = RetryPolicy.parseRetryAfter(
+          response.headers && typeof response.headers.get === 'function'
+            ? response.headers.get('retry-after')
+            : null
+        );
+        if (retryAfter !== null) {
+          error.retryAfter = retryAfter;
+        }
+        throw error;
       }
 
+      this.logger.info('marzpay.response', {
+        method,
+        url: transportRequest.url,
+        status: response.status,
+        duration_ms: Date.now() - started,
+        ...(this.logger.isEnabled('debug') ? { body: responseData } : {})
+      });
+
       return responseData;
     } catch (error) {
-      if (error instanceof MarzPayError) {
-        throw error;
-      }
+      const failure = this.toMarzPayError(error);
+      this.logger.warn('marzpay.request_failed', {
+        method,
+        url: transportRequest.url,
+        duration_ms: Date.now() - started,
+        error: failure
+      });
+      throw failure;
+    } finally {
+      cancellation.cleanup();
+    }
+  }
 
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        throw MarzPayError.networkError('Network request failed');
+  /**
+   * Read and parse a response body according to its content type
+   * 
+   * Empty bodies (204, or a blank body) parse to null. Bodies that are not
+   * JSON are kept raw and reported through `parseError` instead of throwing.
+   * 
+   * @param {Object} response - Transport response
+   * @returns {Promise<{data: any, raw: string|null, parseError: Error|null}>} Parsed body
+   * 
+   * @private
+   */
+  async readResponse(response) {
+    // Custom transports may only implement json()
+    if (typeof response.text !== 'function') {
+      try {
+        return { data: await response.json(), raw: null, parseError: null };
+      } catch (error) {
+        return { data: null, raw: null, parseError: error };
       }
+    }
+
+    const raw = await response.text();
+    if (response.status === 204 || response.status === 205 || !raw || raw.trim() === '') {
+      return { data: null, raw: raw || '', parseError: null };
+    }
+
+    const contentType = this.getResponseHeader(response, 'content-type');
+    const declaredJson = !contentType || /[/+]json\b/i.test(contentType);
+    if (!declaredJson && !/^\s*[[{]/.test(raw)) {
+      return { data: null, raw, parseError: new Error(`Expected JSON but received ${contentType.split(';')[0]}`) };
+    }
+
+    try {
+      return { data: JSON.parse(raw), raw, parseError: null };
+    } catch (error) {
+      return { data: null, raw, parseError: error };
+    }
+  }
+
+  /**
+   * Build the error for a failed or unreadable response
+   * 
+   * The error keeps what actually came back in `error.response`: status,
+   * headers and the raw body truncated to MAX_RAW_BODY characters.
+   * 
+   * @param {Object} response - Transport response
+   * @param {any} data - Parsed body, if any
+   * @param {string|null} raw - Raw body
+   * @param {Error|null} parseError - Parse failure, if any
+   * @returns {MarzPayError} Error to throw
+   * 
+   * @private
+   */
+  createResponseError(response, data, raw, parseError) {
+    const { status } = response;
+    const statusText = response.statusText || '';
+    const contentType = this.getResponseHeader(response, 'content-type');
+    let error;
 
-      throw new MarzPayError(
-        error.message || 'Request failed',
-        'REQUEST_FAILED',
-        error.status || 0
+    if (response.ok) {
+      error = new MarzPayError(
+        `Invalid JSON in API response (HTTP ${status}): ${parseError.message}`,
+        'INVALID_RESPONSE',
+        status,
+        { content_type: contentType }
+      );
+    } else if (data && typeof data === 'object') {
+      error = MarzPayError.fromResponse(data, status, response.headers);
+    } else {
+      const bodyDescription = raw ? `${contentType ? contentType.split(';')[0] : 'non-JSON'} body` : 'empty body';
+      error = MarzPayError.fromResponse(
+        { message: `HTTP ${status}${statusText ? ` ${statusText}` : ''} with ${bodyDescription}` },
+        status,
+        response.headers
       );
     }
+
+    error.response = {
+      status,
+      statusText,
+      headers: this.getResponseHeaders(response),
+      body: raw && raw.length > MAX_RAW_BODY
+        ? `${raw.slice(0, MAX_RAW_BODY)}... [truncated ${raw.length - MAX_RAW_BODY} characters]`
+        : raw
+    };
+
+    return error;
+  }
+
+  /**
+   * Read a single response header
+   * 
+   * @private
+   */
+  getResponseHeader(response, name) {
+    const { headers } = response;
+    return headers && typeof headers.get === 'function' ? headers.get(name) : null;
+  }
+
+  /**
+   * Copy response headers into a plain object with lower-case names
+   * 
+   * @private
+   */
+  getResponseHeaders(response) {
+    const { headers } = response;
+    const result = {};
+
+    if (headers && typeof headers.forEach === 'function') {
+      headers.forEach((value, name) => {
+        result[String(name).toLowerCase()] = value;
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Convert anything thrown during an attempt into a MarzPayError
+   * 
+   * @param {Error} error - Thrown error
+   * @returns {MarzPayError} Normalized error
+   * 
+   * @private
+   */
+  toMarzPayError(error) {
+    if (error instanceof MarzPayError) {
+      return error;
+    }
+
+    if (error.name === 'TypeError' && error.message.includes('fetch')) {
+      return MarzPayError.networkError('Network request failed');
+    }
+
+    return new MarzPayError(
+      error.message || 'Request failed',
+      'REQUEST_FAILED',
+      error.status || 0
+    );
+  }
+
+  /**
+   * Combine the request timeout and the caller's AbortSignal
+   * 
+   * The returned promise rejects with a REQUEST_TIMEOUT or REQUEST_ABORTED
+   * error, and the controller (when AbortController exists in the runtime)
+   * aborts the underlying HTTP call so no socket is left hanging.
+   * 
+   * @param {number} timeout - Timeout in milliseconds, 0 or less disables it
+   * @param {AbortSignal} [signal] - Caller-supplied signal
+   * @returns {{promise: Promise<never>, controller: AbortController|null, cleanup: Function}} Cancellation handle
+   * 
+   * @private
+   */
+  createCancellation(timeout, signal) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    let timer = null;
+    let onAbort = null;
+
+    const promise = new Promise((_, reject) => {
+      const cancel = error => {
+        reject(error);
+        if (controller) {
+          controller.abort();
+        }
+      };
+
+      if (timeout > 0) {
+        timer = setTimeout(() => cancel(MarzPayError.timeoutError(timeout)), timeout);
+      }
+
+      if (signal) {
+        onAbort = () => cancel(MarzPayError.abortError(signal.reason));
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+
+    // Only observed through Promise.race; never let it surface as unhandled
+    promise.catch(() => {});
+
+    return {
+      promise,
+      controller,
+      cleanup: () => {
+        clearTimeout(timer);
+        if (signal && onAbort) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      }
+    };
   }
 
   /**
@@ -156,7 +756,10 @@ export class MarzPay {
    */
   getAuthHeader() {
     const credentials = `${this.config.apiUser}:${this.config.apiKey}`;
-    return `Basic ${btoa(credentials)}`;
+    const encoded = typeof btoa === 'function'
+      ? btoa(credentials)
+      : Buffer.from(credentials, 'utf8').toString('base64');
+    return `Basic ${encoded}`;
   }
 
   /**
@@ -222,9 +825,48 @@ export {
   AccountsAPI,
   BalanceAPI,
   TransactionsAPI,
+  TransactionQuery,
   ServicesAPI,
   WebhooksAPI,
   PhoneNumberUtils,
   GeneralUtils,
-  MarzPayError
+  RetryPolicy,
+  OutcomeResolver,
+  StatusPoller,
+  Preflight,
+  LimitsCache,
+  RateLimiter,
+  CircuitBreaker,
+  EventEmitter,
+  Logger,
+  Redactor,
+  Paginator,
+  TransactionAggregator,
+  TimeSeries,
+  TimeZone,
+  Exporter,
+  CsvFormat,
+  JsonLinesFormat,
+  Statement,
+  Camt053Format,
+  Mt940Format,
+  OfxFormat,
+  QifFormat,
+  Reconciler,
+  ReconciliationReport,
+  BulkDisbursement,
+  CsvParser,
+  Pain001Parser,
+  Pain002Format,
+  XmlParser,
+  FetchTransport,
+  NodeHttpTransport,
+  MarzPayError,
+  ValidationError,
+  AuthenticationError,
+  RateLimitError,
+  InsufficientBalanceError,
+  NetworkError,
+  TimeoutError,
+  ServerError
 };
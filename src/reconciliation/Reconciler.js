@@ -0,0 +1,234 @@
+import { ValidationError } from '../errors/MarzPayError.js';
+import { PhoneNumberUtils } from '../utils/PhoneNumberUtils.js';
+import { ReconciliationReport } from './ReconciliationReport.js';
+
+/**
+ * Reconciler - Matches internal ledger records against MarzPay transactions
+ *
+ * Records are matched to transactions by reference. Each matched pair is
+ * compared on amount, status and phone number, as far as the record
+ * provides them. Records without a transaction are missing on MarzPay, and
+ * transactions without a record are unexpected. Transactions are consumed
+ * as a stream, so only the records and the report are held in memory; matched
+ * items keep just the compared values, not the raw record and transaction.
+ *
+ * @example
+ * ```javascript
+ * const reconciler = new Reconciler({ tolerance: 1, statuses: { paid: 'successful' } });
+ * const report = await reconciler.reconcile(orders, marzpay.transactions.list({ start_date: '2024-01-01' }));
+ *
+ * report.amountMismatches.forEach(item => console.log(item.reference, item.expected.amount, item.actual.amount));
+ * ```
+ */
+export class Reconciler {
+  /**
+   * Create a new Reconciler
+   *
+   * @param {Object} [settings] - Comparison settings
+   * @param {number} [settings.tolerance=0] - Largest amount difference still treated as equal
+   * @param {Object<string, string>} [settings.statuses] - Internal statuses mapped to MarzPay statuses
+   * (`{ paid: 'successful' }`); statuses are compared case-insensitively
+   * @param {string} [settings.start] - First day of the window, recorded on the report
+   * @param {string} [settings.end] - Last day of the window, recorded on the report
+   * @throws {ValidationError} When the tolerance is invalid
+   */
+  constructor(settings = {}) {
+    const { tolerance = 0, statuses = {}, start = null, end = null } = settings;
+
+    if (typeof tolerance !== 'number' || !Number.isFinite(tolerance) || tolerance < 0) {
+      throw new ValidationError('Tolerance must be a non-negative number', 'INVALID_TOLERANCE');
+    }
+
+    this.tolerance = tolerance;
+    this.statuses = Object.keys(statuses).reduce((map, status) => {
+      map[status.toLowerCase()] = String(statuses[status]).toLowerCase();
+      return map;
+    }, {});
+    this.start = start;
+    this.end = end;
+    this.phoneUtils = new PhoneNumberUtils();
+  }
+
+  /**
+   * Reconcile records against transactions
+   *
+   * @param {Array<Object>} records - Internal records: `{ reference, amount, phone, status }`; `phone` and
+   * `status` are optional and only compared when given (`phone_number` is accepted for `phone`)
+   * @param {AsyncIterable<Object>|Iterable<Object>} transactions - MarzPay transactions, e.g. a Paginator
+   * @returns {Promise<ReconciliationReport>} Report
+   * @throws {ValidationError} When a record is malformed or a reference appears twice
+   */
+  async reconcile(records, transactions) {
+    const pending = this.index(records);
+    const items = [];
+    let transactionCount = 0;
+
+    for await (const transaction of transactions) {
+      transactionCount++;
+      const record = transaction.reference === undefined || transaction.reference === null
+        ? undefined
+        : pending.get(String(transaction.reference));
+
+      if (record) {
+        pending.delete(String(transaction.reference));
+        items.push(this.compare(record, transaction));
+      } else {
+        items.push(this.item('unexpected', null, transaction));
+      }
+    }
+
+    pending.forEach(record => {
+      items.push(this.item('missing', record, null));
+    });
+
+    return new ReconciliationReport({
+      start: this.start,
+      end: this.end,
+      records: records.length,
+      transactions: transactionCount,
+      items
+    });
+  }
+
+  /**
+   * Map records by reference, validating them
+   *
+   * @private
+   */
+  index(records) {
+    if (!Array.isArray(records)) {
+      throw new ValidationError('Records must be an array', 'INVALID_RECORDS');
+    }
+
+    const byReference = new Map();
+
+    records.forEach((record, position) => {
+      if (!record || record.reference === undefined || record.reference === null || record.reference === '') {
+        throw new ValidationError(`Record ${position} has no reference`, 'INVALID_RECORDS');
+      }
+
+      if (!Number.isFinite(Reconciler.numberOf(record.amount))) {
+        throw new ValidationError(`Record ${record.reference} has no valid amount`, 'INVALID_RECORDS');
+      }
+
+      const reference = String(record.reference);
+      if (byReference.has(reference)) {
+        throw new ValidationError(`Duplicate reference in records: ${reference}`, 'DUPLICATE_REFERENCE');
+      }
+
+      byReference.set(reference, record);
+    });
+
+    return byReference;
+  }
+
+  /**
+   * Compare a record with its transaction
+   *
+   * @private
+   */
+  compare(record, transaction) {
+    const expected = this.expectedOf(record);
+    const actual = this.actualOf(transaction);
+    const differences = [];
+
+    if (!(Math.abs(Reconciler.round(actual.amount - expected.amount)) <= this.tolerance)) {
+      differences.push('amount');
+    }
+
+    if (expected.status && expected.status !== actual.status) {
+      differences.push('status');
+    }
+
+    if (expected.phone && actual.phone && expected.phone !== actual.phone) {
+      differences.push('phone');
+    }
+
+    return this.item(differences.length > 0 ? 'mismatch' : 'matched', record, transaction, differences);
+  }
+
+  /**
+   * Report item, with the raw record and transaction only when they need looking into
+   *
+   * @private
+   */
+  item(result, record, transaction, differences = []) {
+    const expected = record ? this.expectedOf(record) : null;
+    const actual = transaction ? this.actualOf(transaction) : null;
+    const keepRaw = result !== 'matched';
+
+    return {
+      result,
+      reference: String((record || transaction).reference),
+      expected,
+      actual,
+      difference: expected && actual ? Reconciler.round(actual.amount - expected.amount) : null,
+      differences,
+      record: keepRaw ? record : null,
+      transaction: keepRaw ? transaction : null
+    };
+  }
+
+  /**
+   * Comparable values of a record
+   *
+   * @private
+   */
+  expectedOf(record) {
+    const status = record.status ? String(record.status).toLowerCase() : null;
+
+    return {
+      amount: Reconciler.numberOf(record.amount),
+      status: status ? this.statuses[status] || status : null,
+      phone: this.phoneOf(record.phone || record.phone_number)
+    };
+  }
+
+  /**
+   * Comparable values of a transaction
+   *
+   * @private
+   */
+  actualOf(transaction) {
+    const details = transaction.details || {};
+
+    return {
+      uuid: transaction.uuid || null,
+      amount: Reconciler.numberOf(transaction.amount),
+      status: transaction.status ? String(transaction.status).toLowerCase() : null,
+      phone: this.phoneOf(transaction.phone_number || details.phone_number),
+      createdAt: transaction.created_at || (transaction.timeline && transaction.timeline.created_at) || null
+    };
+  }
+
+  /**
+   * Phone number in international format, or its digits when not a Ugandan number
+   *
+   * @private
+   */
+  phoneOf(phone) {
+    if (!phone) {
+      return null;
+    }
+
+    return this.phoneUtils.formatPhoneNumber(String(phone)) || String(phone).replace(/\D/g, '');
+  }
+
+  /**
+   * Numeric value of an amount (`{ raw }`, string or number)
+   *
+   * @private
+   */
+  static numberOf(value) {
+    return parseFloat(value && typeof value === 'object' ? value.raw : value);
+  }
+
+  /**
+   * Round to two decimals
+   *
+   * @private
+   */
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
@@ -0,0 +1,178 @@
+import { Exporter } from '../exporters/Exporter.js';
+
+/**
+ * ReconciliationReport - Outcome of reconciling records against MarzPay
+ *
+ * Every record and every transaction appears in exactly one item. An item's
+ * `result` is `matched`, `mismatch` (see `differences`: `amount`, `status`
+ * and/or `phone`), `missing` (no transaction on MarzPay) or `unexpected`
+ * (no internal record). `JSON.stringify(report)` gives the full report; use
+ * `export()` for CSV or JSON Lines.
+ *
+ * @example
+ * ```javascript
+ * const report = await marzpay.transactions.reconcile(orders, '2024-01-01', '2024-01-31');
+ *
+ * console.log(report.summary);
+ * fs.writeFileSync('reconciliation.json', JSON.stringify(report, null, 2));
+ * await report.export({ format: 'csv' }).pipeTo(fs.createWriteStream('reconciliation.csv'));
+ * ```
+ */
+export class ReconciliationReport {
+  /**
+   * Create a new ReconciliationReport
+   *
+   * @param {Object} settings - Report contents
+   * @param {string|null} [settings.start] - First day of the window
+   * @param {string|null} [settings.end] - Last day of the window
+   * @param {number} settings.records - Number of internal records
+   * @param {number} settings.transactions - Number of MarzPay transactions
+   * @param {Array<Object>} settings.items - Report items
+   */
+  constructor(settings) {
+    const { start = null, end = null, records, transactions, items } = settings;
+
+    this.start = start;
+    this.end = end;
+    this.records = records;
+    this.transactions = transactions;
+    this.items = items;
+  }
+
+  /**
+   * Columns written by `export()` when none are given
+   *
+   * @type {Array<string|Object>}
+   */
+  static get EXPORT_COLUMNS() {
+    return [
+      'result',
+      'reference',
+      { header: 'differences', value: item => item.differences.join(';') },
+      { header: 'uuid', value: 'actual.uuid' },
+      { header: 'expected_amount', value: 'expected.amount' },
+      { header: 'actual_amount', value: 'actual.amount' },
+      'difference',
+      { header: 'expected_status', value: 'expected.status' },
+      { header: 'actual_status', value: 'actual.status' },
+      { header: 'expected_phone_number', value: 'expected.phone' },
+      { header: 'actual_phone_number', value: 'actual.phone' },
+      { header: 'created_at', value: 'actual.createdAt' }
+    ];
+  }
+
+  /**
+   * Items whose record and transaction agree
+   *
+   * @type {Array<Object>}
+   */
+  get matched() {
+    return this.items.filter(item => item.result === 'matched');
+  }
+
+  /**
+   * Items whose amounts differ by more than the tolerance
+   *
+   * @type {Array<Object>}
+   */
+  get amountMismatches() {
+    return this.items.filter(item => item.differences.includes('amount'));
+  }
+
+  /**
+   * Items whose MarzPay status is not the expected one
+   *
+   * @type {Array<Object>}
+   */
+  get statusMismatches() {
+    return this.items.filter(item => item.differences.includes('status'));
+  }
+
+  /**
+   * Items whose phone numbers differ
+   *
+   * @type {Array<Object>}
+   */
+  get phoneMismatches() {
+    return this.items.filter(item => item.differences.includes('phone'));
+  }
+
+  /**
+   * Records with no MarzPay transaction
+   *
+   * @type {Array<Object>}
+   */
+  get missing() {
+    return this.items.filter(item => item.result === 'missing');
+  }
+
+  /**
+   * MarzPay transactions with no record
+   *
+   * @type {Array<Object>}
+   */
+  get unexpected() {
+    return this.items.filter(item => item.result === 'unexpected');
+  }
+
+  /**
+   * Whether every record matched and nothing is unexpected
+   *
+   * @type {boolean}
+   */
+  get reconciled() {
+    return this.items.every(item => item.result === 'matched');
+  }
+
+  /**
+   * Counts per outcome
+   *
+   * @type {Object}
+   */
+  get summary() {
+    return {
+      records: this.records,
+      transactions: this.transactions,
+      matched: this.matched.length,
+      amountMismatches: this.amountMismatches.length,
+      statusMismatches: this.statusMismatches.length,
+      phoneMismatches: this.phoneMismatches.length,
+      missing: this.missing.length,
+      unexpected: this.unexpected.length,
+      reconciled: this.reconciled
+    };
+  }
+
+  /**
+   * Plain data for `JSON.stringify()`
+   *
+   * @returns {Object} Window, summary and items by outcome
+   */
+  toJSON() {
+    return {
+      start: this.start,
+      end: this.end,
+      summary: this.summary,
+      matched: this.matched,
+      amountMismatches: this.amountMismatches,
+      statusMismatches: this.statusMismatches,
+      phoneMismatches: this.phoneMismatches,
+      missing: this.missing,
+      unexpected: this.unexpected
+    };
+  }
+
+  /**
+   * Export the items as CSV or JSON Lines, one line per item
+   *
+   * @param {Object} [settings] - Export settings (`format`, `columns`, `maskPhoneNumbers`, `delimiter`);
+   * columns default to `ReconciliationReport.EXPORT_COLUMNS`
+   * @returns {Exporter} Export with `pipeTo()`, `toReadableStream()`, `toNodeStream()` and `text()`
+   */
+  export(settings = {}) {
+    return new Exporter(this.items, {
+      defaultColumns: ReconciliationReport.EXPORT_COLUMNS,
+      ...settings
+    });
+  }
+}
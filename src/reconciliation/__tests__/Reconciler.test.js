@@ -0,0 +1,105 @@
+import { MarzPay } from '../../index.js';
+import { Reconciler } from '../Reconciler.js';
+
+describe('Reconciler', () => {
+  const tx = (reference, overrides = {}) => ({
+    uuid: `uuid-${reference}`,
+    reference,
+    type: 'collection',
+    status: 'successful',
+    amount: { formatted: '5,000 UGX', raw: '5000', currency: 'UGX' },
+    phone_number: '+256759983853',
+    created_at: '2024-01-15T10:00:00Z',
+    ...overrides
+  });
+
+  const records = [
+    { reference: 'ref-1', amount: 5000, phone: '0759983853', status: 'paid' },
+    { reference: 'ref-2', amount: '4000', status: 'paid' },
+    { reference: 'ref-3', amount: 5000, status: 'paid' },
+    { reference: 'ref-4', amount: 5000, phone: '0700000000' },
+    { reference: 'ref-5', amount: 1000 }
+  ];
+
+  const transactions = [
+    tx('ref-1'),
+    tx('ref-2'),
+    tx('ref-3', { status: 'failed' }),
+    tx('ref-4'),
+    tx('ref-9')
+  ];
+
+  it('should sort records and transactions into outcomes', async () => {
+    const report = await new Reconciler({ statuses: { PAID: 'successful' } }).reconcile(records, transactions);
+
+    expect(report.matched.map(item => item.reference)).toEqual(['ref-1']);
+    expect(report.amountMismatches.map(item => [item.reference, item.difference])).toEqual([['ref-2', 1000]]);
+    expect(report.statusMismatches.map(item => [item.reference, item.expected.status, item.actual.status])).toEqual([
+      ['ref-3', 'successful', 'failed']
+    ]);
+    expect(report.phoneMismatches.map(item => item.reference)).toEqual(['ref-4']);
+    expect(report.missing.map(item => [item.reference, item.actual])).toEqual([['ref-5', null]]);
+    expect(report.unexpected.map(item => [item.reference, item.expected, item.actual.uuid])).toEqual([['ref-9', null, 'uuid-ref-9']]);
+    expect(report.summary).toEqual({
+      records: 5,
+      transactions: 5,
+      matched: 1,
+      amountMismatches: 1,
+      statusMismatches: 1,
+      phoneMismatches: 1,
+      missing: 1,
+      unexpected: 1,
+      reconciled: false
+    });
+  });
+
+  it('should treat amounts within the tolerance as equal', async () => {
+    const report = await new Reconciler({ tolerance: 1000 }).reconcile([{ reference: 'ref-2', amount: 4000 }], [tx('ref-2')]);
+
+    expect(report.reconciled).toBe(true);
+    expect(report.matched[0].difference).toBe(1000);
+    expect(report.matched[0]).toMatchObject({ expected: { amount: 4000 }, actual: { amount: 5000 }, record: null, transaction: null });
+  });
+
+  it('should export the report as JSON and CSV with masked phone numbers', async () => {
+    const report = await new Reconciler({ start: '2024-01-01', end: '2024-01-31' }).reconcile(records.slice(2), transactions.slice(2));
+    const json = JSON.parse(JSON.stringify(report));
+    const lines = (await report.export({ format: 'csv' }).text()).trim().split('\r\n');
+
+    expect(json.start).toBe('2024-01-01');
+    expect(json.statusMismatches[0].transaction.uuid).toBe('uuid-ref-3');
+    expect(lines[0]).toBe('result,reference,differences,uuid,expected_amount,actual_amount,difference,expected_status,actual_status,expected_phone_number,actual_phone_number,created_at');
+    expect(lines[1]).toBe('mismatch,ref-3,status,uuid-ref-3,5000,5000,0,paid,failed,,+2*********53,2024-01-15T10:00:00Z');
+    expect(lines[2]).toBe('mismatch,ref-4,phone,uuid-ref-4,5000,5000,0,,successful,+2*********00,+2*********53,2024-01-15T10:00:00Z');
+    expect(lines[3]).toBe('unexpected,ref-9,,uuid-ref-9,,5000,,,successful,,+2*********53,2024-01-15T10:00:00Z');
+    expect(lines[4]).toBe('missing,ref-5,,,1000,,,,,,,');
+  });
+
+  it('should reject malformed records', async () => {
+    const reconciler = new Reconciler();
+
+    await expect(reconciler.reconcile([{ amount: 1 }], [])).rejects.toMatchObject({ code: 'INVALID_RECORDS' });
+    await expect(reconciler.reconcile([{ reference: 'a', amount: 'n/a' }], [])).rejects.toMatchObject({ code: 'INVALID_RECORDS' });
+    await expect(reconciler.reconcile([{ reference: 'a', amount: 1 }, { reference: 'a', amount: 2 }], [])).rejects.toMatchObject({ code: 'DUPLICATE_REFERENCE' });
+    expect(() => new Reconciler({ tolerance: -1 })).toThrow(expect.objectContaining({ code: 'INVALID_TOLERANCE' }));
+  });
+
+  it('should page through the transactions of the window', async () => {
+    const marzpay = new MarzPay({ apiUser: 'test-api-user', apiKey: 'test-api-key', retry: false });
+    fetch
+      .mockResolvedValueOnce(createMockResponse({ status: 'success', data: { transactions: transactions.slice(0, 2), pagination: { current_page: 1, last_page: 2 } } }))
+      .mockResolvedValueOnce(createMockResponse({ status: 'success', data: { transactions: transactions.slice(2), pagination: { current_page: 2, last_page: 2 } } }));
+
+    const report = await marzpay.transactions.reconcile(records, '2024-01-01', '2024-01-31', {
+      filters: { type: 'collection' },
+      statuses: { paid: 'successful' }
+    });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch.mock.calls[0][0]).toContain('type=collection');
+    expect(fetch.mock.calls[0][0]).toContain('start_date=2024-01-01');
+    expect(report.end).toBe('2024-01-31');
+    expect(report.summary.transactions).toBe(5);
+    await expect(marzpay.transactions.reconcile(records, '2024-01-01')).rejects.toMatchObject({ code: 'MISSING_DATES' });
+  });
+});
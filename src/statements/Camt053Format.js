@@ -0,0 +1,185 @@
+import { TimeZone } from '../utils/TimeZone.js';
+
+/**
+ * camt.053 Format - ISO 20022 Bank to Customer Statement (camt.053.001.02)
+ *
+ * Produces one `<Stmt>` with opening (OPBD) and closing (CLBD) booked
+ * balances, a transaction summary and one `<Ntry>` per statement entry.
+ * References map to the MarzPay transaction: the reference becomes the
+ * entry reference and end-to-end id, the UUID the servicer reference and
+ * transaction id. Refunds are flagged as reversals.
+ *
+ * @example
+ * ```javascript
+ * const xml = new Camt053Format().render(statement);
+ * ```
+ */
+export class Camt053Format {
+  /**
+   * Create a new Camt053Format
+   *
+   * @param {Object} [options] - Format options
+   * @param {string} [options.messageId] - Group header message id (defaults to the statement id)
+   */
+  constructor(options = {}) {
+    this.messageId = options.messageId || null;
+    this.contentType = 'application/xml; charset=utf-8';
+    this.extension = 'xml';
+  }
+
+  /**
+   * ISO bank transaction codes (domain, family, sub-family) by entry kind and direction
+   *
+   * @type {Object<string, Array<string>>}
+   */
+  static get TRANSACTION_CODES() {
+    return {
+      'collection:credit': ['PMNT', 'RCDT', 'OTHR'],
+      'collection:debit': ['PMNT', 'RCDT', 'RRTN'],
+      'withdrawal:debit': ['PMNT', 'ICDT', 'OTHR'],
+      'withdrawal:credit': ['PMNT', 'ICDT', 'RRTN'],
+      'charge:debit': ['ACMT', 'MDOP', 'CHRG'],
+      'charge:credit': ['ACMT', 'MCOP', 'CHRG'],
+      'refund:credit': ['PMNT', 'ICDT', 'RRTN'],
+      'refund:debit': ['PMNT', 'RCDT', 'RRTN'],
+      'other:credit': ['ACMT', 'MCOP', 'OTHR'],
+      'other:debit': ['ACMT', 'MDOP', 'OTHR']
+    };
+  }
+
+  /**
+   * Render a statement
+   *
+   * @param {Statement} statement - Statement to render
+   * @returns {string} XML document
+   */
+  render(statement) {
+    const zone = statement.timeZone;
+    const { credits, debits } = statement.totals;
+    const createdAt = zone.formatDateTime(statement.createdAt);
+    const endOfPeriod = new Date(zone.startOfDay(TimeZone.addDays(statement.end, 1)).getTime() - 1000);
+    const currency = statement.account.currency;
+    const net = Math.round((credits.sum - debits.sum) * 100) / 100;
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">',
+      '  <BkToCstmrStmt>',
+      '    <GrpHdr>',
+      `      <MsgId>${Camt053Format.text(this.messageId || statement.id, 35)}</MsgId>`,
+      `      <CreDtTm>${createdAt}</CreDtTm>`,
+      '    </GrpHdr>',
+      '    <Stmt>',
+      `      <Id>${Camt053Format.text(statement.id, 35)}</Id>`,
+      `      <ElctrncSeqNb>${statement.sequence}</ElctrncSeqNb>`,
+      `      <CreDtTm>${createdAt}</CreDtTm>`,
+      '      <FrToDt>',
+      `        <FrDtTm>${zone.formatDateTime(zone.startOfDay(statement.start))}</FrDtTm>`,
+      `        <ToDtTm>${zone.formatDateTime(endOfPeriod)}</ToDtTm>`,
+      '      </FrToDt>',
+      '      <Acct>',
+      `        <Id><Othr><Id>${Camt053Format.text(statement.account.id, 34)}</Id></Othr></Id>`,
+      `        <Ccy>${currency}</Ccy>`,
+      ...(statement.account.name ? [`        <Nm>${Camt053Format.text(statement.account.name, 70)}</Nm>`] : []),
+      `        <Svcr><FinInstnId><Nm>${Camt053Format.text(statement.account.servicer, 140)}</Nm></FinInstnId></Svcr>`,
+      '      </Acct>',
+      ...this.balance('OPBD', statement.openingBalance, currency, statement.start),
+      ...this.balance('CLBD', statement.closingBalance, currency, statement.end),
+      '      <TxsSummry>',
+      '        <TtlNtries>',
+      `          <NbOfNtries>${credits.count + debits.count}</NbOfNtries>`,
+      `          <Sum>${Camt053Format.amount(credits.sum + debits.sum)}</Sum>`,
+      `          <TtlNetNtryAmt>${Camt053Format.amount(Math.abs(net))}</TtlNetNtryAmt>`,
+      `          <CdtDbtInd>${net < 0 ? 'DBIT' : 'CRDT'}</CdtDbtInd>`,
+      '        </TtlNtries>',
+      `        <TtlCdtNtries><NbOfNtries>${credits.count}</NbOfNtries><Sum>${Camt053Format.amount(credits.sum)}</Sum></TtlCdtNtries>`,
+      `        <TtlDbtNtries><NbOfNtries>${debits.count}</NbOfNtries><Sum>${Camt053Format.amount(debits.sum)}</Sum></TtlDbtNtries>`,
+      '      </TxsSummry>',
+      ...statement.entries.flatMap(entry => this.entry(entry, currency, zone)),
+      '    </Stmt>',
+      '  </BkToCstmrStmt>',
+      '</Document>'
+    ];
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * `<Bal>` element
+   *
+   * @private
+   */
+  balance(type, value, currency, day) {
+    return [
+      '      <Bal>',
+      `        <Tp><CdOrPrtry><Cd>${type}</Cd></CdOrPrtry></Tp>`,
+      `        <Amt Ccy="${currency}">${Camt053Format.amount(Math.abs(value))}</Amt>`,
+      `        <CdtDbtInd>${value < 0 ? 'DBIT' : 'CRDT'}</CdtDbtInd>`,
+      `        <Dt><Dt>${day}</Dt></Dt>`,
+      '      </Bal>'
+    ];
+  }
+
+  /**
+   * `<Ntry>` element
+   *
+   * @private
+   */
+  entry(entry, currency, zone) {
+    const [domain, family, subFamily] = Camt053Format.TRANSACTION_CODES[`${entry.kind}:${entry.direction}`] ||
+      Camt053Format.TRANSACTION_CODES[`other:${entry.direction}`];
+    const reference = entry.reference ? Camt053Format.text(entry.reference, 35) : null;
+    // UUIDs are 36 characters; references are limited to 35, so long ones lose their dashes
+    const id = entry.id ? Camt053Format.text(String(entry.id).length > 35 ? String(entry.id).replace(/-/g, '') : entry.id, 35) : null;
+    const description = entry.description ? Camt053Format.text(entry.description, 500) : null;
+
+    return [
+      '      <Ntry>',
+      ...(reference ? [`        <NtryRef>${reference}</NtryRef>`] : []),
+      `        <Amt Ccy="${currency}">${Camt053Format.amount(entry.amount)}</Amt>`,
+      `        <CdtDbtInd>${entry.direction === 'debit' ? 'DBIT' : 'CRDT'}</CdtDbtInd>`,
+      ...(entry.kind === 'refund' ? ['        <RvslInd>true</RvslInd>'] : []),
+      '        <Sts>BOOK</Sts>',
+      `        <BookgDt><DtTm>${zone.formatDateTime(entry.bookedAt)}</DtTm></BookgDt>`,
+      `        <ValDt><Dt>${entry.bookingDate}</Dt></ValDt>`,
+      ...(id ? [`        <AcctSvcrRef>${id}</AcctSvcrRef>`] : []),
+      `        <BkTxCd><Domn><Cd>${domain}</Cd><Fmly><Cd>${family}</Cd><SubFmlyCd>${subFamily}</SubFmlyCd></Fmly></Domn></BkTxCd>`,
+      '        <NtryDtls>',
+      '          <TxDtls>',
+      '            <Refs>',
+      ...(id ? [`              <AcctSvcrRef>${id}</AcctSvcrRef>`] : []),
+      `              <EndToEndId>${reference || 'NOTPROVIDED'}</EndToEndId>`,
+      ...(id ? [`              <TxId>${id}</TxId>`] : []),
+      '            </Refs>',
+      ...(description ? [`            <AddtlTxInf>${description}</AddtlTxInf>`] : []),
+      '          </TxDtls>',
+      '        </NtryDtls>',
+      ...(description ? [`        <AddtlNtryInf>${description}</AddtlNtryInf>`] : []),
+      '      </Ntry>'
+    ];
+  }
+
+  /**
+   * Decimal amount with two fraction digits
+   *
+   * @private
+   */
+  static amount(value) {
+    return (Math.round(value * 100) / 100).toFixed(2);
+  }
+
+  /**
+   * XML-escaped text truncated to a maximum length
+   *
+   * @private
+   */
+  static text(value, maxLength) {
+    return String(value)
+      .slice(0, maxLength)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
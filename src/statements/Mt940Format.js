@@ -0,0 +1,149 @@
+/**
+ * MT940 Format - SWIFT Customer Statement Message
+ *
+ * Produces the text block of an MT940 message (fields `:20:` to `:64:`)
+ * as imported by accounting packages. Each entry is one `:61:` statement
+ * line followed by `:86:` information. Debits and credits are marked `D`/`C`;
+ * refunds are marked as reversals (`RD` when the credit reverses a debit,
+ * `RC` when the debit reverses a credit). The transaction reference is the
+ * reference for the account owner and the UUID the servicer's reference.
+ * Text is reduced to the SWIFT X character set.
+ *
+ * @example
+ * ```javascript
+ * const mt940 = new Mt940Format().render(statement);
+ * ```
+ */
+export class Mt940Format {
+  /**
+   * Create a new Mt940Format
+   *
+   * @param {Object} [options] - Format options
+   * @param {string} [options.transactionReference] - Field `:20:` (defaults to 'STMT' and the end date)
+   */
+  constructor(options = {}) {
+    this.transactionReference = options.transactionReference || null;
+    this.contentType = 'text/plain; charset=us-ascii';
+    this.extension = 'sta';
+  }
+
+  /**
+   * SWIFT transaction type codes by entry kind
+   *
+   * @type {Object<string, string>}
+   */
+  static get TRANSACTION_CODES() {
+    return { collection: 'NTRF', withdrawal: 'NTRF', charge: 'NCHG', refund: 'NRTI', other: 'NMSC' };
+  }
+
+  /**
+   * Render a statement
+   *
+   * @param {Statement} statement - Statement to render
+   * @returns {string} MT940 text with CRLF line endings
+   */
+  render(statement) {
+    const currency = statement.account.currency;
+    const reference = this.transactionReference || `STMT${statement.end.replace(/-/g, '')}`;
+
+    const lines = [
+      `:20:${Mt940Format.text(reference, 16)}`,
+      `:25:${Mt940Format.text(statement.account.id, 35)}`,
+      `:28C:${String(statement.sequence).padStart(5, '0')}/001`,
+      `:60F:${Mt940Format.balance(statement.openingBalance, statement.start, currency)}`
+    ];
+
+    statement.entries.forEach(entry => {
+      lines.push(...this.entry(entry));
+    });
+
+    lines.push(
+      `:62F:${Mt940Format.balance(statement.closingBalance, statement.end, currency)}`,
+      `:64:${Mt940Format.balance(statement.closingBalance, statement.end, currency)}`
+    );
+
+    return `${lines.join('\r\n')}\r\n-\r\n`;
+  }
+
+  /**
+   * `:61:` and `:86:` lines of an entry
+   *
+   * @private
+   */
+  entry(entry) {
+    const debit = entry.direction === 'debit';
+    let mark = debit ? 'D' : 'C';
+    if (entry.kind === 'refund') {
+      mark = debit ? 'RC' : 'RD';
+    }
+
+    const code = Mt940Format.TRANSACTION_CODES[entry.kind] || Mt940Format.TRANSACTION_CODES.other;
+    const ownerReference = entry.reference ? Mt940Format.text(entry.reference, 16) : 'NONREF';
+    const servicerReference = entry.id ? `//${Mt940Format.text(String(entry.id).replace(/-/g, ''), 16)}` : '';
+    const day = entry.bookingDate.replace(/-/g, '');
+
+    const details = [
+      `/KIND/${entry.kind.toUpperCase()}`,
+      entry.reference ? `/EREF/${entry.reference}` : '',
+      entry.id ? `/TXID/${entry.id}` : '',
+      entry.description ? `/REMI/${entry.description}` : ''
+    ].join('');
+
+    return [
+      `:61:${day.slice(2)}${day.slice(4)}${mark}${Mt940Format.amount(entry.amount)}${code}${ownerReference}${servicerReference}`,
+      ...Mt940Format.wrap(`:86:${Mt940Format.text(details, 390)}`, 65, 6)
+    ];
+  }
+
+  /**
+   * Balance field body: mark, date, currency and amount
+   *
+   * @private
+   */
+  static balance(value, day, currency) {
+    return `${value < 0 ? 'D' : 'C'}${day.replace(/-/g, '').slice(2)}${currency}${Mt940Format.amount(Math.abs(value))}`;
+  }
+
+  /**
+   * Amount with a decimal comma and no thousands separators
+   *
+   * @private
+   */
+  static amount(value) {
+    return (Math.round(value * 100) / 100).toFixed(2).replace('.', ',');
+  }
+
+  /**
+   * Text reduced to the SWIFT X character set and truncated
+   *
+   * @private
+   */
+  static text(value, maxLength) {
+    return String(value)
+      .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, maxLength);
+  }
+
+  /**
+   * Split a field into lines, never starting a continuation line with ':' or '-'
+   *
+   * @private
+   */
+  static wrap(text, width, maxLines) {
+    const lines = [];
+    let rest = text;
+
+    while (rest.length > 0 && lines.length < maxLines) {
+      let size = Math.min(width, rest.length);
+      while (size < rest.length && size > 1 && /^[:-]/.test(rest.slice(size))) {
+        size--;
+      }
+      lines.push(rest.slice(0, size));
+      rest = rest.slice(size);
+    }
+
+    return lines;
+  }
+}
@@ -0,0 +1,158 @@
+import { TimeZone } from '../utils/TimeZone.js';
+
+/**
+ * OFX Format - Open Financial Exchange 2.2 bank statement
+ *
+ * Presents the MarzPay wallet as a checking account: one `<STMTTRN>` per
+ * statement entry with a signed amount, the closing balance as the ledger
+ * balance and dates in the statement's time zone. Charges are posted as
+ * separate `FEE` transactions. FITIDs are the transaction UUIDs, made unique
+ * per line so importers do not drop split charges as duplicates.
+ *
+ * @example
+ * ```javascript
+ * const ofx = new OfxFormat().render(statement);
+ * ```
+ */
+export class OfxFormat {
+  /**
+   * Create a new OfxFormat
+   *
+   * @param {Object} [options] - Format options
+   * @param {string} [options.bankId='MARZPAY'] - `<BANKID>` of the account
+   * @param {string} [options.accountType='CHECKING'] - `<ACCTTYPE>` of the account
+   */
+  constructor(options = {}) {
+    this.bankId = options.bankId || 'MARZPAY';
+    this.accountType = options.accountType || 'CHECKING';
+    this.contentType = 'application/x-ofx; charset=utf-8';
+    this.extension = 'ofx';
+  }
+
+  /**
+   * OFX transaction types by entry kind (`null` uses the entry's direction)
+   *
+   * @type {Object<string, string|null>}
+   */
+  static get TRANSACTION_TYPES() {
+    return { collection: 'CREDIT', withdrawal: 'DEBIT', charge: 'FEE', refund: null, other: null };
+  }
+
+  /**
+   * Render a statement
+   *
+   * @param {Statement} statement - Statement to render
+   * @returns {string} OFX 2.2 XML document
+   */
+  render(statement) {
+    const zone = statement.timeZone;
+    const endOfPeriod = new Date(zone.startOfDay(TimeZone.addDays(statement.end, 1)).getTime() - 1000);
+    const used = new Set();
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+      '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+      '<OFX>',
+      '  <SIGNONMSGSRSV1>',
+      '    <SONRS>',
+      '      <STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+      `      <DTSERVER>${OfxFormat.date(statement.createdAt, zone)}</DTSERVER>`,
+      '      <LANGUAGE>ENG</LANGUAGE>',
+      `      <FI><ORG>${OfxFormat.text(statement.account.servicer, 32)}</ORG></FI>`,
+      '    </SONRS>',
+      '  </SIGNONMSGSRSV1>',
+      '  <BANKMSGSRSV1>',
+      '    <STMTTRNRS>',
+      `      <TRNUID>${OfxFormat.text(statement.id, 36)}</TRNUID>`,
+      '      <STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+      '      <STMTRS>',
+      `        <CURDEF>${statement.account.currency}</CURDEF>`,
+      '        <BANKACCTFROM>',
+      `          <BANKID>${OfxFormat.text(this.bankId, 9)}</BANKID>`,
+      `          <ACCTID>${OfxFormat.text(statement.account.id, 22)}</ACCTID>`,
+      `          <ACCTTYPE>${this.accountType}</ACCTTYPE>`,
+      '        </BANKACCTFROM>',
+      '        <BANKTRANLIST>',
+      `          <DTSTART>${OfxFormat.date(zone.startOfDay(statement.start), zone)}</DTSTART>`,
+      `          <DTEND>${OfxFormat.date(endOfPeriod, zone)}</DTEND>`,
+      ...statement.entries.flatMap((entry, index) => this.transaction(entry, index, zone, used)),
+      '        </BANKTRANLIST>',
+      '        <LEDGERBAL>',
+      `          <BALAMT>${OfxFormat.amount(statement.closingBalance)}</BALAMT>`,
+      `          <DTASOF>${OfxFormat.date(endOfPeriod, zone)}</DTASOF>`,
+      '        </LEDGERBAL>',
+      '      </STMTRS>',
+      '    </STMTTRNRS>',
+      '  </BANKMSGSRSV1>',
+      '</OFX>'
+    ];
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * `<STMTTRN>` element
+   *
+   * @private
+   */
+  transaction(entry, index, zone, used) {
+    const debit = entry.direction === 'debit';
+    const type = OfxFormat.TRANSACTION_TYPES[entry.kind] || (debit ? 'DEBIT' : 'CREDIT');
+
+    let fitId = String(entry.id || entry.reference || `${entry.bookingDate.replace(/-/g, '')}-${index + 1}`);
+    if (used.has(fitId)) {
+      fitId = `${fitId}-${entry.kind.toUpperCase()}`;
+    }
+    used.add(fitId);
+
+    const name = entry.description || `MarzPay ${entry.kind}`;
+    const memo = [entry.description, entry.reference && `Ref ${entry.reference}`].filter(Boolean).join(' - ');
+
+    return [
+      '          <STMTTRN>',
+      `            <TRNTYPE>${type}</TRNTYPE>`,
+      `            <DTPOSTED>${OfxFormat.date(entry.bookedAt, zone)}</DTPOSTED>`,
+      `            <TRNAMT>${OfxFormat.amount(debit ? -entry.amount : entry.amount)}</TRNAMT>`,
+      `            <FITID>${OfxFormat.text(fitId, 255)}</FITID>`,
+      ...(entry.reference ? [`            <REFNUM>${OfxFormat.text(entry.reference, 32)}</REFNUM>`] : []),
+      `            <NAME>${OfxFormat.text(name, 32)}</NAME>`,
+      ...(memo ? [`            <MEMO>${OfxFormat.text(memo, 255)}</MEMO>`] : []),
+      '          </STMTTRN>'
+    ];
+  }
+
+  /**
+   * OFX datetime in the statement's zone: YYYYMMDDHHMMSS.XXX[offset]
+   *
+   * @private
+   */
+  static date(date, zone) {
+    const local = zone.formatDateTime(date);
+    const offset = zone.offsetAt(date instanceof Date ? date : new Date(date)) / 3600000;
+    const hours = Number.isInteger(offset) ? String(offset) : offset.toFixed(2);
+
+    return `${local.slice(0, 19).replace(/[-T:]/g, '')}.000[${offset < 0 ? '' : '+'}${hours}]`;
+  }
+
+  /**
+   * Signed decimal amount with two fraction digits
+   *
+   * @private
+   */
+  static amount(value) {
+    return (Math.round(value * 100) / 100).toFixed(2);
+  }
+
+  /**
+   * XML-escaped text truncated to a maximum length
+   *
+   * @private
+   */
+  static text(value, maxLength) {
+    return String(value)
+      .slice(0, maxLength)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * QIF Format - Quicken Interchange Format bank register
+ *
+ * Writes a `!Type:Bank` register with one record per statement entry:
+ * date, signed amount, payee, reference (as the check number) and memo.
+ * Charges are separate records in their own category. QIF has no balances;
+ * start the account in the accounting tool with the statement's opening
+ * balance.
+ *
+ * @example
+ * ```javascript
+ * const qif = new QifFormat({ dateFormat: 'DD/MM/YYYY' }).render(statement);
+ * ```
+ */
+export class QifFormat {
+  /**
+   * Create a new QifFormat
+   *
+   * @param {Object} [options] - Format options
+   * @param {string} [options.dateFormat='MM/DD/YYYY'] - 'MM/DD/YYYY' or 'DD/MM/YYYY'
+   * @param {string} [options.chargeCategory='Bank Charges'] - Category (`L`) of charge records
+   */
+  constructor(options = {}) {
+    this.dateFormat = options.dateFormat === 'DD/MM/YYYY' ? 'DD/MM/YYYY' : 'MM/DD/YYYY';
+    this.chargeCategory = options.chargeCategory || 'Bank Charges';
+    this.contentType = 'application/qif; charset=utf-8';
+    this.extension = 'qif';
+  }
+
+  /**
+   * Render a statement
+   *
+   * @param {Statement} statement - Statement to render
+   * @returns {string} QIF document
+   */
+  render(statement) {
+    const lines = ['!Type:Bank'];
+
+    statement.entries.forEach(entry => {
+      const amount = entry.direction === 'debit' ? -entry.amount : entry.amount;
+
+      lines.push(`D${this.date(entry.bookingDate)}`, `T${(Math.round(amount * 100) / 100).toFixed(2)}`);
+      lines.push(`P${QifFormat.text(entry.description || `MarzPay ${entry.kind}`)}`);
+      if (entry.reference) {
+        lines.push(`N${QifFormat.text(entry.reference)}`);
+      }
+      if (entry.id) {
+        lines.push(`M${QifFormat.text(`${entry.kind} ${entry.id}`)}`);
+      }
+      if (entry.kind === 'charge') {
+        lines.push(`L${QifFormat.text(this.chargeCategory)}`);
+      }
+      lines.push('^');
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Day in the configured date format
+   *
+   * @private
+   */
+  date(day) {
+    const [year, month, date] = day.split('-');
+    return this.dateFormat === 'DD/MM/YYYY' ? `${date}/${month}/${year}` : `${month}/${date}/${year}`;
+  }
+
+  /**
+   * Single-line text
+   *
+   * @private
+   */
+  static text(value) {
+    return String(value).replace(/[\r\n]+/g, ' ').trim();
+  }
+}
@@ -0,0 +1,326 @@
+import { ValidationError } from '../errors/MarzPayError.js';
+import { TimeZone } from '../utils/TimeZone.js';
+import { Camt053Format } from './Camt053Format.js';
+import { Mt940Format } from './Mt940Format.js';
+import { OfxFormat } from './OfxFormat.js';
+import { QifFormat } from './QifFormat.js';
+
+/**
+ * Statement - Account statement for a date range, renderable as bank formats
+ *
+ * Entries are booked lines with a positive amount and a direction (`credit`
+ * or `debit`). Every entry has a kind: `collection`, `withdrawal`, `charge`,
+ * `refund` or `other`. Refunds are rendered as reversals. The statement also
+ * carries the opening and closing balances of the period. Build one from
+ * balance history (which carries running balances) or from transactions.
+ *
+ * @example
+ * ```javascript
+ * const statement = await marzpay.balance.getStatement('2024-01-01', '2024-01-31', {
+ *   account: { id: 'UG-MARZ-000123', name: 'Acme Ltd' }
+ * });
+ *
+ * fs.writeFileSync('january.xml', statement.toCamt053());
+ * fs.writeFileSync('january.sta', statement.toMt940());
+ * fs.writeFileSync('january.ofx', statement.toOfx());
+ * ```
+ */
+export class Statement {
+  /**
+   * Create a new Statement
+   *
+   * @param {Object} settings - Statement contents
+   * @param {string} settings.start - First day (YYYY-MM-DD)
+   * @param {string} settings.end - Last day (YYYY-MM-DD)
+   * @param {Object} [settings.account] - Account: `{ id, name, currency, servicer }`
+   * @param {number} [settings.openingBalance=0] - Balance at the start of the first day
+   * @param {number} [settings.closingBalance] - Balance at the end of the last day (derived from the entries when omitted)
+   * @param {Array<Object>} [settings.entries] - Entries: `{ id, reference, kind, direction, amount, bookedAt, description }`
+   * @param {number} [settings.sequence=1] - Statement sequence number
+   * @param {Date} [settings.createdAt] - Creation time of the statement
+   * @param {TimeZone|string} [settings.timeZone='Africa/Kampala'] - Zone of the booking days
+   * @throws {ValidationError} When the date range is invalid
+   */
+  constructor(settings) {
+    const { start, end, account = {}, openingBalance = 0, closingBalance, entries = [], sequence = 1, createdAt = new Date(), timeZone } = settings;
+
+    if (!TimeZone.isValidDay(start) || !TimeZone.isValidDay(end)) {
+      throw new ValidationError('Statement dates must be in YYYY-MM-DD format', 'INVALID_DATE');
+    }
+
+    if (start > end) {
+      throw new ValidationError('Start date cannot be after end date', 'INVALID_DATE_RANGE');
+    }
+
+    this.timeZone = TimeZone.from(timeZone);
+    this.start = start;
+    this.end = end;
+    this.account = {
+      id: account.id || 'MARZPAY',
+      name: account.name || null,
+      currency: account.currency || 'UGX',
+      servicer: account.servicer || 'MarzPay'
+    };
+    this.sequence = sequence;
+    this.createdAt = createdAt;
+    this.entries = entries
+      .map(entry => {
+        const bookedAt = entry.bookedAt ? new Date(entry.bookedAt) : this.timeZone.startOfDay(start);
+        return { ...entry, bookedAt, bookingDate: this.timeZone.formatDate(bookedAt) };
+      })
+      .sort((a, b) => a.bookedAt - b.bookedAt);
+    this.openingBalance = Statement.round(openingBalance);
+    this.closingBalance = Statement.round(closingBalance === undefined || closingBalance === null
+      ? this.openingBalance + this.totals.credits.sum - this.totals.debits.sum
+      : closingBalance);
+  }
+
+  /**
+   * Supported formats by name
+   *
+   * @type {Object<string, Function>}
+   */
+  static get FORMATS() {
+    return { camt053: Camt053Format, mt940: Mt940Format, ofx: OfxFormat, qif: QifFormat };
+  }
+
+  /**
+   * Identifier of the statement
+   *
+   * @type {string}
+   */
+  get id() {
+    return `${this.account.id}-${this.start.replace(/-/g, '')}-${this.end.replace(/-/g, '')}`;
+  }
+
+  /**
+   * Number and sum of credit and debit entries
+   *
+   * @type {{credits: {count: number, sum: number}, debits: {count: number, sum: number}}}
+   */
+  get totals() {
+    const totals = { credits: { count: 0, sum: 0 }, debits: { count: 0, sum: 0 } };
+
+    this.entries.forEach(entry => {
+      const side = entry.direction === 'credit' ? totals.credits : totals.debits;
+      side.count++;
+      side.sum = Statement.round(side.sum + entry.amount);
+    });
+
+    return totals;
+  }
+
+  /**
+   * Render the statement in a bank format
+   *
+   * @param {string} format - 'camt053', 'mt940', 'ofx' or 'qif'
+   * @param {Object} [options] - Format options
+   * @returns {string} Statement document
+   * @throws {ValidationError} When the format is not supported
+   */
+  render(format, options = {}) {
+    const Format = Statement.FORMATS[format];
+
+    if (!Format) {
+      throw new ValidationError(
+        `Unsupported statement format: ${format}. Use: ${Object.keys(Statement.FORMATS).join(', ')}`,
+        'INVALID_FORMAT'
+      );
+    }
+
+    return new Format(options).render(this);
+  }
+
+  /**
+   * Render as ISO 20022 camt.053 (Bank to Customer Statement) XML
+   *
+   * @param {Object} [options] - Format options
+   * @returns {string} XML document
+   */
+  toCamt053(options = {}) {
+    return this.render('camt053', options);
+  }
+
+  /**
+   * Render as SWIFT MT940 (Customer Statement Message) text
+   *
+   * @param {Object} [options] - Format options
+   * @returns {string} MT940 message
+   */
+  toMt940(options = {}) {
+    return this.render('mt940', options);
+  }
+
+  /**
+   * Render as an OFX 2.2 bank statement
+   *
+   * @param {Object} [options] - Format options (`bankId`, `accountType`)
+   * @returns {string} OFX document
+   */
+  toOfx(options = {}) {
+    return this.render('ofx', options);
+  }
+
+  /**
+   * Render as a QIF bank register
+   *
+   * @param {Object} [options] - Format options (`dateFormat`, `chargeCategory`)
+   * @returns {string} QIF document
+   */
+  toQif(options = {}) {
+    return this.render('qif', options);
+  }
+
+  /**
+   * Build a statement from balance history entries
+   *
+   * Opening and closing balances come from the running balances of the
+   * first and last entries; direction comes from the entry's operation.
+   *
+   * @param {Array<Object>} history - Balance history entries from the API
+   * @param {Object} settings - Statement settings (`start`, `end`, `account`, ...); `openingBalance` is used
+   * when the period has no entries
+   * @returns {Statement} Statement
+   */
+  static fromBalanceHistory(history, settings) {
+    const entries = history.map(record => {
+      const amount = Statement.numberOf(record.amount);
+      const kind = Statement.kindOf(record);
+      const transaction = record.transaction || {};
+
+      return {
+        id: record.transaction_uuid || transaction.uuid || record.uuid || null,
+        reference: record.reference || transaction.reference || null,
+        kind,
+        direction: Statement.directionOf(record.operation, amount, kind),
+        amount: Math.abs(amount) || 0,
+        bookedAt: record.created_at || null,
+        description: record.description || null,
+        balanceBefore: Statement.numberOf(record.balance_before),
+        balanceAfter: Statement.numberOf(record.balance_after)
+      };
+    });
+
+    const statement = new Statement({ ...settings, entries, closingBalance: null });
+    const { entries: booked } = statement;
+
+    if (booked.length > 0 && Number.isFinite(booked[0].balanceBefore)) {
+      statement.openingBalance = Statement.round(booked[0].balanceBefore);
+    }
+
+    const last = booked[booked.length - 1];
+    statement.closingBalance = last && Number.isFinite(last.balanceAfter)
+      ? Statement.round(last.balanceAfter)
+      : Statement.round(statement.openingBalance + statement.totals.credits.sum - statement.totals.debits.sum);
+
+    return statement;
+  }
+
+  /**
+   * Build a statement from successful transactions
+   *
+   * Collections and refunds are credits; withdrawals and charges are
+   * debits. Fees always end up on lines of their own: `charge` transactions
+   * are booked as they are, and when the set contains none, each
+   * withdrawal's `charge` is booked as a separate entry.
+   *
+   * @param {Array<Object>} transactions - Transactions from the API
+   * @param {Object} settings - Statement settings (`start`, `end`, `account`, `openingBalance`, ...)
+   * @param {boolean} [settings.splitCharges] - Book withdrawal charges as separate entries (default: only when
+   * there are no `charge` transactions, so fees are never counted twice)
+   * @returns {Statement} Statement with the closing balance derived from the entries
+   */
+  static fromTransactions(transactions, settings) {
+    const { splitCharges = !transactions.some(transaction => Statement.kindOf(transaction) === 'charge'), ...statementSettings } = settings;
+    const entries = [];
+
+    transactions
+      .filter(transaction => !transaction.status || transaction.status === 'successful')
+      .forEach(transaction => {
+        const kind = Statement.kindOf(transaction);
+        const amount = Statement.numberOf(transaction.amount);
+        const bookedAt = transaction.created_at || (transaction.timeline && transaction.timeline.created_at) || null;
+        const base = {
+          id: transaction.uuid || null,
+          reference: transaction.reference || null,
+          bookedAt,
+          description: transaction.description || null
+        };
+
+        entries.push({ ...base, kind, direction: Statement.directionOf(null, amount, kind), amount: Math.abs(amount) || 0 });
+
+        const charge = Statement.numberOf(transaction.charge);
+        if (splitCharges && kind !== 'charge' && charge > 0) {
+          entries.push({ ...base, kind: 'charge', direction: 'debit', amount: charge, description: `Charge for ${transaction.reference || transaction.uuid}` });
+        }
+      });
+
+    return new Statement({ ...statementSettings, entries });
+  }
+
+  /**
+   * Kind of a transaction or balance history entry
+   *
+   * @private
+   */
+  static kindOf(record) {
+    const type = String(
+      record.type || record.transaction_type || (record.transaction && record.transaction.type) || ''
+    ).toLowerCase();
+
+    if (['collection', 'withdrawal', 'charge', 'refund'].includes(type)) {
+      return type;
+    }
+
+    const text = `${type} ${record.description || ''}`.toLowerCase();
+    if (/charge|fee/.test(text)) {
+      return 'charge';
+    }
+    if (/refund|revers/.test(text)) {
+      return 'refund';
+    }
+    if (/collect/.test(text)) {
+      return 'collection';
+    }
+    if (/withdraw|disburs|payout/.test(text)) {
+      return 'withdrawal';
+    }
+
+    return 'other';
+  }
+
+  /**
+   * Direction of an entry from its operation, sign or kind
+   *
+   * @private
+   */
+  static directionOf(operation, amount, kind) {
+    if (operation === 'credit' || operation === 'debit') {
+      return operation;
+    }
+
+    if (amount < 0) {
+      return 'debit';
+    }
+
+    return kind === 'withdrawal' || kind === 'charge' ? 'debit' : 'credit';
+  }
+
+  /**
+   * Numeric value of an amount (`{ raw }`, string or number)
+   *
+   * @private
+   */
+  static numberOf(value) {
+    return parseFloat(value && typeof value === 'object' ? value.raw : value);
+  }
+
+  /**
+   * Round to two decimals
+   *
+   * @private
+   */
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
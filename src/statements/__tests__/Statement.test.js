@@ -0,0 +1,139 @@
+import { MarzPay } from '../../index.js';
+import { Statement } from '../Statement.js';
+
+describe('Statement', () => {
+  const uuid = '550e8400-e29b-41d4-a716-446655440000';
+  const settings = { start: '2024-01-01', end: '2024-01-31', account: { id: 'UG-MARZ-1', name: 'Acme & Sons' }, createdAt: new Date('2024-02-01T06:00:00Z') };
+
+  const history = [
+    { operation: 'debit', description: 'Withdrawal charge', amount: { raw: '-50' }, balance_before: { raw: '6000' }, balance_after: { raw: '5950' }, created_at: '2024-01-16T08:00:00Z' },
+    { operation: 'credit', type: 'collection', transaction: { uuid, reference: 'ref-123456' }, amount: { raw: '5000' }, balance_before: { raw: '1000' }, balance_after: { raw: '6000' }, description: 'Collection', created_at: '2024-01-15T22:30:00Z' },
+    { operation: 'credit', type: 'refund', reference: 'ref-9', amount: { raw: '1000' }, balance_before: { raw: '5950' }, balance_after: { raw: '6950' }, created_at: '2024-01-17T08:00:00Z' }
+  ];
+
+  it('should take balances and directions from the balance history', () => {
+    const statement = Statement.fromBalanceHistory(history, settings);
+
+    expect(statement.openingBalance).toBe(1000);
+    expect(statement.closingBalance).toBe(6950);
+    expect(statement.entries.map(entry => [entry.kind, entry.direction, entry.amount, entry.bookingDate])).toEqual([
+      ['collection', 'credit', 5000, '2024-01-16'],
+      ['charge', 'debit', 50, '2024-01-16'],
+      ['refund', 'credit', 1000, '2024-01-17']
+    ]);
+    expect(statement.totals).toEqual({ credits: { count: 2, sum: 6000 }, debits: { count: 1, sum: 50 } });
+  });
+
+  it('should render camt.053 with balances, references and reversal flags', () => {
+    const xml = Statement.fromBalanceHistory(history, settings).toCamt053();
+
+    expect(xml).toContain('<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">');
+    expect(xml).toContain('<Nm>Acme &amp; Sons</Nm>');
+    expect(xml).toMatch(/<Cd>OPBD<\/Cd><\/CdOrPrtry><\/Tp>\s*<Amt Ccy="UGX">1000.00<\/Amt>\s*<CdtDbtInd>CRDT<\/CdtDbtInd>/);
+    expect(xml).toMatch(/<Cd>CLBD<\/Cd><\/CdOrPrtry><\/Tp>\s*<Amt Ccy="UGX">6950.00<\/Amt>/);
+    expect(xml).toContain('<FrDtTm>2024-01-01T00:00:00+03:00</FrDtTm>');
+    expect(xml).toContain('<ToDtTm>2024-01-31T23:59:59+03:00</ToDtTm>');
+    expect(xml).toContain('<NtryRef>ref-123456</NtryRef>');
+    expect(xml).toContain('<EndToEndId>ref-123456</EndToEndId>');
+    expect(xml).toContain('<TxId>550e8400e29b41d4a716446655440000</TxId>');
+    expect(xml).toContain('<BookgDt><DtTm>2024-01-16T01:30:00+03:00</DtTm></BookgDt>');
+    expect(xml).toContain('<Cd>ACMT</Cd><Fmly><Cd>MDOP</Cd><SubFmlyCd>CHRG</SubFmlyCd>');
+    expect(xml).toMatch(/<CdtDbtInd>CRDT<\/CdtDbtInd>\s*<RvslInd>true<\/RvslInd>/);
+    expect(xml).toContain('<TtlDbtNtries><NbOfNtries>1</NbOfNtries><Sum>50.00</Sum></TtlDbtNtries>');
+  });
+
+  it('should render MT940 with statement lines and reversal marks', () => {
+    const lines = Statement.fromBalanceHistory(history, settings).toMt940().split('\r\n');
+
+    expect(lines.slice(0, 4)).toEqual([':20:STMT20240131', ':25:UG-MARZ-1', ':28C:00001/001', ':60F:C240101UGX1000,00']);
+    expect(lines[4]).toBe(':61:2401160116C5000,00NTRFref-123456//550e8400e29b41d4');
+    expect(lines[5]).toBe(`:86:/KIND/COLLECTION/EREF/ref-123456/TXID/${uuid.slice(0, 22)}`);
+    expect(lines[6].startsWith('-')).toBe(false);
+    expect(lines).toContain(':61:2401160116D50,00NCHGNONREF');
+    expect(lines).toContain(':61:2401170117RD1000,00NRTIref-9');
+    expect(lines.slice(-4)).toEqual([':62F:C240131UGX6950,00', ':64:C240131UGX6950,00', '-', '']);
+    lines.forEach(line => expect(line.length).toBeLessThanOrEqual(65));
+  });
+
+  it('should book withdrawal charges separately when built from transactions', () => {
+    const statement = Statement.fromTransactions([
+      { uuid, reference: 'w-1', type: 'withdrawal', status: 'successful', amount: { raw: '1000' }, charge: { raw: '50' }, created_at: '2024-01-10T09:00:00Z' },
+      { reference: 'c-1', type: 'collection', status: 'successful', amount: { raw: '3000' }, created_at: '2024-01-11T09:00:00Z' },
+      { reference: 'c-2', type: 'collection', status: 'failed', amount: { raw: '9000' }, created_at: '2024-01-11T09:00:00Z' }
+    ], { ...settings, openingBalance: 500 });
+
+    expect(statement.entries.map(entry => [entry.reference, entry.kind, entry.direction, entry.amount])).toEqual([
+      ['w-1', 'withdrawal', 'debit', 1000],
+      ['w-1', 'charge', 'debit', 50],
+      ['c-1', 'collection', 'credit', 3000]
+    ]);
+    expect(statement.closingBalance).toBe(2450);
+  });
+
+  it('should leave charges to charge transactions when the set has them', () => {
+    const statement = Statement.fromTransactions([
+      { uuid, reference: 'w-1', type: 'withdrawal', amount: { raw: '1000' }, charge: { raw: '50' }, created_at: '2024-01-10T09:00:00Z' },
+      { reference: 'fee-1', type: 'charge', amount: { raw: '50' }, created_at: '2024-01-10T09:00:01Z' }
+    ], settings);
+
+    expect(statement.entries.map(entry => [entry.reference, entry.kind, entry.amount])).toEqual([
+      ['w-1', 'withdrawal', 1000],
+      ['fee-1', 'charge', 50]
+    ]);
+  });
+
+  describe('OFX and QIF', () => {
+    const statement = () => Statement.fromTransactions([
+      { uuid, reference: 'w-1', type: 'withdrawal', amount: { raw: '1000' }, charge: { raw: '50' }, description: 'Supplier <A&B>', created_at: '2024-01-10T09:00:00Z' },
+      { reference: 'c-1', type: 'collection', amount: { raw: '3000' }, created_at: '2024-01-11T21:30:00Z' }
+    ], { ...settings, openingBalance: 500 });
+
+    it('should render an OFX 2.2 bank statement with fees on separate lines', () => {
+      const ofx = statement().toOfx();
+      const transactions = ofx.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/g);
+
+      expect(ofx.startsWith('<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n<?OFX OFXHEADER="200" VERSION="220"')).toBe(true);
+      expect(ofx).toContain('<ACCTID>UG-MARZ-1</ACCTID>');
+      expect(ofx).toContain('<ACCTTYPE>CHECKING</ACCTTYPE>');
+      expect(ofx).toContain('<DTSTART>20240101000000.000[+3]</DTSTART>');
+      expect(ofx).toMatch(/<LEDGERBAL>\s*<BALAMT>2450.00<\/BALAMT>/);
+      expect(transactions).toHaveLength(3);
+      expect(transactions[0]).toContain('<TRNAMT>-1000.00</TRNAMT>');
+      expect(transactions[0]).toContain(`<FITID>${uuid}</FITID>`);
+      expect(transactions[0]).toContain('<NAME>Supplier &lt;A&amp;B&gt;</NAME>');
+      expect(transactions[1]).toContain('<TRNTYPE>FEE</TRNTYPE>');
+      expect(transactions[1]).toContain(`<FITID>${uuid}-CHARGE</FITID>`);
+      expect(transactions[2]).toContain('<TRNTYPE>CREDIT</TRNTYPE>');
+      expect(transactions[2]).toContain('<DTPOSTED>20240112003000.000[+3]</DTPOSTED>');
+    });
+
+    it('should render a QIF bank register with a charge category', () => {
+      const records = statement().toQif({ dateFormat: 'DD/MM/YYYY' }).split('^\n');
+
+      expect(records[0]).toBe(`!Type:Bank\nD10/01/2024\nT-1000.00\nPSupplier <A&B>\nNw-1\nMwithdrawal ${uuid}\n`);
+      expect(records[1]).toBe(`D10/01/2024\nT-50.00\nPCharge for w-1\nNw-1\nMcharge ${uuid}\nLBank Charges\n`);
+      expect(records[2]).toBe('D12/01/2024\nT3000.00\nPMarzPay collection\nNc-1\n');
+      expect(statement().toQif()).toContain('D01/12/2024');
+    });
+  });
+
+  it('should reject invalid ranges and formats', () => {
+    expect(() => new Statement({ start: '2024-02-01', end: '2024-01-01' })).toThrow(expect.objectContaining({ code: 'INVALID_DATE_RANGE' }));
+    expect(() => new Statement({ start: '2024-02-30', end: '2024-03-01' })).toThrow(expect.objectContaining({ code: 'INVALID_DATE' }));
+    expect(() => new Statement(settings).render('bai2')).toThrow(expect.objectContaining({ code: 'INVALID_FORMAT' }));
+  });
+
+  it('should build statements from every page of the balance history', async () => {
+    const marzpay = new MarzPay({ apiUser: 'test-api-user', apiKey: 'test-api-key', retry: false });
+    fetch
+      .mockResolvedValueOnce(createMockResponse({ status: 'success', data: { history: history.slice(0, 2), pagination: { current_page: 1, last_page: 2 } } }))
+      .mockResolvedValueOnce(createMockResponse({ status: 'success', data: { history: history.slice(2), pagination: { current_page: 2, last_page: 2 } } }));
+
+    const statement = await marzpay.balance.getStatement('2024-01-01', '2024-01-31', { account: { id: 'UG-MARZ-1' } });
+
+    expect(fetch.mock.calls[0][0]).toContain('start_date=2024-01-01');
+    expect(statement.entries).toHaveLength(3);
+    expect(statement.closingBalance).toBe(6950);
+    await expect(marzpay.balance.getStatement('2024-01-01')).rejects.toMatchObject({ code: 'MISSING_DATES' });
+  });
+});
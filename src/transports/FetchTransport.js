@@ -0,0 +1,77 @@
+import { MarzPayError } from '../errors/MarzPayError.js';
+
+/**
+ * Fetch Transport - HTTP transport built on the global `fetch`
+ * 
+ * Used in browsers, Deno, Bun, edge runtimes and Node 18+. The global is
+ * looked up on every request so polyfills installed after the client was
+ * created are picked up.
+ * 
+ * @example
+ * ```javascript
+ * import { MarzPay, FetchTransport } from 'marzpay-js';
+ * 
+ * const marzpay = new MarzPay({
+ *   apiUser: 'your_username',
+ *   apiKey: 'your_api_key',
+ *   transport: new FetchTransport({ fetch: customFetch })
+ * });
+ * ```
+ */
+export class FetchTransport {
+  /**
+   * Create a new FetchTransport
+   * 
+   * @param {Object} [options] - Transport options
+   * @param {Function} [options.fetch] - Fetch implementation (defaults to the global fetch)
+   */
+  constructor(options = {}) {
+    this.name = 'fetch';
+    this.fetchImpl = options.fetch || null;
+  }
+
+  /**
+   * Check if the runtime provides a global fetch
+   * 
+   * @returns {boolean} True if fetch is available
+   */
+  static isSupported() {
+    return typeof fetch === 'function';
+  }
+
+  /**
+   * Send an HTTP request
+   * 
+   * @param {Object} request - Request description
+   * @param {string} request.url - Absolute URL
+   * @param {string} request.method - HTTP method
+   * @param {Object} request.headers - Request headers
+   * @param {string} [request.body] - Serialized request body
+   * @param {AbortSignal} [request.signal] - Signal aborting the request
+   * @returns {Promise<Object>} Fetch-compatible response (`ok`, `status`, `headers.get()`, `text()`, `json()`)
+   * 
+   * @throws {MarzPayError} TRANSPORT_UNAVAILABLE when no fetch implementation exists
+   */
+  async send(request) {
+    const { url, method, headers, body, signal } = request;
+    const fetchImpl = this.fetchImpl || (FetchTransport.isSupported() ? fetch : null);
+
+    if (!fetchImpl) {
+      throw new MarzPayError(
+        'No fetch implementation available; use the Node transport or pass one to FetchTransport',
+        'TRANSPORT_UNAVAILABLE',
+        0
+      );
+    }
+
+    const init = { method, headers };
+    if (body !== undefined) {
+      init.body = body;
+    }
+    if (signal) {
+      init.signal = signal;
+    }
+
+    return fetchImpl(url, init);
+  }
+}
@@ -0,0 +1,386 @@
+import { MarzPayError } from '../errors/MarzPayError.js';
+
+/**
+ * Node HTTP Transport - HTTP transport built on Node's `http`/`https` modules
+ *
+ * Used automatically on Node versions without a global `fetch` (14-17), when
+ * an HTTP(S)_PROXY environment variable is set, or when `http` options are
+ * passed to the client. Supports:
+ * - Keep-alive connection pooling
+ * - Custom TLS options (CA bundle, client certificates, ...)
+ * - HTTP(S)_PROXY / NO_PROXY, tunnelling HTTPS through CONNECT
+ *
+ * @example
+ * ```javascript
+ * const marzpay = new MarzPay({
+ *   apiUser: 'your_username',
+ *   apiKey: 'your_api_key',
+ *   http: {
+ *     keepAlive: true,
+ *     maxSockets: 20,
+ *     tls: { ca: fs.readFileSync('corporate-ca.pem') },
+ *     proxy: 'http://proxy.internal:3128'
+ *   }
+ * });
+ * ```
+ */
+export class NodeHttpTransport {
+  /**
+   * Create a new NodeHttpTransport
+   *
+   * @param {Object} [options] - Transport options
+   * @param {boolean} [options.keepAlive=true] - Reuse sockets between requests
+   * @param {number} [options.maxSockets=Infinity] - Maximum concurrent sockets per host
+   * @param {Object} [options.tls] - TLS options passed to `https` (ca, cert, key, rejectUnauthorized, ...)
+   * @param {string|false} [options.proxy] - Proxy URL, `false` to ignore HTTP(S)_PROXY (defaults to the environment)
+   * @param {string} [options.noProxy] - Comma-separated hosts that bypass the proxy (defaults to NO_PROXY)
+   * @param {Object} [options.httpAgent] - Custom agent for http:// requests
+   * @param {Object} [options.httpsAgent] - Custom agent for https:// requests
+   */
+  constructor(options = {}) {
+    this.name = 'node';
+    this.options = {
+      keepAlive: true,
+      maxSockets: Infinity,
+      tls: {},
+      ...options
+    };
+    this.agents = {
+      http: options.httpAgent || null,
+      https: options.httpsAgent || null
+    };
+    this.modules = null;
+  }
+
+  /**
+   * Check if the runtime is Node.js (or Node-compatible)
+   *
+   * @returns {boolean} True if Node's http modules can be used
+   */
+  static isSupported() {
+    return typeof process !== 'undefined' && !!(process.versions && process.versions.node);
+  }
+
+  /**
+   * Check if a proxy is configured through the environment
+   *
+   * @returns {boolean} True if HTTP_PROXY or HTTPS_PROXY is set
+   */
+  static hasProxyEnv() {
+    return !!(NodeHttpTransport.readEnv('HTTPS_PROXY') || NodeHttpTransport.readEnv('HTTP_PROXY'));
+  }
+
+  /**
+   * Read an environment variable in upper or lower case
+   *
+   * @param {string} name - Upper-case variable name
+   * @returns {string|undefined} Variable value
+   *
+   * @private
+   */
+  static readEnv(name) {
+    if (typeof process === 'undefined' || !process.env) {
+      return undefined;
+    }
+
+    return process.env[name] || process.env[name.toLowerCase()];
+  }
+
+  /**
+   * Send an HTTP request
+   *
+   * @param {Object} request - Request description
+   * @param {string} request.url - Absolute URL
+   * @param {string} request.method - HTTP method
+   * @param {Object} request.headers - Request headers
+   * @param {string} [request.body] - Serialized request body
+   * @param {AbortSignal} [request.signal] - Signal aborting the request
+   * @param {number} [request.timeout] - Socket inactivity timeout in milliseconds
+   * @returns {Promise<Object>} Fetch-compatible response (`ok`, `status`, `headers.get()`, `text()`, `json()`)
+   *
+   * @throws {MarzPayError} NETWORK_ERROR when the connection fails
+   */
+  async send(request) {
+    const { http, https, tls } = await this.loadModules();
+    const target = new URL(request.url);
+    const secure = target.protocol === 'https:';
+    const proxy = this.getProxyFor(target);
+
+    const headers = { ...request.headers };
+    if (request.body !== undefined) {
+      headers['Content-Length'] = Buffer.byteLength(request.body);
+    }
+
+    const options = {
+      method: request.method,
+      hostname: target.hostname,
+      port: target.port || (secure ? 443 : 80),
+      path: `${target.pathname}${target.search}`,
+      headers
+    };
+
+    if (!proxy) {
+      Object.assign(options, secure ? this.options.tls : {}, { agent: this.getAgent(secure, http, https) });
+      return this.dispatch(secure ? https : http, options, request);
+    }
+
+    if (!secure) {
+      // Plain HTTP goes to the proxy with an absolute request URI
+      const proxySecure = proxy.protocol === 'https:';
+      Object.assign(options, proxySecure ? this.options.tls : {}, {
+        hostname: proxy.hostname,
+        port: proxy.port || (proxySecure ? 443 : 80),
+        path: target.href,
+        headers: { ...headers, Host: target.host, ...this.getProxyAuthHeader(proxy) },
+        agent: this.getAgent(proxySecure, http, https)
+      });
+      return this.dispatch(proxySecure ? https : http, options, request);
+    }
+
+    // HTTPS is tunnelled through the proxy with CONNECT
+    const socket = await this.connectTunnel(proxy, target, { http, https }, request);
+    Object.assign(options, this.options.tls, {
+      agent: false,
+      createConnection: () => tls.connect({ ...this.options.tls, socket, servername: target.hostname })
+    });
+    return this.dispatch(https, options, request);
+  }
+
+  /**
+   * Close pooled keep-alive sockets
+   */
+  close() {
+    Object.values(this.agents).forEach(agent => {
+      if (agent && typeof agent.destroy === 'function') {
+        agent.destroy();
+      }
+    });
+  }
+
+  /**
+   * Load Node's networking modules on first use
+   *
+   * @returns {Promise<Object>} The http, https and tls modules
+   *
+   * @private
+   */
+  async loadModules() {
+    if (!this.modules) {
+      this.modules = Promise.all([import('http'), import('https'), import('tls')])
+        .then(([http, https, tls]) => ({ http, https, tls }));
+    }
+
+    return this.modules;
+  }
+
+  /**
+   * Get (or create) the pooled agent for a protocol
+   *
+   * @private
+   */
+  getAgent(secure, http, https) {
+    const key = secure ? 'https' : 'http';
+
+    if (!this.agents[key]) {
+      const { keepAlive, maxSockets, tls } = this.options;
+      this.agents[key] = secure
+        ? new https.Agent({ keepAlive, maxSockets, ...tls })
+        : new http.Agent({ keepAlive, maxSockets });
+    }
+
+    return this.agents[key];
+  }
+
+  /**
+   * Resolve the proxy to use for a target URL
+   *
+   * @param {URL} target - Request URL
+   * @returns {URL|null} Proxy URL or null for a direct connection
+   *
+   * @private
+   */
+  getProxyFor(target) {
+    if (this.options.proxy === false) {
+      return null;
+    }
+
+    const proxy = this.options.proxy ||
+      NodeHttpTransport.readEnv(target.protocol === 'https:' ? 'HTTPS_PROXY' : 'HTTP_PROXY');
+
+    if (!proxy || this.bypassesProxy(target.hostname)) {
+      return null;
+    }
+
+    return new URL(proxy);
+  }
+
+  /**
+   * Check a host against the NO_PROXY list
+   *
+   * @param {string} hostname - Target host
+   * @returns {boolean} True if the host must be reached directly
+   *
+   * @private
+   */
+  bypassesProxy(hostname) {
+    const noProxy = this.options.noProxy !== undefined
+      ? this.options.noProxy
+      : NodeHttpTransport.readEnv('NO_PROXY');
+
+    if (!noProxy) {
+      return false;
+    }
+
+    const host = hostname.toLowerCase();
+    return noProxy.split(',').some(entry => {
+      const rule = entry.trim().toLowerCase().split(':')[0].replace(/^\*?\./, '');
+      if (!rule) {
+        return false;
+      }
+      return rule === '*' || host === rule || host.endsWith(`.${rule}`);
+    });
+  }
+
+  /**
+   * Build the Proxy-Authorization header from proxy URL credentials
+   *
+   * @private
+   */
+  getProxyAuthHeader(proxy) {
+    if (!proxy.username) {
+      return {};
+    }
+
+    const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+    return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+  }
+
+  /**
+   * Open a CONNECT tunnel to the target through the proxy
+   *
+   * @returns {Promise<Object>} Connected socket
+   *
+   * @private
+   */
+  connectTunnel(proxy, target, { http, https }, request) {
+    const proxySecure = proxy.protocol === 'https:';
+    const authority = `${target.hostname}:${target.port || 443}`;
+
+    return new Promise((resolve, reject) => {
+      const req = (proxySecure ? https : http).request({
+        ...(proxySecure ? this.options.tls : {}),
+        hostname: proxy.hostname,
+        port: proxy.port || (proxySecure ? 443 : 80),
+        method: 'CONNECT',
+        path: authority,
+        headers: { Host: authority, ...this.getProxyAuthHeader(proxy) },
+        agent: false
+      });
+
+      req.on('connect', (res, socket) => {
+        if (res.statusCode === 200) {
+          resolve(socket);
+          return;
+        }
+
+        socket.destroy();
+        reject(MarzPayError.networkError(`Proxy refused tunnel with status ${res.statusCode}`));
+      });
+      req.on('error', error => reject(this.normalizeError(error)));
+      this.bindCancellation(req, request);
+      req.end();
+    });
+  }
+
+  /**
+   * Send the request and buffer the response
+   *
+   * @private
+   */
+  dispatch(module, options, request) {
+    return new Promise((resolve, reject) => {
+      const req = module.request(options, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve(this.createResponse(res, Buffer.concat(chunks).toString('utf8'))));
+        res.on('error', error => reject(this.normalizeError(error)));
+      });
+
+      req.on('error', error => reject(this.normalizeError(error)));
+      this.bindCancellation(req, request);
+
+      if (request.body !== undefined) {
+        req.write(request.body);
+      }
+      req.end();
+    });
+  }
+
+  /**
+   * Destroy the request when the signal aborts or the socket idles past the timeout
+   *
+   * @private
+   */
+  bindCancellation(req, { signal, timeout }) {
+    if (timeout > 0) {
+      req.setTimeout(timeout, () => req.destroy(MarzPayError.timeoutError(timeout)));
+    }
+
+    if (!signal) {
+      return;
+    }
+
+    const onAbort = () => req.destroy(MarzPayError.abortError(signal.reason));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    req.on('close', () => signal.removeEventListener('abort', onAbort));
+  }
+
+  /**
+   * Wrap a Node response in a fetch-compatible object
+   *
+   * @private
+   */
+  createResponse(res, text) {
+    const headers = res.headers;
+
+    return {
+      ok: res.statusCode >= 200 && res.statusCode < 300,
+      status: res.statusCode,
+      statusText: res.statusMessage || '',
+      headers: {
+        get: name => {
+          const value = headers[name.toLowerCase()];
+          if (value === undefined) {
+            return null;
+          }
+          return Array.isArray(value) ? value.join(', ') : String(value);
+        },
+        forEach: callback => {
+          Object.entries(headers).forEach(([name, value]) => {
+            callback(Array.isArray(value) ? value.join(', ') : String(value), name);
+          });
+        }
+      },
+      text: async () => text,
+      json: async () => JSON.parse(text)
+    };
+  }
+
+  /**
+   * Convert socket errors into MarzPay network errors
+   *
+   * @private
+   */
+  normalizeError(error) {
+    if (error instanceof MarzPayError) {
+      return error;
+    }
+
+    return MarzPayError.networkError(`Network request failed: ${error.message}`, { cause: error.code });
+  }
+}
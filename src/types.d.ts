@@ -5,11 +5,267 @@ export interface MarzPayConfig {
   apiKey?: string;
   baseUrl?: string;
   timeout?: number;
+  retry?: RetryPolicyOptions | false;
+  resolveBeforeRetry?: boolean | ResolveBeforeRetryOptions;
+  dryRun?: boolean;
+  limits?: boolean | LimitsCacheOptions;
+  middleware?: Middleware[];
+  transport?: Transport | 'fetch' | 'node';
+  rateLimit?: boolean | RateLimiterOptions;
+  circuitBreaker?: boolean | CircuitBreakerOptions;
+  logger?: boolean | LoggerOptions | LoggerTarget | Logger;
+  http?: NodeHttpTransportOptions;
+  timeZone?: string;
+}
+
+export interface TransportRequest {
+  url: string;
+  method: string;
+  headers: Record<string, string>;
+  body?: string;
+  signal?: AbortSignal;
+  timeout?: number;
+}
+
+export interface TransportResponse {
+  ok: boolean;
+  status: number;
+  statusText?: string;
+  headers?: { get(name: string): string | null; forEach?(callback: (value: string, name: string) => void): void };
+  text?(): Promise<string>;
+  json?(): Promise<any>;
+}
+
+export interface Transport {
+  name?: string;
+  send(request: TransportRequest): Promise<TransportResponse>;
+}
+
+export interface NodeHttpTransportOptions {
+  keepAlive?: boolean;
+  maxSockets?: number;
+  tls?: Record<string, any>;
+  proxy?: string | false;
+  noProxy?: string;
+  httpAgent?: any;
+  httpsAgent?: any;
+}
+
+export interface RequestContext {
+  endpoint: string;
+  method: string;
+  headers: Record<string, string>;
+  body?: any;
+  options: RequestOptions;
+  state: Record<string, any>;
+}
+
+export type Middleware = (context: RequestContext, next: () => Promise<any>) => Promise<any>;
+
+export interface ResolveBeforeRetryOptions {
+  maxAttempts?: number;
+  lookupDelay?: number;
+  ambiguousCodes?: string[];
+  ambiguousStatuses?: number[];
+}
+
+export interface RecoveryMetadata {
+  attempts: number;
+  recovered: boolean;
+  transaction_uuid?: string | null;
+}
+
+export interface MoneyRequestOptions extends RequestOptions {
+  resolveBeforeRetry?: boolean | ResolveBeforeRetryOptions;
+  dryRun?: boolean;
+}
+
+export interface LimitsCacheOptions {
+  ttl?: number;
+  retryAfter?: number;
+}
+
+export interface AmountLimits {
+  min: number;
+  max: number;
+  currency: string;
+}
+
+export type PreflightCheckStatus = 'passed' | 'failed' | 'skipped' | 'error';
+
+export interface PreflightProblem {
+  check: 'validation' | 'account' | 'limits' | 'balance' | 'service';
+  code: string;
+  message: string;
+}
+
+export interface PreflightReport {
+  dryRun: true;
+  ok: boolean;
+  type: 'collection' | 'withdrawal';
+  endpoint: '/collect-money' | '/send-money';
+  request: {
+    amount: number;
+    phone_number: string | null;
+    reference: string;
+    description: string | null;
+    callback_url: string | null;
+    country: string;
+  };
+  provider: string | null;
+  checks: {
+    validation: { status: PreflightCheckStatus };
+    account: { status: PreflightCheckStatus };
+    limits: { status: PreflightCheckStatus; minimum?: number | null; maximum?: number | null };
+    balance: { status: PreflightCheckStatus; required?: number | null };
+    service: { status: PreflightCheckStatus; provider?: string | null };
+  };
+  problems: PreflightProblem[];
+}
+
+export interface RetryPolicyOptions {
+  maxAttempts?: number;
+  baseDelay?: number;
+  maxDelay?: number;
+  jitter?: boolean;
+  retryOnStatus?: number[];
+  retryOnCodes?: string[];
+  methods?: string[];
+}
+
+export type EndpointGroup =
+  | 'collections'
+  | 'disbursements'
+  | 'transactions'
+  | 'balance'
+  | 'accounts'
+  | 'services'
+  | 'webhooks'
+  | 'default';
+
+export interface RateLimitSettings {
+  requestsPerSecond?: number;
+  burst?: number | null;
+  maxConcurrency?: number;
+  minRequestsPerSecond?: number;
+  recoveryStep?: number;
+}
+
+export interface RateLimiterOptions extends RateLimitSettings {
+  groups?: Partial<Record<EndpointGroup, RateLimitSettings>>;
+}
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export interface LoggerTarget {
+  debug(message: string, fields: Record<string, any>): void;
+  info(message: string, fields: Record<string, any>): void;
+  warn(message: string, fields: Record<string, any>): void;
+  error(message: string, fields: Record<string, any>): void;
+}
+
+export interface RedactorOptions {
+  keys?: string[];
+  secrets?: string[] | (() => string[]);
+  placeholder?: string;
+}
+
+export interface LoggerOptions {
+  level?: LogLevel;
+  format?: 'json' | 'text';
+  output?: (line: string, entry: Record<string, any>) => void;
+  target?: LoggerTarget;
+  redact?: RedactorOptions | Redactor;
+}
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export interface CircuitSettings {
+  failureThreshold?: number;
+  resetTimeout?: number;
+  halfOpenMaxCalls?: number;
+  successThreshold?: number;
+  failureCodes?: string[];
+}
+
+export interface CircuitBreakerOptions extends CircuitSettings {
+  groups?: Partial<Record<EndpointGroup, CircuitSettings>>;
+}
+
+export interface CircuitStateChange {
+  group: string;
+  from: CircuitState;
+  to: CircuitState;
+  failures: number;
+  error: MarzPayError | null;
+}
+
+export interface TransactionStatusChange {
+  uuid: string;
+  type: 'collection' | 'withdrawal';
+  from: string | null;
+  to: string;
+  source: 'poll' | 'initial' | string;
+  transaction: any;
+  attempts: number;
+  elapsed: number;
+}
+
+export interface WebhookEvent {
+  event: string | null;
+  uuid: string | null;
+  reference: string | null;
+  status: string | null;
+  transaction: any;
+  payload: any;
+}
+
+export interface CollectAndConfirmOptions extends WaitForCompletionOptions, Omit<MoneyRequestOptions, 'timeout' | 'signal'> {
+  verifyWebhooks?: boolean;
+}
+
+export interface CollectionOutcome {
+  status: 'successful' | 'failed' | 'cancelled' | 'timed_out';
+  confirmed: boolean;
+  source: 'webhook' | 'poll' | 'response' | null;
+  reference: string;
+  uuid: string;
+  transaction: any;
+  attempts: number;
+  elapsed: number;
+}
+
+export interface WaitForCompletionOptions {
+  timeout?: number;
+  interval?: number;
+  backoff?: number | false;
+  maxInterval?: number;
+  signal?: AbortSignal;
+  onStatusChange?: (change: TransactionStatusChange) => void;
+}
+
+export interface MarzPayEvents {
+  circuitStateChange: CircuitStateChange;
+  transactionStatusChange: TransactionStatusChange;
+  webhook: WebhookEvent;
+}
+
+export interface RateLimitStats {
+  queued: number;
+  active: number;
+  requestsPerSecond: number;
+  pausedUntil: number | null;
+}
+
+export interface RetryMetadata {
+  attempts: number;
+  totalDelay: number;
 }
 
 export interface CollectionParams {
   amount: number;
   phoneNumber: string;
+  reference: string;
   description?: string | null;
   callbackUrl?: string | null;
   country?: string;
@@ -18,6 +274,7 @@ export interface CollectionParams {
 export interface DisbursementParams {
   amount: number;
   phoneNumber: string;
+  reference: string;
   description?: string | null;
   callbackUrl?: string | null;
   country?: string;
@@ -521,10 +778,83 @@ export interface TransactionsListResponse {
   };
 }
 
+export interface ErrorResponseInfo {
+  status: number;
+  statusText: string;
+  headers: Record<string, string>;
+  body: string | null;
+}
+
 export class MarzPayError extends Error {
-  constructor(message: string, code: string, status: number);
+  constructor(message: string, code: string, status: number, details?: Record<string, any>);
   code: string;
   status: number;
+  details: Record<string, any>;
+  timestamp: string;
+  retry?: RetryMetadata;
+  retryAfter?: number | null;
+  retryable: boolean;
+  requestId: string | null;
+  response: ErrorResponseInfo | null;
+
+  isValidationError(): boolean;
+  isServerError(): boolean;
+  isNetworkError(): boolean;
+  isTimeoutError(): boolean;
+  isAbortError(): boolean;
+  isCircuitOpenError(): boolean;
+  getUserMessage(): string;
+  toJSON(options?: { redact?: boolean; stack?: boolean }): {
+    name: string;
+    message: string;
+    code: string;
+    status: number;
+    retryable: boolean;
+    requestId: string | null;
+    details: Record<string, any>;
+    timestamp: string;
+    response?: ErrorResponseInfo;
+    stack?: string;
+  };
+  getSummary(): { name: string; code: string; status: number; message: string; requestId: string | null; timestamp: string };
+
+  static fromResponse(response: any, status: number, headers?: { get(name: string): string | null }): MarzPayError;
+  static classify(code: string, status: number, message?: string): typeof MarzPayError;
+  static validationError(message: string, code: string): ValidationError;
+  static timeoutError(timeout: number): TimeoutError;
+  static abortError(reason?: any): MarzPayError;
+  static rethrowAbort(error: unknown): void;
+  static circuitOpenError(group: string, retryIn: number): MarzPayError;
+  static networkError(message: string, details?: Record<string, any>): NetworkError;
+}
+
+export class ValidationError extends MarzPayError {
+  constructor(message: string, code?: string, status?: number, details?: Record<string, any>);
+}
+
+export class AuthenticationError extends MarzPayError {
+  constructor(message: string, code?: string, status?: number, details?: Record<string, any>);
+}
+
+export class RateLimitError extends MarzPayError {
+  constructor(message: string, code?: string, status?: number, details?: Record<string, any>);
+  retryAfter: number | null;
+}
+
+export class InsufficientBalanceError extends MarzPayError {
+  constructor(message: string, code?: string, status?: number, details?: Record<string, any>);
+}
+
+export class NetworkError extends MarzPayError {
+  constructor(message: string, code?: string, status?: number, details?: Record<string, any>);
+}
+
+export class TimeoutError extends MarzPayError {
+  constructor(message: string, code?: string, status?: number, details?: Record<string, any>);
+}
+
+export class ServerError extends MarzPayError {
+  constructor(message: string, code?: string, status?: number, details?: Record<string, any>);
 }
 
 export class MarzPay {
@@ -539,7 +869,24 @@ export class MarzPay {
   services: ServicesAPI;
   balance: BalanceAPI;
   utils: Utils;
+  timeZone: TimeZone;
+  retryPolicy: RetryPolicy;
+  outcomeResolver: OutcomeResolver;
+  statusPoller: StatusPoller;
+  preflight: Preflight;
+  limits: LimitsCache | null;
+  transport: Transport;
+  rateLimiter: RateLimiter | null;
+  circuitBreaker: CircuitBreaker | null;
+  events: EventEmitter;
+  logger: Logger;
   
+  on<K extends keyof MarzPayEvents>(event: K, listener: (payload: MarzPayEvents[K]) => void): () => void;
+  off<K extends keyof MarzPayEvents>(event: K, listener: (payload: MarzPayEvents[K]) => void): void;
+  
+  getEndpointGroup(endpoint: string): EndpointGroup;
+  middleware: Middleware[];
+  use(middleware: Middleware): this;
   setCredentials(apiUser: string, apiKey: string): void;
   getAuthHeader(): string;
   request(endpoint: string, options?: RequestOptions): Promise<any>;
@@ -547,61 +894,142 @@ export class MarzPay {
 
 export class CollectionsAPI {
   constructor(marzpay: MarzPay);
+  static readonly DEFAULT_LIMITS: AmountLimits;
   
-  collectMoney(params: CollectionParams): Promise<MarzPayResponse<CollectionResponse>>;
-  getCollection(uuid: string): Promise<MarzPayResponse<CollectionResponse>>;
-  getCollectionServices(): Promise<MarzPayResponse<CollectionServicesResponse>>;
+  collectMoney(params: CollectionParams, options: MoneyRequestOptions & { dryRun: true }): Promise<PreflightReport>;
+  collectMoney(params: CollectionParams, options?: MoneyRequestOptions): Promise<MarzPayResponse<CollectionResponse>>;
+  getCollection(uuid: string, options?: RequestOptions): Promise<MarzPayResponse<CollectionResponse>>;
+  getCollectionServices(options?: RequestOptions): Promise<MarzPayResponse<CollectionServicesResponse>>;
+  waitForCompletion(uuid: string, options?: WaitForCompletionOptions): Promise<any>;
+  collectAndConfirm(params: Omit<CollectionParams, 'reference'> & { reference?: string }, options: CollectAndConfirmOptions & { dryRun: true }): Promise<PreflightReport>;
+  collectAndConfirm(params: Omit<CollectionParams, 'reference'> & { reference?: string }, options?: CollectAndConfirmOptions): Promise<CollectionOutcome>;
   validateCollectionParams(params: CollectionParams): void;
+  getValidationErrors(params: Partial<CollectionParams>): ValidationError[];
+  isValidAmount(amount: number, provider?: string | null): boolean;
+  getLimits(provider?: string | null): AmountLimits;
+  loadLimits(provider?: string | null, options?: RequestOptions): Promise<AmountLimits>;
 }
 
 export class DisbursementsAPI {
   constructor(marzpay: MarzPay);
+  static readonly DEFAULT_LIMITS: AmountLimits;
   
-  sendMoney(params: DisbursementParams): Promise<MarzPayResponse<DisbursementResponse>>;
-  getDisbursement(uuid: string): Promise<MarzPayResponse<DisbursementResponse>>;
-  getDisbursementServices(): Promise<MarzPayResponse<DisbursementServicesResponse>>;
+  sendMoney(params: DisbursementParams, options: MoneyRequestOptions & { dryRun: true }): Promise<PreflightReport>;
+  sendMoney(params: DisbursementParams, options?: MoneyRequestOptions): Promise<MarzPayResponse<DisbursementResponse>>;
+  sendBulk(source: BulkDisbursementSource, options: SendBulkOptions): Promise<BulkDisbursementSummary>;
+  sendPain001(xml: string, options?: SendPain001Options): Promise<Pain001Outcome>;
+  getDisbursement(uuid: string, options?: RequestOptions): Promise<MarzPayResponse<DisbursementResponse>>;
+  getDisbursementServices(options?: RequestOptions): Promise<MarzPayResponse<DisbursementServicesResponse>>;
+  waitForCompletion(uuid: string, options?: WaitForCompletionOptions): Promise<any>;
   validateDisbursementParams(params: DisbursementParams): void;
+  getValidationErrors(params: Partial<DisbursementParams>): ValidationError[];
+  isValidAmount(amount: number, provider?: string | null): boolean;
+  getLimits(provider?: string | null): AmountLimits;
+  loadLimits(provider?: string | null, options?: RequestOptions): Promise<AmountLimits>;
 }
 
 export class AccountsAPI {
   constructor(marzpay: MarzPay);
   
-  getAccountInfo(): Promise<MarzPayResponse<AccountInfo>>;
-  updateAccount(settings: AccountUpdateParams): Promise<MarzPayResponse<AccountInfo>>;
+  getAccountInfo(options?: RequestOptions): Promise<MarzPayResponse<AccountInfo>>;
+  updateAccount(settings: AccountUpdateParams, options?: RequestOptions): Promise<MarzPayResponse<AccountInfo>>;
+  static isActiveStatus(status: { account_status: string; is_frozen: string }): boolean;
 }
 
 export class BalanceAPI {
   constructor(marzpay: MarzPay);
   
-  getBalance(): Promise<MarzPayResponse<BalanceResponse>>;
-  getBalanceHistory(params?: BalanceHistoryParams): Promise<MarzPayResponse<BalanceHistoryResponse>>;
+  getBalance(options?: RequestOptions): Promise<MarzPayResponse<BalanceResponse>>;
+  getBalanceHistory(params?: BalanceHistoryParams, options?: RequestOptions): Promise<MarzPayResponse<BalanceHistoryResponse>>;
+  listHistory(params?: BalanceHistoryParams, options?: RequestOptions): Paginator<any>;
+  exportHistory(settings?: ExportSettings<BalanceHistoryParams>, options?: RequestOptions): Exporter;
+  getStatement(startDate: string, endDate: string, settings?: StatementSettings, options?: RequestOptions): Promise<Statement>;
+  getPeriodSummary(startDate: string, endDate: string, options?: RequestOptions): Promise<MarzPayResponse<BalanceHistoryResponse>>;
+  getBalanceTrends(period?: AnalyticsPeriod, count?: number, options?: RequestOptions): Promise<MarzPayResponse<{
+    period: AnalyticsPeriod;
+    count: number;
+    date_range: { start: string; end: string };
+    summary: BalanceTrendTotals;
+    series: BalanceTrendEntry[];
+  }>>;
+  static covers(balance: MarzPayResponse<BalanceResponse>, amount: number): boolean;
 }
 
 export class TransactionsAPI {
   constructor(marzpay: MarzPay);
   
-  getTransactions(params?: TransactionParams): Promise<MarzPayResponse<TransactionsListResponse>>;
-  getTransaction(uuid: string): Promise<MarzPayResponse<TransactionResponse>>;
+  getTransactions(params?: TransactionParams, options?: RequestOptions): Promise<MarzPayResponse<TransactionsListResponse>>;
+  getTransaction(uuid: string, options?: RequestOptions): Promise<MarzPayResponse<TransactionResponse>>;
+  list(params?: TransactionParams, options?: RequestOptions): Paginator<any>;
+  query(options?: RequestOptions): TransactionQuery;
+  export(settings?: ExportSettings<TransactionParams>, options?: RequestOptions): Exporter;
+  getStatement(
+    startDate: string,
+    endDate: string,
+    settings?: StatementSettings & { filters?: TransactionParams; splitCharges?: boolean },
+    options?: RequestOptions
+  ): Promise<Statement>;
+  reconcile(
+    records: ReconciliationRecord[],
+    startDate: string,
+    endDate: string,
+    settings?: ReconcilerSettings & { filters?: TransactionParams },
+    options?: RequestOptions
+  ): Promise<ReconciliationReport>;
+  getSummary(params?: TransactionParams, options?: RequestOptions): Promise<MarzPayResponse<{ summary: TransactionSummary; filters: TransactionParams }>>;
+  getAnalytics(period?: AnalyticsPeriod, count?: number, options?: RequestOptions): Promise<MarzPayResponse<{
+    period: AnalyticsPeriod;
+    count: number;
+    date_range: { start: string; end: string };
+    summary: TransactionSummary;
+    series: TransactionSeriesEntry[];
+  }>>;
+}
+
+export class TransactionQuery implements AsyncIterable<any> {
+  constructor(transactions: TransactionsAPI, options?: RequestOptions);
+  type(...types: Array<string | string[]>): this;
+  status(...statuses: Array<string | string[]>): this;
+  provider(...providers: Array<string | string[]>): this;
+  between(start?: string | Date | null, end?: string | Date | null): this;
+  reference(reference: string): this;
+  amountAbove(amount: number): this;
+  amountBelow(amount: number): this;
+  where(predicate: (transaction: any) => boolean): this;
+  sort(...fields: Array<string | string[]>): this;
+  limit(count: number): this;
+  execute(): Promise<any[]>;
+  count(): Promise<number>;
+  [Symbol.asyncIterator](): AsyncIterator<any>;
+  toJSON(): { params: Record<string, any>; client: Record<string, any>; sort: string[]; limit: number | null };
 }
 
 export class ServicesAPI {
   constructor(marzpay: MarzPay);
   
-  getServices(params?: ServiceParams): Promise<MarzPayResponse<ServicesListResponse>>;
-  getService(uuid: string): Promise<MarzPayResponse<ServiceResponse>>;
+  getServices(params?: ServiceParams, options?: RequestOptions): Promise<MarzPayResponse<ServicesListResponse>>;
+  getService(uuid: string, options?: RequestOptions): Promise<MarzPayResponse<ServiceResponse>>;
+  list(params?: ServiceParams, options?: RequestOptions): Paginator<any>;
+  static hasServices(services: MarzPayResponse<ServicesListResponse>): boolean;
 }
 
 export class WebhooksAPI {
   constructor(marzpay: MarzPay);
   
-  getWebhooks(params?: { status?: string; event_type?: string }): Promise<MarzPayResponse<WebhooksListResponse>>;
-  createWebhook(params: WebhookParams): Promise<MarzPayResponse<WebhookResponse>>;
-  getWebhook(uuid: string): Promise<MarzPayResponse<WebhookResponse>>;
-  updateWebhook(uuid: string, params: WebhookUpdateParams): Promise<MarzPayResponse<WebhookResponse>>;
-  deleteWebhook(uuid: string): Promise<MarzPayResponse<{ webhook: { uuid: string; name: string } }>>;
+  getWebhooks(params?: { status?: string; event_type?: string }, options?: RequestOptions): Promise<MarzPayResponse<WebhooksListResponse>>;
+  list(params?: { status?: string; event_type?: string }, options?: RequestOptions): Paginator<any>;
+  createWebhook(params: WebhookParams, options?: RequestOptions): Promise<MarzPayResponse<WebhookResponse>>;
+  getWebhook(uuid: string, options?: RequestOptions): Promise<MarzPayResponse<WebhookResponse>>;
+  updateWebhook(uuid: string, params: WebhookUpdateParams, options?: RequestOptions): Promise<MarzPayResponse<WebhookResponse>>;
+  deleteWebhook(uuid: string, options?: RequestOptions): Promise<MarzPayResponse<{ webhook: { uuid: string; name: string } }> | null>;
+  static readonly EVENT_STATUSES: Record<string, string>;
+  receive(payload: object | string | Uint8Array): WebhookEvent;
+  parseEvent(payload: object | string | Uint8Array): WebhookEvent;
 }
 
 export class Utils {
+  constructor(options?: { timeZone?: TimeZone | string });
+  timeZone: TimeZone;
   formatPhoneNumber(phone: string): string | null;
   isValidPhoneNumber(phone: string): boolean;
   isValidAmount(amount: number, min?: number, max?: number): boolean;
@@ -611,6 +1039,9 @@ export class Utils {
   buildQueryString(params: Record<string, any>): string;
   isValidUUID(uuid: string): boolean;
   sanitizeString(input: any): any;
+  formatDate(date: Date | string | number): string;
+  isValidDate(dateString: string): boolean;
+  getDateRange(period: 'today' | 'yesterday' | 'week' | 'month' | 'year'): { start: string; end: string };
 }
 
 export interface RequestOptions {
@@ -618,6 +1049,657 @@ export interface RequestOptions {
   headers?: Record<string, string>;
   body?: any;
   timeout?: number;
+  signal?: AbortSignal;
+  retry?: boolean | RetryPolicyOptions;
+}
+
+export class OutcomeResolver {
+  constructor(marzpay: MarzPay);
+  isAmbiguous(error: Error, settings?: ResolveBeforeRetryOptions): boolean;
+  execute(submit: () => Promise<any>, context: {
+    reference: string;
+    type: 'collection' | 'withdrawal';
+    settings: boolean | ResolveBeforeRetryOptions;
+    fetchExisting: (uuid: string, options?: RequestOptions) => Promise<any>;
+    requestOptions?: RequestOptions;
+  }): Promise<any>;
+}
+
+export class StatusPoller {
+  constructor(marzpay: MarzPay);
+  static readonly DEFAULTS: Required<Pick<WaitForCompletionOptions, 'timeout' | 'interval' | 'backoff' | 'maxInterval'>>;
+  static readonly FINAL_STATUSES: string[];
+  getSettings(settings?: WaitForCompletionOptions): { timeout: number; interval: number; backoff: number; maxInterval: number };
+  wait(uuid: string, context: StatusPollContext, settings?: WaitForCompletionOptions): Promise<any>;
+  watch(uuid: string, context: StatusPollContext, settings?: WaitForCompletionOptions): Promise<{
+    transaction: any;
+    status: string;
+    source: string;
+    attempts: number;
+    elapsed: number;
+  }>;
+}
+
+export class LimitsCache {
+  constructor(marzpay: MarzPay, options?: LimitsCacheOptions);
+  static readonly DEFAULTS: Required<LimitsCacheOptions>;
+  options: Required<LimitsCacheOptions>;
+  get(type: 'collection' | 'withdrawal', provider: string | null, defaults: AmountLimits): AmountLimits;
+  load(
+    type: 'collection' | 'withdrawal',
+    provider?: string | null,
+    requestOptions?: RequestOptions,
+    account?: Promise<MarzPayResponse<AccountInfo>> | null
+  ): Promise<void>;
+  clear(): void;
+  static amountOf(value: number | string | { raw: string } | null | undefined): number | null;
+}
+
+export class Preflight {
+  constructor(marzpay: MarzPay);
+  static readonly TYPES: Record<'collection' | 'withdrawal', { endpoint: string; limits: 'deposit' | 'withdrawal'; api: 'collections' | 'disbursements' }>;
+  check(type: 'collection' | 'withdrawal', params: Partial<CollectionParams>, requestOptions?: RequestOptions): Promise<PreflightReport>;
+}
+
+export interface StatusPollContext {
+  type: 'collection' | 'withdrawal';
+  fetch: (uuid: string, options?: RequestOptions) => Promise<any>;
+  initial?: any;
+  subscribe?: (push: (transaction: any, source?: string) => void) => void | (() => void);
+}
+
+export class RetryPolicy {
+  constructor(options?: RetryPolicyOptions);
+  options: Required<RetryPolicyOptions>;
+  withOverride(override?: boolean | RetryPolicyOptions): RetryPolicy;
+  appliesTo(method: string): boolean;
+  isRetryable(error: Error): boolean;
+  getDelay(attempt: number, error?: Error): number | null;
+  execute<T>(func: (attempt: number) => Promise<T>, context?: { method?: string; signal?: AbortSignal }): Promise<{ result: T; attempts: number; totalDelay: number }>;
+  static parseRetryAfter(value: string | null): number | null;
+}
+
+export class RateLimiter {
+  constructor(options?: RateLimiterOptions);
+  schedule<T>(group: string, task: () => Promise<T>, context?: { signal?: AbortSignal }): Promise<T>;
+  getQueueDepth(group?: string): number;
+  getStats(): Record<string, RateLimitStats>;
+  throttle(group: string, retryAfter?: number): void;
+}
+
+export interface PaginatorPage<T> {
+  page: number;
+  items: T[];
+  pagination: Record<string, any> | null;
+  response: MarzPayResponse<any>;
+}
+
+export class Paginator<T = any> implements AsyncIterable<T> {
+  constructor(
+    fetchPage: (params: Record<string, any>) => Promise<MarzPayResponse<any>>,
+    settings: { itemsKey: string; params?: Record<string, any>; perPage?: number }
+  );
+  static readonly MAX_PER_PAGE: number;
+  [Symbol.asyncIterator](): AsyncIterator<T>;
+  pages(): AsyncGenerator<PaginatorPage<T>>;
+  toArray(options?: { limit?: number }): Promise<T[]>;
+}
+
+export type ExportFormat = 'csv' | 'jsonl';
+
+export type ExportColumn =
+  | string
+  | { header: string; value: string | ((record: any) => any) };
+
+export interface ExportSettings<F = Record<string, any>> {
+  format?: ExportFormat;
+  columns?: ExportColumn[] | Record<string, string | ((record: any) => any)>;
+  filters?: F;
+  maskPhoneNumbers?: boolean;
+  delimiter?: string;
+}
+
+export interface ExportFormatter {
+  contentType: string;
+  extension: string;
+  begin(headers: string[]): string;
+  row(values: any[]): string;
+  end(): string;
+}
+
+export interface NodeWritableLike {
+  write(chunk: string): boolean;
+  end(): void;
+  once(event: string, listener: (...args: any[]) => void): any;
+  removeListener(event: string, listener: (...args: any[]) => void): any;
+}
+
+export class Exporter implements AsyncIterable<string> {
+  constructor(
+    source: AsyncIterable<any> | Iterable<any>,
+    settings?: Omit<ExportSettings, 'filters'> & { defaultColumns?: ExportColumn[] }
+  );
+  static readonly FORMATS: Record<string, new (options?: Record<string, any>) => ExportFormatter>;
+  readonly format: string;
+  readonly formatter: ExportFormatter;
+  readonly contentType: string;
+  rows: number;
+  [Symbol.asyncIterator](): AsyncIterator<string>;
+  text(): Promise<string>;
+  toReadableStream(): ReadableStream<Uint8Array>;
+  toNodeStream(): Promise<any>;
+  pipeTo(destination: NodeWritableLike | WritableStream, options?: { end?: boolean }): Promise<{ format: string; rows: number }>;
+  static normaliseColumns(columns: ExportColumn[] | Record<string, string | ((record: any) => any)>): Array<{ header: string; path: string | null; get: (record: any) => any }>;
+}
+
+export class CsvFormat implements ExportFormatter {
+  constructor(options?: { delimiter?: string });
+  contentType: string;
+  extension: string;
+  begin(headers: string[]): string;
+  row(values: any[]): string;
+  end(): string;
+}
+
+export class JsonLinesFormat implements ExportFormatter {
+  constructor();
+  contentType: string;
+  extension: string;
+  begin(headers: string[]): string;
+  row(values: any[]): string;
+  end(): string;
+}
+
+export type StatementEntryKind = 'collection' | 'withdrawal' | 'charge' | 'refund' | 'other';
+
+export interface StatementAccount {
+  id?: string;
+  name?: string | null;
+  currency?: string;
+  servicer?: string;
+}
+
+export interface StatementSettings {
+  account?: StatementAccount;
+  openingBalance?: number;
+  sequence?: number;
+  createdAt?: Date;
+  timeZone?: TimeZone | string;
+}
+
+export interface StatementEntry {
+  id: string | null;
+  reference: string | null;
+  kind: StatementEntryKind;
+  direction: 'credit' | 'debit';
+  amount: number;
+  bookedAt: Date;
+  bookingDate: string;
+  description: string | null;
+}
+
+export class Statement {
+  constructor(settings: StatementSettings & {
+    start: string;
+    end: string;
+    closingBalance?: number | null;
+    entries?: Array<Partial<StatementEntry> & Pick<StatementEntry, 'kind' | 'direction' | 'amount'>>;
+  });
+  static readonly FORMATS: Record<string, new (options?: Record<string, any>) => { render(statement: Statement): string }>;
+  readonly id: string;
+  start: string;
+  end: string;
+  account: Required<StatementAccount>;
+  openingBalance: number;
+  closingBalance: number;
+  sequence: number;
+  createdAt: Date;
+  timeZone: TimeZone;
+  entries: StatementEntry[];
+  readonly totals: { credits: { count: number; sum: number }; debits: { count: number; sum: number } };
+  render(format: 'camt053' | 'mt940' | 'ofx' | 'qif' | string, options?: Record<string, any>): string;
+  toCamt053(options?: { messageId?: string }): string;
+  toMt940(options?: { transactionReference?: string }): string;
+  toOfx(options?: OfxFormatOptions): string;
+  toQif(options?: QifFormatOptions): string;
+  static fromBalanceHistory(history: any[], settings: StatementSettings & { start: string; end: string }): Statement;
+  static fromTransactions(transactions: any[], settings: StatementSettings & { start: string; end: string; splitCharges?: boolean }): Statement;
+}
+
+export class Camt053Format {
+  constructor(options?: { messageId?: string });
+  static readonly TRANSACTION_CODES: Record<string, [string, string, string]>;
+  contentType: string;
+  extension: string;
+  render(statement: Statement): string;
+}
+
+export class Mt940Format {
+  constructor(options?: { transactionReference?: string });
+  static readonly TRANSACTION_CODES: Record<StatementEntryKind, string>;
+  contentType: string;
+  extension: string;
+  render(statement: Statement): string;
+}
+
+export interface OfxFormatOptions {
+  bankId?: string;
+  accountType?: 'CHECKING' | 'SAVINGS' | 'MONEYMRKT' | 'CREDITLINE' | 'CD';
+}
+
+export class OfxFormat {
+  constructor(options?: OfxFormatOptions);
+  static readonly TRANSACTION_TYPES: Record<StatementEntryKind, string | null>;
+  contentType: string;
+  extension: string;
+  render(statement: Statement): string;
+}
+
+export interface QifFormatOptions {
+  dateFormat?: 'MM/DD/YYYY' | 'DD/MM/YYYY';
+  chargeCategory?: string;
+}
+
+export class QifFormat {
+  constructor(options?: QifFormatOptions);
+  contentType: string;
+  extension: string;
+  render(statement: Statement): string;
+}
+
+export interface ReconciliationRecord {
+  reference: string | number;
+  amount: number | string;
+  phone?: string;
+  phone_number?: string;
+  status?: string;
+  [key: string]: any;
+}
+
+export interface ReconcilerSettings {
+  tolerance?: number;
+  statuses?: Record<string, string>;
+}
+
+export type ReconciliationResult = 'matched' | 'mismatch' | 'missing' | 'unexpected';
+
+export interface ReconciliationItem {
+  result: ReconciliationResult;
+  reference: string;
+  expected: { amount: number; status: string | null; phone: string | null } | null;
+  actual: { uuid: string | null; amount: number; status: string | null; phone: string | null; createdAt: string | null } | null;
+  difference: number | null;
+  differences: Array<'amount' | 'status' | 'phone'>;
+  record: ReconciliationRecord | null;
+  transaction: any | null;
+}
+
+export interface ReconciliationSummary {
+  records: number;
+  transactions: number;
+  matched: number;
+  amountMismatches: number;
+  statusMismatches: number;
+  phoneMismatches: number;
+  missing: number;
+  unexpected: number;
+  reconciled: boolean;
+}
+
+export class Reconciler {
+  constructor(settings?: ReconcilerSettings & { start?: string; end?: string });
+  tolerance: number;
+  reconcile(records: ReconciliationRecord[], transactions: AsyncIterable<any> | Iterable<any>): Promise<ReconciliationReport>;
+}
+
+export class ReconciliationReport {
+  static readonly EXPORT_COLUMNS: ExportColumn[];
+  start: string | null;
+  end: string | null;
+  records: number;
+  transactions: number;
+  items: ReconciliationItem[];
+  readonly matched: ReconciliationItem[];
+  readonly amountMismatches: ReconciliationItem[];
+  readonly statusMismatches: ReconciliationItem[];
+  readonly phoneMismatches: ReconciliationItem[];
+  readonly missing: ReconciliationItem[];
+  readonly unexpected: ReconciliationItem[];
+  readonly reconciled: boolean;
+  readonly summary: ReconciliationSummary;
+  toJSON(): { start: string | null; end: string | null; summary: ReconciliationSummary } & Record<string, any>;
+  export(settings?: Omit<ExportSettings, 'filters'>): Exporter;
+}
+
+export interface BulkDisbursementRow {
+  phoneNumber?: string;
+  phone_number?: string;
+  phone?: string;
+  amount: number | string;
+  description?: string;
+  reference?: string;
+  callbackUrl?: string;
+  [key: string]: any;
+}
+
+export type BulkDisbursementSource =
+  | BulkDisbursementRow[]
+  | string
+  | AsyncIterable<string | ArrayBufferView>
+  | ReadableStream<string | ArrayBufferView>;
+
+export type BulkRowResult = 'sent' | 'already_sent' | 'failed' | 'invalid' | 'not_sent';
+
+export interface BulkDisbursementResult {
+  row: number;
+  reference: string | null;
+  phoneNumber: string | null;
+  amount: number | string | null;
+  description: string | null;
+  result: BulkRowResult;
+  uuid: string | null;
+  status: string | null;
+  errorCode: string | null;
+  errorMessage: string | null;
+}
+
+export interface BulkDisbursementSettings {
+  batchId: string;
+  concurrency?: number;
+  resume?: boolean | Array<Partial<BulkDisbursementResult>> | string | AsyncIterable<string | ArrayBufferView> | ReadableStream;
+  skipInvalid?: boolean;
+  allowDuplicatePhones?: boolean;
+  delimiter?: string;
+  onResult?: (result: BulkDisbursementResult) => void;
+  signal?: AbortSignal;
+  requestOptions?: MoneyRequestOptions;
+}
+
+export interface SendBulkOptions extends BulkDisbursementSettings {
+  results?: NodeWritableLike | WritableStream;
+  resultsFormat?: ExportFormat;
+  maskPhoneNumbers?: boolean;
+}
+
+export interface BulkDisbursementSummary {
+  batchId: string;
+  total: number;
+  sent: number;
+  alreadySent: number;
+  failed: number;
+  invalid: number;
+  notSent: number;
+  amount: number;
+  halted: { code: string; message: string } | null;
+  results: BulkDisbursementResult[];
+}
+
+export class BulkDisbursement implements AsyncIterable<BulkDisbursementResult> {
+  constructor(marzpay: MarzPay, settings: BulkDisbursementSettings);
+  static readonly DEFAULTS: { concurrency: number };
+  static readonly NAMESPACE: string;
+  static readonly FIELDS: Record<string, string[]>;
+  static readonly SENT_RESULTS: BulkRowResult[];
+  static readonly RESULT_COLUMNS: ExportColumn[];
+  batchId: string;
+  concurrency: number;
+  results: BulkDisbursementResult[];
+  halted: { code: string; message: string } | null;
+  readonly summary: BulkDisbursementSummary;
+  prepare(source: BulkDisbursementSource): Promise<any[]>;
+  run(): Promise<BulkDisbursementSummary>;
+  referenceFor(phoneNumber: string): string;
+  [Symbol.asyncIterator](): AsyncGenerator<BulkDisbursementResult>;
+}
+
+export class CsvParser {
+  constructor(options?: { delimiter?: string });
+  delimiter: string;
+  parse(text: string): Array<Record<string, string>>;
+  records(source: string | AsyncIterable<string | ArrayBufferView> | ReadableStream): AsyncGenerator<Record<string, string>>;
+  static chunks(source: string | AsyncIterable<string | ArrayBufferView> | ReadableStream): AsyncGenerator<string>;
+}
+
+export interface XmlElement {
+  name: string;
+  qualifiedName: string;
+  attributes: Record<string, string>;
+  children: XmlElement[];
+  text: string;
+}
+
+export class XmlParser {
+  static parse(xml: string): XmlElement;
+  static find(element: XmlElement | null, path: string): XmlElement | null;
+  static all(element: XmlElement | null, name: string): XmlElement[];
+  static text(element: XmlElement | null, path?: string): string | null;
+}
+
+export interface Pain001Error {
+  index: number;
+  endToEndId: string | null;
+  field: string;
+  code: string;
+  message: string;
+}
+
+export interface Pain001Instruction {
+  index: number;
+  paymentInformationId: string | null;
+  instructionId: string | null;
+  endToEndId: string | null;
+  reference: string | null;
+  amount: number | null;
+  instructedAmount: number | null;
+  currency: string | null;
+  phoneNumber: string | null;
+  creditorName: string | null;
+  description: string | null;
+  errors: Array<{ field: string; code: string; message: string }>;
+}
+
+export interface Pain001Document {
+  version: string;
+  messageId: string;
+  createdAt: string | null;
+  numberOfTransactions: number;
+  controlSum: number;
+  initiatingParty: string | null;
+  payments: Array<{
+    id: string | null;
+    executionDate: string | null;
+    debtorName: string | null;
+    debtorAccount: string | null;
+    instructions: Pain001Instruction[];
+  }>;
+  instructions: Pain001Instruction[];
+  errors: Pain001Error[];
+}
+
+export class Pain001Parser {
+  constructor(settings?: { currency?: string; limits?: { min: number; max: number } });
+  static readonly NAMESPACE: string;
+  currency: string;
+  limits: { min: number; max: number };
+  parse(xml: string): Pain001Document;
+  referenceFor(endToEndId: string): string;
+}
+
+export class Pain002Format {
+  constructor(options?: { messageId?: string; createdAt?: Date });
+  static readonly REASON_CODES: Record<string, string>;
+  contentType: string;
+  extension: string;
+  render(document: Pain001Document, results: Array<Partial<BulkDisbursementResult>>): string;
+}
+
+export interface SendPain001Options extends Omit<SendBulkOptions, 'batchId'> {
+  batchId?: string;
+  statusReportId?: string;
+}
+
+export interface Pain001Outcome {
+  messageId: string;
+  document: Pain001Document;
+  summary: Omit<BulkDisbursementSummary, 'results'>;
+  results: Array<BulkDisbursementResult & { endToEndId: string | null }>;
+  statusReport: string;
+}
+
+export type AnalyticsPeriod = 'daily' | 'weekly' | 'monthly';
+
+export interface TransactionTotals {
+  total_amount: number;
+  total_transactions: number;
+  successful_transactions: number;
+  failed_transactions: number;
+  pending_transactions: number;
+  total_collections: number;
+  total_withdrawals: number;
+  success_rate: number;
+}
+
+export interface Breakdown {
+  count: number;
+  amount: number;
+}
+
+export interface TransactionBreakdowns {
+  by_status: Record<string, Breakdown>;
+  by_type: Record<string, Breakdown>;
+  by_provider: Record<string, Breakdown>;
+}
+
+export interface TransactionSummary extends TransactionTotals, TransactionBreakdowns {
+  amounts: {
+    count: number;
+    min: number | null;
+    max: number | null;
+    mean: number | null;
+    median: number | null;
+  };
+}
+
+export interface PeriodChange {
+  absolute: number | null;
+  percent: number | null;
+}
+
+export interface TransactionSeriesEntry extends TransactionTotals, TransactionBreakdowns {
+  period: string;
+  change: Record<string, PeriodChange> | null;
+}
+
+export interface BalanceTrendTotals extends TransactionBreakdowns {
+  credits: number;
+  debits: number;
+  net_change: number;
+  entries: number;
+  opening_balance: number | null;
+  closing_balance: number | null;
+}
+
+export interface BalanceTrendEntry extends BalanceTrendTotals {
+  period: string;
+  change: Record<string, PeriodChange> | null;
+}
+
+export interface SeriesWindow {
+  start?: string | Date;
+  end?: string | Date;
+}
+
+export class TransactionAggregator {
+  constructor(options?: { bucket?: AnalyticsPeriod; timeZone?: TimeZone | string });
+  static readonly DELTA_FIELDS: string[];
+  add(transaction: any): this;
+  addAll(transactions: any[]): this;
+  getSummary(): TransactionSummary;
+  getSeries(window?: SeriesWindow): TransactionSeriesEntry[];
+  static dateOf(transaction: any): Date | null;
+  static amountOf(transaction: any): number;
+}
+
+export class TimeSeries<B = any> {
+  constructor(options: { bucket: AnalyticsPeriod; create: () => B; deltas?: string[]; timeZone?: TimeZone | string });
+  static readonly BUCKETS: AnalyticsPeriod[];
+  timeZone: TimeZone;
+  bucketFor(date: Date | null): B | null;
+  toArray(options?: SeriesWindow & { finalise?: (bucket: B, previous: any) => Record<string, any> }): Array<Record<string, any> & { period: string; change: Record<string, PeriodChange> | null }>;
+  static bucketKey(date: Date | null, bucket: AnalyticsPeriod, timeZone?: TimeZone | string): string | null;
+  static dayKey(day: string, bucket: AnalyticsPeriod): string;
+  static nextKey(key: string, bucket: AnalyticsPeriod): string;
+  static window(bucket: AnalyticsPeriod, count: number, now?: Date, timeZone?: TimeZone | string): { start: string; end: string };
+}
+
+export class TimeZone {
+  constructor(name?: string);
+  static readonly DEFAULT: string;
+  readonly name: string;
+  static from(value?: TimeZone | string): TimeZone;
+  formatDate(date: Date | string | number): string;
+  formatDateTime(date: Date | string | number): string;
+  today(now?: Date): string;
+  startOfDay(day: string): Date;
+  offsetAt(date: Date): number;
+  static isValidDay(day: string): boolean;
+  static addDays(day: string, days: number): string;
+  static addMonths(day: string, months: number): string;
+  static startOfWeek(day: string): string;
+  static endOfMonth(day: string): string;
+}
+
+export class CircuitBreaker {
+  constructor(options?: CircuitBreakerOptions, onStateChange?: (change: CircuitStateChange) => void);
+  execute<T>(group: string, func: () => Promise<T>): Promise<T>;
+  isFailure(error: Error, settings?: CircuitSettings): boolean;
+  getState(group: string): CircuitState;
+  getStates(): Record<string, { state: CircuitState; failures: number; openedAt: number | null }>;
+  reset(group?: string): void;
+}
+
+export class Redactor {
+  constructor(options?: RedactorOptions);
+  redact<T>(value: T): T;
+  redactString(text: string): string;
+  maskPhone(phone: string | number): string;
+}
+
+export class Logger {
+  constructor(options?: LoggerOptions | LoggerTarget);
+  level: LogLevel;
+  redactor: Redactor;
+  isEnabled(level: LogLevel): boolean;
+  log(level: Exclude<LogLevel, 'silent'>, message: string, fields?: Record<string, any>): void;
+  debug(message: string, fields?: Record<string, any>): void;
+  info(message: string, fields?: Record<string, any>): void;
+  warn(message: string, fields?: Record<string, any>): void;
+  error(message: string, fields?: Record<string, any>): void;
+}
+
+export class EventEmitter {
+  on(event: string, listener: (payload: any) => void): () => void;
+  once(event: string, listener: (payload: any) => void): () => void;
+  off(event: string, listener: (payload: any) => void): void;
+  emit(event: string, payload?: any): boolean;
+  listenerCount(event: string): number;
+}
+
+export class FetchTransport implements Transport {
+  constructor(options?: { fetch?: typeof fetch });
+  name: 'fetch';
+  send(request: TransportRequest): Promise<TransportResponse>;
+  static isSupported(): boolean;
+}
+
+export class NodeHttpTransport implements Transport {
+  constructor(options?: NodeHttpTransportOptions);
+  name: 'node';
+  options: NodeHttpTransportOptions;
+  send(request: TransportRequest): Promise<TransportResponse>;
+  close(): void;
+  static isSupported(): boolean;
+  static hasProxyEnv(): boolean;
 }
 
 // Global types for browser usage
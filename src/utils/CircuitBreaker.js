@@ -0,0 +1,254 @@
+import { MarzPayError } from '../errors/MarzPayError.js';
+
+/**
+ * Circuit Breaker - Fail fast while an area of the API is down
+ *
+ * Every endpoint group has its own circuit:
+ * - closed: requests flow, consecutive failures are counted
+ * - open: after `failureThreshold` failures, requests fail immediately with
+ *   CIRCUIT_OPEN until `resetTimeout` has passed
+ * - half-open: a limited number of trial requests decide whether the circuit
+ *   closes again or re-opens
+ *
+ * Only server-side trouble counts as a failure (5xx, timeouts, network
+ * errors); 4xx answers prove the API is up and reset the count.
+ *
+ * @example
+ * ```javascript
+ * const marzpay = new MarzPay({
+ *   apiUser: 'your_username',
+ *   apiKey: 'your_api_key',
+ *   circuitBreaker: {
+ *     failureThreshold: 5,
+ *     resetTimeout: 30000,
+ *     groups: { disbursements: { failureThreshold: 3 } }
+ *   }
+ * });
+ *
+ * marzpay.on('circuitStateChange', ({ group, from, to }) => {
+ *   alerting.notify(`MarzPay ${group} circuit ${from} -> ${to}`);
+ * });
+ * ```
+ */
+export class CircuitBreaker {
+  /**
+   * Create a new CircuitBreaker
+   *
+   * @param {Object} [options] - Breaker options
+   * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit
+   * @param {number} [options.resetTimeout=30000] - Milliseconds the circuit stays open before a trial request
+   * @param {number} [options.halfOpenMaxCalls=1] - Trial requests allowed at once while half-open
+   * @param {number} [options.successThreshold=1] - Successful trials needed to close the circuit
+   * @param {Array<string>} [options.failureCodes] - MarzPayError codes counted as failures
+   * @param {Object} [options.groups] - Per-group overrides, keyed by endpoint group
+   * @param {Function} [onStateChange] - Called with `{ group, from, to, failures, error }` on every transition
+   */
+  constructor(options = {}, onStateChange = null) {
+    const { groups = {}, ...defaults } = options;
+
+    this.options = { ...CircuitBreaker.DEFAULTS, ...defaults };
+    this.groups = groups;
+    this.circuits = new Map();
+    this.onStateChange = onStateChange;
+  }
+
+  /**
+   * Default breaker values
+   *
+   * @type {Object}
+   */
+  static get DEFAULTS() {
+    return {
+      failureThreshold: 5,
+      resetTimeout: 30000,
+      halfOpenMaxCalls: 1,
+      successThreshold: 1,
+      failureCodes: ['NETWORK_ERROR', 'REQUEST_TIMEOUT', 'SERVICE_UNAVAILABLE']
+    };
+  }
+
+  /**
+   * Run a request through the group's circuit
+   *
+   * @param {string} group - Endpoint group
+   * @param {Function} func - Function returning a promise
+   * @returns {Promise<any>} Result of the function
+   *
+   * @throws {MarzPayError} CIRCUIT_OPEN when the circuit rejects the call, or the function's error
+   */
+  async execute(group, func) {
+    const circuit = this.getCircuit(group);
+    this.admit(circuit);
+
+    const trial = circuit.state === 'half-open';
+    if (trial) {
+      circuit.trials++;
+    }
+
+    try {
+      const result = await func();
+      this.onSuccess(circuit);
+      return result;
+    } catch (error) {
+      if (this.isFailure(error, circuit.settings)) {
+        this.onFailure(circuit, error);
+      } else if (!(error instanceof MarzPayError && error.code === 'REQUEST_ABORTED')) {
+        this.onSuccess(circuit);
+      }
+      throw error;
+    } finally {
+      if (trial) {
+        circuit.trials--;
+      }
+    }
+  }
+
+  /**
+   * Check if an error means the API is unhealthy
+   *
+   * @param {Error} error - Error thrown by the request
+   * @param {Object} [settings] - Circuit settings
+   * @returns {boolean} True if the error counts towards opening the circuit
+   */
+  isFailure(error, settings = this.options) {
+    if (!(error instanceof MarzPayError)) {
+      return false;
+    }
+
+    return settings.failureCodes.includes(error.code) || error.status >= 500;
+  }
+
+  /**
+   * Get the state of a group's circuit
+   *
+   * @param {string} group - Endpoint group
+   * @returns {string} 'closed', 'open' or 'half-open'
+   */
+  getState(group) {
+    const circuit = this.circuits.get(group);
+    return circuit ? circuit.state : 'closed';
+  }
+
+  /**
+   * Get the state of every circuit that has seen traffic
+   *
+   * @returns {Object} Map of group to `{ state, failures, openedAt }`
+   */
+  getStates() {
+    const states = {};
+
+    this.circuits.forEach((circuit, group) => {
+      states[group] = {
+        state: circuit.state,
+        failures: circuit.failures,
+        openedAt: circuit.openedAt
+      };
+    });
+
+    return states;
+  }
+
+  /**
+   * Force a group's circuit (or all circuits) closed
+   *
+   * @param {string} [group] - Endpoint group, all groups when omitted
+   */
+  reset(group) {
+    const circuits = group ? [this.circuits.get(group)].filter(Boolean) : [...this.circuits.values()];
+    circuits.forEach(circuit => this.transition(circuit, 'closed'));
+  }
+
+  /**
+   * Get (or create) the circuit for a group
+   *
+   * @private
+   */
+  getCircuit(group) {
+    if (!this.circuits.has(group)) {
+      this.circuits.set(group, {
+        group,
+        settings: { ...this.options, ...(this.groups[group] || {}) },
+        state: 'closed',
+        failures: 0,
+        successes: 0,
+        trials: 0,
+        openedAt: null
+      });
+    }
+
+    return this.circuits.get(group);
+  }
+
+  /**
+   * Reject the call if the circuit does not let it through
+   *
+   * @private
+   */
+  admit(circuit) {
+    const { resetTimeout, halfOpenMaxCalls } = circuit.settings;
+
+    if (circuit.state === 'open') {
+      const remaining = circuit.openedAt + resetTimeout - Date.now();
+      if (remaining > 0) {
+        throw MarzPayError.circuitOpenError(circuit.group, remaining);
+      }
+      this.transition(circuit, 'half-open');
+    }
+
+    if (circuit.state === 'half-open' && circuit.trials >= halfOpenMaxCalls) {
+      throw MarzPayError.circuitOpenError(circuit.group, 0);
+    }
+  }
+
+  /**
+   * Record a healthy response
+   *
+   * @private
+   */
+  onSuccess(circuit) {
+    circuit.failures = 0;
+
+    if (circuit.state === 'half-open') {
+      circuit.successes++;
+      if (circuit.successes >= circuit.settings.successThreshold) {
+        this.transition(circuit, 'closed');
+      }
+    }
+  }
+
+  /**
+   * Record a failure, opening the circuit when the threshold is reached
+   *
+   * @private
+   */
+  onFailure(circuit, error) {
+    circuit.failures++;
+
+    if (circuit.state === 'half-open' || circuit.failures >= circuit.settings.failureThreshold) {
+      this.transition(circuit, 'open', error);
+    }
+  }
+
+  /**
+   * Move a circuit to a new state and report it
+   *
+   * @private
+   */
+  transition(circuit, state, error = null) {
+    const from = circuit.state;
+    const failures = circuit.failures;
+
+    circuit.state = state;
+    circuit.successes = 0;
+    if (state === 'open') {
+      circuit.openedAt = Date.now();
+    } else if (state === 'closed') {
+      circuit.failures = 0;
+      circuit.openedAt = null;
+    }
+
+    if (from !== state && this.onStateChange) {
+      this.onStateChange({ group: circuit.group, from, to: state, failures, error });
+    }
+  }
+}
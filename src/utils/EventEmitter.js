@@ -0,0 +1,106 @@
+/**
+ * Event Emitter - Minimal, runtime-independent event emitter
+ *
+ * Works the same in Node and browsers. Listeners run synchronously in
+ * registration order; an exception thrown by a listener is swallowed so an
+ * alerting hook can never break the request that triggered it.
+ *
+ * @example
+ * ```javascript
+ * const events = new EventEmitter();
+ * const unsubscribe = events.on('circuitStateChange', change => console.log(change));
+ * events.emit('circuitStateChange', { group: 'collections', from: 'closed', to: 'open' });
+ * unsubscribe();
+ * ```
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Register a listener
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener receiving the event payload
+   * @returns {Function} Function removing the listener
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+
+    this.listeners.get(event).push(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Register a listener that runs at most once
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener receiving the event payload
+   * @returns {Function} Function removing the listener
+   */
+  once(event, listener) {
+    const wrapper = payload => {
+      this.off(event, wrapper);
+      listener(payload);
+    };
+    wrapper.listener = listener;
+
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Remove a listener
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener passed to on() or once()
+   */
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) {
+      return;
+    }
+
+    const index = listeners.findIndex(candidate => candidate === listener || candidate.listener === listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Emit an event
+   *
+   * @param {string} event - Event name
+   * @param {any} payload - Event payload
+   * @returns {boolean} True if there were listeners
+   */
+  emit(event, payload) {
+    const listeners = this.listeners.get(event);
+    if (!listeners || listeners.length === 0) {
+      return false;
+    }
+
+    [...listeners].forEach(listener => {
+      try {
+        listener(payload);
+      } catch (_error) {
+        // Listener failures must not affect the SDK call that emitted the event
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Count listeners for an event
+   *
+   * @param {string} event - Event name
+   * @returns {number} Number of listeners
+   */
+  listenerCount(event) {
+    const listeners = this.listeners.get(event);
+    return listeners ? listeners.length : 0;
+  }
+}
@@ -1,4 +1,5 @@
 import { v4 as uuidv4 } from 'uuid';
+import { TimeZone } from './TimeZone.js';
 
 /**
  * General Utilities - Helper methods for common operations
@@ -24,7 +25,15 @@ import { v4 as uuidv4 } from 'uuid';
  * ```
  */
 export class GeneralUtils {
-  constructor() {
+  /**
+   * Create a new GeneralUtils
+   * 
+   * @param {Object} [options] - Utility options
+   * @param {TimeZone|string} [options.timeZone='Africa/Kampala'] - Time zone for date helpers
+   */
+  constructor(options = {}) {
+    this.timeZone = TimeZone.from(options.timeZone);
+
     // Default currency configuration
     this.currency = {
       code: 'UGX',
@@ -240,16 +249,19 @@ export class GeneralUtils {
   }
 
   /**
-   * Format date to ISO string
+   * Format date as a calendar day in the configured time zone
+   * 
+   * Calendar days ('YYYY-MM-DD') are returned unchanged; instants are
+   * converted to the day they fall on in the business time zone.
    * 
    * @param {Date|string|number} date - Date to format
    * @returns {string} ISO date string (YYYY-MM-DD)
    * 
    * @example
    * ```javascript
-   * utils.formatDate(new Date());           // Returns: '2024-01-15'
-   * utils.formatDate('2024-01-15T10:30:00'); // Returns: '2024-01-15'
-   * utils.formatDate(1705312200000);       // Returns: '2024-01-15'
+   * utils.formatDate(new Date());                 // Returns: '2024-01-15'
+   * utils.formatDate('2024-01-15T22:30:00Z');     // Returns: '2024-01-16' (01:30 in Kampala)
+   * utils.formatDate(1705312200000);             // Returns: '2024-01-15'
    * ```
    */
   formatDate(date) {
@@ -257,13 +269,17 @@ export class GeneralUtils {
       throw new Error('Date is required');
     }
 
+    if (TimeZone.isValidDay(date)) {
+      return date;
+    }
+
     const dateObj = new Date(date);
     
     if (isNaN(dateObj.getTime())) {
       throw new Error('Invalid date');
     }
 
-    return dateObj.toISOString().split('T')[0];
+    return this.timeZone.formatDate(dateObj);
   }
 
   /**
@@ -275,21 +291,16 @@ export class GeneralUtils {
    * @example
    * ```javascript
    * utils.isValidDate('2024-01-15');    // Returns: true
-   * utils.isValidDate('2024-13-45');    // Returns: false
+   * utils.isValidDate('2024-02-30');    // Returns: false
    * utils.isValidDate('invalid-date');  // Returns: false
    * ```
    */
   isValidDate(dateString) {
-    if (!dateString || typeof dateString !== 'string') {
-      return false;
-    }
-
-    const date = new Date(dateString);
-    return date instanceof Date && !isNaN(date) && dateString.match(/^\d{4}-\d{2}-\d{2}$/);
+    return TimeZone.isValidDay(dateString);
   }
 
   /**
-   * Get date range for specified period
+   * Get date range for specified period, in the configured time zone
    * 
    * @param {string} period - Period type ('today', 'yesterday', 'week', 'month', 'year')
    * @returns {Object} Object with start and end dates
@@ -302,50 +313,40 @@ export class GeneralUtils {
    * ```
    */
   getDateRange(period) {
-    const now = new Date();
-    const start = new Date();
-    const end = new Date();
+    const today = this.timeZone.today();
+    let start = today;
+    let end = today;
 
     switch (period.toLowerCase()) {
       case 'today':
-        // Start and end are already today
         break;
       
       case 'yesterday':
-        start.setDate(now.getDate() - 1);
-        end.setDate(now.getDate() - 1);
+        start = TimeZone.addDays(today, -1);
+        end = start;
         break;
       
       case 'week':
-        // Get start of current week (Monday)
-        const dayOfWeek = now.getDay();
-        const daysFromMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-        start.setDate(now.getDate() - daysFromMonday);
-        end.setDate(start.getDate() + 6);
+        // Monday to Sunday of the current week
+        start = TimeZone.startOfWeek(today);
+        end = TimeZone.addDays(start, 6);
         break;
       
       case 'month':
-        // Get start of current month
-        start.setDate(1);
-        // Get end of current month
-        end.setMonth(end.getMonth() + 1, 0);
+        start = `${today.slice(0, 7)}-01`;
+        end = TimeZone.endOfMonth(today);
         break;
       
       case 'year':
-        // Get start of current year
-        start.setMonth(0, 1);
-        // Get end of current year
-        end.setMonth(11, 31);
+        start = `${today.slice(0, 4)}-01-01`;
+        end = `${today.slice(0, 4)}-12-31`;
         break;
       
       default:
         throw new Error('Invalid period. Use: today, yesterday, week, month, or year');
     }
 
-    return {
-      start: this.formatDate(start),
-      end: this.formatDate(end)
-    };
+    return { start, end };
   }
 
   /**
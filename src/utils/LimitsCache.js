@@ -0,0 +1,223 @@
+/**
+ * Limits Cache - Amount limits from the platform, cached with a TTL
+ *
+ * Collections and disbursements validate amounts against limits. Instead of
+ * the SDK's built-in bounds, those come from the account (`deposit` limits
+ * for collections, `withdrawal` for disbursements) and, for a provider, from
+ * its active services, which can only narrow them. Loaded limits are kept
+ * for `ttl` milliseconds; `collectMoney` and `sendMoney` refresh them before
+ * validating, so they are never older than that.
+ *
+ * Reading limits is synchronous: `get()` combines whatever has been loaded
+ * with the caller's defaults. When the platform cannot be reached, expired
+ * limits keep being used, and the defaults only until anything is loaded.
+ *
+ * @example
+ * ```javascript
+ * await marzpay.limits.load('withdrawal', 'mtn');
+ *
+ * marzpay.disbursements.getLimits('mtn'); // Returns: { min: 1000, max: 300000, currency: 'UGX' }
+ * ```
+ */
+export class LimitsCache {
+  /**
+   * Create a new LimitsCache
+   *
+   * @param {Object} marzpay - MarzPay client
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.ttl=300000] - How long loaded limits are fresh, in milliseconds
+   * @param {number} [options.retryAfter=30000] - How long to wait before loading again after a failure
+   */
+  constructor(marzpay, options = {}) {
+    this.marzpay = marzpay;
+    this.options = { ...LimitsCache.DEFAULTS, ...options };
+    this.entries = new Map();
+    this.pending = new Map();
+  }
+
+  /**
+   * Default cache options
+   *
+   * @type {Object}
+   */
+  static get DEFAULTS() {
+    return {
+      ttl: 300000,
+      retryAfter: 30000
+    };
+  }
+
+  /**
+   * Limits of a transaction type
+   *
+   * @param {string} type - 'collection' or 'withdrawal'
+   * @param {string|null} provider - Provider whose service limits apply, null for the account limits only
+   * @param {Object} defaults - `{ min, max, currency }` used where nothing has been loaded
+   * @returns {Object} `{ min, max, currency }`
+   */
+  get(type, provider, defaults) {
+    const account = this.entries.get('account');
+    const service = provider ? this.entries.get(LimitsCache.key(type, provider)) : null;
+    const limits = { ...defaults };
+    const accountRange = account && account.limits && account.limits[type];
+    const serviceRange = service && service.limits;
+
+    if (accountRange) {
+      limits.min = accountRange.min === null ? limits.min : accountRange.min;
+      limits.max = accountRange.max === null ? limits.max : accountRange.max;
+    }
+
+    if (serviceRange) {
+      limits.min = serviceRange.min === null ? limits.min : Math.max(limits.min, serviceRange.min);
+      limits.max = serviceRange.max === null ? limits.max : Math.min(limits.max, serviceRange.max);
+    }
+
+    return limits;
+  }
+
+  /**
+   * Load the limits of a transaction type unless they are still fresh
+   *
+   * Failures are logged and leave the previous limits in place; they never reject.
+   *
+   * @param {string} type - 'collection' or 'withdrawal'
+   * @param {string|null} [provider] - Provider whose active services to load as well
+   * @param {RequestOptions} [requestOptions] - Options for the account and service requests
+   * @param {Promise<Object>} [account] - `getAccountInfo()` response already requested by the caller;
+   * the account limits are taken from it, fresh or not, instead of fetching the account again
+   * @returns {Promise<void>}
+   */
+  async load(type, provider = null, requestOptions = {}, account = null) {
+    await Promise.all([
+      account
+        ? this.fetchEntry('account', () => this.fetchAccount(requestOptions, account))
+        : this.refresh('account', () => this.fetchAccount(requestOptions)),
+      provider
+        ? this.refresh(LimitsCache.key(type, provider), () => this.fetchService(type, provider, requestOptions))
+        : null
+    ]);
+  }
+
+  /**
+   * Forget every loaded limit
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Fetch one entry unless it is fresh, sharing fetches already in flight
+   *
+   * @private
+   */
+  async refresh(key, fetchLimits) {
+    const entry = this.entries.get(key);
+
+    if (entry && entry.expiresAt > Date.now()) {
+      return;
+    }
+
+    if (!this.pending.has(key)) {
+      this.pending.set(key, this.fetchEntry(key, fetchLimits));
+    }
+
+    await this.pending.get(key);
+  }
+
+  /**
+   * Fetch and store one entry
+   *
+   * @private
+   */
+  async fetchEntry(key, fetchLimits) {
+    try {
+      const limits = await fetchLimits();
+      this.entries.set(key, { limits, expiresAt: Date.now() + this.options.ttl });
+    } catch (error) {
+      // Keep what is known and spare the platform a request per payment while it is unreachable
+      if (error.code !== 'REQUEST_ABORTED') {
+        const previous = this.entries.get(key);
+        this.entries.set(key, { limits: previous ? previous.limits : null, expiresAt: Date.now() + this.options.retryAfter });
+      }
+      this.marzpay.logger.warn('marzpay.limits_unavailable', { key, code: error.code, message: error.message });
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  /**
+   * Account limits by transaction type
+   *
+   * @private
+   */
+  async fetchAccount(requestOptions, account = null) {
+    const response = await (account || this.marzpay.accounts.getAccountLimits(requestOptions));
+    const limits = response.data.account.limits || {};
+
+    return {
+      collection: LimitsCache.rangeOf(limits.deposit),
+      withdrawal: LimitsCache.rangeOf(limits.withdrawal)
+    };
+  }
+
+  /**
+   * Widest limits among the provider's active services
+   *
+   * @private
+   */
+  async fetchService(type, provider, requestOptions) {
+    const response = await this.marzpay.services.getServices({ type, provider, status: 'active' }, requestOptions);
+    const services = response.data && Array.isArray(response.data.services) ? response.data.services : [];
+    const ranges = services.map(service => LimitsCache.rangeOf(service.limits)).filter(Boolean);
+
+    if (ranges.length === 0) {
+      return null;
+    }
+
+    return {
+      min: ranges.some(range => range.min === null) ? null : Math.min(...ranges.map(range => range.min)),
+      max: ranges.some(range => range.max === null) ? null : Math.max(...ranges.map(range => range.max))
+    };
+  }
+
+  /**
+   * Cache key of a provider's service limits
+   *
+   * @private
+   */
+  static key(type, provider) {
+    return `${type}:${String(provider).toLowerCase()}`;
+  }
+
+  /**
+   * `{ min, max }` of a limits object, or null when it has neither
+   *
+   * @private
+   */
+  static rangeOf(limits) {
+    if (!limits || typeof limits !== 'object') {
+      return null;
+    }
+
+    const pick = (...names) => {
+      const values = names.map(name => LimitsCache.amountOf(limits[name])).filter(value => value !== null);
+      return values.length > 0 ? values[0] : null;
+    };
+    const min = pick('minimum', 'min', 'min_amount');
+    const max = pick('maximum', 'max', 'max_amount');
+
+    return min === null && max === null ? null : { min, max };
+  }
+
+  /**
+   * Numeric limit, from numbers, `{ raw }` objects or strings such as '1,000'
+   *
+   * @param {number|string|Object} value - Limit as returned by the API
+   * @returns {number|null} Limit, or null when there is none
+   */
+  static amountOf(value) {
+    const text = value && typeof value === 'object' ? value.raw : value;
+    const amount = text === undefined || text === null ? NaN : parseFloat(String(text).replace(/[^\d.]/g, ''));
+    return Number.isFinite(amount) ? amount : null;
+  }
+}
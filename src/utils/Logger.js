@@ -0,0 +1,138 @@
+import { MarzPayError } from '../errors/MarzPayError.js';
+import { Redactor } from './Redactor.js';
+
+/**
+ * Logger - Leveled, structured logging with built-in redaction
+ *
+ * Every entry passes through a Redactor before it leaves the SDK, so
+ * Authorization headers, API keys and phone numbers never reach log storage.
+ * Entries are written as JSON lines (or human-readable text) to the console
+ * or a custom `output`, or forwarded to an existing logger such as pino,
+ * winston or console-like objects.
+ *
+ * @example
+ * ```javascript
+ * // JSON lines to the console at debug level
+ * const marzpay = new MarzPay({ apiUser, apiKey, logger: { level: 'debug' } });
+ *
+ * // Forward to an existing logger
+ * const marzpay = new MarzPay({ apiUser, apiKey, logger: { level: 'info', target: pino() } });
+ * ```
+ */
+export class Logger {
+  /**
+   * Create a new Logger
+   *
+   * @param {Object} [options] - Logger options, or a logger object with debug/info/warn/error methods
+   * @param {string} [options.level='info'] - Minimum level: debug, info, warn, error or silent
+   * @param {string} [options.format='json'] - Output format for console/output: 'json' or 'text'
+   * @param {Function} [options.output] - Receives `(line, entry)` instead of the console
+   * @param {Object} [options.target] - Logger object receiving `(message, fields)` on its level methods
+   * @param {Object|Redactor} [options.redact] - Redactor or Redactor options
+   */
+  constructor(options = {}) {
+    const settings = typeof options.info === 'function' ? { target: options } : options;
+
+    this.level = settings.level || 'info';
+    this.format = settings.format || 'json';
+    this.output = settings.output || null;
+    this.target = settings.target || null;
+    this.redactor = settings.redact instanceof Redactor ? settings.redact : new Redactor(settings.redact);
+
+    if (!(this.level in Logger.LEVELS)) {
+      throw new MarzPayError(`Unknown log level: ${this.level}`, 'INVALID_LOGGER', 400);
+    }
+  }
+
+  /**
+   * Level weights
+   *
+   * @type {Object<string, number>}
+   */
+  static get LEVELS() {
+    return { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+  }
+
+  /**
+   * Check if a level would be written
+   *
+   * @param {string} level - Log level
+   * @returns {boolean} True if entries at this level are written
+   */
+  isEnabled(level) {
+    return Logger.LEVELS[level] >= Logger.LEVELS[this.level];
+  }
+
+  /**
+   * Write an entry
+   *
+   * @param {string} level - Log level
+   * @param {string} message - Event name or message
+   * @param {Object} [fields] - Structured fields, redacted before writing
+   */
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const safeFields = this.redactor.redact(fields);
+
+    if (this.target) {
+      const method = typeof this.target[level] === 'function' ? level : 'log';
+      this.target[method](message, safeFields);
+      return;
+    }
+
+    const entry = { time: new Date().toISOString(), level, msg: message, ...safeFields };
+    const line = this.format === 'json'
+      ? JSON.stringify(entry)
+      : `${entry.time} ${level.toUpperCase()} ${message} ${JSON.stringify(safeFields)}`;
+
+    if (this.output) {
+      this.output(line, entry);
+      return;
+    }
+
+    console[level](line);
+  }
+
+  /**
+   * Write a debug entry
+   *
+   * @param {string} message - Event name or message
+   * @param {Object} [fields] - Structured fields
+   */
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  /**
+   * Write an info entry
+   *
+   * @param {string} message - Event name or message
+   * @param {Object} [fields] - Structured fields
+   */
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  /**
+   * Write a warning entry
+   *
+   * @param {string} message - Event name or message
+   * @param {Object} [fields] - Structured fields
+   */
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  /**
+   * Write an error entry
+   *
+   * @param {string} message - Event name or message
+   * @param {Object} [fields] - Structured fields
+   */
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
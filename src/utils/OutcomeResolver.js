@@ -0,0 +1,188 @@
+import { MarzPayError } from '../errors/MarzPayError.js';
+import { RetryPolicy } from './RetryPolicy.js';
+
+/**
+ * Outcome Resolver - Safe recovery of ambiguous money-moving requests
+ *
+ * When a POST to `/collect-money` or `/send-money` times out or the
+ * connection drops after it was sent, the SDK cannot know whether the
+ * platform processed it. Blindly re-submitting risks charging or paying a
+ * customer twice. The resolver looks the UUID `reference` up first and only
+ * re-submits when the platform has definitely not seen it.
+ *
+ * @example
+ * ```javascript
+ * const result = await marzpay.collections.collectMoney(params, {
+ *   resolveBeforeRetry: true
+ * });
+ *
+ * if (result.recovery && result.recovery.recovered) {
+ *   console.log('Found the original transaction instead of charging again');
+ * }
+ * ```
+ */
+export class OutcomeResolver {
+  constructor(marzpay) {
+    this.marzpay = marzpay;
+  }
+
+  /**
+   * Default resolver settings
+   *
+   * @type {Object}
+   */
+  static get DEFAULTS() {
+    return {
+      maxAttempts: 3,
+      lookupDelay: 1000,
+      ambiguousCodes: ['REQUEST_TIMEOUT', 'NETWORK_ERROR', 'REQUEST_FAILED', 'INVALID_RESPONSE'],
+      ambiguousStatuses: [502, 504]
+    };
+  }
+
+  /**
+   * Normalize the `resolveBeforeRetry` option into resolver settings
+   *
+   * @param {boolean|Object} option - `true` for defaults or an object of overrides
+   * @returns {Object|null} Settings, or null when recovery is disabled
+   */
+  getSettings(option) {
+    if (!option) {
+      return null;
+    }
+
+    return {
+      ...OutcomeResolver.DEFAULTS,
+      ...(typeof option === 'object' ? option : {})
+    };
+  }
+
+  /**
+   * Check if a failure leaves the outcome of a submitted request unknown
+   *
+   * @param {Error} error - Error thrown by the submission
+   * @param {Object} [settings] - Resolver settings
+   * @returns {boolean} True if the platform may or may not have processed the request
+   */
+  isAmbiguous(error, settings = OutcomeResolver.DEFAULTS) {
+    if (!(error instanceof MarzPayError)) {
+      return false;
+    }
+
+    return settings.ambiguousCodes.includes(error.code) ||
+           settings.ambiguousStatuses.includes(error.status);
+  }
+
+  /**
+   * Submit a money-moving request, resolving ambiguous failures before retrying
+   *
+   * @param {Function} submit - Sends the request, returns a promise of the API response
+   * @param {Object} context - Submission context
+   * @param {string} context.reference - UUID reference sent with the request
+   * @param {string} context.type - Transaction type to match ('collection' or 'withdrawal')
+   * @param {Function} context.fetchExisting - Loads the full transaction by UUID once found
+   * @param {boolean|Object} context.settings - The `resolveBeforeRetry` option
+   * @param {RequestOptions} [context.requestOptions] - Options used for lookups
+   * @returns {Promise<Object>} API response of the submission or of the existing transaction
+   *
+   * @throws {MarzPayError} OUTCOME_UNKNOWN when the lookup itself fails, or the last submission error
+   */
+  async execute(submit, context) {
+    const { reference, type, fetchExisting, requestOptions = {} } = context;
+    const settings = this.getSettings(context.settings);
+
+    for (let attempt = 1; ; attempt++) {
+      let error;
+
+      try {
+        const response = await submit();
+        return this.withRecovery(response, { attempts: attempt, recovered: false });
+      } catch (submitError) {
+        error = submitError;
+      }
+
+      if (!this.isAmbiguous(error, settings)) {
+        throw error;
+      }
+
+      await RetryPolicy.wait(settings.lookupDelay, requestOptions.signal);
+
+      let existing;
+      try {
+        existing = await this.findExisting(reference, type, requestOptions);
+      } catch (lookupError) {
+        if (lookupError.code === 'REQUEST_ABORTED') {
+          throw lookupError;
+        }
+
+        throw new MarzPayError(
+          `Could not determine whether transaction ${reference} was processed`,
+          'OUTCOME_UNKNOWN',
+          0,
+          {
+            reference,
+            attempts: attempt,
+            submit_error: error.code,
+            lookup_error: lookupError.code || lookupError.message
+          }
+        );
+      }
+
+      if (existing) {
+        const response = existing.uuid
+          ? await fetchExisting(existing.uuid, requestOptions)
+          : { status: 'success', data: { transaction: existing } };
+
+        return this.withRecovery(response, {
+          attempts: attempt,
+          recovered: true,
+          transaction_uuid: existing.uuid || null
+        });
+      }
+
+      if (attempt >= settings.maxAttempts) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Look a transaction up by its reference
+   *
+   * @param {string} reference - UUID reference
+   * @param {string} type - Expected transaction type
+   * @param {RequestOptions} [requestOptions] - Request options
+   * @returns {Promise<Object|null>} Matching transaction or null if the platform has not seen it
+   *
+   * @private
+   */
+  async findExisting(reference, type, requestOptions = {}) {
+    const result = await this.marzpay.transactions.searchByReference(reference, requestOptions);
+    const transactions = (result && result.data && result.data.transactions) || [];
+
+    return transactions.find(transaction =>
+      transaction.reference === reference && (!type || !transaction.type || transaction.type === type)
+    ) || null;
+  }
+
+  /**
+   * Attach recovery metadata to a response
+   *
+   * @param {Object} response - API response
+   * @param {Object} recovery - Recovery metadata
+   * @returns {Object} The same response
+   *
+   * @private
+   */
+  withRecovery(response, recovery) {
+    if (response && typeof response === 'object') {
+      Object.defineProperty(response, 'recovery', {
+        value: recovery,
+        enumerable: false,
+        configurable: true
+      });
+    }
+
+    return response;
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Paginator - Lazy, async-iterable view over a paginated list endpoint
+ *
+ * Pages are requested one at a time, only as the caller consumes them, with
+ * the largest page size the API accepts. Iteration stops at the last page
+ * reported by the response's `pagination` block; endpoints that return no
+ * pagination block are treated as a single page.
+ *
+ * @example
+ * ```javascript
+ * // Item by item
+ * for await (const transaction of marzpay.transactions.list({ status: 'successful' })) {
+ *   console.log(transaction.reference);
+ * }
+ *
+ * // Page by page
+ * for await (const page of marzpay.transactions.list().pages()) {
+ *   console.log(`Page ${page.page}:`, page.items.length);
+ * }
+ *
+ * // The first 250 items as an array
+ * const recent = await marzpay.transactions.list().toArray({ limit: 250 });
+ * ```
+ */
+export class Paginator {
+  /**
+   * Create a new Paginator
+   *
+   * @param {Function} fetchPage - Called with `(params)` for every page, returns the API response
+   * @param {Object} settings - Paginator settings
+   * @param {string} settings.itemsKey - Key of the item array under `response.data`
+   * @param {Object} [settings.params] - Query parameters sent with every page
+   * @param {number} [settings.perPage=100] - Page size used when `params.per_page` is not set
+   */
+  constructor(fetchPage, settings) {
+    const { itemsKey, params = {}, perPage = Paginator.MAX_PER_PAGE } = settings;
+
+    this.fetchPage = fetchPage;
+    this.itemsKey = itemsKey;
+    this.params = { ...params, per_page: params.per_page || perPage };
+  }
+
+  /**
+   * Largest page size accepted by the API
+   *
+   * @type {number}
+   */
+  static get MAX_PER_PAGE() {
+    return 100;
+  }
+
+  /**
+   * Iterate over every item on every page
+   *
+   * @returns {AsyncGenerator<Object>} Items in API order
+   */
+  async *[Symbol.asyncIterator]() {
+    for await (const page of this.pages()) {
+      yield* page.items;
+    }
+  }
+
+  /**
+   * Iterate page by page
+   *
+   * @returns {AsyncGenerator<{page: number, items: Array, pagination: Object|null, response: Object}>}
+   * Each page with its items and the raw API response
+   */
+  async *pages() {
+    let page = this.params.page || 1;
+
+    while (true) {
+      const response = await this.fetchPage({ ...this.params, page });
+      const data = (response && response.data) || {};
+      const items = Array.isArray(data[this.itemsKey]) ? data[this.itemsKey] : [];
+      const pagination = data.pagination || null;
+
+      yield { page, items, pagination, response };
+
+      if (items.length === 0 || !this.hasNextPage(pagination, page)) {
+        return;
+      }
+      page++;
+    }
+  }
+
+  /**
+   * Collect items into an array
+   *
+   * @param {Object} [options] - Collection options
+   * @param {number} [options.limit] - Stop after this many items; no further pages are requested
+   * @returns {Promise<Array>} Collected items
+   */
+  async toArray({ limit = Infinity } = {}) {
+    const items = [];
+    if (limit <= 0) {
+      return items;
+    }
+
+    for await (const item of this) {
+      items.push(item);
+      if (items.length >= limit) {
+        break;
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Check if the API reports another page after the current one
+   *
+   * @private
+   */
+  hasNextPage(pagination, page) {
+    if (!pagination) {
+      return false;
+    }
+
+    const current = Number(pagination.current_page) || page;
+    const last = Number(pagination.last_page || pagination.total_pages);
+
+    return Number.isFinite(last) && current < last;
+  }
+}
@@ -133,7 +133,7 @@ export class PhoneNumberUtils {
     }
 
     const formatted = this.formatPhoneNumber(phone);
-    const prefix = formatted.substring(4, 7); // Extract 075, 070, etc.
+    const prefix = `0${formatted.substring(4, 6)}`; // +256759983853 -> 075
 
     for (const [provider, prefixes] of Object.entries(this.providers)) {
       if (prefixes.includes(prefix)) {
@@ -0,0 +1,245 @@
+import { MarzPayError } from '../errors/MarzPayError.js';
+import { AccountsAPI } from '../classes/AccountsAPI.js';
+import { BalanceAPI } from '../classes/BalanceAPI.js';
+import { ServicesAPI } from '../classes/ServicesAPI.js';
+import { LimitsCache } from './LimitsCache.js';
+
+/**
+ * Preflight - Dry runs of money-moving requests
+ *
+ * Answers "would this `collectMoney`/`sendMoney` call go through?" without
+ * moving any money. A check performs every local validation and asks the
+ * platform what it can about the account, then reports what would be sent
+ * and every problem that would block it:
+ *
+ * - `validation`: amount, phone number and reference, all fields at once
+ * - `account`: the account is active and not frozen
+ * - `limits`: the amount is within the account's deposit (collections) or
+ *   withdrawal (disbursements) limits
+ * - `balance`: the balance covers the amount (disbursements only)
+ * - `service`: the provider of the phone number offers the service
+ *
+ * Each check ends `passed`, `failed`, `skipped` (its input is invalid, or
+ * it does not apply) or `error` (the platform could not answer). The checks
+ * pass exactly when `isAccountActive()`, `hasSufficientBalance()` and
+ * `isServiceAvailable()` would return true, and the account is fetched once
+ * for the account, limits and validation checks. Nothing is ever posted to
+ * `/collect-money` or `/send-money`.
+ *
+ * @example
+ * ```javascript
+ * const report = await marzpay.disbursements.sendMoney(params, { dryRun: true });
+ *
+ * if (!report.ok) {
+ *   report.problems.forEach(problem => console.log(problem.check, problem.code, problem.message));
+ * }
+ * ```
+ */
+export class Preflight {
+  constructor(marzpay) {
+    this.marzpay = marzpay;
+  }
+
+  /**
+   * Endpoint and account limits used for each transaction type
+   *
+   * @type {Object}
+   */
+  static get TYPES() {
+    return {
+      collection: { endpoint: '/collect-money', limits: 'deposit', api: 'collections' },
+      withdrawal: { endpoint: '/send-money', limits: 'withdrawal', api: 'disbursements' }
+    };
+  }
+
+  /**
+   * Check whether a money-moving request would succeed
+   *
+   * @param {string} type - 'collection' (collectMoney) or 'withdrawal' (sendMoney)
+   * @param {Object} params - collectMoney/sendMoney parameters
+   * @param {RequestOptions} [requestOptions] - Options for the account, balance and service lookups
+   * @returns {Promise<Object>} Report: `{ dryRun, ok, type, endpoint, request, provider, checks, problems }`,
+   * where `problems` is a list of `{ check, code, message }`
+   *
+   * @throws {MarzPayError} REQUEST_ABORTED when the signal aborts; nothing else is thrown
+   */
+  async check(type, params = {}, requestOptions = {}) {
+    const { endpoint, limits, api } = Preflight.TYPES[type];
+    const problems = [];
+    const accountInfo = this.marzpay.accounts.getAccountInfo(requestOptions);
+
+    // Failures are reported by the account and limits checks
+    accountInfo.catch(() => {});
+
+    // Validate against the limits sendMoney/collectMoney would load
+    if (this.marzpay.limits) {
+      await this.marzpay.limits.load(type, this.marzpay.phoneUtils.getProvider(params.phoneNumber), requestOptions, accountInfo);
+    }
+    const errors = this.marzpay[api].getValidationErrors(params);
+
+    errors.forEach(error => problems.push({ check: 'validation', code: error.code, message: error.message }));
+
+    const phoneValid = !errors.some(error => error.code === 'MISSING_PHONE' || error.code === 'INVALID_PHONE');
+    const value = parseInt(params.amount);
+    const amount = errors.some(error => error.code === 'INVALID_AMOUNT') || !Number.isFinite(value) ? null : value;
+    const provider = phoneValid ? this.marzpay.phoneUtils.getProvider(params.phoneNumber) : null;
+
+    const [account, accountLimits, balance, service] = await Promise.all([
+      this.checkAccount(accountInfo),
+      this.checkLimits(limits, amount, accountInfo),
+      type === 'withdrawal' ? this.checkBalance(amount, requestOptions) : { status: 'skipped' },
+      phoneValid ? this.checkService(type, provider, requestOptions) : { status: 'skipped', provider: null }
+    ]);
+    const checks = { validation: { status: errors.length === 0 ? 'passed' : 'failed' } };
+
+    Object.entries({ account, limits: accountLimits, balance, service }).forEach(([name, { problem, ...result }]) => {
+      checks[name] = result;
+      if (problem) {
+        problems.push({ check: name, ...problem });
+      }
+    });
+
+    return {
+      dryRun: true,
+      ok: problems.length === 0,
+      type,
+      endpoint,
+      request: this.marzpay[api].buildRequestBody(params),
+      provider,
+      checks,
+      problems
+    };
+  }
+
+  /**
+   * Account is active and not frozen
+   *
+   * @private
+   */
+  async checkAccount(account) {
+    let status;
+    try {
+      status = (await account).data.account.status;
+    } catch (error) {
+      return this.unanswered(error, 'Could not load the account status');
+    }
+
+    if (AccountsAPI.isActiveStatus(status)) {
+      return { status: 'passed' };
+    }
+
+    return {
+      status: 'failed',
+      problem: { code: 'ACCOUNT_INACTIVE', message: 'The account is not active or is frozen' }
+    };
+  }
+
+  /**
+   * Amount is within the account's limits of one kind
+   *
+   * @private
+   */
+  async checkLimits(kind, amount, account) {
+    let limits;
+    try {
+      limits = (await account).data.account.limits[kind];
+    } catch (error) {
+      return this.unanswered(error, 'Could not load the account limits');
+    }
+
+    const minimum = LimitsCache.amountOf(limits && limits.minimum);
+    const maximum = LimitsCache.amountOf(limits && limits.maximum);
+
+    if (amount === null) {
+      return { status: 'skipped', minimum, maximum };
+    }
+
+    if ((minimum !== null && amount < minimum) || (maximum !== null && amount > maximum)) {
+      return {
+        status: 'failed',
+        minimum,
+        maximum,
+        problem: {
+          code: 'ACCOUNT_LIMIT_EXCEEDED',
+          message: `Amount ${amount} is outside the account's ${kind} limits (${minimum === null ? 'no minimum' : minimum} - ${maximum === null ? 'no maximum' : maximum})`
+        }
+      };
+    }
+
+    return { status: 'passed', minimum, maximum };
+  }
+
+  /**
+   * Balance covers the amount
+   *
+   * @private
+   */
+  async checkBalance(amount, requestOptions) {
+    if (amount === null) {
+      return { status: 'skipped', required: null };
+    }
+
+    let covered;
+    try {
+      covered = BalanceAPI.covers(await this.marzpay.balance.getBalance(requestOptions), amount);
+    } catch (error) {
+      return { ...this.unanswered(error, 'Could not load the balance'), required: amount };
+    }
+
+    if (covered) {
+      return { status: 'passed', required: amount };
+    }
+
+    return {
+      status: 'failed',
+      required: amount,
+      problem: { code: 'INSUFFICIENT_BALANCE', message: `The balance does not cover ${amount} UGX` }
+    };
+  }
+
+  /**
+   * Provider of the phone number offers the service
+   *
+   * @private
+   */
+  async checkService(type, provider, requestOptions) {
+    if (!provider) {
+      return {
+        status: 'failed',
+        provider: null,
+        problem: { code: 'UNKNOWN_PROVIDER', message: 'The phone number does not belong to a known provider' }
+      };
+    }
+
+    let available;
+    try {
+      available = ServicesAPI.hasServices(await this.marzpay.services.getServices({ type, provider, status: 'active' }, requestOptions));
+    } catch (error) {
+      return { ...this.unanswered(error, `Could not load the ${provider} services`), provider };
+    }
+
+    if (available) {
+      return { status: 'passed', provider };
+    }
+
+    return {
+      status: 'failed',
+      provider,
+      problem: { code: 'SERVICE_UNAVAILABLE', message: `No active ${type} service for ${provider}` }
+    };
+  }
+
+  /**
+   * Result of a check the platform could not answer
+   *
+   * @private
+   */
+  unanswered(error, message) {
+    MarzPayError.rethrowAbort(error);
+
+    return {
+      status: 'error',
+      problem: { code: error.code || 'UNKNOWN_ERROR', message: `${message}: ${error.message}` }
+    };
+  }
+}
@@ -0,0 +1,290 @@
+import { MarzPayError } from '../errors/MarzPayError.js';
+
+/**
+ * Rate Limiter - Client-side request pacing per endpoint group
+ *
+ * Each endpoint group (collections, disbursements, transactions, ...) gets
+ * its own token bucket for requests per second and its own concurrency
+ * limit. Calls over either limit wait in a FIFO queue. When the API answers
+ * 429 the group's rate is halved and the queue pauses for `Retry-After`;
+ * the rate then climbs back to the configured value on successful calls.
+ *
+ * @example
+ * ```javascript
+ * const marzpay = new MarzPay({
+ *   apiUser: 'your_username',
+ *   apiKey: 'your_api_key',
+ *   rateLimit: {
+ *     requestsPerSecond: 10,
+ *     maxConcurrency: 5,
+ *     groups: {
+ *       disbursements: { requestsPerSecond: 2, maxConcurrency: 2 }
+ *     }
+ *   }
+ * });
+ *
+ * console.log(marzpay.rateLimiter.getQueueDepth('disbursements'));
+ * ```
+ */
+export class RateLimiter {
+  /**
+   * Create a new RateLimiter
+   *
+   * @param {Object} [options] - Limiter options
+   * @param {number} [options.requestsPerSecond=10] - Sustained request rate per group
+   * @param {number} [options.burst] - Bucket size, requests allowed at once after idling (defaults to requestsPerSecond)
+   * @param {number} [options.maxConcurrency=5] - Requests in flight per group
+   * @param {number} [options.minRequestsPerSecond=0.5] - Floor for the rate after repeated 429s
+   * @param {number} [options.recoveryStep=0.1] - Fraction of the configured rate regained per successful call
+   * @param {Object} [options.groups] - Per-group overrides, keyed by endpoint group
+   */
+  constructor(options = {}) {
+    const { groups = {}, ...defaults } = options;
+
+    this.options = { ...RateLimiter.DEFAULTS, ...defaults };
+    this.groups = groups;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Default limiter values
+   *
+   * @type {Object}
+   */
+  static get DEFAULTS() {
+    return {
+      requestsPerSecond: 10,
+      burst: null,
+      maxConcurrency: 5,
+      minRequestsPerSecond: 0.5,
+      recoveryStep: 0.1
+    };
+  }
+
+  /**
+   * Run a task once the group has a free slot and a token
+   *
+   * @param {string} group - Endpoint group
+   * @param {Function} task - Function returning a promise
+   * @param {Object} [context] - Call context
+   * @param {AbortSignal} [context.signal] - Signal that removes the task from the queue
+   * @returns {Promise<any>} Result of the task
+   *
+   * @throws {MarzPayError} REQUEST_ABORTED when aborted while queued, or the task's error
+   */
+  schedule(group, task, context = {}) {
+    const { signal } = context;
+    const bucket = this.getBucket(group);
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(MarzPayError.abortError(signal.reason));
+        return;
+      }
+
+      const entry = { task, resolve, reject, signal, onAbort: null };
+
+      if (signal) {
+        entry.onAbort = () => {
+          const index = bucket.queue.indexOf(entry);
+          if (index !== -1) {
+            bucket.queue.splice(index, 1);
+            reject(MarzPayError.abortError(signal.reason));
+          }
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      bucket.queue.push(entry);
+      this.drain(bucket);
+    });
+  }
+
+  /**
+   * Get the number of calls waiting for a slot
+   *
+   * @param {string} [group] - Endpoint group, all groups when omitted
+   * @returns {number} Queued calls
+   */
+  getQueueDepth(group) {
+    if (group) {
+      const bucket = this.buckets.get(group);
+      return bucket ? bucket.queue.length : 0;
+    }
+
+    let depth = 0;
+    this.buckets.forEach(bucket => {
+      depth += bucket.queue.length;
+    });
+    return depth;
+  }
+
+  /**
+   * Get queue and rate statistics per group
+   *
+   * @returns {Object} Map of group to `{ queued, active, requestsPerSecond, pausedUntil }`
+   *
+   * @example
+   * ```javascript
+   * const stats = marzpay.rateLimiter.getStats();
+   * // { disbursements: { queued: 120, active: 2, requestsPerSecond: 1, pausedUntil: null } }
+   * ```
+   */
+  getStats() {
+    const stats = {};
+
+    this.buckets.forEach((bucket, group) => {
+      stats[group] = {
+        queued: bucket.queue.length,
+        active: bucket.active,
+        requestsPerSecond: bucket.rate,
+        pausedUntil: bucket.pausedUntil > Date.now() ? bucket.pausedUntil : null
+      };
+    });
+
+    return stats;
+  }
+
+  /**
+   * Slow a group down after the API rejected a call with 429
+   *
+   * @param {string} group - Endpoint group
+   * @param {number} [retryAfter] - Milliseconds the API asked to wait
+   */
+  throttle(group, retryAfter) {
+    const bucket = this.getBucket(group);
+    const { minRequestsPerSecond } = bucket.settings;
+
+    bucket.rate = Math.max(minRequestsPerSecond, bucket.rate / 2);
+    bucket.tokens = 0;
+    bucket.pausedUntil = Math.max(
+      bucket.pausedUntil,
+      Date.now() + (Number.isFinite(retryAfter) ? retryAfter : 1000 / bucket.rate)
+    );
+  }
+
+  /**
+   * Get (or create) the bucket for a group
+   *
+   * @private
+   */
+  getBucket(group) {
+    if (!this.buckets.has(group)) {
+      const settings = { ...this.options, ...(this.groups[group] || {}) };
+
+      this.buckets.set(group, {
+        group,
+        settings,
+        rate: settings.requestsPerSecond,
+        tokens: this.getCapacity(settings),
+        lastRefill: Date.now(),
+        pausedUntil: 0,
+        active: 0,
+        queue: [],
+        timer: null
+      });
+    }
+
+    return this.buckets.get(group);
+  }
+
+  /**
+   * Bucket size for a group
+   *
+   * @private
+   */
+  getCapacity(settings) {
+    return Math.max(1, settings.burst || settings.requestsPerSecond);
+  }
+
+  /**
+   * Start queued tasks while slots and tokens are available
+   *
+   * @private
+   */
+  drain(bucket) {
+    while (bucket.queue.length > 0 && bucket.active < bucket.settings.maxConcurrency) {
+      const now = Date.now();
+
+      if (bucket.pausedUntil > now) {
+        this.wake(bucket, bucket.pausedUntil - now);
+        return;
+      }
+
+      bucket.tokens = Math.min(
+        this.getCapacity(bucket.settings),
+        bucket.tokens + ((now - bucket.lastRefill) / 1000) * bucket.rate
+      );
+      bucket.lastRefill = now;
+
+      if (bucket.tokens < 1) {
+        this.wake(bucket, Math.ceil(((1 - bucket.tokens) / bucket.rate) * 1000));
+        return;
+      }
+
+      bucket.tokens -= 1;
+      this.run(bucket, bucket.queue.shift());
+    }
+  }
+
+  /**
+   * Run a dequeued task and release its slot afterwards
+   *
+   * @private
+   */
+  run(bucket, entry) {
+    if (entry.signal) {
+      entry.signal.removeEventListener('abort', entry.onAbort);
+    }
+
+    bucket.active++;
+
+    Promise.resolve()
+      .then(entry.task)
+      .then(
+        result => {
+          this.recover(bucket);
+          entry.resolve(result);
+        },
+        error => {
+          if (error && (error.status === 429 || error.code === 'RATE_LIMIT_EXCEEDED')) {
+            this.throttle(bucket.group, error.retryAfter);
+          }
+          entry.reject(error);
+        }
+      )
+      .finally(() => {
+        bucket.active--;
+        this.drain(bucket);
+      });
+  }
+
+  /**
+   * Move the rate back towards the configured value after a success
+   *
+   * @private
+   */
+  recover(bucket) {
+    const { requestsPerSecond, recoveryStep } = bucket.settings;
+
+    if (bucket.rate < requestsPerSecond) {
+      bucket.rate = Math.min(requestsPerSecond, bucket.rate + requestsPerSecond * recoveryStep);
+    }
+  }
+
+  /**
+   * Schedule a drain once the bucket can make progress again
+   *
+   * @private
+   */
+  wake(bucket, delay) {
+    if (bucket.timer) {
+      return;
+    }
+
+    bucket.timer = setTimeout(() => {
+      bucket.timer = null;
+      this.drain(bucket);
+    }, delay);
+  }
+}
@@ -0,0 +1,180 @@
+import { PhoneNumberUtils } from './PhoneNumberUtils.js';
+
+/**
+ * Redactor - Removes credentials and personal data before anything is logged
+ *
+ * Produces a redacted deep copy of any value:
+ * - Credentials (Authorization headers, API keys, passwords, tokens,
+ *   signatures) are replaced by `[REDACTED]`
+ * - Phone numbers under phone-like keys and Ugandan numbers embedded in
+ *   strings are masked with `PhoneNumberUtils.maskPhoneNumber`
+ * - Known secret values (e.g. the configured API key) are scrubbed from strings
+ *
+ * @example
+ * ```javascript
+ * const redactor = new Redactor();
+ * redactor.redact({ phone_number: '0759983853', headers: { Authorization: 'Basic dXNlcjprZXk=' } });
+ * // Returns: { phone_number: '+2*********53', headers: { Authorization: 'Basic [REDACTED]' } }
+ * ```
+ */
+export class Redactor {
+  /**
+   * Create a new Redactor
+   *
+   * @param {Object} [options] - Redaction options
+   * @param {Array<string>} [options.keys] - Additional keys whose values are always redacted
+   * @param {Array<string>|Function} [options.secrets] - Literal secret values (or a function returning them)
+   * scrubbed from every string
+   * @param {string} [options.placeholder='[REDACTED]'] - Replacement for redacted values
+   */
+  constructor(options = {}) {
+    this.extraKeys = (options.keys || []).map(key => key.toLowerCase());
+    this.secrets = options.secrets || [];
+    this.placeholder = options.placeholder || '[REDACTED]';
+    this.phoneUtils = new PhoneNumberUtils();
+  }
+
+  /**
+   * Keys whose values are credentials
+   *
+   * @type {RegExp}
+   */
+  static get SECRET_KEYS() {
+    return /^(authorization|proxy-authorization|cookie|set-cookie|x-api-key|api[_-]?key|api[_-]?secret|password|secret|token|access[_-]?token|refresh[_-]?token|signature|x-marzpay-signature)$/i;
+  }
+
+  /**
+   * Keys whose values are phone numbers
+   *
+   * @type {RegExp}
+   */
+  static get PHONE_KEYS() {
+    return /(phone|msisdn)/i;
+  }
+
+  /**
+   * Ugandan phone numbers embedded in free text
+   *
+   * @type {RegExp}
+   */
+  static get PHONE_PATTERN() {
+    return /(^|[^\d+])((?:\+256|256|0)7\d{8})(?!\d)/g;
+  }
+
+  /**
+   * Produce a redacted deep copy of a value
+   *
+   * @param {any} value - Value to redact
+   * @returns {any} Redacted copy
+   */
+  redact(value) {
+    return this.redactValue(value, null, new WeakSet());
+  }
+
+  /**
+   * Redact a string, masking phone numbers and known secrets
+   *
+   * @param {string} text - Text to redact
+   * @returns {string} Redacted text
+   */
+  redactString(text) {
+    let result = text.replace(Redactor.PHONE_PATTERN, (_match, before, phone) => `${before}${this.maskPhone(phone)}`);
+
+    this.getSecrets().forEach(secret => {
+      result = result.split(secret).join(this.placeholder);
+    });
+
+    return result;
+  }
+
+  /**
+   * Mask a single phone number
+   *
+   * @param {string} phone - Phone number
+   * @returns {string} Masked number, or the placeholder if it is not a valid number
+   */
+  maskPhone(phone) {
+    return this.phoneUtils.maskPhoneNumber(String(phone)) || this.placeholder;
+  }
+
+  /**
+   * Recursively redact a value
+   *
+   * @private
+   */
+  redactValue(value, key, seen) {
+    if (key !== null && this.isSecretKey(key)) {
+      return this.redactSecret(value);
+    }
+
+    if (key !== null && Redactor.PHONE_KEYS.test(key) && (typeof value === 'string' || typeof value === 'number')) {
+      return this.maskPhone(value);
+    }
+
+    if (typeof value === 'string') {
+      return this.redactString(value);
+    }
+
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item, null, seen));
+    }
+
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+
+    if (value instanceof Error && typeof value.toJSON !== 'function') {
+      return { name: value.name, message: this.redactString(value.message) };
+    }
+
+    const source = typeof value.toJSON === 'function' ? value.toJSON() : value;
+    const result = {};
+    Object.keys(source).forEach(name => {
+      result[name] = this.redactValue(source[name], name, seen);
+    });
+
+    return result;
+  }
+
+  /**
+   * Check if a key holds a credential
+   *
+   * @private
+   */
+  isSecretKey(key) {
+    return Redactor.SECRET_KEYS.test(key) || this.extraKeys.includes(String(key).toLowerCase());
+  }
+
+  /**
+   * Replace a credential, keeping the auth scheme visible
+   *
+   * @private
+   */
+  redactSecret(value) {
+    if (typeof value === 'string') {
+      const scheme = value.match(/^(Basic|Bearer|Digest)\s+/i);
+      return scheme ? `${scheme[1]} ${this.placeholder}` : this.placeholder;
+    }
+
+    return value === null || value === undefined ? value : this.placeholder;
+  }
+
+  /**
+   * Resolve the literal secrets to scrub
+   *
+   * @private
+   */
+  getSecrets() {
+    const secrets = typeof this.secrets === 'function' ? this.secrets() : this.secrets;
+    return (secrets || []).filter(secret => typeof secret === 'string' && secret.length >= 4);
+  }
+}
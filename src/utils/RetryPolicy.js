@@ -0,0 +1,235 @@
+import { MarzPayError } from '../errors/MarzPayError.js';
+
+/**
+ * Retry Policy - Automatic retries for transient API failures
+ *
+ * Decides whether a failed request may be attempted again and how long to
+ * wait before doing so:
+ * - Only safe methods (GET by default) are retried automatically
+ * - Exponential backoff with optional full jitter
+ * - `Retry-After` from the API is honoured when present
+ * - Retryable HTTP statuses and error codes are configurable
+ *
+ * @example
+ * ```javascript
+ * const marzpay = new MarzPay({
+ *   apiUser: 'your_username',
+ *   apiKey: 'your_api_key',
+ *   retry: {
+ *     maxAttempts: 4,
+ *     baseDelay: 250,
+ *     retryOnStatus: [429, 502, 503, 504]
+ *   }
+ * });
+ * ```
+ */
+export class RetryPolicy {
+  /**
+   * Create a new RetryPolicy
+   *
+   * @param {Object} [options] - Policy options
+   * @param {number} [options.maxAttempts=3] - Total attempts including the first one (1 disables retries)
+   * @param {number} [options.baseDelay=500] - Base backoff delay in milliseconds
+   * @param {number} [options.maxDelay=10000] - Upper bound for a single delay, also the longest Retry-After honoured
+   * @param {boolean} [options.jitter=true] - Randomise delays (full jitter) to avoid thundering herds
+   * @param {Array<number>} [options.retryOnStatus] - HTTP statuses that are retried
+   * @param {Array<string>} [options.retryOnCodes] - MarzPayError codes that are retried
+   * @param {Array<string>} [options.methods=['GET', 'HEAD', 'OPTIONS']] - HTTP methods retried automatically
+   */
+  constructor(options = {}) {
+    this.options = {
+      ...RetryPolicy.DEFAULTS,
+      ...options
+    };
+  }
+
+  /**
+   * Default policy values
+   *
+   * @type {Object}
+   */
+  static get DEFAULTS() {
+    return {
+      maxAttempts: 3,
+      baseDelay: 500,
+      maxDelay: 10000,
+      jitter: true,
+      retryOnStatus: [408, 425, 429, 500, 502, 503, 504],
+      retryOnCodes: ['NETWORK_ERROR', 'REQUEST_TIMEOUT', 'RATE_LIMIT_EXCEEDED', 'SERVICE_UNAVAILABLE'],
+      methods: ['GET', 'HEAD', 'OPTIONS']
+    };
+  }
+
+  /**
+   * Create a policy for a single call from a per-call override
+   *
+   * @param {boolean|Object} [override] - `false` disables retries, `true` retries
+   * regardless of method, an object is merged over this policy
+   * @returns {RetryPolicy} Policy to use for the call
+   *
+   * @example
+   * ```javascript
+   * policy.withOverride(false);                 // no retries
+   * policy.withOverride({ maxAttempts: 5 });    // more attempts for this call
+   * ```
+   */
+  withOverride(override) {
+    if (override === undefined || override === null) {
+      return this;
+    }
+
+    if (override === false) {
+      return new RetryPolicy({ ...this.options, maxAttempts: 1 });
+    }
+
+    if (override === true) {
+      return new RetryPolicy({ ...this.options, methods: ['*'] });
+    }
+
+    return new RetryPolicy({ ...this.options, ...override });
+  }
+
+  /**
+   * Check if requests with the given method are retried
+   *
+   * @param {string} method - HTTP method
+   * @returns {boolean} True if the method is retried
+   */
+  appliesTo(method) {
+    const { methods } = this.options;
+    return methods.includes('*') || methods.includes(String(method).toUpperCase());
+  }
+
+  /**
+   * Check if an error is worth another attempt
+   *
+   * @param {Error} error - Error thrown by the attempt
+   * @returns {boolean} True if the error is transient
+   */
+  isRetryable(error) {
+    if (!(error instanceof MarzPayError) || error.code === 'REQUEST_ABORTED') {
+      return false;
+    }
+
+    return this.options.retryOnCodes.includes(error.code) ||
+           this.options.retryOnStatus.includes(error.status);
+  }
+
+  /**
+   * Calculate the delay before the next attempt
+   *
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {Error} [error] - Error thrown by the attempt
+   * @returns {number|null} Delay in milliseconds, or null when Retry-After exceeds maxDelay
+   */
+  getDelay(attempt, error) {
+    const { baseDelay, maxDelay, jitter } = this.options;
+
+    if (error && Number.isFinite(error.retryAfter)) {
+      return error.retryAfter <= maxDelay ? Math.max(0, error.retryAfter) : null;
+    }
+
+    const backoff = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+    return jitter ? Math.round(Math.random() * backoff) : backoff;
+  }
+
+  /**
+   * Run a function under this policy
+   *
+   * Retry metadata (`attempts`, `totalDelay`) is attached as `retry` to the
+   * error thrown after the last attempt.
+   *
+   * @param {Function} func - Function receiving the attempt number and returning a promise
+   * @param {Object} [context] - Call context
+   * @param {string} [context.method='GET'] - HTTP method of the call
+   * @param {AbortSignal} [context.signal] - Signal that cancels waiting between attempts
+   * @returns {Promise<{result: any, attempts: number, totalDelay: number}>} Result and retry metadata
+   *
+   * @throws {MarzPayError} Error of the last attempt
+   */
+  async execute(func, context = {}) {
+    const { method = 'GET', signal } = context;
+    const maxAttempts = this.appliesTo(method) ? Math.max(1, this.options.maxAttempts) : 1;
+    let totalDelay = 0;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await func(attempt);
+        return { result, attempts: attempt, totalDelay };
+      } catch (error) {
+        const delay = attempt < maxAttempts && this.isRetryable(error)
+          ? this.getDelay(attempt, error)
+          : null;
+
+        if (delay === null) {
+          if (error instanceof MarzPayError) {
+            error.retry = { attempts: attempt, totalDelay };
+          }
+          throw error;
+        }
+
+        await RetryPolicy.wait(delay, signal);
+        totalDelay += delay;
+      }
+    }
+  }
+
+  /**
+   * Parse a Retry-After header value
+   *
+   * @param {string|null} value - Header value (seconds or HTTP date)
+   * @returns {number|null} Delay in milliseconds or null if absent/invalid
+   *
+   * @example
+   * ```javascript
+   * RetryPolicy.parseRetryAfter('2');                             // Returns: 2000
+   * RetryPolicy.parseRetryAfter('Wed, 21 Oct 2026 07:28:00 GMT'); // Returns: ms until then
+   * ```
+   */
+  static parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Wait between attempts, stopping early if the signal aborts
+   *
+   * @param {number} ms - Milliseconds to wait
+   * @param {AbortSignal} [signal] - Caller-supplied signal
+   * @returns {Promise<void>}
+   *
+   * @private
+   */
+  static wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(MarzPayError.abortError(signal.reason));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(MarzPayError.abortError(signal.reason));
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, ms);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+}
@@ -0,0 +1,336 @@
+import { MarzPayError, TimeoutError, ValidationError } from '../errors/MarzPayError.js';
+
+/**
+ * Status Poller - Waits for a transaction to reach a final status
+ *
+ * Polls a transaction until it is `successful`, `failed` or `cancelled`,
+ * backing off between polls. Every status change is emitted as a
+ * `transactionStatusChange` event on the client and passed to the optional
+ * `onStatusChange` callback. Transient failures of a poll are tolerated
+ * until the deadline; anything else ends the wait.
+ *
+ * @example
+ * ```javascript
+ * const { data } = await marzpay.collections.collectMoney(params);
+ *
+ * const transaction = await marzpay.collections.waitForCompletion(data.transaction.uuid, {
+ *   timeout: 120000,
+ *   onStatusChange: ({ to }) => console.log('Now', to)
+ * });
+ * ```
+ */
+export class StatusPoller {
+  constructor(marzpay) {
+    this.marzpay = marzpay;
+  }
+
+  /**
+   * Default polling settings
+   *
+   * @type {Object}
+   */
+  static get DEFAULTS() {
+    return {
+      timeout: 120000,
+      interval: 2000,
+      backoff: 1.5,
+      maxInterval: 15000
+    };
+  }
+
+  /**
+   * Statuses after which a transaction no longer changes
+   *
+   * @type {Array<string>}
+   */
+  static get FINAL_STATUSES() {
+    return ['successful', 'failed', 'cancelled'];
+  }
+
+  /**
+   * Poll a transaction until it reaches a final status
+   *
+   * @param {string} uuid - Transaction UUID
+   * @param {Object} context - Poll context
+   * @param {string} context.type - Transaction type ('collection' or 'withdrawal')
+   * @param {Function} context.fetch - Loads the transaction: `(uuid, requestOptions) => Promise<response>`
+   * @param {Object} [settings] - Polling settings
+   * @param {number} [settings.timeout=120000] - Longest time to wait in milliseconds
+   * @param {number} [settings.interval=2000] - Delay before the second poll in milliseconds
+   * @param {number|false} [settings.backoff=1.5] - Factor applied to the delay after every poll (1 or false polls
+   * at a fixed rate)
+   * @param {number} [settings.maxInterval=15000] - Upper bound for the delay between polls
+   * @param {AbortSignal} [settings.signal] - Signal that cancels the wait
+   * @param {Function} [settings.onStatusChange] - Called with `{ uuid, type, from, to, source, transaction, attempts, elapsed }`
+   * @returns {Promise<Object>} Transaction in its final status
+   *
+   * @throws {TimeoutError} WAIT_TIMEOUT with the last known state in `details` when the deadline passes
+   * @throws {MarzPayError} REQUEST_ABORTED when the signal aborts, or a non-transient poll error
+   */
+  async wait(uuid, context, settings = {}) {
+    const { transaction } = await this.watch(uuid, context, settings);
+    return transaction;
+  }
+
+  /**
+   * Follow a transaction until it reaches a final status, from polls and pushed updates
+   *
+   * Takes the same context and settings as `wait()`. Updates from another
+   * source, such as webhooks, can be pushed in through `context.subscribe`;
+   * they count like poll results, cut short the delay before the next poll
+   * and a final status ends the watch at once. Whichever source reports a
+   * status first wins; the same status from the other source is ignored.
+   *
+   * @param {string} uuid - Transaction UUID
+   * @param {Object} context - Poll context (see `wait()`)
+   * @param {Object} [context.initial] - Transaction already known, e.g. from the initiating response; the
+   * first poll then waits for `interval`
+   * @param {Function} [context.subscribe] - Called with `push(transaction, source)`; may return a function
+   * that unsubscribes
+   * @param {Object} [settings] - Polling settings (see `wait()`)
+   * @returns {Promise<{transaction: Object, status: string, source: string, attempts: number, elapsed: number}>}
+   * Final transaction and the source that reported it ('poll', a pushed source or 'initial')
+   *
+   * @throws {TimeoutError} WAIT_TIMEOUT with the last known state in `details` when the deadline passes
+   * @throws {MarzPayError} REQUEST_ABORTED when the signal aborts, or a non-transient poll error
+   */
+  async watch(uuid, context, settings = {}) {
+    const { type, fetch, initial = null, subscribe } = context;
+    const { signal, onStatusChange } = settings;
+    const { timeout, interval, backoff, maxInterval } = this.getSettings(settings);
+
+    const startedAt = Date.now();
+    const deadline = startedAt + timeout;
+    const state = { transaction: null, status: null, source: null, attempts: 0 };
+    const inbox = [];
+    let wake = null;
+    let delay = interval;
+    let lastError = null;
+
+    const apply = (transaction, source) => {
+      state.transaction = transaction;
+      const current = transaction.status ? String(transaction.status).toLowerCase() : null;
+
+      if (current && current !== state.status) {
+        this.notify({
+          uuid,
+          type,
+          from: state.status,
+          to: current,
+          source,
+          transaction,
+          attempts: state.attempts,
+          elapsed: Date.now() - startedAt
+        }, onStatusChange);
+        state.status = current;
+        state.source = source;
+      }
+
+      return StatusPoller.FINAL_STATUSES.includes(state.status);
+    };
+
+    const drain = () => {
+      while (inbox.length > 0) {
+        const { transaction, source } = inbox.shift();
+        if (!StatusPoller.FINAL_STATUSES.includes(state.status) && apply(transaction, source)) {
+          return true;
+        }
+      }
+      return StatusPoller.FINAL_STATUSES.includes(state.status);
+    };
+
+    const finish = () => ({ ...state, elapsed: Date.now() - startedAt });
+    const woken = () => new Promise(resolve => {
+      wake = resolve;
+      if (inbox.length > 0) {
+        resolve();
+      }
+    });
+
+    const unsubscribe = typeof subscribe === 'function'
+      ? subscribe((transaction, source = 'push') => {
+        if (transaction && typeof transaction === 'object') {
+          inbox.push({ transaction, source });
+          if (wake) {
+            wake();
+          }
+        }
+      })
+      : null;
+
+    try {
+      if (initial && apply(initial, 'initial')) {
+        return finish();
+      }
+
+      for (let first = !initial; ; first = false) {
+        if (!first) {
+          const wait = Math.min(delay, deadline - Date.now());
+          if (wait > 0 && inbox.length === 0) {
+            await this.sleep(wait, signal, resolve => { wake = resolve; });
+          }
+          delay = Math.min(maxInterval, delay * backoff);
+        }
+
+        if (drain()) {
+          return finish();
+        }
+
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+          throw this.timeoutError(uuid, type, timeout, state, Date.now() - startedAt, lastError);
+        }
+
+        state.attempts++;
+        // Polling is the retry loop; a failed poll is simply followed by the next one
+        const poll = fetch(uuid, {
+          signal,
+          retry: false,
+          timeout: Math.max(1, Math.min(this.marzpay.config.timeout || remaining, remaining))
+        }).then(response => ({ response }), error => ({ error }));
+
+        // A pushed final status ends the watch without waiting for the poll
+        let result = null;
+        while (!result) {
+          result = await Promise.race([poll, woken()]);
+          wake = null;
+          if (!result && drain()) {
+            return finish();
+          }
+        }
+
+        if (result.error) {
+          const { error } = result;
+          if (!(error instanceof MarzPayError) || !error.retryable || error.code === 'REQUEST_ABORTED') {
+            throw error;
+          }
+          lastError = error;
+        } else {
+          lastError = null;
+          const { response } = result;
+          if (response && response.data && response.data.transaction && apply(response.data.transaction, 'poll')) {
+            return finish();
+          }
+        }
+      }
+    } finally {
+      wake = null;
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+    }
+  }
+
+  /**
+   * Emit a status change to the client and the caller
+   *
+   * @private
+   */
+  notify(change, onStatusChange) {
+    if (this.marzpay.events) {
+      this.marzpay.events.emit('transactionStatusChange', change);
+    }
+
+    if (typeof onStatusChange === 'function') {
+      try {
+        onStatusChange(change);
+      } catch (_error) {
+        // Callback failures must not end the wait
+      }
+    }
+  }
+
+  /**
+   * Wait for a delay, ending early when woken and rejecting when the signal aborts
+   *
+   * @private
+   */
+  sleep(ms, signal, onWake) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(MarzPayError.abortError(signal.reason));
+        return;
+      }
+
+      const done = () => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+      const onAbort = () => {
+        done();
+        reject(MarzPayError.abortError(signal.reason));
+      };
+      const timer = setTimeout(() => {
+        done();
+        resolve();
+      }, ms);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      onWake(() => {
+        done();
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * WAIT_TIMEOUT error carrying the last known state
+   *
+   * @private
+   */
+  timeoutError(uuid, type, timeout, state, elapsed, lastError) {
+    return new TimeoutError(
+      `Transaction ${uuid} did not reach a final status within ${timeout}ms`,
+      'WAIT_TIMEOUT',
+      0,
+      {
+        uuid,
+        type,
+        status: state.status,
+        transaction: state.transaction,
+        attempts: state.attempts,
+        elapsed,
+        last_error: lastError ? lastError.code : null
+      }
+    );
+  }
+
+  /**
+   * Merge polling settings over the defaults and validate them
+   *
+   * Undefined values keep the default, and `backoff: false` means a factor of 1.
+   *
+   * @param {Object} [settings] - Polling settings (see `wait()`)
+   * @returns {{timeout: number, interval: number, backoff: number, maxInterval: number}} Settings
+   * @throws {ValidationError} INVALID_POLL_SETTINGS when a value is out of range
+   */
+  getSettings(settings = {}) {
+    const merged = { ...StatusPoller.DEFAULTS };
+    Object.keys(merged).forEach(key => {
+      if (settings[key] !== undefined) {
+        merged[key] = settings[key];
+      }
+    });
+
+    if (merged.backoff === false) {
+      merged.backoff = 1;
+    }
+
+    const { timeout, interval, backoff, maxInterval } = merged;
+    const positive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+    if (!positive(timeout) || !positive(interval) || !positive(maxInterval)) {
+      throw new ValidationError('Timeout, interval and maxInterval must be positive numbers', 'INVALID_POLL_SETTINGS');
+    }
+
+    if (!positive(backoff) || backoff < 1) {
+      throw new ValidationError('Backoff must be a number of at least 1', 'INVALID_POLL_SETTINGS');
+    }
+
+    return merged;
+  }
+}
@@ -0,0 +1,205 @@
+import { TimeZone } from './TimeZone.js';
+
+/**
+ * Time Series - Calendar buckets with zero-filled gaps and period-over-period deltas
+ *
+ * Values are folded into one bucket per day, week (starting Monday) or month
+ * of the business time zone as they arrive. When the series is read, every
+ * bucket between the start and end of the window is present, empty periods
+ * included, and each entry carries its change against the previous period.
+ *
+ * @example
+ * ```javascript
+ * const series = new TimeSeries({ bucket: 'daily', create: () => ({ count: 0 }), deltas: ['count'] });
+ * series.bucketFor(new Date('2024-01-01T10:00:00Z')).count++;
+ * series.bucketFor(new Date('2024-01-03T10:00:00Z')).count += 2;
+ *
+ * series.toArray();
+ * // [{ period: '2024-01-01', count: 1, change: null },
+ * //  { period: '2024-01-02', count: 0, change: { count: { absolute: -1, percent: -100 } } },
+ * //  { period: '2024-01-03', count: 2, change: { count: { absolute: 2, percent: null } } }]
+ * ```
+ */
+export class TimeSeries {
+  /**
+   * Create a new TimeSeries
+   *
+   * @param {Object} options - Series options
+   * @param {string} options.bucket - 'daily', 'weekly' or 'monthly'
+   * @param {Function} options.create - Returns an empty bucket
+   * @param {Array<string>} [options.deltas] - Numeric fields compared with the previous period
+   * @param {TimeZone|string} [options.timeZone='Africa/Kampala'] - Zone whose calendar defines the buckets
+   */
+  constructor({ bucket, create, deltas = [], timeZone }) {
+    this.bucket = bucket;
+    this.timeZone = TimeZone.from(timeZone);
+    this.create = create;
+    this.deltas = deltas;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Supported bucket sizes
+   *
+   * @type {Array<string>}
+   */
+  static get BUCKETS() {
+    return ['daily', 'weekly', 'monthly'];
+  }
+
+  /**
+   * Get (or create) the bucket holding a date
+   *
+   * @param {Date|null} date - Date of the value
+   * @returns {Object|null} Bucket, null when the date is missing or invalid
+   */
+  bucketFor(date) {
+    const key = TimeSeries.bucketKey(date, this.bucket, this.timeZone);
+    if (!key) {
+      return null;
+    }
+
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, this.create());
+    }
+
+    return this.buckets.get(key);
+  }
+
+  /**
+   * Read the series
+   *
+   * @param {Object} [options] - Read options
+   * @param {string|Date} [options.start] - Window start; earlier empty periods are filled from here
+   * @param {string|Date} [options.end] - Window end; later empty periods are filled up to here
+   * @param {Function} [options.finalise] - Maps `(bucket, previousEntry)` to the entry fields
+   * @returns {Array<Object>} Chronological entries with `period` and `change` (null for the first)
+   */
+  toArray({ start, end, finalise = bucket => ({ ...bucket }) } = {}) {
+    const keys = [...this.buckets.keys()];
+    [start, end].forEach(boundary => {
+      const key = TimeZone.isValidDay(boundary)
+        ? TimeSeries.dayKey(boundary, this.bucket)
+        : TimeSeries.bucketKey(boundary ? new Date(boundary) : null, this.bucket, this.timeZone);
+      if (key) {
+        keys.push(key);
+      }
+    });
+
+    if (keys.length === 0) {
+      return [];
+    }
+
+    keys.sort();
+    const last = keys[keys.length - 1];
+    const entries = [];
+
+    for (let key = keys[0]; key <= last; key = TimeSeries.nextKey(key, this.bucket)) {
+      const previous = entries.length > 0 ? entries[entries.length - 1] : null;
+      const entry = { period: key, ...finalise(this.buckets.get(key) || this.create(), previous) };
+      entry.change = previous ? this.compare(entry, previous) : null;
+      entries.push(entry);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Bucket key for an instant
+   *
+   * @param {Date|null} date - Instant
+   * @param {string} bucket - 'daily', 'weekly' (key is the Monday) or 'monthly'
+   * @param {TimeZone|string} [timeZone='Africa/Kampala'] - Zone whose calendar defines the buckets
+   * @returns {string|null} 'YYYY-MM-DD' for daily/weekly, 'YYYY-MM' for monthly, null without a valid date
+   */
+  static bucketKey(date, bucket, timeZone) {
+    if (!date || isNaN(date.getTime())) {
+      return null;
+    }
+
+    return TimeSeries.dayKey(TimeZone.from(timeZone).formatDate(date), bucket);
+  }
+
+  /**
+   * Bucket key for a calendar day
+   *
+   * @param {string} day - 'YYYY-MM-DD'
+   * @param {string} bucket - 'daily', 'weekly' or 'monthly'
+   * @returns {string} Bucket key
+   */
+  static dayKey(day, bucket) {
+    if (bucket === 'monthly') {
+      return day.slice(0, 7);
+    }
+
+    return bucket === 'weekly' ? TimeZone.startOfWeek(day) : day;
+  }
+
+  /**
+   * Key of the bucket following another
+   *
+   * @param {string} key - Bucket key
+   * @param {string} bucket - Bucket size
+   * @returns {string} Next bucket key
+   */
+  static nextKey(key, bucket) {
+    if (bucket === 'monthly') {
+      return TimeZone.addMonths(`${key}-01`, 1).slice(0, 7);
+    }
+
+    return TimeZone.addDays(key, bucket === 'weekly' ? 7 : 1);
+  }
+
+  /**
+   * Date range covering the last `count` periods, the current one included
+   *
+   * @param {string} bucket - 'daily', 'weekly' or 'monthly'
+   * @param {number} count - Number of periods
+   * @param {Date} [now] - Reference instant
+   * @param {TimeZone|string} [timeZone='Africa/Kampala'] - Zone whose calendar defines "today"
+   * @returns {{start: string, end: string}} Inclusive YYYY-MM-DD range
+   *
+   * @example
+   * ```javascript
+   * TimeSeries.window('monthly', 3, new Date('2024-05-20T00:00:00Z'));
+   * // Returns: { start: '2024-03-01', end: '2024-05-20' }
+   * ```
+   */
+  static window(bucket, count, now = new Date(), timeZone) {
+    const end = TimeZone.from(timeZone).formatDate(now);
+    const current = TimeSeries.dayKey(end, bucket);
+
+    const start = bucket === 'monthly'
+      ? TimeZone.addMonths(`${current}-01`, -(count - 1))
+      : TimeZone.addDays(current, -(count - 1) * (bucket === 'weekly' ? 7 : 1));
+
+    return { start, end };
+  }
+
+  /**
+   * Change of each delta field against the previous entry
+   *
+   * @private
+   */
+  compare(entry, previous) {
+    const change = {};
+
+    this.deltas.forEach(field => {
+      const current = entry[field];
+      const before = previous[field];
+
+      if (typeof current !== 'number' || typeof before !== 'number') {
+        change[field] = { absolute: null, percent: null };
+        return;
+      }
+
+      const absolute = Math.round((current - before) * 100) / 100;
+      change[field] = {
+        absolute,
+        percent: before === 0 ? null : Math.round((absolute / Math.abs(before)) * 10000) / 100
+      };
+    });
+
+    return change;
+  }
+}
@@ -0,0 +1,219 @@
+import { MarzPayError } from '../errors/MarzPayError.js';
+
+// Intl formatters are expensive to build; zones are shared by name
+const zones = new Map();
+
+/**
+ * Time Zone - Calendar days in a business time zone
+ *
+ * MarzPay merchants close their books on the local business day, so "today",
+ * week starts and month ends are all computed in the client's time zone
+ * (Africa/Kampala by default) rather than UTC. Dates are exchanged as
+ * 'YYYY-MM-DD' calendar days; calendar arithmetic on those strings is
+ * independent of the zone, so only the conversion of instants needs it.
+ *
+ * @example
+ * ```javascript
+ * const zone = new TimeZone('Africa/Kampala');
+ * zone.formatDate(new Date('2024-01-15T22:30:00Z')); // Returns: '2024-01-16'
+ * zone.today();                                     // Returns: today's date in Kampala
+ * TimeZone.addDays('2024-02-28', 2);                // Returns: '2024-03-01'
+ * ```
+ */
+export class TimeZone {
+  /**
+   * Create a new TimeZone
+   *
+   * @param {string} [name='Africa/Kampala'] - IANA time zone name
+   * @throws {MarzPayError} INVALID_TIMEZONE when the runtime does not know the zone
+   */
+  constructor(name = TimeZone.DEFAULT) {
+    try {
+      this.formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: name,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      });
+    } catch (_error) {
+      throw new MarzPayError(`Unknown time zone: ${name}`, 'INVALID_TIMEZONE', 400, { time_zone: name });
+    }
+
+    this.name = this.formatter.resolvedOptions().timeZone;
+  }
+
+  /**
+   * Default business time zone (East Africa Time)
+   *
+   * @type {string}
+   */
+  static get DEFAULT() {
+    return 'Africa/Kampala';
+  }
+
+  /**
+   * Resolve a TimeZone from an instance, a zone name or nothing
+   *
+   * @param {TimeZone|string} [value] - Time zone
+   * @returns {TimeZone} Time zone, the default when omitted
+   */
+  static from(value) {
+    if (value instanceof TimeZone) {
+      return value;
+    }
+
+    const name = value || TimeZone.DEFAULT;
+    if (!zones.has(name)) {
+      zones.set(name, new TimeZone(name));
+    }
+    return zones.get(name);
+  }
+
+  /**
+   * Calendar day of an instant in this zone
+   *
+   * @param {Date|string|number} date - Instant
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  formatDate(date) {
+    const { year, month, day } = this.parts(date);
+    return `${year}-${month}-${day}`;
+  }
+
+  /**
+   * Local date and time of an instant with its UTC offset (ISO 8601)
+   *
+   * @param {Date|string|number} date - Instant
+   * @returns {string} e.g. '2024-01-16T01:30:00+03:00'
+   */
+  formatDateTime(date) {
+    const instant = date instanceof Date ? date : new Date(date);
+    const { year, month, day, hour, minute, second } = this.parts(instant);
+    const offset = Math.round(this.offsetAt(instant) / 60000);
+    const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+
+    return `${year}-${month}-${day}T${hour}:${minute}:${second}${offset < 0 ? '-' : '+'}${hours}:${minutes}`;
+  }
+
+  /**
+   * Today's calendar day in this zone
+   *
+   * @param {Date} [now] - Reference instant
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  today(now = new Date()) {
+    return this.formatDate(now);
+  }
+
+  /**
+   * Instant at which a calendar day starts in this zone
+   *
+   * @param {string} day - 'YYYY-MM-DD'
+   * @returns {Date} Local midnight as an instant
+   */
+  startOfDay(day) {
+    const midnightUtc = Date.parse(`${day}T00:00:00Z`);
+    // Two passes settle days on which the offset changes
+    let instant = midnightUtc - this.offsetAt(new Date(midnightUtc));
+    instant = midnightUtc - this.offsetAt(new Date(instant));
+    return new Date(instant);
+  }
+
+  /**
+   * Offset of this zone from UTC at an instant
+   *
+   * @param {Date} date - Instant
+   * @returns {number} Offset in milliseconds (e.g. 10800000 for EAT)
+   */
+  offsetAt(date) {
+    const { year, month, day, hour, minute, second } = this.parts(date);
+    const wallClock = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+  }
+
+  /**
+   * Wall-clock parts of an instant in this zone
+   *
+   * @private
+   */
+  parts(date) {
+    const instant = date instanceof Date ? date : new Date(date);
+    if (isNaN(instant.getTime())) {
+      throw new MarzPayError('Invalid date', 'INVALID_DATE', 400);
+    }
+
+    const parts = {};
+    this.formatter.formatToParts(instant).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+    return parts;
+  }
+
+  /**
+   * Check that a string is a real 'YYYY-MM-DD' calendar day
+   *
+   * @param {string} day - Candidate day
+   * @returns {boolean} True for existing days only ('2024-02-30' is rejected)
+   */
+  static isValidDay(day) {
+    if (typeof day !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      return false;
+    }
+
+    const date = new Date(`${day}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === day;
+  }
+
+  /**
+   * Add calendar days to a day
+   *
+   * @param {string} day - 'YYYY-MM-DD'
+   * @param {number} days - Days to add (negative to go back)
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  static addDays(day, days) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Add calendar months to a day, clamping to the end of shorter months
+   *
+   * @param {string} day - 'YYYY-MM-DD'
+   * @param {number} months - Months to add (negative to go back)
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  static addMonths(day, months) {
+    const [year, month, date] = day.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month - 1 + months, Math.min(date, lastDay))).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Monday of the week containing a day
+   *
+   * @param {string} day - 'YYYY-MM-DD'
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  static startOfWeek(day) {
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    return TimeZone.addDays(day, -((weekday + 6) % 7));
+  }
+
+  /**
+   * Last day of the month containing a day
+   *
+   * @param {string} day - 'YYYY-MM-DD'
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  static endOfMonth(day) {
+    const [year, month] = day.split('-').map(Number);
+    return new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+  }
+}
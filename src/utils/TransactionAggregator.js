@@ -0,0 +1,373 @@
+import { TimeSeries } from './TimeSeries.js';
+
+/**
+ * Transaction Aggregator - Incremental transaction statistics in bounded memory
+ *
+ * Transactions are fed one page at a time and folded into running totals,
+ * so summarising hundreds of thousands of transactions never holds more than
+ * a page in memory. The median is estimated with the P² algorithm (exact up
+ * to five values); everything else is exact. With a `bucket`, the same
+ * totals are kept per day, week or month for charting.
+ *
+ * @example
+ * ```javascript
+ * const aggregator = new TransactionAggregator({ bucket: 'daily' });
+ *
+ * for await (const page of marzpay.transactions.list({ start_date: '2024-01-01' }).pages()) {
+ *   aggregator.addAll(page.items);
+ * }
+ *
+ * const summary = aggregator.getSummary();
+ * console.log(summary.success_rate, summary.amounts.median);
+ * console.log(aggregator.getSeries({ start: '2024-01-01', end: '2024-01-31' }));
+ * ```
+ */
+export class TransactionAggregator {
+  /**
+   * Create a new TransactionAggregator
+   *
+   * @param {Object} [options] - Aggregator options
+   * @param {string} [options.bucket] - Time series bucket: 'daily', 'weekly' or 'monthly'; no series when omitted
+   * @param {TimeZone|string} [options.timeZone='Africa/Kampala'] - Zone whose calendar defines the buckets
+   */
+  constructor(options = {}) {
+    this.totals = TransactionAggregator.createTotals();
+    this.amounts = { count: 0, sum: 0, min: null, max: null, median: new P2Quantile(0.5) };
+    this.series = options.bucket
+      ? new TimeSeries({
+        bucket: options.bucket,
+        create: TransactionAggregator.createTotals,
+        deltas: TransactionAggregator.DELTA_FIELDS,
+        timeZone: options.timeZone
+      })
+      : null;
+  }
+
+  /**
+   * Series fields compared with the previous period
+   *
+   * @type {Array<string>}
+   */
+  static get DELTA_FIELDS() {
+    return ['total_amount', 'total_transactions', 'successful_transactions', 'failed_transactions', 'success_rate'];
+  }
+
+  /**
+   * Add one transaction
+   *
+   * @param {Object} transaction - Transaction from the API
+   * @returns {TransactionAggregator} This aggregator
+   */
+  add(transaction) {
+    const amount = TransactionAggregator.amountOf(transaction);
+
+    TransactionAggregator.accumulate(this.totals, transaction, amount);
+
+    if (transaction.status === 'successful' && Number.isFinite(amount)) {
+      this.amounts.count++;
+      this.amounts.sum += amount;
+      this.amounts.min = this.amounts.min === null ? amount : Math.min(this.amounts.min, amount);
+      this.amounts.max = this.amounts.max === null ? amount : Math.max(this.amounts.max, amount);
+      this.amounts.median.add(amount);
+    }
+
+    const bucket = this.series && this.series.bucketFor(TransactionAggregator.dateOf(transaction));
+    if (bucket) {
+      TransactionAggregator.accumulate(bucket, transaction, amount);
+    }
+
+    return this;
+  }
+
+  /**
+   * Add a batch of transactions, e.g. one page
+   *
+   * @param {Array<Object>} transactions - Transactions from the API
+   * @returns {TransactionAggregator} This aggregator
+   */
+  addAll(transactions) {
+    transactions.forEach(transaction => this.add(transaction));
+    return this;
+  }
+
+  /**
+   * Get the summary of everything added so far
+   *
+   * @returns {Object} Totals, `{ count, amount }` by status/type/provider, success rate and amount
+   * statistics (over successful transactions)
+   */
+  getSummary() {
+    const { count, sum, min, max, median } = this.amounts;
+
+    return {
+      ...TransactionAggregator.finalise(this.totals),
+      amounts: {
+        count,
+        min,
+        max,
+        mean: count > 0 ? TransactionAggregator.round(sum / count) : null,
+        median: count > 0 ? TransactionAggregator.round(median.value()) : null
+      }
+    };
+  }
+
+  /**
+   * Get the time series, one entry per period of the window
+   *
+   * Periods without transactions are present with zero totals, and every
+   * entry after the first has a `change` against the previous period.
+   *
+   * @param {Object} [window] - Series window
+   * @param {string|Date} [window.start] - First period to include
+   * @param {string|Date} [window.end] - Last period to include
+   * @returns {Array<Object>} Periods in chronological order with the summary totals and breakdowns
+   */
+  getSeries({ start, end } = {}) {
+    if (!this.series) {
+      return [];
+    }
+
+    // Every period lists every status, type and provider seen in the window, so charts line up
+    const finalise = bucket => {
+      const entry = TransactionAggregator.finalise(bucket);
+      ['by_status', 'by_type', 'by_provider'].forEach(field => {
+        Object.keys(this.totals[field]).forEach(key => {
+          entry[field][key] = entry[field][key] || { count: 0, amount: 0 };
+        });
+      });
+      return entry;
+    };
+
+    return this.series.toArray({ start, end, finalise });
+  }
+
+  /**
+   * Creation date of a transaction
+   *
+   * @param {Object} transaction - Transaction from the API
+   * @returns {Date|null} Creation date, null when missing
+   */
+  static dateOf(transaction) {
+    const value = transaction.created_at || (transaction.timeline && transaction.timeline.created_at);
+    return value ? new Date(value) : null;
+  }
+
+  /**
+   * Numeric amount of a transaction
+   *
+   * @param {Object} transaction - Transaction from the API
+   * @returns {number} Amount, NaN when missing
+   */
+  static amountOf(transaction) {
+    const amount = transaction.amount;
+    return parseFloat(amount && typeof amount === 'object' ? amount.raw : amount);
+  }
+
+  /**
+   * Provider of a transaction
+   *
+   * @private
+   */
+  static providerOf(transaction) {
+    return transaction.provider || (transaction.details && transaction.details.provider);
+  }
+
+  /**
+   * Empty running totals
+   *
+   * @private
+   */
+  static createTotals() {
+    return {
+      total_amount: 0,
+      total_transactions: 0,
+      successful_transactions: 0,
+      failed_transactions: 0,
+      pending_transactions: 0,
+      total_collections: 0,
+      total_withdrawals: 0,
+      by_status: {},
+      by_type: {},
+      by_provider: {}
+    };
+  }
+
+  /**
+   * Fold a transaction into running totals
+   *
+   * @private
+   */
+  static accumulate(totals, transaction, amount) {
+    totals.total_transactions++;
+
+    if (transaction.status === 'successful') {
+      totals.successful_transactions++;
+      totals.total_amount += Number.isFinite(amount) ? amount : 0;
+    } else if (transaction.status === 'failed') {
+      totals.failed_transactions++;
+    } else if (transaction.status === 'pending') {
+      totals.pending_transactions++;
+    }
+
+    if (transaction.type === 'collection') {
+      totals.total_collections++;
+    } else if (transaction.type === 'withdrawal') {
+      totals.total_withdrawals++;
+    }
+
+    const settled = transaction.status === 'successful' && Number.isFinite(amount) ? amount : 0;
+    TransactionAggregator.increment(totals.by_status, transaction.status, settled);
+    TransactionAggregator.increment(totals.by_type, transaction.type, settled);
+    TransactionAggregator.increment(totals.by_provider, TransactionAggregator.providerOf(transaction), settled);
+  }
+
+  /**
+   * Running totals with the success rate
+   *
+   * @private
+   */
+  static finalise(totals) {
+    const successRate = totals.total_transactions > 0
+      ? (totals.successful_transactions / totals.total_transactions) * 100
+      : 0;
+
+    return {
+      ...totals,
+      by_status: TransactionAggregator.copyBreakdown(totals.by_status),
+      by_type: TransactionAggregator.copyBreakdown(totals.by_type),
+      by_provider: TransactionAggregator.copyBreakdown(totals.by_provider),
+      success_rate: TransactionAggregator.round(successRate)
+    };
+  }
+
+  /**
+   * Count a transaction and its settled amount under a key
+   *
+   * @private
+   */
+  static increment(breakdown, key, amount) {
+    const name = key || 'unknown';
+    if (!breakdown[name]) {
+      breakdown[name] = { count: 0, amount: 0 };
+    }
+    breakdown[name].count++;
+    breakdown[name].amount += amount;
+  }
+
+  /**
+   * Copy a breakdown so results do not share state with the aggregator
+   *
+   * @private
+   */
+  static copyBreakdown(breakdown) {
+    const copy = {};
+    Object.keys(breakdown).forEach(key => {
+      copy[key] = { ...breakdown[key] };
+    });
+    return copy;
+  }
+
+  /**
+   * Round to two decimals
+   *
+   * @private
+   */
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+/**
+ * P² quantile estimator (Jain & Chlamtac, 1985)
+ *
+ * Tracks a quantile with five markers instead of storing the observations.
+ *
+ * @private
+ */
+class P2Quantile {
+  constructor(quantile) {
+    this.p = quantile;
+    this.count = 0;
+    this.heights = [];
+    this.positions = [0, 1, 2, 3, 4];
+    this.desired = [0, 2 * quantile, 4 * quantile, 2 + 2 * quantile, 4];
+    this.increments = [0, quantile / 2, quantile, (1 + quantile) / 2, 1];
+  }
+
+  add(value) {
+    this.count++;
+
+    if (this.count <= 5) {
+      this.heights.push(value);
+      this.heights.sort((a, b) => a - b);
+      return;
+    }
+
+    const q = this.heights;
+    let cell;
+    if (value < q[0]) {
+      q[0] = value;
+      cell = 0;
+    } else if (value >= q[4]) {
+      q[4] = value;
+      cell = 3;
+    } else {
+      cell = 0;
+      while (value >= q[cell + 1]) {
+        cell++;
+      }
+    }
+
+    for (let i = cell + 1; i < 5; i++) {
+      this.positions[i]++;
+    }
+    for (let i = 0; i < 5; i++) {
+      this.desired[i] += this.increments[i];
+    }
+
+    for (let i = 1; i <= 3; i++) {
+      const n = this.positions;
+      const offset = this.desired[i] - n[i];
+
+      if ((offset >= 1 && n[i + 1] - n[i] > 1) || (offset <= -1 && n[i - 1] - n[i] < -1)) {
+        const step = Math.sign(offset);
+        const candidate = this.parabolic(i, step);
+        q[i] = q[i - 1] < candidate && candidate < q[i + 1] ? candidate : this.linear(i, step);
+        n[i] += step;
+      }
+    }
+  }
+
+  value() {
+    if (this.count === 0) {
+      return NaN;
+    }
+
+    if (this.count < 5) {
+      // Exact quantile by linear interpolation between the sorted observations
+      const rank = this.p * (this.count - 1);
+      const lower = Math.floor(rank);
+      const upper = Math.ceil(rank);
+      return this.heights[lower] + (this.heights[upper] - this.heights[lower]) * (rank - lower);
+    }
+
+    return this.heights[2];
+  }
+
+  parabolic(i, step) {
+    const q = this.heights;
+    const n = this.positions;
+
+    return q[i] + (step / (n[i + 1] - n[i - 1])) * (
+      ((n[i] - n[i - 1] + step) * (q[i + 1] - q[i])) / (n[i + 1] - n[i]) +
+      ((n[i + 1] - n[i] - step) * (q[i] - q[i - 1])) / (n[i] - n[i - 1])
+    );
+  }
+
+  linear(i, step) {
+    const q = this.heights;
+    const n = this.positions;
+
+    return q[i] + (step * (q[i + step] - q[i])) / (n[i + step] - n[i]);
+  }
+}
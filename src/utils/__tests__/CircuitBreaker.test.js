@@ -0,0 +1,122 @@
+import { CircuitBreaker } from '../CircuitBreaker.js';
+import { MarzPay } from '../../index.js';
+import { MarzPayError } from '../../errors/MarzPayError.js';
+
+const serverError = () => new MarzPayError('Bad gateway', 'API_ERROR', 502);
+const fail = error => () => Promise.reject(error);
+const succeed = () => Promise.resolve('ok');
+
+describe('CircuitBreaker', () => {
+  describe('closed', () => {
+    it('should open after consecutive failures and fail fast', async () => {
+      const changes = [];
+      const breaker = new CircuitBreaker({ failureThreshold: 2 }, change => changes.push(change));
+
+      await expect(breaker.execute('collections', fail(serverError()))).rejects.toMatchObject({ status: 502 });
+      expect(breaker.getState('collections')).toBe('closed');
+      await expect(breaker.execute('collections', fail(serverError()))).rejects.toMatchObject({ status: 502 });
+      expect(breaker.getState('collections')).toBe('open');
+
+      const func = jest.fn(succeed);
+      const error = await breaker.execute('collections', func).catch(e => e);
+
+      expect(func).not.toHaveBeenCalled();
+      expect(error).toBeInstanceOf(MarzPayError);
+      expect(error.code).toBe('CIRCUIT_OPEN');
+      expect(error.isCircuitOpenError()).toBe(true);
+      expect(error.details.group).toBe('collections');
+      expect(changes).toEqual([
+        expect.objectContaining({ group: 'collections', from: 'closed', to: 'open', failures: 2 })
+      ]);
+    });
+
+    it('should not count client errors or aborts as failures', async () => {
+      const breaker = new CircuitBreaker({ failureThreshold: 2 });
+
+      await breaker.execute('disbursements', fail(serverError())).catch(() => {});
+      await breaker.execute('disbursements', fail(new MarzPayError('Invalid', 'INVALID_AMOUNT', 400))).catch(() => {});
+      await breaker.execute('disbursements', fail(serverError())).catch(() => {});
+      await breaker.execute('disbursements', fail(MarzPayError.abortError())).catch(() => {});
+
+      expect(breaker.getState('disbursements')).toBe('closed');
+      expect(breaker.getStates().disbursements.failures).toBe(1);
+    });
+
+    it('should keep circuits per group and apply overrides', async () => {
+      const breaker = new CircuitBreaker({ failureThreshold: 5, groups: { disbursements: { failureThreshold: 1 } } });
+
+      await breaker.execute('disbursements', fail(MarzPayError.networkError('Down'))).catch(() => {});
+
+      expect(breaker.getState('disbursements')).toBe('open');
+      await expect(breaker.execute('collections', succeed)).resolves.toBe('ok');
+    });
+  });
+
+  describe('half-open', () => {
+    it('should close again after a successful trial', async () => {
+      const changes = [];
+      const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 20 }, change => changes.push(change.to));
+
+      await breaker.execute('balance', fail(MarzPayError.timeoutError(100))).catch(() => {});
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      await expect(breaker.execute('balance', succeed)).resolves.toBe('ok');
+      expect(changes).toEqual(['open', 'half-open', 'closed']);
+    });
+
+    it('should re-open when the trial fails and limit concurrent trials', async () => {
+      const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 20 });
+
+      await breaker.execute('balance', fail(serverError())).catch(() => {});
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      let rejectTrial;
+      const trial = breaker.execute('balance', () => new Promise((_, reject) => { rejectTrial = reject; }));
+      await expect(breaker.execute('balance', succeed)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+      rejectTrial(serverError());
+      await expect(trial).rejects.toMatchObject({ status: 502 });
+      expect(breaker.getState('balance')).toBe('open');
+    });
+  });
+
+  it('should reset circuits on demand', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1 });
+    await breaker.execute('webhooks', fail(serverError())).catch(() => {});
+
+    breaker.reset();
+
+    expect(breaker.getState('webhooks')).toBe('closed');
+  });
+
+  describe('with MarzPay', () => {
+    it('should fail fast and emit state changes', async () => {
+      const marzpay = new MarzPay({
+        apiUser: 'test_user',
+        apiKey: 'test_key',
+        retry: false,
+        circuitBreaker: { failureThreshold: 1 }
+      });
+      const listener = jest.fn();
+      marzpay.on('circuitStateChange', listener);
+      global.fetch.mockResolvedValue(createMockResponse({ message: 'Unavailable' }, 503));
+
+      await expect(marzpay.request('/send-money/abc')).rejects.toMatchObject({ status: 503 });
+      await expect(marzpay.request('/send-money/def')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        group: 'disbursements',
+        from: 'closed',
+        to: 'open'
+      }));
+      expect(marzpay.circuitBreaker.getState('collections')).toBe('closed');
+    });
+
+    it('should be disabled by default', () => {
+      const marzpay = new MarzPay({ apiUser: 'test_user', apiKey: 'test_key' });
+
+      expect(marzpay.circuitBreaker).toBeNull();
+    });
+  });
+});
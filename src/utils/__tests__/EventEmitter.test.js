@@ -0,0 +1,46 @@
+import { EventEmitter } from '../EventEmitter.js';
+
+describe('EventEmitter', () => {
+  it('should call listeners in order and unsubscribe', () => {
+    const events = new EventEmitter();
+    const calls = [];
+    const unsubscribe = events.on('change', payload => calls.push(['a', payload]));
+    events.on('change', payload => calls.push(['b', payload]));
+
+    expect(events.emit('change', 1)).toBe(true);
+    unsubscribe();
+    events.emit('change', 2);
+
+    expect(calls).toEqual([['a', 1], ['b', 1], ['b', 2]]);
+    expect(events.listenerCount('change')).toBe(1);
+  });
+
+  it('should run once listeners a single time and allow removing them', () => {
+    const events = new EventEmitter();
+    const listener = jest.fn();
+    const removed = jest.fn();
+
+    events.once('done', listener);
+    events.once('done', removed);
+    events.off('done', removed);
+    events.emit('done', 'x');
+    events.emit('done', 'y');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith('x');
+    expect(removed).not.toHaveBeenCalled();
+  });
+
+  it('should isolate listener failures', () => {
+    const events = new EventEmitter();
+    const after = jest.fn();
+    events.on('change', () => {
+      throw new Error('listener bug');
+    });
+    events.on('change', after);
+
+    expect(() => events.emit('change')).not.toThrow();
+    expect(after).toHaveBeenCalled();
+    expect(events.emit('unknown')).toBe(false);
+  });
+});
@@ -0,0 +1,84 @@
+import { MarzPay } from '../../index.js';
+
+describe('LimitsCache', () => {
+  const reference = '550e8400-e29b-41d4-a716-446655440000';
+  const account = {
+    status: 'success',
+    data: {
+      account: {
+        limits: {
+          withdrawal: { minimum: { formatted: '2,000 UGX', raw: '2000' }, maximum: { formatted: '1,000,000 UGX', raw: '1000000' } },
+          deposit: { minimum: '1,000', maximum: '5,000,000' }
+        }
+      }
+    }
+  };
+  const services = {
+    status: 'success',
+    data: { services: [{ provider: 'mtn', type: 'withdrawal', limits: { min: 1000, max: '750,000' } }], summary: { total_services: 1 } }
+  };
+
+  const respond = () => {
+    fetch.mockImplementation(async (url, options) => {
+      if (options.method === 'POST') {
+        return createMockResponse({ status: 'success', data: { transaction: { uuid: 'a0eebc99-9c0b-4ef8-bb6d-6bb9bd380a11', reference } } });
+      }
+      return createMockResponse(url.includes('/services') ? services : account);
+    });
+  };
+
+  const lookups = () => fetch.mock.calls.filter(([, options]) => options.method === 'GET').map(([url]) => url.replace(/^.*\/api\/v1/, ''));
+
+  it('should validate against account and provider limits, loaded once per TTL', async () => {
+    const marzpay = new MarzPay({ apiUser: 'test-api-user', apiKey: 'test-api-key', retry: false, limits: { ttl: 50 } });
+    respond();
+
+    expect(marzpay.disbursements.getLimits()).toEqual({ min: 1000, max: 500000, currency: 'UGX' });
+    await expect(marzpay.disbursements.sendMoney({ amount: 600000, phoneNumber: '123', reference }))
+      .rejects.toMatchObject({ code: 'INVALID_PHONE' });
+    expect(lookups()).toEqual([]);
+
+    await marzpay.disbursements.sendMoney({ amount: 600000, phoneNumber: '0759983853', reference });
+    await expect(marzpay.disbursements.sendMoney({ amount: 800000, phoneNumber: '0759983853', reference }))
+      .rejects.toMatchObject({ code: 'INVALID_AMOUNT', message: 'Amount must be between 2,000 and 750,000 UGX' });
+
+    expect(lookups()).toEqual(['/account', '/services?type=withdrawal&provider=mtn&status=active']);
+    expect(marzpay.disbursements.getLimits()).toEqual({ min: 2000, max: 1000000, currency: 'UGX' });
+    expect(marzpay.disbursements.getLimits('mtn')).toEqual({ min: 2000, max: 750000, currency: 'UGX' });
+    expect(marzpay.disbursements.isValidAmount(900000)).toBe(true);
+    expect(marzpay.disbursements.isValidAmount(900000, 'mtn')).toBe(false);
+    expect(marzpay.collections.isValidAmount(700)).toBe(false);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await marzpay.collections.loadLimits();
+
+    expect(lookups()).toHaveLength(3);
+    expect(marzpay.collections.getLimits()).toEqual({ min: 1000, max: 5000000, currency: 'UGX' });
+  });
+
+  it('should fall back to the last known or built-in limits while the platform is unreachable', async () => {
+    const marzpay = new MarzPay({ apiUser: 'test-api-user', apiKey: 'test-api-key', retry: false, limits: { ttl: 0, retryAfter: 0 } });
+    fetch.mockImplementation(() => Promise.reject(new TypeError('fetch failed')));
+
+    await expect(marzpay.collections.loadLimits()).resolves.toEqual({ min: 500, max: 10000000, currency: 'UGX' });
+
+    respond();
+    await marzpay.collections.loadLimits();
+    fetch.mockImplementation(() => Promise.reject(new TypeError('fetch failed')));
+
+    await expect(marzpay.collections.loadLimits()).resolves.toEqual({ min: 1000, max: 5000000, currency: 'UGX' });
+    expect(marzpay.collections.getValidationErrors({ amount: 600, phoneNumber: '0759983853', reference }))
+      .toEqual([expect.objectContaining({ code: 'INVALID_AMOUNT', message: 'Amount must be between 1,000 and 5,000,000 UGX' })]);
+  });
+
+  it('should use the built-in limits only when disabled', async () => {
+    const marzpay = new MarzPay({ apiUser: 'test-api-user', apiKey: 'test-api-key', retry: false, limits: false });
+    respond();
+
+    await marzpay.disbursements.sendMoney({ amount: 500000, phoneNumber: '0759983853', reference });
+
+    expect(marzpay.limits).toBeNull();
+    expect(lookups()).toEqual([]);
+    expect(marzpay.disbursements.getLimits('mtn')).toEqual({ min: 1000, max: 500000, currency: 'UGX' });
+  });
+});
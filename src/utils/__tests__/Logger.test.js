@@ -0,0 +1,109 @@
+import { Logger } from '../Logger.js';
+import { MarzPay } from '../../index.js';
+import { MarzPayError } from '../../errors/MarzPayError.js';
+
+describe('Logger', () => {
+  it('should write redacted JSON lines at or above the level', () => {
+    const lines = [];
+    const logger = new Logger({ level: 'info', output: line => lines.push(line) });
+
+    logger.debug('hidden');
+    logger.info('marzpay.response', { status: 200, phone_number: '0759983853' });
+
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0])).toMatchObject({
+      level: 'info',
+      msg: 'marzpay.response',
+      status: 200,
+      phone_number: '+2*********53'
+    });
+  });
+
+  it('should forward to an existing logger', () => {
+    const target = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const logger = new Logger(target);
+
+    logger.warn('marzpay.request_failed', { headers: { Authorization: 'Basic abc' } });
+
+    expect(target.warn).toHaveBeenCalledWith('marzpay.request_failed', { headers: { Authorization: 'Basic [REDACTED]' } });
+  });
+
+  it('should support text output and reject unknown levels', () => {
+    const output = jest.fn();
+    new Logger({ format: 'text', output }).error('boom', { code: 'X' });
+
+    expect(output.mock.calls[0][0]).toMatch(/ ERROR boom \{"code":"X"\}$/);
+    expect(() => new Logger({ level: 'verbose' })).toThrow(MarzPayError);
+  });
+
+  describe('with MarzPay', () => {
+    it('should log requests and responses without credentials or phone numbers', async () => {
+      const entries = [];
+      const marzpay = new MarzPay({
+        apiUser: 'test_user',
+        apiKey: 'super_secret_key',
+        retry: false,
+        logger: { level: 'debug', output: (_line, entry) => entries.push(entry) }
+      });
+      global.fetch.mockResolvedValue(createMockResponse({
+        status: 'success',
+        data: { transaction: { phone_number: '+256759983853' } }
+      }));
+
+      await marzpay.request('/collect-money', {
+        method: 'POST',
+        body: { phone_number: '+256759983853', amount: 500 }
+      });
+
+      const [request, response] = entries;
+      expect(request.msg).toBe('marzpay.request');
+      expect(request.headers.Authorization).toBe('Basic [REDACTED]');
+      expect(request.body).toEqual({ phone_number: '+2*********53', amount: 500 });
+      expect(response).toMatchObject({ msg: 'marzpay.response', status: 200 });
+      expect(response.body.data.transaction.phone_number).toBe('+2*********53');
+      expect(JSON.stringify(entries)).not.toContain('super_secret_key');
+      expect(JSON.stringify(entries)).not.toContain('759983853');
+    });
+
+    it('should log failures with redacted error details', async () => {
+      const entries = [];
+      const marzpay = new MarzPay({
+        apiUser: 'test_user',
+        apiKey: 'test_key',
+        retry: false,
+        logger: { output: (_line, entry) => entries.push(entry) }
+      });
+      global.fetch.mockResolvedValue(createMockResponse({ message: 'Invalid number 0759983853' }, 400));
+
+      await expect(marzpay.request('/send-money', { method: 'POST', body: {} })).rejects.toThrow();
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({ level: 'warn', msg: 'marzpay.request_failed' });
+      expect(entries[0].error.message).toBe('Invalid number +2*********53');
+      expect(entries[0].error.stack).toBeUndefined();
+    });
+
+    it('should be silent by default', () => {
+      const marzpay = new MarzPay({ apiUser: 'test_user', apiKey: 'test_key' });
+
+      expect(marzpay.logger.isEnabled('error')).toBe(false);
+    });
+  });
+
+  describe('MarzPayError.toJSON', () => {
+    it('should redact details and omit the stack by default', () => {
+      const error = new MarzPayError('Failed for 0759983853', 'API_ERROR', 400, { phone_number: '0759983853' });
+
+      expect(error.toJSON()).toMatchObject({
+        message: 'Failed for +2*********53',
+        details: { phone_number: '+2*********53' }
+      });
+      expect(error.toJSON().stack).toBeUndefined();
+      expect(JSON.parse(JSON.stringify(error)).details.phone_number).toBe('+2*********53');
+      expect(error.toJSON({ redact: false, stack: true })).toMatchObject({
+        details: { phone_number: '0759983853' },
+        stack: expect.any(String)
+      });
+    });
+  });
+});
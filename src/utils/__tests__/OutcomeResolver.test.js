@@ -0,0 +1,110 @@
+import { MarzPay } from '../../index.js';
+import { MarzPayError } from '../../errors/MarzPayError.js';
+
+describe('OutcomeResolver', () => {
+  const reference = '550e8400-e29b-41d4-a716-446655440000';
+  const transactionUuid = 'a0eebc99-9c0b-4ef8-bb6d-6bb9bd380a11';
+  const params = { amount: 5000, phoneNumber: '0759983853', reference };
+  const connectionDropped = () => Promise.reject(new TypeError('fetch failed'));
+  let marzpay;
+
+  beforeEach(() => {
+    marzpay = new MarzPay({
+      apiUser: 'test-api-user',
+      apiKey: 'test-api-key',
+      retry: false,
+      resolveBeforeRetry: { lookupDelay: 0 },
+      limits: false
+    });
+  });
+
+  const postCalls = () => fetch.mock.calls.filter(([, options]) => options.method === 'POST');
+
+  it('should return the existing transaction instead of charging twice', async () => {
+    const existing = { status: 'success', data: { transaction: { uuid: transactionUuid, status: 'pending' } } };
+    fetch
+      .mockImplementationOnce(connectionDropped)
+      .mockResolvedValueOnce(createMockResponse({
+        status: 'success',
+        data: { transactions: [{ uuid: transactionUuid, reference, type: 'collection' }] }
+      }))
+      .mockResolvedValueOnce(createMockResponse(existing));
+
+    const result = await marzpay.collections.collectMoney(params);
+
+    expect(result).toEqual(existing);
+    expect(result.recovery).toEqual({ attempts: 1, recovered: true, transaction_uuid: transactionUuid });
+    expect(postCalls()).toHaveLength(1);
+    expect(fetch.mock.calls[1][0]).toContain(`/transactions?reference=${reference}`);
+    expect(fetch.mock.calls[2][0]).toContain(`/collect-money/${transactionUuid}`);
+  });
+
+  it('should re-submit when the platform has not seen the reference', async () => {
+    fetch
+      .mockImplementationOnce(connectionDropped)
+      .mockResolvedValueOnce(createMockResponse({ status: 'success', data: { transactions: [] } }))
+      .mockResolvedValueOnce(createMockResponse({ status: 'success', data: { transaction: { reference } } }));
+
+    const result = await marzpay.disbursements.sendMoney({ ...params, amount: 10000 });
+
+    expect(result.recovery).toEqual({ attempts: 2, recovered: false });
+    expect(postCalls()).toHaveLength(2);
+    expect(JSON.parse(postCalls()[1][1].body).reference).toBe(reference);
+  });
+
+  it('should ignore transactions of another type with the same reference', async () => {
+    fetch
+      .mockImplementationOnce(connectionDropped)
+      .mockResolvedValueOnce(createMockResponse({
+        status: 'success',
+        data: { transactions: [{ uuid: transactionUuid, reference, type: 'withdrawal' }] }
+      }))
+      .mockResolvedValueOnce(createMockResponse({ status: 'success' }));
+
+    await marzpay.collections.collectMoney(params);
+
+    expect(postCalls()).toHaveLength(2);
+  });
+
+  it('should fail with OUTCOME_UNKNOWN when the lookup fails', async () => {
+    fetch.mockImplementation(connectionDropped);
+
+    const error = await marzpay.collections.collectMoney(params).catch(e => e);
+
+    expect(error).toBeInstanceOf(MarzPayError);
+    expect(error.code).toBe('OUTCOME_UNKNOWN');
+    expect(error.details).toMatchObject({ reference, submit_error: 'NETWORK_ERROR' });
+    expect(postCalls()).toHaveLength(1);
+  });
+
+  it('should not look anything up for definite failures', async () => {
+    fetch.mockResolvedValue(createMockResponse({ message: 'Insufficient balance' }, 400));
+
+    await expect(marzpay.disbursements.sendMoney({ ...params, amount: 10000 }))
+      .rejects.toMatchObject({ status: 400 });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop after maxAttempts submissions', async () => {
+    fetch.mockImplementation((url, options) => (
+      options.method === 'POST'
+        ? connectionDropped()
+        : Promise.resolve(createMockResponse({ status: 'success', data: { transactions: [] } }))
+    ));
+
+    const error = await marzpay.collections
+      .collectMoney(params, { resolveBeforeRetry: { lookupDelay: 0, maxAttempts: 2 } })
+      .catch(e => e);
+
+    expect(error.code).toBe('NETWORK_ERROR');
+    expect(postCalls()).toHaveLength(2);
+  });
+
+  it('should be disabled unless requested', async () => {
+    const plain = new MarzPay({ apiUser: 'user', apiKey: 'key', retry: false, limits: false });
+    fetch.mockImplementation(connectionDropped);
+
+    await expect(plain.collections.collectMoney(params)).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,144 @@
+import { jest } from '@jest/globals';
+import { MarzPay } from '../../index.js';
+import { Paginator } from '../Paginator.js';
+
+describe('Paginator', () => {
+  const pageOf = (items, currentPage, lastPage) => ({
+    status: 'success',
+    data: {
+      transactions: items,
+      pagination: { current_page: String(currentPage), last_page: String(lastPage), per_page: '100' }
+    }
+  });
+
+  const fetchPages = responses => jest.fn(params => Promise.resolve(responses[params.page - 1]));
+
+  it('should yield every item across pages', async () => {
+    const fetchPage = fetchPages([pageOf([1, 2], 1, 3), pageOf([3, 4], 2, 3), pageOf([5], 3, 3)]);
+    const items = [];
+
+    for await (const item of new Paginator(fetchPage, { itemsKey: 'transactions' })) {
+      items.push(item);
+    }
+
+    expect(items).toEqual([1, 2, 3, 4, 5]);
+    expect(fetchPage).toHaveBeenCalledTimes(3);
+  });
+
+  it('should request the maximum page size and keep the filters', async () => {
+    const fetchPage = fetchPages([pageOf([1], 1, 1)]);
+
+    await new Paginator(fetchPage, { itemsKey: 'transactions', params: { status: 'failed' } }).toArray();
+
+    expect(fetchPage).toHaveBeenCalledWith({ status: 'failed', per_page: 100, page: 1 });
+  });
+
+  it('should expose pages with their pagination block', async () => {
+    const fetchPage = fetchPages([pageOf([1, 2], 1, 2), pageOf([3], 2, 2)]);
+    const pages = [];
+
+    for await (const page of new Paginator(fetchPage, { itemsKey: 'transactions' }).pages()) {
+      pages.push(page);
+    }
+
+    expect(pages.map(page => page.page)).toEqual([1, 2]);
+    expect(pages[1].items).toEqual([3]);
+    expect(pages[1].pagination.last_page).toBe('2');
+  });
+
+  it('should stop requesting pages once the limit is reached', async () => {
+    const fetchPage = fetchPages([pageOf([1, 2], 1, 5), pageOf([3, 4], 2, 5), pageOf([5, 6], 3, 5)]);
+
+    const items = await new Paginator(fetchPage, { itemsKey: 'transactions' }).toArray({ limit: 3 });
+
+    expect(items).toEqual([1, 2, 3]);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('should treat a response without pagination as a single page', async () => {
+    const fetchPage = jest.fn(() => Promise.resolve({ data: { services: [{ uuid: 'a' }, { uuid: 'b' }] } }));
+
+    const items = await new Paginator(fetchPage, { itemsKey: 'services' }).toArray();
+
+    expect(items).toHaveLength(2);
+    expect(fetchPage).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop on an empty page', async () => {
+    const fetchPage = fetchPages([pageOf([1], 1, 9), pageOf([], 2, 9)]);
+
+    expect(await new Paginator(fetchPage, { itemsKey: 'transactions' }).toArray()).toEqual([1]);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  describe('list endpoints', () => {
+    let marzpay;
+
+    beforeEach(() => {
+      marzpay = new MarzPay({ apiUser: 'test-api-user', apiKey: 'test-api-key', retry: false });
+    });
+
+    const transaction = (status, raw) => ({ status, type: 'collection', amount: { raw } });
+
+    it('should page through transactions with valid page sizes', async () => {
+      fetch
+        .mockResolvedValueOnce(createMockResponse(pageOf([transaction('successful', '1000')], 1, 2)))
+        .mockResolvedValueOnce(createMockResponse(pageOf([transaction('failed', '500')], 2, 2)));
+
+      const transactions = await marzpay.transactions.list({ type: 'collection' }).toArray();
+
+      expect(transactions).toHaveLength(2);
+      expect(fetch.mock.calls[0][0]).toContain('/transactions?type=collection&per_page=100&page=1');
+      expect(fetch.mock.calls[1][0]).toContain('page=2');
+    });
+
+    it('should summarise every page of transactions', async () => {
+      fetch
+        .mockResolvedValueOnce(createMockResponse(pageOf([transaction('successful', '1000')], 1, 2)))
+        .mockResolvedValueOnce(createMockResponse(pageOf([transaction('successful', '2500')], 2, 2)));
+
+      const result = await marzpay.transactions.getSummary({ start_date: '2024-01-01' });
+
+      expect(result.data.summary.total_transactions).toBe(2);
+      expect(result.data.summary.total_amount).toBe(3500);
+    });
+
+    it('should merge every page of balance history for a period', async () => {
+      const historyPage = (history, currentPage) => ({
+        status: 'success',
+        data: { history, pagination: { current_page: currentPage, last_page: 2, per_page: 100, total: 3 } }
+      });
+      fetch
+        .mockResolvedValueOnce(createMockResponse(historyPage([{ id: 1 }, { id: 2 }], 1)))
+        .mockResolvedValueOnce(createMockResponse(historyPage([{ id: 3 }], 2)));
+
+      const result = await marzpay.balance.getPeriodSummary('2024-01-01', '2024-01-31');
+
+      expect(result.data.history.map(entry => entry.id)).toEqual([1, 2, 3]);
+      expect(result.data.pagination).toMatchObject({ current_page: 1, last_page: 1, total: 3 });
+    });
+
+    it('should count active webhooks from a single listing', async () => {
+      fetch.mockResolvedValueOnce(createMockResponse({
+        status: 'success',
+        data: { webhooks: [{ is_active: true }, { is_active: false }, { status: 'active' }] }
+      }));
+
+      const result = await marzpay.webhooks.getSummary();
+
+      expect(result.data.summary).toEqual({ total_webhooks: 3, active_webhooks: 2, inactive_webhooks: 1 });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should pass request options to every page', async () => {
+      const controller = new AbortController();
+      fetch
+        .mockResolvedValueOnce(createMockResponse(pageOf([transaction('successful', '1')], 1, 2)))
+        .mockResolvedValueOnce(createMockResponse(pageOf([transaction('successful', '1')], 2, 2)));
+
+      await marzpay.transactions.list({}, { signal: controller.signal }).toArray();
+
+      expect(fetch.mock.calls.every(([, options]) => options.signal)).toBe(true);
+    });
+  });
+});
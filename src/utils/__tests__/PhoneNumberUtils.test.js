@@ -0,0 +1,12 @@
+import { PhoneNumberUtils } from '../PhoneNumberUtils.js';
+
+describe('PhoneNumberUtils', () => {
+  const utils = new PhoneNumberUtils();
+
+  it('should detect the provider from the prefix in any format', () => {
+    expect(utils.getProvider('0759983853')).toBe('mtn');
+    expect(utils.getProvider('+256759983853')).toBe('mtn');
+    expect(utils.getProvider('0701234567')).toBe('airtel');
+    expect(utils.getProvider('123')).toBeNull();
+  });
+});
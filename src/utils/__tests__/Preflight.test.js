@@ -0,0 +1,133 @@
+import { MarzPay } from '../../index.js';
+
+describe('Preflight', () => {
+  const reference = '550e8400-e29b-41d4-a716-446655440000';
+  const params = { amount: 10000, phoneNumber: '0759983853', reference, description: 'Refund' };
+  const account = (overrides = {}) => ({
+    status: 'success',
+    data: {
+      account: {
+        status: { account_status: 'active', is_frozen: 'false', ...overrides.status },
+        limits: {
+          withdrawal: { minimum: { formatted: '1,000 UGX', raw: '1000' }, maximum: { formatted: '300,000 UGX', raw: '300000' } },
+          deposit: { minimum: '500', maximum: '10,000,000' }
+        }
+      }
+    }
+  });
+  let marzpay;
+
+  const respond = ({ accountInfo = account(), balance = '50000', services = 1 } = {}) => {
+    fetch.mockImplementation(async url => {
+      if (url.includes('/account')) {
+        return createMockResponse(accountInfo);
+      }
+      if (url.includes('/balance')) {
+        return createMockResponse({ status: 'success', data: { account: { balance: { raw: balance } } } });
+      }
+      if (url.includes('/services')) {
+        return createMockResponse({ status: 'success', data: { summary: { total_services: services } } });
+      }
+      return createMockResponse({ status: 'error', message: 'Unexpected request' }, 500);
+    });
+  };
+
+  const postCalls = () => fetch.mock.calls.filter(([, options]) => options.method === 'POST');
+
+  beforeEach(() => {
+    marzpay = new MarzPay({ apiUser: 'test-api-user', apiKey: 'test-api-key', retry: false });
+  });
+
+  it('should report what would be sent when every check passes', async () => {
+    respond();
+
+    const report = await marzpay.disbursements.sendMoney(params, { dryRun: true });
+
+    expect(report).toMatchObject({
+      dryRun: true,
+      ok: true,
+      type: 'withdrawal',
+      endpoint: '/send-money',
+      request: { amount: 10000, phone_number: '+256759983853', reference, description: 'Refund', country: 'UG' },
+      provider: 'mtn',
+      checks: {
+        validation: { status: 'passed' },
+        account: { status: 'passed' },
+        limits: { status: 'passed', minimum: 1000, maximum: 300000 },
+        balance: { status: 'passed', required: 10000 },
+        service: { status: 'passed', provider: 'mtn' }
+      },
+      problems: []
+    });
+    expect(postCalls()).toHaveLength(0);
+    expect(fetch.mock.calls.some(([url]) => url.includes('type=withdrawal') && url.includes('provider=mtn'))).toBe(true);
+  });
+
+  it('should fetch the account once and agree with the helpers', async () => {
+    respond({ accountInfo: account({ status: { is_frozen: 'true' } }), balance: '5000', services: 0 });
+
+    const report = await marzpay.disbursements.sendMoney(params, { dryRun: true });
+
+    expect(fetch.mock.calls.filter(([url]) => url.includes('/account'))).toHaveLength(1);
+    expect(report.checks.account.status === 'passed').toBe(await marzpay.accounts.isAccountActive());
+    expect(report.checks.balance.status === 'passed').toBe(await marzpay.balance.hasSufficientBalance(params.amount));
+    expect(report.checks.service.status === 'passed').toBe(await marzpay.services.isServiceAvailable('withdrawal', 'mtn'));
+    expect(report.checks.account.status).toBe('failed');
+  });
+
+  it('should list every blocking problem without sending', async () => {
+    respond({ accountInfo: account({ status: { is_frozen: 'true' } }), balance: '200000', services: 0 });
+    marzpay = new MarzPay({ apiUser: 'test-api-user', apiKey: 'test-api-key', retry: false, dryRun: true });
+
+    const report = await marzpay.disbursements.sendMoney({ ...params, amount: 250000 });
+
+    expect(report.ok).toBe(false);
+    expect(report.problems.map(problem => [problem.check, problem.code])).toEqual([
+      ['account', 'ACCOUNT_INACTIVE'],
+      ['balance', 'INSUFFICIENT_BALANCE'],
+      ['service', 'SERVICE_UNAVAILABLE']
+    ]);
+    expect(postCalls()).toHaveLength(0);
+
+    respond();
+    const invalid = await marzpay.collections.collectMoney({ amount: 100, phoneNumber: '123' });
+
+    expect(invalid.problems.map(problem => [problem.check, problem.code])).toEqual([
+      ['validation', 'INVALID_AMOUNT'],
+      ['validation', 'INVALID_PHONE'],
+      ['validation', 'MISSING_REFERENCE']
+    ]);
+    expect(invalid.checks).toMatchObject({
+      account: { status: 'passed' },
+      limits: { status: 'skipped', minimum: 500, maximum: 10000000 },
+      balance: { status: 'skipped' },
+      service: { status: 'skipped' }
+    });
+
+    const nonNumeric = await marzpay.disbursements.sendMoney({ ...params, amount: 'abc' });
+
+    expect(nonNumeric.problems.map(problem => [problem.check, problem.code])).toEqual([['validation', 'INVALID_AMOUNT']]);
+    expect(nonNumeric.checks.balance).toEqual({ status: 'skipped', required: null });
+    expect(postCalls()).toHaveLength(0);
+  });
+
+  it('should report checks the platform could not answer and honour cancellation', async () => {
+    fetch.mockResolvedValue(createMockResponse({ status: 'error', error_code: 'SERVER_ERROR', message: 'Down' }, 500));
+
+    const report = await marzpay.disbursements.sendMoney(params, { dryRun: true });
+
+    expect(report.problems).toEqual([
+      { check: 'account', code: 'SERVER_ERROR', message: 'Could not load the account status: Down' },
+      { check: 'limits', code: 'SERVER_ERROR', message: 'Could not load the account limits: Down' },
+      { check: 'balance', code: 'SERVER_ERROR', message: 'Could not load the balance: Down' },
+      { check: 'service', code: 'SERVER_ERROR', message: 'Could not load the mtn services: Down' }
+    ]);
+    expect(Object.values(report.checks).map(check => check.status)).toEqual(['passed', 'error', 'error', 'error', 'error']);
+
+    const controller = new AbortController();
+    controller.abort();
+    await expect(marzpay.disbursements.sendMoney(params, { dryRun: true, signal: controller.signal }))
+      .rejects.toMatchObject({ code: 'REQUEST_ABORTED' });
+    expect(postCalls()).toHaveLength(0);
+  });
+});
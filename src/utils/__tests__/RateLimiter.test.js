@@ -0,0 +1,157 @@
+import { RateLimiter } from '../RateLimiter.js';
+import { MarzPay } from '../../index.js';
+import { MarzPayError } from '../../errors/MarzPayError.js';
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('RateLimiter', () => {
+  describe('concurrency', () => {
+    it('should queue calls over maxConcurrency', async () => {
+      const limiter = new RateLimiter({ requestsPerSecond: 1000, maxConcurrency: 2 });
+      const tasks = [deferred(), deferred(), deferred(), deferred()];
+      const started = [];
+
+      const results = tasks.map((task, index) => limiter.schedule('collections', () => {
+        started.push(index);
+        return task.promise;
+      }));
+      await flush();
+
+      expect(started).toEqual([0, 1]);
+      expect(limiter.getQueueDepth('collections')).toBe(2);
+      expect(limiter.getStats().collections.active).toBe(2);
+
+      tasks[0].resolve('first');
+      await flush();
+
+      expect(started).toEqual([0, 1, 2]);
+      expect(limiter.getQueueDepth()).toBe(1);
+
+      tasks.slice(1).forEach(task => task.resolve('ok'));
+      await expect(Promise.all(results)).resolves.toEqual(['first', 'ok', 'ok', 'ok']);
+      expect(limiter.getQueueDepth()).toBe(0);
+    });
+
+    it('should keep groups independent and apply overrides', async () => {
+      const limiter = new RateLimiter({
+        requestsPerSecond: 1000,
+        maxConcurrency: 5,
+        groups: { disbursements: { maxConcurrency: 1 } }
+      });
+      const pending = deferred();
+
+      limiter.schedule('disbursements', () => pending.promise);
+      limiter.schedule('disbursements', () => pending.promise);
+      const other = limiter.schedule('collections', async () => 'done');
+
+      await expect(other).resolves.toBe('done');
+      expect(limiter.getQueueDepth('disbursements')).toBe(1);
+      expect(limiter.getQueueDepth('collections')).toBe(0);
+
+      pending.resolve();
+    });
+  });
+
+  describe('token bucket', () => {
+    it('should pace calls to requestsPerSecond', async () => {
+      const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 1 });
+      const times = [];
+
+      await Promise.all([1, 2, 3].map(() => limiter.schedule('transactions', async () => {
+        times.push(Date.now());
+      })));
+
+      expect(times[2] - times[0]).toBeGreaterThanOrEqual(90);
+    });
+  });
+
+  describe('429 handling', () => {
+    it('should halve the rate and pause for Retry-After', async () => {
+      const limiter = new RateLimiter({ requestsPerSecond: 100 });
+      const rateLimited = new MarzPayError('Too many requests', 'RATE_LIMIT_EXCEEDED', 429);
+      rateLimited.retryAfter = 60;
+
+      await expect(limiter.schedule('collections', () => Promise.reject(rateLimited))).rejects.toBe(rateLimited);
+
+      const stats = limiter.getStats().collections;
+      expect(stats.requestsPerSecond).toBe(50);
+      expect(stats.pausedUntil).not.toBeNull();
+
+      const before = Date.now();
+      await limiter.schedule('collections', async () => null);
+      expect(Date.now() - before).toBeGreaterThanOrEqual(50);
+    });
+
+    it('should recover the rate on successful calls', async () => {
+      const limiter = new RateLimiter({ requestsPerSecond: 100, recoveryStep: 0.5 });
+      limiter.throttle('balance', 0);
+
+      expect(limiter.getStats().balance.requestsPerSecond).toBe(50);
+
+      await limiter.schedule('balance', async () => null);
+      expect(limiter.getStats().balance.requestsPerSecond).toBe(100);
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should drop queued calls when their signal aborts', async () => {
+      const limiter = new RateLimiter({ requestsPerSecond: 1000, maxConcurrency: 1 });
+      const pending = deferred();
+      const controller = new AbortController();
+      const task = jest.fn();
+
+      limiter.schedule('webhooks', () => pending.promise);
+      const queued = limiter.schedule('webhooks', task, { signal: controller.signal });
+
+      controller.abort();
+
+      await expect(queued).rejects.toMatchObject({ code: 'REQUEST_ABORTED' });
+      expect(limiter.getQueueDepth('webhooks')).toBe(0);
+
+      pending.resolve();
+      await flush();
+      expect(task).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('with MarzPay', () => {
+    it('should map endpoints to groups', () => {
+      const marzpay = new MarzPay({ apiUser: 'test_user', apiKey: 'test_key' });
+
+      expect(marzpay.getEndpointGroup('/collect-money')).toBe('collections');
+      expect(marzpay.getEndpointGroup('/send-money/services')).toBe('disbursements');
+      expect(marzpay.getEndpointGroup('/transactions?page=2')).toBe('transactions');
+      expect(marzpay.getEndpointGroup('/balance/history')).toBe('balance');
+      expect(marzpay.getEndpointGroup('/accounting')).toBe('default');
+      expect(marzpay.rateLimiter).toBeNull();
+    });
+
+    it('should send requests through the limiter', async () => {
+      const marzpay = new MarzPay({
+        apiUser: 'test_user',
+        apiKey: 'test_key',
+        retry: false,
+        rateLimit: { groups: { collections: { maxConcurrency: 1 } } }
+      });
+      global.fetch.mockResolvedValue(createMockResponse({ status: 'success' }));
+
+      await Promise.all([
+        marzpay.request('/collect-money/a'),
+        marzpay.request('/collect-money/b')
+      ]);
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(marzpay.rateLimiter.getStats().collections).toMatchObject({ queued: 0, active: 0 });
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import { Redactor } from '../Redactor.js';
+
+describe('Redactor', () => {
+  const redactor = new Redactor();
+
+  it('should redact credentials and keep the auth scheme', () => {
+    const result = redactor.redact({
+      headers: { Authorization: 'Basic dXNlcjprZXk=', 'Content-Type': 'application/json' },
+      apiKey: 'secret-key',
+      api_key: 'another-secret'
+    });
+
+    expect(result).toEqual({
+      headers: { Authorization: 'Basic [REDACTED]', 'Content-Type': 'application/json' },
+      apiKey: '[REDACTED]',
+      api_key: '[REDACTED]'
+    });
+  });
+
+  it('should mask phone numbers under phone keys and inside text', () => {
+    const result = redactor.redact({
+      phone_number: '0759983853',
+      customer: { phoneNumber: '+256759983853' },
+      message: 'Collection from 256759983853 failed',
+      amount: 759983853
+    });
+
+    expect(result.phone_number).toBe('+2*********53');
+    expect(result.customer.phoneNumber).toBe('+2*********53');
+    expect(result.message).toBe('Collection from +2*********53 failed');
+    expect(result.amount).toBe(759983853);
+  });
+
+  it('should scrub configured secret values from strings', () => {
+    const scrubbing = new Redactor({ secrets: () => ['live_key_123'], keys: ['customer_id'] });
+
+    expect(scrubbing.redact({ note: 'key live_key_123 rejected', customer_id: 42 }))
+      .toEqual({ note: 'key [REDACTED] rejected', customer_id: '[REDACTED]' });
+  });
+
+  it('should not modify the input and should handle circular references', () => {
+    const input = { phone: '0759983853', items: [{ msisdn: '0701234567' }] };
+    input.self = input;
+
+    const result = redactor.redact(input);
+
+    expect(input.phone).toBe('0759983853');
+    expect(result.items[0].msisdn).toBe('+2*********67');
+    expect(result.self).toBe('[Circular]');
+  });
+});
@@ -0,0 +1,100 @@
+import { RetryPolicy } from '../RetryPolicy.js';
+import { MarzPayError } from '../../errors/MarzPayError.js';
+
+describe('RetryPolicy', () => {
+  describe('constructor', () => {
+    it('should apply default options', () => {
+      const policy = new RetryPolicy();
+
+      expect(policy.options.maxAttempts).toBe(3);
+      expect(policy.options.methods).toEqual(['GET', 'HEAD', 'OPTIONS']);
+    });
+  });
+
+  describe('appliesTo', () => {
+    it('should only retry safe methods by default', () => {
+      const policy = new RetryPolicy();
+
+      expect(policy.appliesTo('GET')).toBe(true);
+      expect(policy.appliesTo('get')).toBe(true);
+      expect(policy.appliesTo('POST')).toBe(false);
+    });
+
+    it('should retry any method when forced per call', () => {
+      expect(new RetryPolicy().withOverride(true).appliesTo('POST')).toBe(true);
+    });
+  });
+
+  describe('isRetryable', () => {
+    const policy = new RetryPolicy();
+
+    it('should retry transient statuses and codes', () => {
+      expect(policy.isRetryable(new MarzPayError('Bad gateway', 'API_ERROR', 502))).toBe(true);
+      expect(policy.isRetryable(MarzPayError.networkError('Down'))).toBe(true);
+      expect(policy.isRetryable(MarzPayError.timeoutError(100))).toBe(true);
+    });
+
+    it('should not retry aborts, client errors or foreign errors', () => {
+      expect(policy.isRetryable(MarzPayError.abortError())).toBe(false);
+      expect(policy.isRetryable(new MarzPayError('Invalid', 'INVALID_AMOUNT', 400))).toBe(false);
+      expect(policy.isRetryable(new Error('boom'))).toBe(false);
+    });
+  });
+
+  describe('getDelay', () => {
+    it('should back off exponentially up to maxDelay', () => {
+      const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 350, jitter: false });
+
+      expect(policy.getDelay(1)).toBe(100);
+      expect(policy.getDelay(2)).toBe(200);
+      expect(policy.getDelay(3)).toBe(350);
+    });
+
+    it('should keep jittered delays within the backoff window', () => {
+      const policy = new RetryPolicy({ baseDelay: 100 });
+
+      for (let i = 0; i < 20; i++) {
+        const delay = policy.getDelay(2);
+        expect(delay).toBeGreaterThanOrEqual(0);
+        expect(delay).toBeLessThanOrEqual(200);
+      }
+    });
+
+    it('should prefer Retry-After and give up when it exceeds maxDelay', () => {
+      const policy = new RetryPolicy({ maxDelay: 1000 });
+      const error = new MarzPayError('Slow down', 'RATE_LIMIT_EXCEEDED', 429);
+
+      error.retryAfter = 750;
+      expect(policy.getDelay(1, error)).toBe(750);
+
+      error.retryAfter = 5000;
+      expect(policy.getDelay(1, error)).toBeNull();
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse seconds and HTTP dates', () => {
+      expect(RetryPolicy.parseRetryAfter('3')).toBe(3000);
+      expect(RetryPolicy.parseRetryAfter(null)).toBeNull();
+      expect(RetryPolicy.parseRetryAfter('soon')).toBeNull();
+
+      const inFuture = new Date(Date.now() + 60000).toUTCString();
+      expect(RetryPolicy.parseRetryAfter(inFuture)).toBeGreaterThan(50000);
+    });
+  });
+
+  describe('execute', () => {
+    it('should stop waiting when the signal aborts', async () => {
+      const policy = new RetryPolicy({ baseDelay: 10000, jitter: false, maxDelay: 10000 });
+      const controller = new AbortController();
+      const func = jest.fn().mockRejectedValue(MarzPayError.networkError('Down'));
+
+      const pending = policy.execute(func, { signal: controller.signal });
+      await Promise.resolve();
+      controller.abort();
+
+      await expect(pending).rejects.toMatchObject({ code: 'REQUEST_ABORTED' });
+      expect(func).toHaveBeenCalledTimes(1);
+    });
+  });
+});
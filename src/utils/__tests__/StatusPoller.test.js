@@ -0,0 +1,140 @@
+import { MarzPay } from '../../index.js';
+import { TimeoutError } from '../../errors/MarzPayError.js';
+
+describe('StatusPoller', () => {
+  const uuid = 'a0eebc99-9c0b-4ef8-bb6d-6bb9bd380a11';
+  const transaction = status => createMockResponse({ status: 'success', data: { transaction: { uuid, status } } });
+  let marzpay;
+
+  beforeEach(() => {
+    marzpay = new MarzPay({ apiUser: 'test-api-user', apiKey: 'test-api-key', retry: false, limits: false });
+  });
+
+  it('should poll until a final status and report every change', async () => {
+    const changes = [];
+    const events = [];
+    marzpay.on('transactionStatusChange', change => events.push(change.to));
+    fetch
+      .mockResolvedValueOnce(transaction('pending'))
+      .mockResolvedValueOnce(transaction('pending'))
+      .mockResolvedValueOnce(transaction('processing'))
+      .mockResolvedValueOnce(transaction('successful'));
+
+    const result = await marzpay.collections.waitForCompletion(uuid, {
+      interval: 1,
+      onStatusChange: change => changes.push([change.type, change.from, change.to, change.attempts])
+    });
+
+    expect(result).toEqual({ uuid, status: 'successful' });
+    expect(fetch).toHaveBeenCalledTimes(4);
+    expect(fetch.mock.calls[0][0]).toContain(`/collect-money/${uuid}`);
+    expect(changes).toEqual([
+      ['collection', null, 'pending', 1],
+      ['collection', 'pending', 'processing', 3],
+      ['collection', 'processing', 'successful', 4]
+    ]);
+    expect(events).toEqual(['pending', 'processing', 'successful']);
+  });
+
+  it('should keep polling through transient failures', async () => {
+    fetch
+      .mockResolvedValueOnce(transaction('pending'))
+      .mockResolvedValueOnce(createMockResponse({ message: 'Bad gateway' }, 502))
+      .mockResolvedValueOnce(transaction('failed'));
+
+    const result = await marzpay.disbursements.waitForCompletion(uuid, { interval: 1, backoff: false });
+
+    expect(result.status).toBe('failed');
+    expect(fetch.mock.calls[1][0]).toContain(`/send-money/${uuid}`);
+  });
+
+  it('should reject with the last known state when the deadline passes', async () => {
+    fetch.mockResolvedValue(transaction('pending'));
+
+    const error = await marzpay.collections.waitForCompletion(uuid, { timeout: 30, interval: 5 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.code).toBe('WAIT_TIMEOUT');
+    expect(error.details).toMatchObject({ uuid, type: 'collection', status: 'pending', transaction: { uuid, status: 'pending' } });
+    expect(error.details.attempts).toBeGreaterThan(1);
+  });
+
+  it('should stop on permanent failures, aborts and invalid settings', async () => {
+    fetch.mockResolvedValueOnce(createMockResponse({ message: 'Not found' }, 404));
+    await expect(marzpay.collections.waitForCompletion(uuid, { interval: 1 })).rejects.toMatchObject({ status: 404 });
+
+    const controller = new AbortController();
+    fetch.mockResolvedValue(transaction('pending'));
+    const waiting = marzpay.collections.waitForCompletion(uuid, { interval: 1000, signal: controller.signal });
+    setTimeout(() => controller.abort(), 5);
+    await expect(waiting).rejects.toMatchObject({ code: 'REQUEST_ABORTED' });
+
+    await expect(marzpay.collections.waitForCompletion(uuid, { backoff: 0.5 })).rejects.toMatchObject({ code: 'INVALID_POLL_SETTINGS' });
+  });
+
+  describe('collectAndConfirm', () => {
+    const reference = '550e8400-e29b-41d4-a716-446655440000';
+    const params = { amount: 5000, phoneNumber: '0759983853', reference };
+    const initiated = createMockResponse({ status: 'success', data: { transaction: { uuid, reference, status: 'pending' } } });
+    const webhook = status => ({ event_type: 'collection.completed', data: { transaction: { uuid, reference, status } } });
+    const gets = () => fetch.mock.calls.filter(([, options]) => options.method === 'GET');
+
+    it('should resolve from a verified webhook without waiting for the next poll', async () => {
+      fetch
+        .mockResolvedValueOnce(initiated)
+        .mockResolvedValueOnce(transaction('successful'));
+      setTimeout(() => marzpay.webhooks.receive(JSON.stringify(webhook('successful'))), 5);
+
+      const outcome = await marzpay.collections.collectAndConfirm(params, { interval: 60000 });
+
+      expect(outcome).toMatchObject({ status: 'successful', confirmed: true, source: 'webhook', reference, uuid, attempts: 0 });
+      expect(outcome.elapsed).toBeLessThan(60000);
+      expect(gets()).toHaveLength(1);
+    });
+
+    it('should keep webhooks that arrive before the response and poll when they do not confirm', async () => {
+      const changes = [];
+      fetch
+        .mockImplementationOnce(async () => {
+          marzpay.webhooks.receive(webhook('successful'));
+          return initiated;
+        })
+        .mockResolvedValueOnce(transaction('pending'))
+        .mockResolvedValueOnce(transaction('failed'));
+
+      const outcome = await marzpay.collections.collectAndConfirm(params, {
+        interval: 20,
+        onStatusChange: change => changes.push([change.source, change.to])
+      });
+
+      expect(outcome).toMatchObject({ status: 'failed', source: 'poll', attempts: 1 });
+      expect(changes).toEqual([['initial', 'pending'], ['poll', 'failed']]);
+    });
+
+    it('should trust webhooks as delivered when verification is off', async () => {
+      fetch.mockResolvedValueOnce(initiated);
+      setTimeout(() => marzpay.webhooks.receive(webhook(undefined)), 5);
+
+      const outcome = await marzpay.collections.collectAndConfirm(params, { interval: 60000, verifyWebhooks: false });
+
+      expect(outcome).toMatchObject({ status: 'successful', source: 'webhook' });
+      expect(gets()).toHaveLength(0);
+    });
+
+    it('should resolve as timed out when the prompt is never answered', async () => {
+      fetch.mockResolvedValueOnce(initiated).mockResolvedValue(transaction('pending'));
+
+      const outcome = await marzpay.collections.collectAndConfirm({ amount: 5000, phoneNumber: '0759983853' }, { timeout: 30, interval: 5 });
+
+      expect(outcome).toMatchObject({ status: 'timed_out', confirmed: false, source: null, uuid });
+      expect(outcome.transaction.status).toBe('pending');
+      expect(JSON.parse(fetch.mock.calls[0][1].body).reference).toBe(outcome.reference);
+      expect(marzpay.events.listenerCount('webhook')).toBe(0);
+    });
+
+    it('should reject webhook bodies that name no transaction', () => {
+      expect(() => marzpay.webhooks.receive('not json')).toThrow(expect.objectContaining({ code: 'INVALID_WEBHOOK_PAYLOAD' }));
+      expect(() => marzpay.webhooks.receive({ event_type: 'success' })).toThrow(expect.objectContaining({ code: 'INVALID_WEBHOOK_PAYLOAD' }));
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import { MarzPay } from '../../index.js';
+import { TimeSeries } from '../TimeSeries.js';
+
+describe('TimeSeries', () => {
+  const counter = bucket => new TimeSeries({ bucket, create: () => ({ count: 0 }), deltas: ['count'] });
+
+  it('should derive bucket keys', () => {
+    const date = new Date('2024-02-29T12:00:00Z');
+
+    expect(TimeSeries.bucketKey(date, 'daily')).toBe('2024-02-29');
+    expect(TimeSeries.bucketKey(date, 'weekly')).toBe('2024-02-26');
+    expect(TimeSeries.bucketKey(date, 'monthly')).toBe('2024-02');
+    expect(TimeSeries.bucketKey(null, 'daily')).toBeNull();
+  });
+
+  it('should step to the next bucket across boundaries', () => {
+    expect(TimeSeries.nextKey('2024-02-28', 'daily')).toBe('2024-02-29');
+    expect(TimeSeries.nextKey('2024-12-30', 'weekly')).toBe('2025-01-06');
+    expect(TimeSeries.nextKey('2024-12', 'monthly')).toBe('2025-01');
+  });
+
+  it('should compute windows of whole periods', () => {
+    const now = new Date('2024-05-22T15:00:00Z'); // Wednesday
+
+    expect(TimeSeries.window('daily', 3, now)).toEqual({ start: '2024-05-20', end: '2024-05-22' });
+    expect(TimeSeries.window('weekly', 2, now)).toEqual({ start: '2024-05-13', end: '2024-05-22' });
+    expect(TimeSeries.window('monthly', 6, now)).toEqual({ start: '2023-12-01', end: '2024-05-22' });
+  });
+
+  it('should zero-fill gaps and compute deltas', () => {
+    const series = counter('daily');
+    series.bucketFor(new Date('2024-01-01T10:00:00Z')).count += 4;
+    series.bucketFor(new Date('2024-01-03T10:00:00Z')).count += 2;
+
+    expect(series.toArray({ end: '2024-01-04' })).toEqual([
+      { period: '2024-01-01', count: 4, change: null },
+      { period: '2024-01-02', count: 0, change: { count: { absolute: -4, percent: -100 } } },
+      { period: '2024-01-03', count: 2, change: { count: { absolute: 2, percent: null } } },
+      { period: '2024-01-04', count: 0, change: { count: { absolute: -2, percent: -100 } } }
+    ]);
+  });
+
+  it('should return nothing without data or a window', () => {
+    expect(counter('monthly').toArray()).toEqual([]);
+  });
+
+  it('should ignore values without a valid date', () => {
+    expect(counter('daily').bucketFor(new Date('not a date'))).toBeNull();
+  });
+
+  describe('balance trends', () => {
+    it('should return one bucket per period with carried-over balances', async () => {
+      const marzpay = new MarzPay({ apiUser: 'test-api-user', apiKey: 'test-api-key', retry: false });
+      const { start } = TimeSeries.window('daily', 3);
+      const day = offset => {
+        const date = new Date(`${start}T08:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + offset);
+        return date.toISOString();
+      };
+      fetch.mockResolvedValueOnce(createMockResponse({
+        status: 'success',
+        data: {
+          history: [
+            { operation: 'credit', amount: { raw: '5000' }, balance_before: { raw: '1000' }, balance_after: { raw: '6000' }, created_at: day(0) },
+            { operation: 'debit', amount: { raw: '-1500' }, balance_before: { raw: '6000' }, balance_after: { raw: '4500' }, created_at: day(0) }
+          ]
+        }
+      }));
+
+      const result = await marzpay.balance.getBalanceTrends('daily', 3);
+      const [first, second] = result.data.series;
+
+      expect(result.data.series).toHaveLength(3);
+      expect(first).toMatchObject({ credits: 5000, debits: 1500, net_change: 3500, opening_balance: 1000, closing_balance: 4500 });
+      expect(second).toMatchObject({ entries: 0, opening_balance: 4500, closing_balance: 4500 });
+      expect(second.change.net_change).toEqual({ absolute: -3500, percent: -100 });
+      expect(result.data.summary).toMatchObject({ entries: 2, net_change: 3500 });
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { MarzPay } from '../../index.js';
+import { GeneralUtils } from '../GeneralUtils.js';
+import { TimeZone } from '../TimeZone.js';
+
+describe('TimeZone', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should put late UTC evenings on the next Kampala day', () => {
+    const instant = new Date('2024-01-15T22:30:00Z');
+
+    expect(TimeZone.from().name).toBe('Africa/Kampala');
+    expect(TimeZone.from().formatDate(instant)).toBe('2024-01-16');
+    expect(TimeZone.from('UTC').formatDate(instant)).toBe('2024-01-15');
+  });
+
+  it('should find the instant a day starts', () => {
+    expect(TimeZone.from().startOfDay('2024-01-16').toISOString()).toBe('2024-01-15T21:00:00.000Z');
+    expect(TimeZone.from('America/New_York').startOfDay('2024-03-10').toISOString()).toBe('2024-03-10T05:00:00.000Z');
+    expect(TimeZone.from().offsetAt(new Date('2024-01-15T00:00:00Z'))).toBe(3 * 60 * 60 * 1000);
+  });
+
+  it('should do calendar arithmetic on days', () => {
+    expect(TimeZone.isValidDay('2024-02-29')).toBe(true);
+    expect(TimeZone.isValidDay('2024-02-30')).toBe(false);
+    expect(TimeZone.isValidDay('2024-1-5')).toBe(false);
+    expect(TimeZone.addDays('2024-02-28', 2)).toBe('2024-03-01');
+    expect(TimeZone.addMonths('2024-03-31', -1)).toBe('2024-02-29');
+    expect(TimeZone.startOfWeek('2024-01-14')).toBe('2024-01-08');
+    expect(TimeZone.endOfMonth('2023-02-10')).toBe('2023-02-28');
+  });
+
+  it('should reject unknown zones', () => {
+    expect(() => new TimeZone('Mars/Olympus_Mons')).toThrow(expect.objectContaining({ code: 'INVALID_TIMEZONE' }));
+  });
+
+  it('should compute date ranges in the business time zone', () => {
+    jest.useFakeTimers({ now: new Date('2024-03-31T22:00:00Z'), doNotFake: ['setTimeout', 'clearTimeout'] });
+
+    const utils = new GeneralUtils();
+
+    expect(utils.getDateRange('today')).toEqual({ start: '2024-04-01', end: '2024-04-01' });
+    expect(utils.getDateRange('yesterday')).toEqual({ start: '2024-03-31', end: '2024-03-31' });
+    expect(utils.getDateRange('week')).toEqual({ start: '2024-04-01', end: '2024-04-07' });
+    expect(utils.getDateRange('month')).toEqual({ start: '2024-04-01', end: '2024-04-30' });
+    expect(new GeneralUtils({ timeZone: 'UTC' }).getDateRange('month')).toEqual({ start: '2024-03-01', end: '2024-03-31' });
+  });
+
+  it('should query recent transactions by the client time zone', async () => {
+    jest.useFakeTimers({ now: new Date('2024-01-31T21:30:00Z'), doNotFake: ['setTimeout', 'clearTimeout'] });
+    fetch.mockResolvedValue(createMockResponse({ status: 'success', data: { transactions: [] } }));
+
+    const kampala = new MarzPay({ apiUser: 'test-api-user', apiKey: 'test-api-key', retry: false });
+    await kampala.transactions.getRecent(7);
+    expect(fetch.mock.calls[0][0]).toContain('start_date=2024-01-25&end_date=2024-02-01');
+
+    const utc = new MarzPay({ apiUser: 'test-api-user', apiKey: 'test-api-key', retry: false, timeZone: 'UTC' });
+    await utc.transactions.getRecent(7);
+    expect(fetch.mock.calls[1][0]).toContain('start_date=2024-01-24&end_date=2024-01-31');
+    expect(utc.utils.formatDate('2024-01-31T21:30:00Z')).toBe('2024-01-31');
+  });
+});
@@ -0,0 +1,104 @@
+import { MarzPay } from '../../index.js';
+import { TransactionAggregator } from '../TransactionAggregator.js';
+
+describe('TransactionAggregator', () => {
+  const tx = (amount, overrides = {}) => ({
+    type: 'collection',
+    status: 'successful',
+    provider: 'mtn',
+    amount: { raw: String(amount) },
+    created_at: '2024-01-15T10:00:00Z',
+    ...overrides
+  });
+
+  it('should compute totals and breakdowns', () => {
+    const summary = new TransactionAggregator()
+      .addAll([
+        tx(1000),
+        tx(3000, { provider: 'airtel' }),
+        tx(500, { status: 'failed', type: 'withdrawal' }),
+        tx(200, { status: 'pending' })
+      ])
+      .getSummary();
+
+    expect(summary).toMatchObject({
+      total_amount: 4000,
+      total_transactions: 4,
+      successful_transactions: 2,
+      failed_transactions: 1,
+      pending_transactions: 1,
+      total_collections: 3,
+      total_withdrawals: 1,
+      success_rate: 50,
+      by_status: { successful: { count: 2, amount: 4000 }, failed: { count: 1, amount: 0 }, pending: { count: 1, amount: 0 } },
+      by_type: { collection: { count: 3, amount: 4000 }, withdrawal: { count: 1, amount: 0 } },
+      by_provider: { mtn: { count: 3, amount: 1000 }, airtel: { count: 1, amount: 3000 } }
+    });
+    expect(summary.amounts).toEqual({ count: 2, min: 1000, max: 3000, mean: 2000, median: 2000 });
+  });
+
+  it('should report empty statistics without transactions', () => {
+    const summary = new TransactionAggregator().getSummary();
+
+    expect(summary.total_transactions).toBe(0);
+    expect(summary.success_rate).toBe(0);
+    expect(summary.amounts).toEqual({ count: 0, min: null, max: null, mean: null, median: null });
+  });
+
+  it('should estimate the median of a large stream closely', () => {
+    const aggregator = new TransactionAggregator();
+    // Deterministic shuffle of 1..10001 (median 5001)
+    for (let i = 0; i < 10001; i++) {
+      aggregator.add(tx(((i * 7919) % 10001) + 1));
+    }
+
+    const { median, min, max } = aggregator.getSummary().amounts;
+
+    expect(min).toBe(1);
+    expect(max).toBe(10001);
+    expect(Math.abs(median - 5001)).toBeLessThan(100);
+  });
+
+  it('should build a zero-filled time series with deltas', () => {
+    const aggregator = new TransactionAggregator({ bucket: 'weekly' }).addAll([
+      tx(100, { created_at: '2024-01-08T09:00:00Z' }),
+      tx(200, { created_at: '2024-01-14T20:00:00Z', provider: 'airtel' }),
+      tx(300, { created_at: '2024-01-22T00:30:00Z', status: 'failed' }),
+      tx(400, { created_at: null })
+    ]);
+
+    const series = aggregator.getSeries({ start: '2024-01-01', end: '2024-01-28' });
+
+    expect(series.map(entry => entry.period)).toEqual(['2024-01-01', '2024-01-08', '2024-01-15', '2024-01-22']);
+    expect(series[0]).toMatchObject({ total_transactions: 0, change: null });
+    expect(series[1]).toMatchObject({
+      total_transactions: 2,
+      total_amount: 300,
+      by_provider: { mtn: { count: 1, amount: 100 }, airtel: { count: 1, amount: 200 } }
+    });
+    expect(series[1].change.total_amount).toEqual({ absolute: 300, percent: null });
+    expect(series[2]).toMatchObject({ total_transactions: 0, by_provider: { airtel: { count: 0, amount: 0 } } });
+    expect(series[2].change.total_amount).toEqual({ absolute: -300, percent: -100 });
+    expect(series[3]).toMatchObject({ failed_transactions: 1 });
+  });
+
+  it('should return a series instead of the transactions from getAnalytics', async () => {
+    const marzpay = new MarzPay({ apiUser: 'test-api-user', apiKey: 'test-api-key', retry: false });
+    const page = (transactions, currentPage) => createMockResponse({
+      status: 'success',
+      data: { transactions, pagination: { current_page: currentPage, last_page: 2 } }
+    });
+    fetch
+      .mockResolvedValueOnce(page([tx(100, { created_at: new Date().toISOString() })], 1))
+      .mockResolvedValueOnce(page([tx(300, { created_at: new Date().toISOString() })], 2));
+
+    const result = await marzpay.transactions.getAnalytics('daily', 7);
+    const today = result.data.series[result.data.series.length - 1];
+
+    expect(result.data.transactions).toBeUndefined();
+    expect(result.data.summary.total_amount).toBe(400);
+    expect(result.data.series).toHaveLength(7);
+    expect(today.total_transactions).toBe(2);
+    expect(result.data.series[0].total_transactions).toBe(0);
+  });
+});